@@ -0,0 +1,25 @@
+// Mission Control Center - Login
+// Logs in against the local user store, then goes back to the page that asked (?next=)
+
+document.getElementById('login-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const error = document.getElementById('login-error');
+    error.textContent = '';
+
+    const response = await fetch('/api/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            username: document.getElementById('login-username').value.trim(),
+            password: document.getElementById('login-password').value
+        })
+    });
+    if (!response.ok) {
+        error.textContent = (await response.json()).error;
+        return;
+    }
+
+    // Only back to a page on this server: browsers read "/\host" and "//host" as another site
+    const next = new URL(new URLSearchParams(location.search).get('next') || '/', location.origin);
+    location.href = next.origin === location.origin ? next.pathname + next.search + next.hash : '/';
+});
@@ -1,22 +1,39 @@
 // Mission Control Center - Client Dashboard
 // Real-time telemetry visualization and control interface
 
+// Mission to join (?mission=<id>), default mission otherwise; ?instructorKey= for the Instructor console
+const pageParams = new URLSearchParams(location.search);
+const requestedMission = pageParams.get('mission');
+const instructorKey = pageParams.get('instructorKey');
+
 // WebSocket connection
-const socket = io();
+const socketQuery = {};
+if (requestedMission) socketQuery.mission = requestedMission;
+if (instructorKey) socketQuery.instructorKey = instructorKey;
+const socket = io({ query: socketQuery });
 
 // Chart instances
-let altitudeChart, velocityChart;
+let altitudeChart, velocityChart, groundTrackChart;
 
 // Chart data storage
 const chartData = {
     labels: [],
     altitude: [],
-    velocity: []
+    velocity: [],
+    groundTrack: [] // { x: longitude, y: latitude }
 };
 
+const GROUND_TRACK_SPACING = 0.5; // degrees between plotted ground track points
+
 // Mission state
+let currentMissionId = null;
+let lastPlanKey = null; // plan last written to the plan inputs
 let missionState = null;
+let clockPaused = false;
 let myStation = null;
+let myRelief = null; // station this console shadows read-only
+let myQualifications = null; // stations the logged-in user may sit at, null for all
+let stationAssignments = null; // last stationsUpdate
 let countdownInterval = null;
 
 // Initialize dashboard
@@ -24,6 +41,7 @@ document.addEventListener('DOMContentLoaded', () => {
     initializeCharts();
     setupEventListeners();
     setupSocketListeners();
+    loadLogin();
 });
 
 // Initialize Chart.js charts
@@ -121,15 +139,63 @@ function initializeCharts() {
             }
         }
     });
+
+    // Ground track (longitude / latitude)
+    const trackCtx = document.getElementById('ground-track-chart').getContext('2d');
+    groundTrackChart = new Chart(trackCtx, {
+        type: 'scatter',
+        data: {
+            datasets: [{
+                data: chartData.groundTrack,
+                borderColor: '#0f0',
+                backgroundColor: '#0f0',
+                pointRadius: 1.5
+            }]
+        },
+        options: {
+            ...chartOptions,
+            scales: {
+                x: {
+                    ...chartOptions.scales.y,
+                    min: -180,
+                    max: 180,
+                    title: {
+                        display: true,
+                        text: 'Longitude (°)',
+                        color: '#0f0'
+                    }
+                },
+                y: {
+                    ...chartOptions.scales.y,
+                    min: -90,
+                    max: 90,
+                    title: {
+                        display: true,
+                        text: 'Latitude (°)',
+                        color: '#0f0'
+                    }
+                }
+            }
+        }
+    });
 }
 
 // Setup button event listeners
 function setupEventListeners() {
     // Control buttons
     document.getElementById('init-launch').addEventListener('click', () => {
-        socket.emit('initiateLaunch');
+        const seed = document.getElementById('launch-seed').value.trim();
+        const vehicle = document.getElementById('vehicle-selector').value;
+        const options = vehicle ? { vehicle } : {};
+        options.guidance = document.getElementById('guidance-selector').value;
+        if (seed) options.seed = seed;
+        const scenario = document.getElementById('scenario-selector').value;
+        if (scenario) options.scenario = scenario;
+        socket.emit('initiateLaunch', options);
     });
 
+    document.getElementById('plan-apply').addEventListener('click', applyPlan);
+
     document.getElementById('start-poll').addEventListener('click', () => {
         socket.emit('startGoNoGoPoll');
     });
@@ -138,8 +204,9 @@ function setupEventListeners() {
         socket.emit('holdCountdown', 'Manual hold');
     });
 
+    // A built-in hold is released by the Flight Director, any other hold resumed
     document.getElementById('resume').addEventListener('click', () => {
-        socket.emit('resumeCountdown');
+        socket.emit(missionState && missionState.builtInHold ? 'releaseHold' : 'resumeCountdown');
     });
 
     document.getElementById('abort').addEventListener('click', () => {
@@ -148,29 +215,91 @@ function setupEventListeners() {
         }
     });
 
+    // After a pad abort the count picks up again from the launch sequencer's recycle point
+    document.getElementById('recycle').addEventListener('click', () => {
+        socket.emit('recycleCount');
+    });
+
     document.getElementById('land').addEventListener('click', () => {
         socket.emit('initiateLanding');
         addEventLog('LANDING SEQUENCE INITIATED - Performing propulsive landing', 'info');
         document.getElementById('land').disabled = true;
     });
 
+    // Simulation clock
+    document.getElementById('clock-pause').addEventListener('click', () => {
+        socket.emit(clockPaused ? 'resumeSimulation' : 'pauseSimulation');
+    });
+
+    document.querySelectorAll('.warp-button').forEach(button => {
+        button.addEventListener('click', () => {
+            const warp = button.dataset.warp;
+            socket.emit('setTimeWarp', warp === 'MAX' ? warp : Number(warp));
+        });
+    });
+
+    // Mission selection
+    document.getElementById('mission-selector').addEventListener('change', (e) => {
+        switchMission(e.target.value);
+    });
+
+    document.getElementById('new-mission').addEventListener('click', async () => {
+        const name = prompt('Name for the new mission:');
+        if (name === null) return;
+
+        const response = await fetch('/api/missions', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name || undefined })
+        });
+        if (response.ok) {
+            const created = await response.json();
+            switchMission(created.id);
+        } else {
+            const result = await response.json().catch(() => ({}));
+            addEventLog(`Could not create mission: ${result.error || response.statusText}`, 'warning');
+        }
+    });
+
+    // Every console clears itself on the mission's missionReset, keeping its station
     document.getElementById('reset').addEventListener('click', () => {
         socket.emit('resetSimulation');
-        location.reload(); // Refresh page for clean reset
     });
 
     // Removed fix NO-GO issues button handler - no longer needed
 
     // Station selection
+    // The server confirms the station (stationAssigned) or refuses it (missionError)
     document.getElementById('station-selector').addEventListener('change', (e) => {
         const station = e.target.value;
         if (station) {
-            myStation = station;
             socket.emit('assignStation', station);
-            document.getElementById('station-controls').style.display = 'flex';
+            e.target.value = myStation || '';
         }
     });
 
+    // Range Safety's flight termination system
+    document.querySelectorAll('.fts-command').forEach(button => {
+        button.addEventListener('click', () => {
+            const command = button.dataset.command;
+            if (command === 'TERMINATE' && !confirm('Terminate the flight?')) return;
+            socket.emit('commandFTS', command);
+        });
+    });
+
+    document.getElementById('logout').addEventListener('click', async () => {
+        await fetch('/api/logout', { method: 'POST' });
+        location.href = '/login.html';
+    });
+
+    // Instructor fault injection
+    document.getElementById('fault-type').addEventListener('change', showFaultParams);
+    document.getElementById('fault-inject').addEventListener('click', injectFault);
+    document.getElementById('fault-clear').addEventListener('click', () => {
+        socket.emit('clearFaults');
+    });
+    document.getElementById('fault-debrief').addEventListener('click', openDebrief);
+
     // Go/No-Go voting
     document.getElementById('vote-go').addEventListener('click', () => {
         if (myStation) {
@@ -200,83 +329,503 @@ function setupSocketListeners() {
         addEventLog('Disconnected from Mission Control', 'critical');
     });
 
+    // Joined a mission room
+    socket.on('missionJoined', (summary) => {
+        currentMissionId = summary.id;
+        document.getElementById('mission-name').textContent = summary.name;
+        loadMissionList();
+        loadVehicleList();
+        loadScenarioList();
+        loadLaunchSites();
+        loadGroundTrack();
+    });
+
+    socket.on('missionError', (error) => {
+        addEventLog(error.message, 'warning');
+    });
+
+    // Logins are on and this page has none (or it has expired): log in first
+    socket.on('connect_error', (error) => {
+        if (error.message === 'Login required') {
+            redirectToLogin();
+        }
+    });
+
+    // The station this console now owns (null once released or handed over), or shadows as relief
+    socket.on('stationAssigned', (station) => {
+        myStation = station;
+        myRelief = null;
+        showStationPanels(station, false);
+    });
+
+    socket.on('reliefAssigned', (station) => {
+        myStation = null;
+        myRelief = station;
+        showStationPanels(station, true);
+    });
+
+    socket.on('stationsUpdate', showStationRoster);
+
+    // Mission data, also fed by the replay player
+    Object.entries(missionHandlers).forEach(([event, handler]) => {
+        socket.on(event, (data) => {
+            if (!isReplaying()) {
+                handler(data);
+            }
+        });
+    });
+}
+
+// Handlers for everything a mission broadcasts (live or recorded)
+const missionHandlers = {
+    // Simulation clock state
+    clockState: (clock) => {
+        updateClockDisplay(clock);
+    },
+
+    // Reset: the last flight's charts, ground track and phase colours go; the state events that follow fill in
+    missionReset: () => {
+        clearFlightDisplays();
+    },
+
     // Mission state updates
-    socket.on('missionState', (state) => {
+    missionState: (state) => {
         missionState = state;
         updateMissionDisplay(state);
-    });
+        if (state.status === 'IDLE') {
+            updatePollDisplay(state.goNoGoPoll);
+        }
+    },
 
     // Telemetry updates
-    socket.on('telemetry', (data) => {
+    telemetry: (data) => {
         updateTelemetry(data);
         updateCharts(data);
-    });
+        updateGroundTrack(data);
+    },
 
     // Rocket state
-    socket.on('rocketState', (state) => {
+    rocketState: (state) => {
         updateRocketState(state);
-    });
+    },
 
     // Weather updates
-    socket.on('weatherData', (weather) => {
+    weatherData: (weather) => {
         updateWeatherDisplay(weather);
-    });
+    },
 
     // Range status
-    socket.on('rangeStatus', (range) => {
+    rangeStatus: (range) => {
         updateRangeDisplay(range);
-    });
+    },
 
     // Countdown updates
-    socket.on('countdownUpdate', (time) => {
+    countdownUpdate: (time) => {
         updateCountdown(time);
-    });
+        markTimelineProgress(time);
+        updateSequencerDisplay(time);
+    },
+
+    // Launch window countdown and hold margin
+    windowStatus: (status) => {
+        updateWindowDisplay(status);
+    },
 
     // Mission timer (T+ after launch)
-    socket.on('missionTimer', (seconds) => {
+    missionTimer: (seconds) => {
         updateMissionTimer(seconds);
-    });
+    },
 
     // Go/No-Go poll updates
-    socket.on('goNoGoPollStarted', (poll) => {
+    goNoGoPollStarted: (poll) => {
         updatePollDisplay(poll);
         addEventLog('Go/No-Go poll initiated', 'info');
-    });
+    },
 
-    socket.on('goNoGoUpdate', (poll) => {
+    goNoGoUpdate: (poll) => {
         updatePollDisplay(poll);
 
         // Check if any station voted NO-GO and show fix button
         // No longer checking for NO-GO since all stations always vote GO
-    });
+    },
+
+    // Instructor's fault log (Instructor console and recordings only)
+    faultLog: (log) => {
+        updateFaultLog(log);
+    },
 
     // Event log
-    socket.on('eventLog', (event) => {
-        addEventLog(event.message, event.level);
-    });
+    eventLog: (event) => {
+        addEventLog(event.message, event.level, event.timestamp);
+    },
 
     // Countdown hold
-    socket.on('countdownHold', () => {
+    countdownHold: () => {
         document.getElementById('hold').disabled = true;
         document.getElementById('resume').disabled = false;
-    });
+    },
 
-    socket.on('countdownResumed', () => {
+    countdownResumed: () => {
         document.getElementById('hold').disabled = false;
         document.getElementById('resume').disabled = true;
-    });
+    },
+
+    // Recycled to the next plane window: the count runs again from the top
+    countdownRecycled: () => {
+        document.getElementById('hold').disabled = false;
+        document.getElementById('resume').disabled = true;
+    },
 
     // Abort
-    socket.on('abort', () => {
+    abort: () => {
         updateCountdown(0);
         document.getElementById('mission-phase').textContent = 'ABORT - RAPID DESCENT';
         document.getElementById('mission-phase').style.color = '#f00';
         document.getElementById('mission-phase').style.textShadow = '0 0 30px #f00';
-    });
+    },
+
+    // Engines shut down on the pad, the vehicle safed
+    padAbort: () => {
+        document.getElementById('mission-phase').textContent = 'PAD ABORT - VEHICLE SAFED';
+        document.getElementById('mission-phase').style.color = '#f80';
+        document.getElementById('mission-phase').style.textShadow = '0 0 30px #f80';
+    },
 
     // Anomaly alerts
-    socket.on('anomaly', (anomaly) => {
+    anomaly: (anomaly) => {
         addEventLog(`ANOMALY: ${anomaly.message}`, anomaly.severity.toLowerCase());
+    }
+};
+
+// Populate the mission selector from the server's mission list
+async function loadMissionList() {
+    const response = await fetch('/api/missions');
+    if (!response.ok) return;
+
+    const missions = await response.json();
+    const selector = document.getElementById('mission-selector');
+    selector.innerHTML = '';
+    missions.forEach(m => {
+        const option = document.createElement('option');
+        option.value = m.id;
+        option.textContent = `${m.name} (${m.status})`;
+        option.selected = m.id === currentMissionId;
+        selector.appendChild(option);
+    });
+}
+
+// Populate the vehicle picker from the vehicle library
+async function loadVehicleList() {
+    const response = await fetch('/api/vehicles');
+    if (!response.ok) return;
+
+    const vehicles = await response.json();
+    const selector = document.getElementById('vehicle-selector');
+    selector.innerHTML = '';
+    vehicles.forEach(vehicle => {
+        const option = document.createElement('option');
+        option.value = vehicle.id;
+        option.textContent = `${vehicle.name} (${vehicle.stages} STG, ${(vehicle.liftoffMass / 1000).toFixed(0)} t)`;
+        option.title = vehicle.description;
+        selector.appendChild(option);
+    });
+
+    if (missionState && missionState.vehicle) {
+        selector.value = missionState.vehicle;
+    }
+}
+
+// Training scenarios for the launch
+async function loadScenarioList() {
+    const response = await fetch('/api/scenarios');
+    if (!response.ok) return;
+
+    const scenarios = await response.json();
+    const selector = document.getElementById('scenario-selector');
+    const selected = selector.value;
+    selector.innerHTML = '<option value="">NO SCENARIO</option>';
+    scenarios.forEach(scenario => {
+        const option = document.createElement('option');
+        option.value = scenario.id;
+        option.textContent = scenario.name.toUpperCase();
+        option.title = scenario.description;
+        option.selected = scenario.id === selected;
+        selector.appendChild(option);
+    });
+}
+
+// Faults the instructor can inject, with their parameters
+let faultTypes = [];
+
+async function loadFaultTypes() {
+    const response = await fetch('/api/fault-types');
+    if (!response.ok) return;
+
+    faultTypes = (await response.json()).types;
+    const selector = document.getElementById('fault-type');
+    selector.innerHTML = '';
+    faultTypes.forEach(fault => {
+        const option = document.createElement('option');
+        option.value = fault.type;
+        option.textContent = fault.type;
+        option.title = fault.description;
+        selector.appendChild(option);
+    });
+    showFaultParams();
+}
+
+// Hint the selected fault's parameters in the parameter box
+function showFaultParams() {
+    const fault = faultTypes.find(f => f.type === document.getElementById('fault-type').value);
+    const input = document.getElementById('fault-params');
+    input.value = '';
+    input.placeholder = fault ? JSON.stringify(Object.fromEntries(Object.keys(fault.params).map(p => [p, '']))) : '';
+    input.title = fault ? Object.entries(fault.params).map(([p, text]) => `${p}: ${text}`).join('\n') : '';
+}
+
+function injectFault() {
+    let params = {};
+    const text = document.getElementById('fault-params').value.trim();
+    if (text) {
+        try {
+            params = JSON.parse(text);
+        } catch (error) {
+            addEventLog(`Fault parameters aren't JSON: ${error.message}`, 'warning');
+            return;
+        }
+    }
+
+    const fault = Object.assign({}, params, { type: document.getElementById('fault-type').value });
+    const trigger = document.getElementById('fault-trigger').value;
+    const value = document.getElementById('fault-trigger-value').value.trim();
+    if (trigger === 'phase') {
+        fault.phase = value.toUpperCase();
+    } else if (trigger === 'when') {
+        fault.when = value;
+    } else if (trigger) {
+        fault[trigger] = Number(value);
+    }
+    socket.emit('injectFault', fault);
+}
+
+function updateFaultLog(log) {
+    const list = document.getElementById('fault-log');
+    list.innerHTML = '';
+    log.slice().reverse().forEach(entry => {
+        const item = document.createElement('div');
+        item.className = `fault-entry ${entry.status.toLowerCase()}`;
+        const label = document.createElement('span');
+        label.textContent = `#${entry.id} ${entry.type} ${describeFaultTrigger(entry.trigger)} - ${entry.status}`;
+        label.title = entry.result || JSON.stringify(entry.params);
+        item.appendChild(label);
+        if (entry.status === 'PENDING') {
+            const cancel = document.createElement('button');
+            cancel.className = 'btn btn-small btn-secondary';
+            cancel.textContent = 'CANCEL';
+            cancel.addEventListener('click', () => socket.emit('cancelFault', entry.id));
+            item.appendChild(cancel);
+        }
+        list.appendChild(item);
+    });
+}
+
+// The panels of the station this console sits at, none without one; a relief sees them with the controls off
+function showStationPanels(station, readOnly) {
+    document.getElementById('station-selector').value = readOnly ? '' : (station || '');
+    document.getElementById('station-relief').textContent = readOnly ? `RELIEF: ${station.toUpperCase()} (READ-ONLY)` : '';
+    // The instructor isn't polled: the console injects faults instead
+    const instructor = station === 'Instructor';
+    document.getElementById('station-controls').style.display = station && !instructor ? 'flex' : 'none';
+    document.getElementById('fault-panel').style.display = instructor ? 'flex' : 'none';
+    document.getElementById('fts-controls').style.display = station === 'Range Safety' ? 'flex' : 'none';
+    document.querySelectorAll('#station-controls button, #fault-panel input, #fault-panel select, ' +
+        '#fault-panel button:not(#fault-debrief), .fts-command').forEach(control => {
+        control.disabled = readOnly;
+    });
+    if (instructor) loadFaultTypes();
+}
+
+// Who holds each station, with what this console can do about it: take a free station, request a staffed
+// one or relieve it, answer a handover asked of it, release its own
+function showStationRoster(assignments) {
+    stationAssignments = assignments;
+    const roster = document.getElementById('station-roster');
+    roster.innerHTML = '';
+    Object.entries(assignments).forEach(([station, seat]) => {
+        const mine = seat.owner && seat.owner.client === socket.id;
+        const qualified = !myQualifications || myQualifications.includes('*') || myQualifications.includes(station);
+        const item = document.createElement('div');
+        item.className = `roster-entry${mine ? ' mine' : ''}${seat.handover ? ' handover' : ''}`;
+
+        const label = document.createElement('span');
+        label.className = 'roster-name';
+        const relief = seat.relief.map(entry => entry.name).join(', ');
+        label.textContent = `${station.toUpperCase()}: ${seat.owner ? seat.owner.name : 'OPEN'}` +
+            (relief ? ` (relief ${relief})` : '') +
+            (seat.handover ? ` - ${seat.handover.to.name} asks for it` : '');
+        item.appendChild(label);
+
+        const button = (text, className, onClick) => {
+            const element = document.createElement('button');
+            element.className = `btn btn-small ${className}`;
+            element.textContent = text;
+            element.addEventListener('click', onClick);
+            item.appendChild(element);
+        };
+        if (mine && seat.handover) {
+            button('ACCEPT', 'btn-success', () => socket.emit('answerHandover', { station, accept: true }));
+            button('DECLINE', 'btn-danger', () => socket.emit('answerHandover', { station, accept: false }));
+        } else if (mine || myRelief === station) {
+            button('RELEASE', 'btn-secondary', () => socket.emit('releaseStation'));
+        } else if (!seat.owner && qualified) {
+            button('TAKE', 'btn-primary', () => socket.emit('assignStation', station));
+        } else if (seat.owner && qualified) {
+            if (seat.handover && seat.handover.to.client === socket.id) {
+                button('WITHDRAW', 'btn-secondary', () => socket.emit('cancelHandover'));
+            } else if (!seat.handover) {
+                button('REQUEST', 'btn-primary', () => socket.emit('requestHandover', station));
+            }
+            button('RELIEVE', 'btn-secondary', () => socket.emit('relieveStation', station));
+        }
+        roster.appendChild(item);
+    });
+}
+
+// Who is logged in: their name in the header, and only the stations they are qualified for to pick
+async function loadLogin() {
+    const response = await fetch('/api/me');
+    if (!response.ok) return;
+
+    const { loginRequired, user } = await response.json();
+    if (!loginRequired) return;
+    if (!user) {
+        redirectToLogin();
+        return;
+    }
+    document.getElementById('user-name').textContent = user.name;
+    document.getElementById('user-info').style.display = 'flex';
+    myQualifications = user.stations;
+    if (stationAssignments) showStationRoster(stationAssignments);
+    document.querySelectorAll('#station-selector option').forEach(option => {
+        if (option.value && !user.stations.includes('*') && !user.stations.includes(option.value)) {
+            option.disabled = true;
+        }
+    });
+}
+
+function redirectToLogin() {
+    location.href = `/login.html?next=${encodeURIComponent(location.pathname + location.search)}`;
+}
+
+// The run's debrief page, in a new tab
+function openDebrief() {
+    if (!currentMissionId) return;
+    const params = new URLSearchParams({ format: 'html' });
+    if (instructorKey) params.set('instructorKey', instructorKey);
+    window.open(`/api/missions/${encodeURIComponent(currentMissionId)}/debrief?${params}`, '_blank');
+}
+
+function describeFaultTrigger(trigger) {
+    if (!trigger) return 'NOW';
+    if (trigger.countdown !== undefined) return `T-${trigger.countdown}s`;
+    if (trigger.met !== undefined) return `T+${trigger.met}s`;
+    if (trigger.when !== undefined) return `WHEN ${trigger.when}`;
+    return trigger.phase;
+}
+
+// Populate the launch site picker from the site catalog
+async function loadLaunchSites() {
+    const response = await fetch('/api/launch-sites');
+    if (!response.ok) return;
+
+    const sites = await response.json();
+    const selector = document.getElementById('plan-site');
+    selector.innerHTML = '';
+    sites.forEach(site => {
+        const option = document.createElement('option');
+        option.value = site.id;
+        option.textContent = `${site.name.toUpperCase()} (${site.lat.toFixed(1)}°)`;
+        option.title = `Corridor ${site.corridor.from}-${site.corridor.to}°`;
+        selector.appendChild(option);
+    });
+
+    if (missionState && missionState.plan) {
+        selector.value = missionState.plan.site;
+    }
+}
+
+// Window inputs are UTC; datetime-local values carry no zone
+function toWindowInput(iso) {
+    return iso ? iso.slice(0, 19) : '';
+}
+
+function fromWindowInput(value) {
+    return value ? new Date(`${value}Z`).toISOString() : null;
+}
+
+// Send the plan inputs to the server; it checks them and answers with the resolved plan
+async function applyPlan() {
+    if (!currentMissionId) return;
+
+    const value = (id) => document.getElementById(id).value.trim();
+    const opens = fromWindowInput(value('plan-window-opens'));
+    const closes = fromWindowInput(value('plan-window-closes'));
+    const raan = value('plan-raan') === '' ? null : Number(value('plan-raan'));
+    const plan = {
+        site: value('plan-site'),
+        target: {
+            apogee: Number(value('plan-apogee')),
+            perigee: Number(value('plan-perigee')),
+            inclination: Number(value('plan-inclination')),
+            raan: raan
+        },
+        payload: value('plan-payload') === '' ? null : Number(value('plan-payload')),
+        // A target plane sets the window from its crossing; only the length is ours to choose
+        window: raan !== null ? { length: Number(value('plan-window-length') || 0) } : (opens ? { opens, closes } : null)
+    };
+
+    const response = await fetch(`/api/missions/${encodeURIComponent(currentMissionId)}/plan`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(plan)
+    });
+    if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        addEventLog(`Plan rejected: ${result.error || response.statusText}`, 'warning');
+    }
+}
+
+// Fill the plan inputs when the mission's plan changes, leaving edits in progress alone otherwise
+function updatePlanDisplay(plan) {
+    const planKey = JSON.stringify(plan);
+    if (planKey === lastPlanKey) return;
+    lastPlanKey = planKey;
+
+    document.getElementById('plan-site').value = plan.site;
+    document.getElementById('plan-apogee').value = plan.target.apogee;
+    document.getElementById('plan-perigee').value = plan.target.perigee;
+    document.getElementById('plan-inclination').value = plan.target.inclination;
+    document.getElementById('plan-raan').value = plan.target.raan === null ? '' : plan.target.raan;
+    document.getElementById('plan-payload').value = plan.payload === null ? '' : plan.payload;
+    document.getElementById('plan-window-opens').value = toWindowInput(plan.window && plan.window.opens);
+    document.getElementById('plan-window-closes').value = toWindowInput(plan.window && plan.window.closes);
+    document.getElementById('plan-window-length').value =
+        plan.window && plan.window.length !== undefined ? plan.window.length : '';
+    document.getElementById('plan-azimuth').textContent = plan.launchAzimuth.toFixed(1);
+}
+
+// Reload the dashboard on another mission so charts and panels start clean
+function switchMission(missionId) {
+    if (!missionId || missionId === currentMissionId) return;
+    location.search = `?mission=${encodeURIComponent(missionId)}`;
+}
+
+// Update simulation clock controls
+function updateClockDisplay(clock) {
+    clockPaused = clock.paused;
+    document.getElementById('clock-pause').textContent = clock.paused ? 'RESUME' : 'PAUSE';
+    document.querySelectorAll('.warp-button').forEach(button => {
+        button.classList.toggle('active', button.dataset.warp === String(clock.warp));
     });
 }
 
@@ -286,6 +835,9 @@ function updateTelemetry(data) {
     document.getElementById('altitude').textContent = (data.altitude / 1000).toFixed(1);
     document.getElementById('velocity').textContent = data.velocity.toFixed(0);
     document.getElementById('downrange').textContent = data.downrange.toFixed(1);
+    document.getElementById('latitude').textContent = data.latitude.toFixed(2);
+    document.getElementById('longitude').textContent = data.longitude.toFixed(2);
+    document.getElementById('flight-path-angle').textContent = data.flightPathAngle.toFixed(1);
     document.getElementById('acceleration').textContent = data.gForce.toFixed(2);
 
     // Color code velocity during landing (red = descending, green = slowing down)
@@ -302,27 +854,79 @@ function updateTelemetry(data) {
     document.getElementById('thrust').textContent = (data.thrust / 1000).toFixed(0);
     document.getElementById('twr').textContent = data.twr.toFixed(2);
     document.getElementById('fuel').textContent = data.propellantRemaining.toFixed(0);
+    if (data.fuelMass !== undefined) {
+        document.getElementById('propellant-mass').textContent =
+            `${(data.fuelMass / 1000).toFixed(1)} / ${(data.oxidizerMass / 1000).toFixed(1)}`;
+        document.getElementById('mass-flow').textContent = data.totalFlowRate.toFixed(0);
+    }
     document.getElementById('chamber-pressure').textContent = data.chamberPressure.toFixed(0);
+    if (data.gimbalAngle !== undefined) {
+        document.getElementById('gimbal-angle').textContent = data.gimbalAngle.toFixed(1);
+        document.getElementById('engines-running').textContent =
+            data.enginesOut > 0 ? `${data.enginesRunning} (${data.enginesOut} OUT)` : data.enginesRunning;
+    }
 
     // Environmental
     document.getElementById('dynamic-pressure').textContent = (data.dynamicPressure / 1000).toFixed(1);
     document.getElementById('mach').textContent = data.machNumber.toFixed(2);
+    document.getElementById('airspeed').textContent = data.airspeed.toFixed(0);
+    document.getElementById('angle-of-attack').textContent = data.angleOfAttack.toFixed(1);
+    document.getElementById('drag-coefficient').textContent = data.dragCoefficient.toFixed(2);
+    document.getElementById('wind-speed').textContent = data.windSpeed.toFixed(1);
+    document.getElementById('air-temperature').textContent = data.temperature.toFixed(0);
     document.getElementById('max-q').textContent = (data.maxQ / 1000).toFixed(1);
 
     // Orbital
-    document.getElementById('apogee').textContent = data.apogee.toFixed(0);
+    // Apogee and period are null on escape trajectories
+    document.getElementById('apogee').textContent = data.apogee === null ? '∞' : data.apogee.toFixed(0);
     document.getElementById('perigee').textContent = data.perigee.toFixed(0);
+    document.getElementById('semi-major-axis').textContent =
+        data.semiMajorAxis === null ? '∞' : data.semiMajorAxis.toFixed(0);
+    document.getElementById('eccentricity').textContent = data.eccentricity.toFixed(4);
     document.getElementById('inclination').textContent = data.inclination.toFixed(1);
+    document.getElementById('raan').textContent = data.raan.toFixed(1);
+    document.getElementById('argument-of-perigee').textContent = data.argumentOfPerigee.toFixed(1);
+    document.getElementById('true-anomaly').textContent = data.trueAnomaly.toFixed(1);
+    document.getElementById('orbital-period').textContent =
+        data.orbitalPeriod === null ? '--' : (data.orbitalPeriod / 60).toFixed(1);
+
+    // Guidance (recordings made before closed-loop guidance carry no target errors)
+    if (data.perigeeError !== undefined) {
+        document.getElementById('time-to-go').textContent = data.timeToGo === null ? '--' : data.timeToGo.toFixed(1);
+        document.getElementById('apogee-error').textContent = formatError(data.apogeeError);
+        document.getElementById('perigee-error').textContent = formatError(data.perigeeError);
+        document.getElementById('inclination-error').textContent = formatError(data.inclinationError, 2);
+        document.getElementById('raan-error').textContent =
+            data.raanError === undefined ? '--' : formatError(data.raanError, 2);
+    }
 
     // Vehicle mass
     document.getElementById('mass').textContent = (data.mass / 1000).toFixed(0);
 }
 
+// Signed target error, '--' when there is none (e.g. no apogee on an escape trajectory)
+function formatError(value, digits = 1) {
+    if (value === null) return '--';
+    return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+}
+
 // Update rocket state display
 function updateRocketState(state) {
-    document.getElementById('stage').textContent = state.stageNumber;
+    // Recordings made before N-stage vehicles carry no stage count
+    document.getElementById('stage').textContent =
+        state.stageCount ? `${state.stageNumber}/${state.stageCount}` : state.stageNumber;
+    document.getElementById('boosters').textContent = state.boostersAttached > 0 ? `${state.boostersAttached} ATTACHED` : '--';
+    document.getElementById('fairing').textContent = state.fairingAttached ? 'ON' : '--';
     document.getElementById('flight-phase').textContent = state.phase;
     document.getElementById('engine-status').textContent = state.engineStatus;
+    if (state.guidancePhase) {
+        document.getElementById('guidance-mode').textContent = state.guidanceMode;
+        document.getElementById('guidance-phase').textContent = state.guidancePhase;
+    }
+    // Recordings made before per-engine modelling carry no engine grid
+    if (Array.isArray(state.engines) && state.engines.every(engine => engine.element)) {
+        updateEngineGrid(state.engines);
+    }
 
     // Update vehicle status indicator
     const indicator = document.getElementById('vehicle-status').querySelector('.indicator-light');
@@ -348,9 +952,65 @@ function updateRocketState(state) {
     }
 }
 
+// Engine grid: a cell per liquid engine, grouped by stage and strap-on set and coloured by status,
+// its readouts on hover
+function updateEngineGrid(engines) {
+    const grid = document.getElementById('engine-grid');
+    const ids = engines.map(engine => engine.id).join(',');
+    if (grid.dataset.engines !== ids) {
+        grid.dataset.engines = ids;
+        grid.innerHTML = '';
+        let group = null;
+        engines.forEach(engine => {
+            if (!group || group.dataset.element !== engine.element) {
+                group = document.createElement('div');
+                group.className = 'engine-group';
+                group.dataset.element = engine.element;
+                const label = document.createElement('span');
+                label.className = 'engine-group-label';
+                label.textContent = engine.element.toUpperCase();
+                group.appendChild(label);
+                grid.appendChild(group);
+            }
+            const cell = document.createElement('span');
+            cell.id = `engine-${engine.id}`;
+            cell.textContent = engine.id.split('-')[1];
+            group.appendChild(cell);
+        });
+    }
+
+    engines.forEach(engine => {
+        const cell = document.getElementById(`engine-${engine.id}`);
+        cell.className = `engine-cell ${engine.status.toLowerCase()}`;
+        cell.title = `${engine.id} ${engine.status}${engine.failure ? ` (${engine.failure})` : ''}\n` +
+            `${(engine.thrust / 1000).toFixed(0)} kN at ${engine.throttle.toFixed(0)}%, ` +
+            `${engine.chamberPressure.toFixed(0)} bar, ${engine.turbopumpRPM.toFixed(0)} rpm\n` +
+            `Chamber ${engine.chamberTemperature.toFixed(0)} K, turbine inlet ${engine.turbineInletTemp.toFixed(0)} K`;
+    });
+}
+
 // Update mission display
 function updateMissionDisplay(state) {
     document.getElementById('mission-phase').textContent = state.status;
+    if (state.vehicle) {
+        document.getElementById('vehicle-selector').value = state.vehicle;
+    }
+    if (state.guidance) {
+        document.getElementById('guidance-selector').value = state.guidance;
+    }
+    if (state.plan) {
+        updatePlanDisplay(state.plan);
+        if (state.status !== 'PRE_LAUNCH' && state.status !== 'COUNTDOWN') {
+            showPlannedWindow(state.plan);
+        }
+    }
+    if (state.timeline) {
+        updateTimelineDisplay(state.timeline);
+        markTimelineProgress(state.countdownTime);
+        updateSequencerDisplay(state.countdownTime);
+    }
+    document.getElementById('resume').textContent = state.builtInHold ? 'RELEASE' : 'RESUME';
+    document.getElementById('recycle').disabled = state.status !== 'PAD_ABORT';
 
     // Update control buttons based on mission state
     switch(state.status) {
@@ -376,15 +1036,74 @@ function updateMissionDisplay(state) {
             document.getElementById('land').disabled = false; // Enable landing button during flight
             break;
         case 'ORBIT':
+        case 'SUBORBITAL':
             document.getElementById('land').disabled = false; // Can land from orbit
             break;
+        case 'PAD_ABORT':
+            // Safed on the pad: recycle the count, or start over
+            document.getElementById('init-launch').disabled = false;
+            document.getElementById('hold').disabled = true;
+            document.getElementById('resume').disabled = true;
+            document.getElementById('land').disabled = true;
+            break;
         case 'LANDING':
         case 'LANDED':
+        case 'IMPACT':
             document.getElementById('land').disabled = true;
             break;
     }
 }
 
+// List the countdown timeline's events when the mission takes up another timeline
+function updateTimelineDisplay(timeline) {
+    const list = document.getElementById('timeline-list');
+    if (list.dataset.timeline === timeline.id) return;
+    list.dataset.timeline = timeline.id;
+
+    document.getElementById('timeline-name').textContent = timeline.name.toUpperCase();
+    list.innerHTML = '';
+    timeline.events.forEach(event => {
+        const item = document.createElement('li');
+        item.className = `timeline-event${event.hold !== undefined ? ' hold' : ''}`;
+        item.dataset.t = event.t;
+        const hold = event.hold !== undefined ? ` [HOLD ${formatClock(event.hold)}]` : '';
+        item.textContent = `T-${formatClock(-event.t)} ${event.station.toUpperCase()}: ${event.message}${hold}`;
+        list.appendChild(item);
+    });
+}
+
+// Mark the events the count has passed, and a built-in hold it is sitting in
+function markTimelineProgress(countdownTime) {
+    if (!missionState) return;
+    const status = missionState.status;
+    const counting = status === 'PRE_LAUNCH' || status === 'COUNTDOWN';
+    const activeHold = missionState.builtInHold;
+    document.querySelectorAll('#timeline-list .timeline-event').forEach(item => {
+        const t = Number(item.dataset.t);
+        const passed = counting ? -t >= countdownTime : status !== 'IDLE';
+        item.classList.toggle('passed', passed);
+        item.classList.toggle('active', Boolean(activeHold) && activeHold.t === t);
+    });
+}
+
+// Launch sequencer: standing by, watching the redlines through the terminal count, or holding for one
+function updateSequencerDisplay(countdownTime) {
+    if (!missionState || !missionState.timeline) return;
+    const element = document.getElementById('sequencer-status');
+    const start = missionState.timeline.sequencer.start;
+    const counting = missionState.status === 'PRE_LAUNCH' || missionState.status === 'COUNTDOWN';
+    if (missionState.sequencerHold) {
+        element.textContent = `GLS HOLD: ${missionState.sequencerHold.parameter.toUpperCase()}`;
+        element.className = 'sequencer-status hold';
+    } else if (counting && countdownTime <= start) {
+        element.textContent = 'GLS ACTIVE';
+        element.className = 'sequencer-status active';
+    } else {
+        element.textContent = `GLS AT T-${formatClock(start)}`;
+        element.className = 'sequencer-status';
+    }
+}
+
 // Update weather display
 function updateWeatherDisplay(weather) {
     document.getElementById('surface-wind').textContent = weather.surfaceWind.speed.toFixed(0);
@@ -417,16 +1136,21 @@ function updateRangeDisplay(range) {
     indicator.className = `indicator-light ${range.rangeStatus.toLowerCase()}`;
 }
 
+// Seconds as MM:SS, or HH:MM:SS from an hour up
+function formatClock(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    const pad = (value) => value.toString().padStart(2, '0');
+    return `${hours > 0 ? `${pad(hours)}:` : ''}${pad(mins)}:${pad(secs)}`;
+}
+
 // Update countdown display
 function updateCountdown(seconds) {
     const negative = seconds < 0;
-    const abs = Math.abs(seconds);
-    const mins = Math.floor(abs / 60);
-    const secs = abs % 60;
 
     document.getElementById('countdown-sign').textContent = negative ? '+' : '-';
-    document.getElementById('countdown').textContent =
-        `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    document.getElementById('countdown').textContent = formatClock(Math.abs(seconds));
 
     // Change color based on countdown phase
     const countdownEl = document.getElementById('countdown');
@@ -442,6 +1166,34 @@ function updateCountdown(seconds) {
     }
 }
 
+// Window opening or closing countdown, and the hold time left before T-0 misses the window
+function updateWindowDisplay(status) {
+    const instantaneous = status.opens === status.closes;
+    const statusEl = document.getElementById('window-status');
+    if (status.opensIn > 0) {
+        statusEl.textContent = instantaneous
+            ? `INSTANTANEOUS WINDOW IN ${formatClock(status.opensIn)}`
+            : `WINDOW OPENS IN ${formatClock(status.opensIn)}`;
+    } else {
+        statusEl.textContent = `WINDOW CLOSES IN ${formatClock(status.remaining)}`;
+    }
+
+    const marginEl = document.getElementById('window-margin');
+    marginEl.textContent = `HOLD MARGIN ${formatClock(status.holdMargin)}`;
+    marginEl.className = status.holdMargin <= 10 ? 'window-margin critical'
+        : (status.holdMargin <= 60 ? 'window-margin tight' : 'window-margin');
+}
+
+// The plan's window while no count is running
+function showPlannedWindow(plan) {
+    const window = plan.window;
+    const time = (iso) => `${iso.substr(11, 8)} UTC`;
+    document.getElementById('window-status').textContent = !window ? 'NO LAUNCH WINDOW'
+        : (window.opens === window.closes ? `INSTANTANEOUS WINDOW ${time(window.opens)}`
+            : `WINDOW ${time(window.opens)} - ${time(window.closes)}`);
+    document.getElementById('window-margin').textContent = '';
+}
+
 // Update mission timer (T+ after launch)
 function updateMissionTimer(tenthsOfSeconds) {
     const seconds = Math.floor(tenthsOfSeconds / 10);
@@ -498,13 +1250,52 @@ function updateCharts(data) {
     velocityChart.update('none');
 }
 
+// Plot the sub-vehicle point once it has moved far enough from the last one
+function updateGroundTrack(data) {
+    const last = chartData.groundTrack[chartData.groundTrack.length - 1];
+    if (last && Math.hypot(data.longitude - last.x, data.latitude - last.y) < GROUND_TRACK_SPACING) {
+        return;
+    }
+
+    chartData.groundTrack.push({ x: data.longitude, y: data.latitude });
+    groundTrackChart.update('none');
+}
+
+// Empty the charts and ground track, and take the abort colours off the mission phase
+function clearFlightDisplays() {
+    chartData.labels.length = 0;
+    chartData.altitude.length = 0;
+    chartData.velocity.length = 0;
+    chartData.groundTrack.length = 0;
+    altitudeChart.update('none');
+    velocityChart.update('none');
+    groundTrackChart.update('none');
+
+    const phase = document.getElementById('mission-phase');
+    phase.style.color = '';
+    phase.style.textShadow = '';
+    document.getElementById('hold').disabled = false;
+    document.getElementById('resume').disabled = true;
+}
+
+// Fill the ground track flown before this dashboard connected
+async function loadGroundTrack() {
+    const response = await fetch(`/api/missions/${encodeURIComponent(currentMissionId)}/groundtrack`);
+    if (!response.ok) return;
+
+    const track = await response.json();
+    chartData.groundTrack.length = 0;
+    track.forEach(point => chartData.groundTrack.push({ x: point.longitude, y: point.latitude }));
+    groundTrackChart.update('none');
+}
+
 // Add event to log
-function addEventLog(message, level = 'info') {
+function addEventLog(message, level = 'info', time = new Date()) {
     const eventLog = document.getElementById('event-log');
     const entry = document.createElement('div');
     entry.className = `event-entry ${level}`;
 
-    const timestamp = new Date().toLocaleTimeString();
+    const timestamp = new Date(time).toLocaleTimeString();
     entry.textContent = `[${timestamp}] ${message}`;
 
     eventLog.insertBefore(entry, eventLog.firstChild);
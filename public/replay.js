@@ -0,0 +1,192 @@
+// Mission Control Center - Replay Player
+// Plays a recorded mission back through the same handlers as live telemetry
+
+const replay = {
+    active: false,
+    playing: false,
+    header: null,
+    events: [], // { t, event, data }, t relative to the start of the recording
+    index: 0, // next event to dispatch
+    position: 0, // seconds into the recording
+    duration: 0,
+    speed: 1,
+    timer: null
+};
+
+const REPLAY_FRAME = 100; // ms between playback frames
+const REPLAY_CHART_POINTS = 30; // telemetry samples to rebuild the charts after a seek
+
+document.addEventListener('DOMContentLoaded', () => {
+    setupReplayControls();
+    loadRecordingList();
+});
+
+function isReplaying() {
+    return replay.active;
+}
+
+function setupReplayControls() {
+    document.getElementById('replay-load').addEventListener('click', () => {
+        const id = document.getElementById('recording-selector').value;
+        if (id) startReplay(id);
+    });
+
+    document.getElementById('replay-play').addEventListener('click', () => {
+        if (replay.playing) {
+            pauseReplay();
+        } else {
+            playReplay();
+        }
+    });
+
+    document.getElementById('replay-seek').addEventListener('input', (e) => {
+        seekReplay(Number(e.target.value));
+    });
+
+    document.getElementById('replay-speed').addEventListener('change', (e) => {
+        replay.speed = Number(e.target.value);
+    });
+
+    // Back to live: reload so every panel resyncs with the server
+    document.getElementById('replay-exit').addEventListener('click', () => {
+        location.reload();
+    });
+}
+
+// Populate the recording selector
+async function loadRecordingList() {
+    const response = await fetch('/api/recordings');
+    if (!response.ok) return;
+
+    const recordings = await response.json();
+    const selector = document.getElementById('recording-selector');
+    selector.innerHTML = '<option value="">Select Recording</option>';
+    recordings.forEach(recording => {
+        const option = document.createElement('option');
+        option.value = recording.id;
+        const started = recording.startedAt ? new Date(recording.startedAt).toLocaleString() : '';
+        option.textContent = `${recording.name || recording.missionId} ${started}`;
+        selector.appendChild(option);
+    });
+}
+
+// Fetch a recording and switch the dashboard into replay mode
+async function startReplay(id) {
+    const response = await fetch(`/api/recordings/${encodeURIComponent(id)}`);
+    if (!response.ok) {
+        addEventLog(`Could not load recording ${id}`, 'warning');
+        return;
+    }
+
+    const lines = (await response.text()).split('\n').filter(line => line.trim());
+    const entries = [];
+    lines.forEach(line => {
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            // Skip a truncated last line
+        }
+    });
+
+    replay.header = entries.length > 0 && entries[0].type === 'header' ? entries.shift() : {};
+    const start = entries.length > 0 ? entries[0].t : 0;
+    replay.events = entries.map(entry => ({ t: entry.t - start, event: entry.event, data: entry.data }));
+    replay.duration = replay.events.length > 0 ? replay.events[replay.events.length - 1].t : 0;
+    replay.active = true;
+
+    document.getElementById('connection-status').textContent = '● REPLAY';
+    document.getElementById('connection-status').className = 'connection-status replay';
+    document.getElementById('replay-seek').max = replay.duration;
+    document.getElementById('replay-play').disabled = false;
+    document.getElementById('replay-seek').disabled = false;
+    document.getElementById('replay-exit').disabled = false;
+
+    seekReplay(0);
+    addEventLog(`Replaying ${replay.header.name || replay.header.missionId} (${replay.events.length} events)`, 'info');
+    playReplay();
+}
+
+function playReplay() {
+    if (!replay.active || replay.playing) return;
+
+    if (replay.position >= replay.duration) {
+        seekReplay(0);
+    }
+
+    replay.playing = true;
+    document.getElementById('replay-play').textContent = 'PAUSE';
+    replay.timer = setInterval(() => {
+        replay.position = Math.min(replay.duration, replay.position + (REPLAY_FRAME / 1000) * replay.speed);
+        dispatchUntil(replay.position);
+        updateReplayPosition();
+
+        if (replay.position >= replay.duration) {
+            pauseReplay();
+        }
+    }, REPLAY_FRAME);
+}
+
+function pauseReplay() {
+    replay.playing = false;
+    document.getElementById('replay-play').textContent = 'PLAY';
+    if (replay.timer) {
+        clearInterval(replay.timer);
+        replay.timer = null;
+    }
+}
+
+// Rebuild the dashboard as it was `position` seconds into the recording
+function seekReplay(position) {
+    clearDashboard();
+    replay.index = 0;
+    replay.position = Math.max(0, Math.min(replay.duration, position));
+
+    let end = 0;
+    while (end < replay.events.length && replay.events[end].t <= replay.position) {
+        end++;
+    }
+
+    // Only the last few telemetry samples matter for the charts; the rest are overwritten
+    let telemetryToSkip = replay.events.slice(0, end)
+        .filter(entry => entry.event === 'telemetry').length - REPLAY_CHART_POINTS;
+
+    for (; replay.index < end; replay.index++) {
+        const entry = replay.events[replay.index];
+        if (entry.event === 'telemetry' && telemetryToSkip-- > 0) continue;
+        dispatchReplayEvent(entry);
+    }
+    updateReplayPosition();
+}
+
+function dispatchUntil(position) {
+    while (replay.index < replay.events.length && replay.events[replay.index].t <= position) {
+        dispatchReplayEvent(replay.events[replay.index]);
+        replay.index++;
+    }
+}
+
+function dispatchReplayEvent(entry) {
+    const handler = missionHandlers[entry.event];
+    if (handler) {
+        handler(entry.data);
+    }
+}
+
+function updateReplayPosition() {
+    document.getElementById('replay-seek').value = replay.position;
+    document.getElementById('replay-time').textContent =
+        `${formatReplayTime(replay.position)} / ${formatReplayTime(replay.duration)}`;
+}
+
+function formatReplayTime(seconds) {
+    const whole = Math.floor(seconds);
+    const mins = Math.floor(whole / 60);
+    const secs = whole % 60;
+    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Empty the charts and event log before rebuilding them
+function clearDashboard() {
+    clearFlightDisplays();
+    document.getElementById('event-log').innerHTML = '';
+}
@@ -0,0 +1,27 @@
+// Add User
+// Adds an operator to the users file (or replaces one), asking for the password:
+//   node scripts/add-user.js <username> "<station>[,<station>...]" ["Full Name"]
+// "*" qualifies the user for every station
+
+const readline = require('readline');
+const UserStore = require('../src/userStore');
+
+const [username, stationList, name] = process.argv.slice(2);
+if (!username || !stationList) {
+    console.error('Usage: node scripts/add-user.js <username> "<station>[,<station>...]" ["Full Name"]');
+    process.exit(1);
+}
+const stations = stationList.split(',').map(station => station.trim()).filter(station => station);
+
+const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+prompt.question('Password: ', (password) => {
+    prompt.close();
+    const users = new UserStore();
+    try {
+        const user = users.saveUser(username, password, stations, name);
+        console.log(`Saved ${user.username} (${user.stations.join(', ')}) to ${users.file}`);
+    } catch (error) {
+        (error.errors || [error.message]).forEach(message => console.error(message));
+        process.exit(1);
+    }
+});
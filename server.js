@@ -12,582 +12,832 @@ const io = require('socket.io')(http, {
     }
 });
 const cors = require('cors');
+const fs = require('fs');
 const path = require('path');
-
-// Import mission simulators
-const RocketSimulator = require('./src/rocketSimulator');
-const WeatherMonitor = require('./src/weatherMonitor');
-const RangeControl = require('./src/rangeControl');
+const { pipeline } = require('stream');
+
+// Mission sessions
+const MissionRegistry = require('./src/missionRegistry');
+const MissionRecorder = require('./src/missionRecorder');
+const telemetryExport = require('./src/telemetryExport');
+const debriefReport = require('./src/debriefReport');
+const VehicleLibrary = require('./src/vehicleLibrary');
+const CountdownLibrary = require('./src/countdownLibrary');
+const FaultInjector = require('./src/faultInjector');
+const ScenarioLibrary = require('./src/scenarioLibrary');
+const UserStore = require('./src/userStore');
+const { STATIONS, INSTRUCTOR } = require('./src/stations');
+const { mayCommand, describeRefusal, listPermissions } = require('./src/permissions');
+const { GUIDANCE_MODES } = require('./src/guidance');
+const { LAUNCH_SITES, resolvePlan } = require('./src/missionPlan');
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
-// Mission state
-const mission = {
-    status: 'IDLE', // IDLE, PRE_LAUNCH, COUNTDOWN, LAUNCH, ASCENT, STAGE_SEP, ORBIT, ABORT
-    launchTime: null,
-    countdownTime: 30, // 30 seconds for quick demo
-    holds: [],
-    goNoGoPoll: {
-        stations: {
-            'Flight Director': null,
-            'Booster': null,
-            'FIDO': null,
-            'Guidance': null,
-            'EECOM': null,
-            'GNC': null,
-            'CAPCOM': null,
-            'Range Safety': null,
-            'Weather': null
-        },
-        isPolling: false,
-        pollComplete: false
-    }
-};
-
-// Initialize simulators
-let rocket = new RocketSimulator(); // Let instead of const for reset functionality
-const weather = new WeatherMonitor();
-const range = new RangeControl();
+// Launch vehicles available to every mission
+const vehicles = new VehicleLibrary();
+
+// Countdown timelines, one per vehicle
+const countdowns = new CountdownLibrary();
+
+// Training scenarios, picked at launch
+const scenarios = new ScenarioLibrary();
+
+// Operator logins; with no users configured anyone may connect
+const users = new UserStore();
+if (!users.isEnabled()) {
+    console.warn(`No users in ${UserStore.USERS_FILE}: logins are off (add users with npm run add-user)`);
+}
+
+// With users configured the API is for logged-in users: the session cookie, or Authorization: Bearer <token>
+const OPEN_ROUTES = ['/login', '/me'];
+app.use('/api', (req, res, next) => {
+    if (!users.isEnabled() || OPEN_ROUTES.includes(req.path)) return next();
+    const user = users.resolve(requestToken(req));
+    if (!user) {
+        return res.status(401).json({ error: 'Log in first (POST /api/login)' });
+    }
+    req.user = user;
+    next();
+});
+
+function requestToken(req) {
+    const authorization = req.get('Authorization') || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+    return UserStore.sessionToken(req.get('Cookie'));
+}
+
+// Every mission has its own simulators, timers and Socket.io room
+const missions = new MissionRegistry(io, vehicles, countdowns, scenarios);
+
+// Fault injection is the instructor's: with INSTRUCTOR_KEY set, the Instructor console (?instructorKey=)
+// and the fault REST API (X-Instructor-Key header) need the key
+const INSTRUCTOR_KEY = process.env.INSTRUCTOR_KEY || null;
 
 // Connected clients tracking
 let connectedClients = {};
 let clientCount = 0;
 
-// Telemetry broadcast interval
-let telemetryInterval = null;
-let countdownInterval = null;
+// Move a client socket into a mission's room
+function joinMission(socket, missionId) {
+    const client = connectedClients[socket.id];
+    const session = missions.get(missionId);
+    if (!client || !session) return false;
+    if (client.missionId === session.id) return true;
+
+    const current = missions.get(client.missionId);
+    if (current) {
+        current.removeClient(socket, `left for mission ${session.id}`);
+    }
+
+    client.missionId = session.id;
+    session.addClient(socket);
+    socket.emit('missionJoined', session.getSummary());
+    return true;
+}
+
+// With users configured a client connects with its login: the session cookie set by POST /api/login, or
+// { auth: { token } } in the handshake. The connection stays bound to that login.
+io.use((socket, next) => {
+    if (!users.isEnabled()) return next();
+    const token = UserStore.sessionToken(socket.handshake.headers.cookie) ||
+        (socket.handshake.auth && socket.handshake.auth.token);
+    const user = users.resolve(token);
+    if (!user) {
+        return next(new Error('Login required'));
+    }
+    socket.data.token = token;
+    socket.data.user = user;
+    next();
+});
+
+// Whether a client's login still holds; once it has expired or been logged out the client is disconnected
+function loggedIn(socket) {
+    if (!users.isEnabled() || users.resolve(socket.data.token)) {
+        return true;
+    }
+    socket.emit('missionError', { message: 'Your login has expired: log in again' });
+    socket.disconnect(true);
+    return false;
+}
 
 // WebSocket connection handler
 io.on('connection', (socket) => {
     clientCount++;
     connectedClients[socket.id] = {
         id: socket.id,
-        station: null,
+        missionId: null,
         connectedAt: new Date()
     };
 
-    console.log(`Client connected: ${socket.id} (Total: ${clientCount})`);
+    const user = socket.data.user;
+    console.log(`Client connected: ${socket.id}${user ? ` (${user.username})` : ''} (Total: ${clientCount})`);
+
+    // Join the mission requested in the handshake, or the default one
+    const requested = socket.handshake.query && socket.handshake.query.mission;
+    if (!joinMission(socket, requested)) {
+        joinMission(socket, MissionRegistry.DEFAULT_MISSION_ID);
+    }
+
+    // Mission currently joined by this client
+    const session = () => missions.get(connectedClients[socket.id].missionId);
+
+    // Mission joined, if this client is still logged in and its station may give the command
+    // (src/permissions.js); missionError otherwise
+    const permitted = (command) => {
+        if (!loggedIn(socket)) return null;
+        const current = session();
+        if (!mayCommand(current.getStation(socket), command)) {
+            socket.emit('missionError', { message: describeRefusal(command) });
+            return null;
+        }
+        return current;
+    };
+
+    // As permitted, with the action going on the run's debrief timeline
+    const act = (action, detail) => {
+        const current = permitted(action);
+        if (current) current.recordAction(current.getStation(socket), action, detail);
+        return current;
+    };
+
+    // Switch to another mission
+    socket.on('joinMission', (missionId) => {
+        if (!joinMission(socket, missionId)) {
+            socket.emit('missionError', { message: `Unknown mission: ${missionId}` });
+        }
+    });
+
+    // Why this client may not sit at (or shadow) a station, or null: a logged-in user only at the stations they
+    // are qualified for, the Instructor console only with the instructor key
+    const seatRefusal = (station) => {
+        if (station !== INSTRUCTOR && !STATIONS.includes(station)) {
+            return `Unknown station: ${station}`;
+        }
+        if (users.isEnabled() && !users.mayStaff(socket.data.user, station)) {
+            return `${socket.data.user.name} isn't qualified for ${station}`;
+        }
+        if (station === INSTRUCTOR && INSTRUCTOR_KEY && socket.handshake.query.instructorKey !== INSTRUCTOR_KEY) {
+            return 'The Instructor console needs the instructor key';
+        }
+        return null;
+    };
+
+    // A change of station staffing; a refused one comes back as missionError
+    const staff = (change) => {
+        if (!loggedIn(socket)) return;
+        try {
+            change(session());
+        } catch (error) {
+            socket.emit('missionError', { message: error.message });
+        }
+    };
 
-    // Send initial state
-    socket.emit('missionState', mission);
-    socket.emit('rocketState', rocket.getState());
-    socket.emit('telemetry', rocket.getTelemetry());
-    socket.emit('weatherData', weather.getCurrentConditions());
-    socket.emit('rangeStatus', range.getStatus());
+    // A change of staffing that seats this client at (or shadows) a station: the station is checked first
+    const seat = (station, change) => {
+        if (!loggedIn(socket)) return;
+        const refusal = seatRefusal(station);
+        if (refusal) {
+            socket.emit('missionError', { message: refusal });
+            return;
+        }
+        staff(change);
+    };
 
-    // Station assignment
+    // Station assignment: a free station only; a staffed one changes hands by handover
     socket.on('assignStation', (station) => {
-        connectedClients[socket.id].station = station;
-        console.log(`Client ${socket.id} assigned to ${station}`);
-        socket.emit('stationAssigned', station);
-        io.emit('stationsUpdate', getStationAssignments());
+        seat(station, current => current.assignStation(socket, station));
+    });
+
+    socket.on('releaseStation', () => {
+        staff(current => current.releaseStation(socket));
+    });
+
+    // Station handover: ask the owner for a station, the owner accepts or declines
+    socket.on('requestHandover', (station) => {
+        seat(station, current => current.requestHandover(socket, station));
+    });
+
+    socket.on('answerHandover', (data) => {
+        const { station, accept } = data || {};
+        staff(current => current.answerHandover(socket, station, accept === true));
+    });
+
+    socket.on('cancelHandover', () => {
+        staff(current => current.cancelHandover(socket));
+    });
+
+    // Relief: shadow a station read-only
+    socket.on('relieveStation', (station) => {
+        seat(station, current => current.relieveStation(socket, station));
     });
 
     // Start launch sequence
-    socket.on('initiateLaunch', () => {
-        if (mission.status === 'IDLE' || mission.status === 'ABORT' || mission.status === 'ORBIT') {
-            // Reset mission state for new launch
-            mission.status = 'PRE_LAUNCH';
-            mission.launchTime = new Date(Date.now() + 30000); // T-30 seconds for quick demo
-            mission.countdownTime = 30; // Reset countdown to 30 seconds
-            mission.holds = [];
-            mission.goNoGoPoll.pollComplete = false;
-            mission.goNoGoPoll.isPolling = false;
-
-            // Reset rocket state
-            rocket.state.phase = 'PAD';
-            rocket.state.abort = false;
-
-            startCountdown();
-            io.emit('missionState', mission);
-            io.emit('eventLog', {
-                timestamp: new Date(),
-                level: 'info',
-                message: 'Launch sequence initiated. T-00:30 and counting.'
-            });
-        }
+    socket.on('initiateLaunch', (options) => {
+        const current = permitted('initiateLaunch');
+        if (current) current.initiateLaunch(options || {});
     });
 
     // Go/No-Go polling
     socket.on('startGoNoGoPoll', () => {
-        if (mission.status === 'PRE_LAUNCH' || mission.status === 'COUNTDOWN') {
-            mission.goNoGoPoll.isPolling = true;
-            mission.goNoGoPoll.pollComplete = false;
-            // Reset all votes
-            Object.keys(mission.goNoGoPoll.stations).forEach(station => {
-                mission.goNoGoPoll.stations[station] = null;
-            });
-            io.emit('goNoGoPollStarted', mission.goNoGoPoll);
-            io.emit('eventLog', {
-                timestamp: new Date(),
-                level: 'info',
-                message: 'Go/No-Go poll initiated. All stations report status.'
-            });
-
-            // Auto-simulate other stations voting GO after a delay (for single-player mode)
-            setTimeout(() => {
-                if (mission.goNoGoPoll.isPolling) {
-                    Object.keys(mission.goNoGoPoll.stations).forEach(station => {
-                        if (mission.goNoGoPoll.stations[station] === null && station !== 'Flight Director') {
-                            // Always vote GO to avoid issues
-                            mission.goNoGoPoll.stations[station] = 'GO';
-                        }
-                    });
-                    io.emit('goNoGoUpdate', mission.goNoGoPoll);
-                }
-            }, 3000); // 3 second delay for other stations to "report"
-        }
+        const current = act('startGoNoGoPoll');
+        if (current) current.startGoNoGoPoll();
     });
 
-    // Station Go/No-Go vote
+    // Station Go/No-Go vote, counted for the station this client sits at only
     socket.on('goNoGoVote', (data) => {
-        const { station, vote } = data;
-        if (mission.goNoGoPoll.isPolling && mission.goNoGoPoll.stations.hasOwnProperty(station)) {
-            mission.goNoGoPoll.stations[station] = vote;
-            io.emit('goNoGoUpdate', mission.goNoGoPoll);
-
-            // Check if all stations have voted
-            const allVoted = Object.values(mission.goNoGoPoll.stations).every(v => v !== null);
-            if (allVoted) {
-                const allGo = Object.values(mission.goNoGoPoll.stations).every(v => v === 'GO');
-                mission.goNoGoPoll.isPolling = false;
-                mission.goNoGoPoll.pollComplete = true;
-
-                if (allGo) {
-                    io.emit('eventLog', {
-                        timestamp: new Date(),
-                        level: 'success',
-                        message: 'All stations are GO for launch!'
-                    });
-                    if (mission.status === 'PRE_LAUNCH') {
-                        mission.status = 'COUNTDOWN';
-                        io.emit('missionState', mission);
-                    }
-                } else {
-                    const noGoStations = Object.entries(mission.goNoGoPoll.stations)
-                        .filter(([s, v]) => v === 'NO_GO')
-                        .map(([s]) => s);
-
-                    // CRITICAL: Stop countdown and prevent launch
-                    if (countdownInterval) {
-                        clearInterval(countdownInterval);
-                        countdownInterval = null;
-                    }
-
-                    // Keep in PRE_LAUNCH, don't proceed to COUNTDOWN
-                    mission.status = 'PRE_LAUNCH';
-                    mission.countdownTime = 30; // Reset countdown
-
-                    io.emit('eventLog', {
-                        timestamp: new Date(),
-                        level: 'critical',
-                        message: `LAUNCH SCRUBBED! NO-GO from: ${noGoStations.join(', ')}`
-                    });
-                    io.emit('missionState', mission);
-                    io.emit('countdownUpdate', mission.countdownTime);
-                }
-            }
+        if (!loggedIn(socket)) return;
+        const { station, vote } = data || {};
+        const current = session();
+        if (!station || station !== current.getStation(socket)) {
+            socket.emit('missionError', { message: `Vote refused: this console isn't ${station}` });
+            return;
+        }
+        if (vote !== 'GO' && vote !== 'NO_GO') {
+            socket.emit('missionError', { message: `Vote refused: ${vote} is neither GO nor NO_GO` });
+            return;
         }
+        current.goNoGoVote(station, vote);
     });
 
     // Countdown hold
     socket.on('holdCountdown', (reason) => {
-        if (countdownInterval) {
-            clearInterval(countdownInterval);
-            countdownInterval = null;
-            mission.holds.push({
-                time: mission.countdownTime,
-                reason: reason,
-                timestamp: new Date()
-            });
-            io.emit('countdownHold', { time: mission.countdownTime, reason });
-            io.emit('eventLog', {
-                timestamp: new Date(),
-                level: 'warning',
-                message: `HOLD HOLD HOLD at T-${formatCountdown(mission.countdownTime)}. Reason: ${reason}`
-            });
-        }
+        const current = act('holdCountdown', reason);
+        if (current) current.holdCountdown(reason);
     });
 
     // Resume countdown
     socket.on('resumeCountdown', () => {
-        if (!countdownInterval && mission.status === 'COUNTDOWN') {
-            startCountdown();
-            io.emit('countdownResumed');
-            io.emit('eventLog', {
-                timestamp: new Date(),
-                level: 'info',
-                message: `Countdown resumed at T-${formatCountdown(mission.countdownTime)}`
-            });
-        }
+        const current = act('resumeCountdown');
+        if (current) current.resumeCountdown();
+    });
+
+    // Release a built-in hold
+    socket.on('releaseHold', () => {
+        const current = act('releaseHold');
+        if (current) current.releaseHold(current.getStation(socket));
+    });
+
+    // Pick the count up again after a pad abort
+    socket.on('recycleCount', () => {
+        const current = act('recycleCount');
+        if (current) current.recycleCount();
     });
 
     // Launch command
     socket.on('launch', () => {
-        if (mission.status === 'COUNTDOWN' && mission.countdownTime <= 10) {
-            launchRocket();
-        }
+        const current = act('launch');
+        if (current) current.launchCommand();
     });
 
     // Abort launch
     socket.on('abort', (reason) => {
-        abortMission(reason);
+        const current = act('abort', reason);
+        if (current) current.abort(reason);
+    });
+
+    // Flight termination system: ARM, DISARM or TERMINATE
+    socket.on('commandFTS', (command) => {
+        const current = act('commandFTS', command);
+        if (current) current.commandFTS(command);
     });
 
     // Manual stage separation
     socket.on('stageSeparation', () => {
-        if (rocket.state.phase === 'ASCENT' && rocket.telemetry.altitude > 60000) {
-            rocket.separateStage();
-            io.emit('eventLog', {
-                timestamp: new Date(),
-                level: 'success',
-                message: 'Stage separation confirmed!'
-            });
-        }
+        const current = act('stageSeparation');
+        if (current) current.stageSeparation();
     });
 
     // Throttle control
     socket.on('setThrottle', (level) => {
-        rocket.setThrottle(level);
-        io.emit('throttleChanged', level);
+        const current = act('setThrottle', level);
+        if (current) current.setThrottle(level);
     });
 
     // Initiate landing sequence
     socket.on('initiateLanding', () => {
-        if (rocket.state.phase === 'ASCENT' || rocket.state.phase === 'SECOND_STAGE' ||
-            rocket.state.phase === 'ORBIT' || rocket.state.phase === 'ABORT') {
-            rocket.initiateLanding();
-            mission.status = 'LANDING';
-            io.emit('missionState', mission);
-            io.emit('eventLog', {
-                timestamp: new Date(),
-                level: 'warning',
-                message: 'Landing sequence initiated! Performing flip maneuver...'
-            });
-        }
+        const current = act('initiateLanding');
+        if (current) current.initiateLanding();
     });
 
     // Reset simulation
     socket.on('resetSimulation', () => {
-        // Stop all intervals
-        if (countdownInterval) {
-            clearInterval(countdownInterval);
-            countdownInterval = null;
-        }
-        if (telemetryInterval) {
-            clearInterval(telemetryInterval);
-            telemetryInterval = null;
-        }
-
-        // Reset mission state
-        mission.status = 'IDLE';
-        mission.countdownTime = 30;
-        mission.launchTime = null;
-        mission.holds = [];
-        Object.keys(mission.goNoGoPoll.stations).forEach(station => {
-            mission.goNoGoPoll.stations[station] = null;
-        });
-        mission.goNoGoPoll.isPolling = false;
-        mission.goNoGoPoll.pollComplete = false;
-
-        // Create new rocket simulator
-        rocket = new RocketSimulator();
-
-        // Notify all clients
-        io.emit('missionState', mission);
-        io.emit('rocketState', rocket.getState());
-        io.emit('telemetry', rocket.getTelemetry());
-        io.emit('eventLog', {
-            timestamp: new Date(),
-            level: 'info',
-            message: 'Simulation reset. All systems ready.'
-        });
-    });
-
-    // Removed fixNoGoIssues handler - no longer needed since all stations always vote GO
+        const current = act('resetSimulation');
+        if (current) current.reset();
+    });
 
     // Proceed with launch after fixing issues
     socket.on('proceedWithLaunch', () => {
-        if (mission.status === 'PRE_LAUNCH' || mission.status === 'COUNTDOWN') {
-            // Clear any existing countdown
-            if (countdownInterval) {
-                clearInterval(countdownInterval);
-                countdownInterval = null;
-            }
-
-            // Start fresh countdown
-            mission.status = 'COUNTDOWN';
-            mission.countdownTime = 30;
-            startCountdown();
-            io.emit('missionState', mission);
-            io.emit('eventLog', {
-                timestamp: new Date(),
-                level: 'success',
-                message: 'All systems GO. Countdown initiated T-00:30'
-            });
+        const current = act('proceedWithLaunch');
+        if (current) current.proceedWithLaunch();
+    });
+
+    // Simulation clock: pause, resume and time warp
+    socket.on('pauseSimulation', () => {
+        const current = permitted('pauseSimulation');
+        if (current) current.pauseClock();
+    });
+
+    socket.on('resumeSimulation', () => {
+        const current = permitted('resumeSimulation');
+        if (current) current.resumeClock();
+    });
+
+    socket.on('setTimeWarp', (factor) => {
+        const current = permitted('setTimeWarp');
+        if (!current) return;
+        try {
+            current.setTimeWarp(factor);
+        } catch (error) {
+            socket.emit('missionError', { message: error.message });
         }
     });
 
+    // Instructor fault injection
+    socket.on('injectFault', (fault) => {
+        const current = permitted('injectFault');
+        if (!current) return;
+        try {
+            current.injectFault(fault, INSTRUCTOR);
+        } catch (error) {
+            socket.emit('missionError', { message: `Fault rejected: ${error.message}` });
+        }
+    });
+
+    socket.on('cancelFault', (id) => {
+        const current = permitted('cancelFault');
+        if (current && !current.cancelFault(id)) {
+            socket.emit('missionError', { message: `No pending fault ${id}` });
+        }
+    });
+
+    socket.on('clearFaults', () => {
+        const current = permitted('clearFaults');
+        if (current) current.clearFaults();
+    });
+
     // Client disconnect
     socket.on('disconnect', () => {
         clientCount--;
-        const client = connectedClients[socket.id];
-        if (client && client.station) {
-            io.emit('eventLog', {
-                timestamp: new Date(),
-                level: 'info',
-                message: `${client.station} station disconnected`
-            });
+        const current = session();
+        if (current) {
+            current.removeClient(socket);
         }
         delete connectedClients[socket.id];
         console.log(`Client disconnected: ${socket.id} (Total: ${clientCount})`);
-        io.emit('stationsUpdate', getStationAssignments());
-    });
-});
-
-// Start countdown timer
-function startCountdown() {
-    if (countdownInterval) return;
-
-    countdownInterval = setInterval(() => {
-        mission.countdownTime--;
-
-        // Emit countdown update
-        io.emit('countdownUpdate', mission.countdownTime);
-
-        // Key countdown events
-        switch(mission.countdownTime) {
-            case 20: // T-20 seconds
-                io.emit('eventLog', {
-                    timestamp: new Date(),
-                    level: 'info',
-                    message: 'T-20 seconds. Final system checks.'
-                });
-                rocket.armIgnition();
-                break;
-            case 10: // T-10 seconds
-                io.emit('eventLog', {
-                    timestamp: new Date(),
-                    level: 'warning',
-                    message: 'T-10 seconds. GO for launch!'
-                });
-                rocket.startIgnitionSequence();
-                break;
-            case 5: // T-5 seconds
-                io.emit('eventLog', {
-                    timestamp: new Date(),
-                    level: 'warning',
-                    message: 'T-5 seconds. Ignition sequence start!'
-                });
-                break;
-            case 0: // Launch!
-                // Only launch if we have all GO votes (or if poll was fixed)
-                const allGo = mission.goNoGoPoll.stations ?
-                    Object.values(mission.goNoGoPoll.stations).every(v => v === 'GO' || v === null) : true;
-                if (allGo) {
-                    launchRocket();
-                } else {
-                    // Abort at T-0 if NO-GO
-                    clearInterval(countdownInterval);
-                    countdownInterval = null;
-                    mission.status = 'ABORT';
-                    io.emit('eventLog', {
-                        timestamp: new Date(),
-                        level: 'critical',
-                        message: 'LAUNCH ABORT AT T-0! Unresolved NO-GO status!'
-                    });
-                    io.emit('missionState', mission);
-                }
-                break;
-        }
+    });
+});
 
-        if (mission.countdownTime <= 0) {
-            clearInterval(countdownInterval);
-            countdownInterval = null;
-        }
-    }, 1000);
+// Look up the mission named in the route, or reply 404
+function findMission(req, res) {
+    const session = missions.get(req.params.id);
+    if (!session) {
+        res.status(404).json({ error: `Unknown mission: ${req.params.id}` });
+        return null;
+    }
+    return session;
 }
 
-// Launch the rocket
-function launchRocket() {
-    mission.status = 'LAUNCH';
-    mission.launchTime = new Date(); // Record actual launch time
-    rocket.launch();
-
-    io.emit('missionState', mission);
-    io.emit('eventLog', {
-        timestamp: new Date(),
-        level: 'critical',
-        message: 'LIFTOFF! We have liftoff!'
-    });
-
-    // Start mission timer (T+ counting)
-    let missionElapsedTime = 0;
-
-    // Start telemetry streaming
-    if (!telemetryInterval) {
-        telemetryInterval = setInterval(() => {
-            const telemetry = rocket.updateSimulation();
-            io.emit('telemetry', telemetry);
-            io.emit('rocketState', rocket.getState());
-
-            // Update T+ timer
-            missionElapsedTime++;
-            io.emit('missionTimer', missionElapsedTime); // Send T+ time
-
-            // Check mission phase transitions
-            checkMissionPhases();
-
-            // Check for landing events
-            if (mission.status === 'LANDING') {
-                const state = rocket.getState();
-                const telemetry = rocket.getTelemetry();
-
-                if (state.landingBurnStarted && !mission.landingBurnAnnounced) {
-                    mission.landingBurnAnnounced = true;
-                    io.emit('eventLog', {
-                        timestamp: new Date(),
-                        level: 'critical',
-                        message: 'LANDING BURN! Suicide burn initiated!'
-                    });
-                }
-
-                if (state.phase === 'LANDED') {
-                    mission.status = 'LANDED';
-                    io.emit('missionState', mission);
-                    io.emit('eventLog', {
-                        timestamp: new Date(),
-                        level: 'success',
-                        message: 'THE FALCON HAS LANDED! Successful touchdown!'
-                    });
-                    clearInterval(telemetryInterval);
-                    telemetryInterval = null;
-                }
-            }
-
-            // Check for anomalies
-            const anomalies = rocket.checkAnomalies();
-            if (anomalies.length > 0) {
-                anomalies.forEach(anomaly => {
-                    io.emit('anomaly', anomaly);
-                    if (anomaly.severity === 'CRITICAL') {
-                        abortMission(`Critical anomaly: ${anomaly.message}`);
-                    }
-                });
-            }
-        }, 100); // 10Hz update rate
+// Logins: POST { username, password } sets the session cookie and returns { token, user, expiresAt }
+app.post('/api/login', (req, res) => {
+    if (!users.isEnabled()) {
+        return res.status(404).json({ error: 'Logins are off: there are no users' });
     }
-}
+    const { username, password } = req.body || {};
+    const login = users.login(username, password);
+    if (!login) {
+        return res.status(401).json({ error: 'Unknown user or wrong password' });
+    }
+    res.cookie(UserStore.SESSION_COOKIE, login.token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        maxAge: UserStore.SESSION_TTL * 1000
+    });
+    res.json(login);
+});
+
+// End the login and disconnect the clients connected with it
+app.post('/api/logout', (req, res) => {
+    const token = requestToken(req);
+    users.logout(token);
+    io.sockets.sockets.forEach(socket => {
+        if (socket.data.token === token) socket.disconnect(true);
+    });
+    res.clearCookie(UserStore.SESSION_COOKIE);
+    res.status(204).end();
+});
 
-// Check and update mission phases
-function checkMissionPhases() {
-    const state = rocket.getState();
-    const telemetry = rocket.getTelemetry();
-
-    if (mission.status === 'LAUNCH' && telemetry.altitude > 1000) {
-        mission.status = 'ASCENT';
-        io.emit('missionState', mission);
-        io.emit('eventLog', {
-            timestamp: new Date(),
-            level: 'success',
-            message: 'Vehicle has cleared the tower!'
-        });
-    }
-
-    if (mission.status === 'ASCENT' && state.stageNumber === 2) {
-        mission.status = 'STAGE_SEP';
-        io.emit('missionState', mission);
-        io.emit('eventLog', {
-            timestamp: new Date(),
-            level: 'success',
-            message: 'First stage separation confirmed!'
-        });
-    }
-
-    if (telemetry.altitude > 400000) { // 400km orbit
-        mission.status = 'ORBIT';
-        io.emit('missionState', mission);
-        io.emit('eventLog', {
-            timestamp: new Date(),
-            level: 'critical',
-            message: 'Orbital insertion successful! Mission complete!'
-        });
-        clearInterval(telemetryInterval);
-        telemetryInterval = null;
+// Whether logins are on, and who is logged in (null for nobody)
+app.get('/api/me', (req, res) => {
+    res.json({ loginRequired: users.isEnabled(), user: users.resolve(requestToken(req)) });
+});
+
+// Which stations may give each socket command
+app.get('/api/permissions', (req, res) => {
+    res.json(listPermissions());
+});
+
+// With logins on, a REST route that changes a mission is a command like the socket ones: the user needs a
+// qualification for a station allowed to give it, or the route answers 403
+function requireCommand(req, res, command) {
+    if (!users.isEnabled()) return true;
+    const qualified = STATIONS.concat(INSTRUCTOR).filter(station => users.mayStaff(req.user, station));
+    if (!qualified.some(station => mayCommand(station, command))) {
+        res.status(403).json({ error: `${describeRefusal(command)}; ${req.user.name} isn't qualified for it` });
+        return false;
     }
+    return true;
 }
 
-// Abort mission
-function abortMission(reason) {
-    mission.status = 'ABORT';
-    rocket.abort();
+// REST API endpoints
+app.get('/api/missions', (req, res) => {
+    res.json(missions.list());
+});
+
+app.post('/api/missions', (req, res) => {
+    if (!requireCommand(req, res, 'createMission')) return;
+    const { id, name, seed, vehicle, guidance, plan } = req.body || {};
+    if (id !== undefined && !MissionRegistry.isMissionId(id)) {
+        return res.status(400).json({ error: 'Mission id may only contain letters, digits, "-" and "_"' });
+    }
+    if (id && missions.get(id)) {
+        return res.status(409).json({ error: `Mission ${id} already exists` });
+    }
+    if (vehicle !== undefined && !vehicles.has(vehicle)) {
+        return res.status(400).json({ error: `Unknown vehicle: ${vehicle}` });
+    }
+    if (guidance !== undefined && !GUIDANCE_MODES.includes(guidance)) {
+        return res.status(400).json({ error: `Unknown guidance mode: ${guidance}` });
+    }
+    if (plan !== undefined) {
+        try {
+            resolvePlan(plan, null, new Date());
+        } catch (error) {
+            return res.status(400).json({ error: error.message, errors: error.errors || [error.message] });
+        }
+    }
+    const session = missions.create({ id, name, seed, vehicle, guidance, plan });
+    res.status(201).json(session.getSummary());
+});
+
+app.get('/api/missions/:id', (req, res) => {
+    const session = findMission(req, res);
+    if (session) res.json(session.mission);
+});
 
-    if (countdownInterval) {
-        clearInterval(countdownInterval);
-        countdownInterval = null;
+// Mission plan: launch site, target orbit, payload and launch window
+app.get('/api/missions/:id/plan', (req, res) => {
+    const session = findMission(req, res);
+    if (session) res.json(session.mission.plan);
+});
+
+app.put('/api/missions/:id/plan', (req, res) => {
+    if (!requireCommand(req, res, 'updatePlan')) return;
+    const session = findMission(req, res);
+    if (!session) return;
+    if (!session.isBetweenFlights()) {
+        return res.status(409).json({ error: `Mission ${session.id} is flying (${session.mission.status})` });
+    }
+    try {
+        res.json(session.updatePlan(req.body || {}));
+    } catch (error) {
+        res.status(400).json({ error: error.message, errors: error.errors || [error.message] });
     }
+});
+
+app.delete('/api/missions/:id', (req, res) => {
+    if (!requireCommand(req, res, 'removeMission')) return;
+    const session = findMission(req, res);
+    if (!session) return;
 
-    // DON'T stop telemetry interval - let it continue for gradual decrease
-    // telemetryInterval continues running to show gradual descent
+    if (session.id === MissionRegistry.DEFAULT_MISSION_ID) {
+        return res.status(400).json({ error: 'The default mission cannot be removed' });
+    }
 
-    io.emit('missionState', mission);
-    io.emit('abort', { reason, timestamp: new Date() });
-    io.emit('eventLog', {
-        timestamp: new Date(),
-        level: 'critical',
-        message: `ABORT! ABORT! ABORT! Reason: ${reason}`
+    // Send anyone still watching back to the default mission
+    Object.keys(session.clients).forEach(socketId => {
+        const socket = io.sockets.sockets.get(socketId);
+        if (socket) joinMission(socket, MissionRegistry.DEFAULT_MISSION_ID);
     });
+
+    missions.remove(session.id);
+    res.status(204).end();
+});
+
+app.get('/api/missions/:id/telemetry', (req, res) => {
+    const session = findMission(req, res);
+    if (session) res.json(session.sensedTelemetry());
+});
+
+// Ground track since liftoff: [{ t, latitude, longitude }], one point every 10 s of mission time
+app.get('/api/missions/:id/groundtrack', (req, res) => {
+    const session = findMission(req, res);
+    if (session) res.json(session.rocket.getGroundTrack());
+});
+
+app.get('/api/missions/:id/weather', (req, res) => {
+    const session = findMission(req, res);
+    if (session) res.json(session.weather.getCurrentConditions());
+});
+
+app.get('/api/missions/:id/range', (req, res) => {
+    const session = findMission(req, res);
+    if (session) res.json(session.range.getStatus());
+});
+
+app.get('/api/missions/:id/stations', (req, res) => {
+    const session = findMission(req, res);
+    if (session) res.json(session.getStationAssignments());
+});
+
+// Instructor fault injection: the log of faults, and new ones
+// { "type": "engineFailure", "engine": "S1-E3", "met": 60 } - or "countdown": <s before T-0>, "phase": <phase>
+// The instructor key comes in X-Instructor-Key, or ?instructorKey= for pages opened from the dashboard. With
+// logins on, the user must be qualified for the Instructor console as well.
+function requireInstructor(req, res) {
+    const key = req.get('X-Instructor-Key') || req.query.instructorKey;
+    if (INSTRUCTOR_KEY && key !== INSTRUCTOR_KEY) {
+        res.status(403).json({ error: 'Instructor only: send the instructor key (X-Instructor-Key)' });
+        return false;
+    }
+    if (users.isEnabled() && !users.mayStaff(req.user, INSTRUCTOR)) {
+        res.status(403).json({ error: `Instructor only: ${req.user.name} isn't qualified for ${INSTRUCTOR}` });
+        return false;
+    }
+    return true;
 }
 
-// Get current station assignments
-function getStationAssignments() {
-    const assignments = {};
-    Object.values(connectedClients).forEach(client => {
-        if (client.station) {
-            assignments[client.station] = client.id;
+app.get('/api/missions/:id/faults', (req, res) => {
+    if (!requireInstructor(req, res)) return;
+    const session = findMission(req, res);
+    if (session) res.json(session.faults.log);
+});
+
+app.post('/api/missions/:id/faults', (req, res) => {
+    if (!requireInstructor(req, res)) return;
+    const session = findMission(req, res);
+    if (!session) return;
+    try {
+        res.status(201).json(session.injectFault(req.body, 'REST API'));
+    } catch (error) {
+        res.status(400).json({ error: error.message, errors: error.errors || [error.message] });
+    }
+});
+
+// Cancel every pending fault and end sensor drifts and dropouts
+app.delete('/api/missions/:id/faults', (req, res) => {
+    if (!requireInstructor(req, res)) return;
+    const session = findMission(req, res);
+    if (!session) return;
+    session.clearFaults();
+    res.status(204).end();
+});
+
+app.delete('/api/missions/:id/faults/:faultId', (req, res) => {
+    if (!requireInstructor(req, res)) return;
+    const session = findMission(req, res);
+    if (!session) return;
+    const entry = session.faults.log.find(candidate => candidate.id === Number(req.params.faultId));
+    if (!entry) {
+        return res.status(404).json({ error: `Unknown fault: ${req.params.faultId}` });
+    }
+    if (!session.cancelFault(entry.id)) {
+        return res.status(409).json({ error: `Fault ${entry.id} is ${entry.status}, not pending` });
+    }
+    res.json(entry);
+});
+
+// Faults the instructor can inject, with their parameters and triggers
+app.get('/api/fault-types', (req, res) => {
+    res.json({ types: FaultInjector.listFaultTypes(), phases: FaultInjector.FLIGHT_PHASES });
+});
+
+app.get('/api/missions/:id/clock', (req, res) => {
+    const session = findMission(req, res);
+    if (session) res.json(session.clock.getState());
+});
+
+// { "warp": 1 | 2 | 10 | 100 | "MAX", "paused": true | false }
+app.post('/api/missions/:id/clock', (req, res) => {
+    const { warp, paused } = req.body || {};
+    if ((warp !== undefined && !requireCommand(req, res, 'setTimeWarp')) ||
+        (paused === true && !requireCommand(req, res, 'pauseSimulation')) ||
+        (paused === false && !requireCommand(req, res, 'resumeSimulation'))) {
+        return;
+    }
+    const session = findMission(req, res);
+    if (!session) return;
+
+    if (warp !== undefined) {
+        try {
+            session.setTimeWarp(warp);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
         }
-    });
-    return assignments;
-}
+    }
+    if (paused === true) session.pauseClock();
+    if (paused === false) session.resumeClock();
+    res.json(session.clock.getState());
+});
+
+// Telemetry time series export
+// ?format=csv|json|ccsds&fields=altitude,velocity&from=<MET s>&to=<MET s>&apid=<0-2047>
+app.get('/api/missions/:id/export', (req, res) => {
+    const session = findMission(req, res);
+    if (!session) return;
 
-// Format countdown time
-function formatCountdown(seconds) {
-    const negative = seconds < 0;
-    const abs = Math.abs(seconds);
-    const mins = Math.floor(abs / 60);
-    const secs = abs % 60;
-    return `${negative ? '+' : ''}${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!telemetryExport.FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Unknown format: ${format}. Use ${telemetryExport.FORMATS.join(', ')}` });
+    }
+
+    const apid = req.query.apid === undefined ? telemetryExport.DEFAULT_APID : Number(req.query.apid);
+    let selection;
+    let packets;
+    try {
+        selection = telemetryExport.selectSamples(session.telemetryHistory, req.query);
+        if (format === 'ccsds') {
+            packets = telemetryExport.toCcsds(selection.fields, selection.samples, { apid });
+        }
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const { fields, samples } = selection;
+    const filename = `${session.id}-telemetry`;
+
+    if (format === 'csv') {
+        res.attachment(`${filename}.csv`);
+        res.type('text/csv').send(telemetryExport.toCsv(fields, samples));
+    } else if (format === 'ccsds') {
+        res.attachment(`${filename}.bin`);
+        res.set('X-CCSDS-APID', String(apid));
+        res.set('X-CCSDS-Fields', fields.join(','));
+        res.type('application/octet-stream').send(packets);
+    } else {
+        res.json(telemetryExport.toJson(fields, samples, {
+            missionId: session.id,
+            launchTime: session.mission.launchTime
+        }));
+    }
+});
+
+// Training debrief of the current run, or the last one after a reset: ?format=json|html
+app.get('/api/missions/:id/debrief', (req, res) => {
+    if (!requireInstructor(req, res)) return;
+    const session = findMission(req, res);
+    if (!session) return;
+
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!debriefReport.FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Unknown format: ${format}. Use ${debriefReport.FORMATS.join(', ')}` });
+    }
+    const debrief = session.debrief();
+    if (!debrief) {
+        return res.status(404).json({ error: `Mission ${session.id} has no run to debrief yet` });
+    }
+    if (format === 'html') {
+        res.type('html').send(debriefReport.toHtml(debrief));
+    } else {
+        res.json(debrief);
+    }
+});
+
+// Launch site catalog
+app.get('/api/launch-sites', (req, res) => {
+    res.json(LAUNCH_SITES);
+});
+
+// Launch vehicle library
+app.get('/api/vehicles', (req, res) => {
+    res.json(vehicles.list());
+});
+
+// Vehicle files that failed validation, with the reasons
+app.get('/api/vehicles/rejected', (req, res) => {
+    res.json(vehicles.invalid);
+});
+
+// Check a vehicle definition without installing it
+app.post('/api/vehicles/validate', (req, res) => {
+    try {
+        VehicleLibrary.validateVehicle(req.body);
+        res.json({ valid: true, liftoffMass: VehicleLibrary.liftoffMass(req.body) });
+    } catch (error) {
+        res.status(400).json({ valid: false, error: error.message, errors: error.errors || [error.message] });
+    }
+});
+
+app.get('/api/vehicles/:id', (req, res) => {
+    const vehicle = vehicles.get(req.params.id);
+    if (!vehicle) {
+        return res.status(404).json({ error: `Unknown vehicle: ${req.params.id}` });
+    }
+    res.json(vehicle);
+});
+
+// Countdown timelines
+app.get('/api/countdowns', (req, res) => {
+    res.json(countdowns.list());
+});
+
+// Countdown files that failed validation, with the reasons
+app.get('/api/countdowns/rejected', (req, res) => {
+    res.json(countdowns.invalid);
+});
+
+app.get('/api/countdowns/:id', (req, res) => {
+    if (!countdowns.has(req.params.id)) {
+        return res.status(404).json({ error: `Unknown countdown: ${req.params.id}` });
+    }
+    res.json(countdowns.forVehicle(req.params.id));
+});
+
+// Training scenarios; the full scenario gives its faults away, so it is the instructor's
+app.get('/api/scenarios', (req, res) => {
+    res.json(scenarios.list());
+});
+
+// Scenario files that failed validation, with the reasons
+app.get('/api/scenarios/rejected', (req, res) => {
+    res.json(scenarios.invalid);
+});
+
+app.get('/api/scenarios/:id', (req, res) => {
+    if (!requireInstructor(req, res)) return;
+    const scenario = scenarios.get(req.params.id);
+    if (!scenario) {
+        return res.status(404).json({ error: `Unknown scenario: ${req.params.id}` });
+    }
+    res.json(scenario);
+});
+
+// Recorded flights
+app.get('/api/recordings', (req, res) => {
+    res.json(MissionRecorder.list());
+});
+
+app.get('/api/recordings/:id', (req, res) => {
+    const file = MissionRecorder.resolve(req.params.id);
+    if (!file) {
+        return res.status(404).json({ error: `Unknown recording: ${req.params.id}` });
+    }
+    sendRecording(req, res, file);
+});
+
+// What only the Instructor console was sent during a recorded flight: scenario, faults and their log
+app.get('/api/recordings/:id/instructor', (req, res) => {
+    if (!requireInstructor(req, res)) return;
+    if (!MissionRecorder.resolve(req.params.id)) {
+        return res.status(404).json({ error: `Unknown recording: ${req.params.id}` });
+    }
+    const file = MissionRecorder.resolveInstructor(req.params.id);
+    if (!file) {
+        return res.type('application/x-ndjson').send('');
+    }
+    sendRecording(req, res, file);
+});
+
+// Streamed from disk: a long flight's recording runs to many megabytes
+function sendRecording(req, res, file) {
+    res.type('application/x-ndjson');
+    res.set('Content-Length', String(fs.statSync(file).size));
+    pipeline(fs.createReadStream(file), res, (error) => {
+        if (error) console.error(`Recording ${req.params.id} not sent: ${error.message}`);
+    });
 }
 
-// REST API endpoints
+// Single-mission endpoints report on the default mission
 app.get('/api/mission', (req, res) => {
-    res.json(mission);
+    res.json(missions.getDefault().mission);
 });
 
 app.get('/api/telemetry', (req, res) => {
-    res.json(rocket.getTelemetry());
+    res.json(missions.getDefault().rocket.getTelemetry());
 });
 
 app.get('/api/weather', (req, res) => {
-    res.json(weather.getCurrentConditions());
+    res.json(missions.getDefault().weather.getCurrentConditions());
 });
 
 app.get('/api/range', (req, res) => {
-    res.json(range.getStatus());
+    res.json(missions.getDefault().range.getStatus());
 });
 
 app.get('/api/stations', (req, res) => {
-    res.json(getStationAssignments());
+    res.json(missions.getDefault().getStationAssignments());
 });
 
 // Health check
 app.get('/health', (req, res) => {
     res.json({
         status: 'online',
-        mission: mission.status,
+        mission: missions.getDefault().mission.status,
+        missions: missions.list().length,
         clients: clientCount,
         uptime: process.uptime()
     });
@@ -607,8 +857,7 @@ http.listen(PORT, HOST, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received. Shutting down gracefully...');
-    if (telemetryInterval) clearInterval(telemetryInterval);
-    if (countdownInterval) clearInterval(countdownInterval);
+    missions.disposeAll();
     http.close(() => {
         console.log('Mission Control Center offline.');
     });
@@ -0,0 +1,86 @@
+// Aerodynamics
+// Drag coefficient tables interpolated by Mach number and, optionally, angle of attack
+//
+// A table is either
+//   { mach: [m0, m1, ...], cd: [c0, c1, ...] }
+// or, with angle of attack (degrees),
+//   { mach: [m0, m1, ...], alpha: [a0, a1, ...], cd: [[row for a0], [row for a1], ...] }
+// Breakpoints must be increasing; values outside the table are held at the nearest edge
+
+// Throws if a table is malformed; message names the problem
+function validateDragTable(table, label = 'drag table') {
+    if (!table || typeof table !== 'object') {
+        throw new Error(`${label} must be an object`);
+    }
+    checkBreakpoints(table.mach, `${label}.mach`);
+
+    if (table.alpha === undefined) {
+        checkRow(table.cd, table.mach.length, `${label}.cd`);
+        return;
+    }
+
+    checkBreakpoints(table.alpha, `${label}.alpha`);
+    if (!Array.isArray(table.cd) || table.cd.length !== table.alpha.length) {
+        throw new Error(`${label}.cd must have one row per alpha breakpoint`);
+    }
+    table.cd.forEach((row, i) => checkRow(row, table.mach.length, `${label}.cd[${i}]`));
+}
+
+function checkBreakpoints(values, label) {
+    if (!Array.isArray(values) || values.length === 0 || !values.every(Number.isFinite)) {
+        throw new Error(`${label} must be a non-empty array of numbers`);
+    }
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] <= values[i - 1]) {
+            throw new Error(`${label} must be strictly increasing`);
+        }
+    }
+}
+
+function checkRow(row, length, label) {
+    if (!Array.isArray(row) || row.length !== length || !row.every(value => Number.isFinite(value) && value >= 0)) {
+        throw new Error(`${label} must hold ${length} non-negative numbers, one per Mach breakpoint`);
+    }
+}
+
+// Drag coefficient at a Mach number and angle of attack (degrees)
+function dragCoefficient(table, mach, alpha = 0) {
+    if (table.alpha === undefined) {
+        return interpolate(table.mach, table.cd, mach);
+    }
+
+    const [i, f] = locate(table.alpha, Math.abs(alpha));
+    const low = interpolate(table.mach, table.cd[i], mach);
+    if (f === 0) {
+        return low;
+    }
+    const high = interpolate(table.mach, table.cd[i + 1], mach);
+    return low + (high - low) * f;
+}
+
+// Linear interpolation of ys over breakpoints xs, clamped at the ends
+function interpolate(xs, ys, x) {
+    const [i, f] = locate(xs, x);
+    return f === 0 ? ys[i] : ys[i] + (ys[i + 1] - ys[i]) * f;
+}
+
+// Segment index and fraction of x within the breakpoints
+function locate(xs, x) {
+    if (x <= xs[0] || xs.length === 1) {
+        return [0, 0];
+    }
+    if (x >= xs[xs.length - 1]) {
+        return [xs.length - 1, 0];
+    }
+
+    let i = 0;
+    while (x > xs[i + 1]) {
+        i++;
+    }
+    return [i, (x - xs[i]) / (xs[i + 1] - xs[i])];
+}
+
+module.exports = {
+    validateDragTable,
+    dragCoefficient
+};
@@ -0,0 +1,147 @@
+// Standard Atmosphere
+// U.S. Standard Atmosphere 1976: temperature, pressure, density and speed of sound to 1000 km,
+// plus a wind profile built from the weather report
+// Below 86 km the layers are computed from their lapse rates; above, values are interpolated from the tables
+
+const G0 = 9.80665; // m/s^2
+const GAS_CONSTANT = 287.053; // J/(kg K), dry air (R* / M0)
+const GAMMA = 1.4; // ratio of specific heats
+const EARTH_RADIUS = 6356766; // m, US76 reference radius for geopotential altitude
+const SEA_LEVEL_PRESSURE = 101325; // Pa
+const TOP_ALTITUDE = 1000000; // m
+const JET_ALTITUDE = 10668; // m (35,000 ft), level of the reported upper-level wind
+const KNOTS = 0.514444; // m/s per knot
+
+// Lower atmosphere layers: geopotential base altitude (m), lapse rate (K/m), base temperature (K), base pressure (Pa)
+const LAYERS = [
+    { base: 0, lapse: -0.0065, temperature: 288.15, pressure: 101325 },
+    { base: 11000, lapse: 0, temperature: 216.65, pressure: 22632.06 },
+    { base: 20000, lapse: 0.001, temperature: 216.65, pressure: 5474.889 },
+    { base: 32000, lapse: 0.0028, temperature: 228.65, pressure: 868.0187 },
+    { base: 47000, lapse: 0, temperature: 270.65, pressure: 110.9063 },
+    { base: 51000, lapse: -0.0028, temperature: 270.65, pressure: 66.93887 },
+    { base: 71000, lapse: -0.002, temperature: 214.65, pressure: 3.956420 }
+];
+const LOWER_TOP = 86000; // m geometric (84852 m geopotential)
+
+// Upper atmosphere: geometric altitude (km), temperature (K), pressure (Pa), density (kg/m^3)
+const UPPER_TABLE = [
+    [86, 186.87, 3.7338e-1, 6.958e-6],
+    [90, 186.87, 1.8359e-1, 3.416e-6],
+    [95, 188.42, 7.5966e-2, 1.393e-6],
+    [100, 195.08, 3.2011e-2, 5.604e-7],
+    [110, 240.00, 7.1042e-3, 9.708e-8],
+    [120, 360.00, 2.5382e-3, 2.222e-8],
+    [130, 469.27, 1.2505e-3, 8.152e-9],
+    [140, 559.63, 7.2028e-4, 3.831e-9],
+    [150, 634.39, 4.5422e-4, 2.076e-9],
+    [160, 696.29, 3.0395e-4, 1.233e-9],
+    [180, 790.07, 1.5271e-4, 5.194e-10],
+    [200, 854.56, 8.4736e-5, 2.541e-10],
+    [250, 941.33, 2.4767e-5, 6.073e-11],
+    [300, 976.01, 8.7704e-6, 1.916e-11],
+    [350, 990.06, 3.4498e-6, 7.014e-12],
+    [400, 995.83, 1.4518e-6, 2.803e-12],
+    [450, 998.22, 6.4468e-7, 1.184e-12],
+    [500, 999.24, 3.0236e-7, 5.215e-13],
+    [600, 999.85, 8.2130e-8, 1.137e-13],
+    [700, 999.97, 3.1908e-8, 3.070e-14],
+    [800, 999.99, 1.7036e-8, 1.136e-14],
+    [900, 1000.00, 1.0873e-8, 5.759e-15],
+    [1000, 1000.00, 7.5138e-9, 3.561e-15]
+];
+
+// Atmospheric properties at a geometric altitude in metres
+// Altitudes below sea level use sea level; above 1000 km the atmosphere is treated as vacuum
+function standardAtmosphere(altitude) {
+    const z = Math.max(0, altitude);
+
+    if (z > TOP_ALTITUDE) {
+        return { temperature: UPPER_TABLE[UPPER_TABLE.length - 1][1], pressure: 0, density: 0, speedOfSound: 0 };
+    }
+
+    if (z < LOWER_TOP) {
+        return lowerAtmosphere(z);
+    }
+
+    return upperAtmosphere(z / 1000);
+}
+
+function lowerAtmosphere(z) {
+    const h = EARTH_RADIUS * z / (EARTH_RADIUS + z); // geopotential altitude
+
+    let layer = LAYERS[0];
+    for (let i = LAYERS.length - 1; i >= 0; i--) {
+        if (h >= LAYERS[i].base) {
+            layer = LAYERS[i];
+            break;
+        }
+    }
+
+    const temperature = layer.temperature + layer.lapse * (h - layer.base);
+    const pressure = layer.lapse === 0
+        ? layer.pressure * Math.exp(-G0 * (h - layer.base) / (GAS_CONSTANT * layer.temperature))
+        : layer.pressure * Math.pow(layer.temperature / temperature, G0 / (GAS_CONSTANT * layer.lapse));
+    const density = pressure / (GAS_CONSTANT * temperature);
+
+    return {
+        temperature: temperature,
+        pressure: pressure,
+        density: density,
+        speedOfSound: Math.sqrt(GAMMA * GAS_CONSTANT * temperature)
+    };
+}
+
+// Linear in temperature, logarithmic in pressure and density between table rows
+function upperAtmosphere(km) {
+    let i = 0;
+    while (i < UPPER_TABLE.length - 2 && km > UPPER_TABLE[i + 1][0]) {
+        i++;
+    }
+
+    const [z0, t0, p0, d0] = UPPER_TABLE[i];
+    const [z1, t1, p1, d1] = UPPER_TABLE[i + 1];
+    const f = (km - z0) / (z1 - z0);
+
+    const temperature = t0 + (t1 - t0) * f;
+    const pressure = Math.exp(Math.log(p0) + (Math.log(p1) - Math.log(p0)) * f);
+    const density = Math.exp(Math.log(d0) + (Math.log(d1) - Math.log(d0)) * f);
+
+    return {
+        temperature: temperature,
+        pressure: pressure,
+        density: density,
+        // Mean molecular weight falls with altitude, so use P/rho rather than R*T
+        speedOfSound: Math.sqrt(GAMMA * pressure / density)
+    };
+}
+
+// Wind at altitude from the weather report: { speed (m/s), direction (degrees, blowing from) }
+// Surface wind blends into the upper-level wind at jet-stream height, which then falls off at the reported shear
+function windProfile(conditions, altitude) {
+    const surface = conditions.surfaceWind;
+    const upper = conditions.upperLevelWind;
+    const z = Math.max(0, altitude);
+
+    if (z <= JET_ALTITUDE) {
+        const f = z / JET_ALTITUDE;
+        const turn = (((upper.direction - surface.direction) % 360) + 540) % 360 - 180; // shortest way round
+        return {
+            speed: (surface.speed + (upper.speed - surface.speed) * f) * KNOTS,
+            direction: (((surface.direction + turn * f) % 360) + 360) % 360
+        };
+    }
+
+    const decay = (upper.shear || 0) * (z - JET_ALTITUDE) / 304.8; // knots per 1000 ft
+    return {
+        speed: Math.max(0, upper.speed - decay) * KNOTS,
+        direction: upper.direction
+    };
+}
+
+module.exports = {
+    standardAtmosphere,
+    windProfile,
+    SEA_LEVEL_PRESSURE,
+    TOP_ALTITUDE
+};
@@ -0,0 +1,175 @@
+// Countdown Library
+// Countdown timelines loaded from JSON files in countdowns/, one per vehicle (default.json for the rest):
+// the events of the count, the station that owns each, what it does to the simulators, the built-in holds
+// and the launch sequencer's terminal count
+
+const fs = require('fs');
+const path = require('path');
+const { STATIONS } = require('./stations');
+
+const COUNTDOWNS_DIR = process.env.COUNTDOWNS_DIR || path.join(__dirname, '..', 'countdowns');
+const DEFAULT_TIMELINE_ID = 'default';
+const TIMELINE_ID_PATTERN = /^[a-z0-9-]+$/;
+
+// What an event can do, and to which simulator
+const COUNTDOWN_ACTIONS = {
+    loadPropellant: 'rocket', // propellant loading complete
+    chillEngines: 'rocket', // engine chilldown for startup
+    internalPower: 'rocket', // vehicle off ground power
+    armIgnition: 'rocket',
+    startIgnitionSequence: 'rocket',
+    clearRange: 'range', // pad, roads, hazard areas and traffic cleared
+    armFTS: 'range', // flight termination system tested and armed
+    weatherBriefing: 'weather' // launch weather officer reports the constraints
+};
+const LOG_LEVELS = ['info', 'success', 'warning', 'critical'];
+
+// Ground launch sequencer: watches redlines from `start` (s before T-0) and recycles a held count to `recycle`
+const DEFAULT_SEQUENCER = { start: 120, recycle: 600 };
+
+// Used when no file loads: the count the dashboard always had, with the range made ready first
+const BUILT_IN_TIMELINE = {
+    id: DEFAULT_TIMELINE_ID,
+    name: 'Quick count',
+    events: [
+        { t: -30, station: 'Range Safety', message: 'Range cleared', action: 'clearRange' },
+        { t: -29, station: 'Range Safety', message: 'FTS armed', action: 'armFTS' },
+        { t: -20, station: 'Booster', message: 'T-20 seconds. Final system checks.', action: 'armIgnition' },
+        { t: -10, station: 'Booster', message: 'T-10 seconds. GO for launch!', action: 'startIgnitionSequence',
+            level: 'warning' },
+        { t: -5, station: 'Booster', message: 'T-5 seconds. Ignition sequence start!', level: 'warning' }
+    ]
+};
+
+class CountdownLibrary {
+    constructor(directory = COUNTDOWNS_DIR) {
+        this.directory = directory;
+        this.timelines = new Map(); // id -> validated timeline
+        this.invalid = []; // { file, errors } for files that failed validation
+        this.load();
+    }
+
+    // (Re)read every timeline file; invalid ones are reported, not loaded
+    load() {
+        this.timelines.clear();
+        this.invalid = [];
+
+        if (fs.existsSync(this.directory)) {
+            fs.readdirSync(this.directory)
+                .filter(file => file.endsWith('.json'))
+                .sort()
+                .forEach(file => {
+                    try {
+                        const timeline = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+                        validateTimeline(timeline);
+                        if (this.timelines.has(timeline.id)) {
+                            throw new Error(`Duplicate timeline id "${timeline.id}"`);
+                        }
+                        this.timelines.set(timeline.id, timeline);
+                    } catch (error) {
+                        const errors = error.errors || [error.message];
+                        this.invalid.push({ file: file, errors: errors });
+                        console.error(`Countdown ${file} rejected: ${errors.join('; ')}`);
+                    }
+                });
+        }
+
+        if (!this.timelines.has(DEFAULT_TIMELINE_ID)) {
+            this.timelines.set(DEFAULT_TIMELINE_ID, BUILT_IN_TIMELINE);
+        }
+    }
+
+    has(id) {
+        return this.timelines.has(id);
+    }
+
+    // A copy of the vehicle's timeline (or the default one), events in count order, with its start:
+    // seconds before T-0 of the earliest event, and its sequencer settings (no recycle above the start)
+    forVehicle(vehicleId) {
+        const timeline = this.timelines.get(vehicleId) || this.timelines.get(DEFAULT_TIMELINE_ID);
+        const copy = JSON.parse(JSON.stringify(timeline));
+        copy.events.sort((a, b) => a.t - b.t);
+        copy.start = Math.max(1, -copy.events[0].t);
+        copy.sequencer = Object.assign({}, DEFAULT_SEQUENCER, timeline.sequencer);
+        copy.sequencer.recycle = Math.min(copy.sequencer.recycle, copy.start);
+        return copy;
+    }
+
+    list() {
+        return Array.from(this.timelines.values()).map(timeline => ({
+            id: timeline.id,
+            name: timeline.name,
+            start: Math.max(1, -Math.min(...timeline.events.map(event => event.t))),
+            events: timeline.events.length,
+            holds: timeline.events.filter(event => event.hold !== undefined).length,
+            sequencer: Object.assign({}, DEFAULT_SEQUENCER, timeline.sequencer)
+        }));
+    }
+}
+
+// Check a countdown timeline; throws an Error listing every problem (also in error.errors)
+function validateTimeline(timeline) {
+    const errors = [];
+    const check = (condition, message) => {
+        if (!condition) errors.push(message);
+        return condition;
+    };
+
+    if (!check(timeline && typeof timeline === 'object' && !Array.isArray(timeline),
+        'timeline must be a JSON object')) {
+        throw validationError(errors);
+    }
+
+    check(typeof timeline.id === 'string' && TIMELINE_ID_PATTERN.test(timeline.id),
+        'id must be a vehicle id or "default" (lowercase letters, digits and dashes)');
+    check(typeof timeline.name === 'string' && timeline.name.trim() !== '', 'name is required');
+
+    if (check(Array.isArray(timeline.events) && timeline.events.length > 0, 'events must list at least one event')) {
+        timeline.events.forEach((event, i) => {
+            const label = `events[${i}]`;
+            if (!check(event && typeof event === 'object', `${label} must be an object`)) {
+                return;
+            }
+            check(Number.isInteger(event.t) && event.t < 0, `${label}.t must be whole seconds before T-0 (< 0)`);
+            check(STATIONS.includes(event.station), `${label}.station must be one of ${STATIONS.join(', ')}`);
+            check(typeof event.message === 'string' && event.message.trim() !== '', `${label}.message is required`);
+            check(event.action === undefined || COUNTDOWN_ACTIONS.hasOwnProperty(event.action),
+                `${label}.action must be one of ${Object.keys(COUNTDOWN_ACTIONS).join(', ')}`);
+            check(event.level === undefined || LOG_LEVELS.includes(event.level),
+                `${label}.level must be one of ${LOG_LEVELS.join(', ')}`);
+            check(event.hold === undefined || (typeof event.hold === 'number' && Number.isFinite(event.hold) &&
+                event.hold >= 0), `${label}.hold must be the planned hold length in seconds (>= 0)`);
+        });
+
+        const holdTimes = timeline.events.filter(event => event.hold !== undefined).map(event => event.t);
+        check(new Set(holdTimes).size === holdTimes.length, 'only one built-in hold per count time');
+    }
+
+    if (timeline.sequencer !== undefined &&
+        check(timeline.sequencer && typeof timeline.sequencer === 'object', 'sequencer must be { start, recycle }')) {
+        const sequencer = Object.assign({}, DEFAULT_SEQUENCER, timeline.sequencer);
+        check(Number.isInteger(sequencer.start) && sequencer.start > 0,
+            'sequencer.start must be whole seconds before T-0 (> 0)');
+        check(Number.isInteger(sequencer.recycle) && sequencer.recycle >= sequencer.start,
+            'sequencer.recycle must be whole seconds before T-0, no less than sequencer.start');
+    }
+
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+    return timeline;
+}
+
+function validationError(errors) {
+    const error = new Error(errors.join('; '));
+    error.errors = errors;
+    return error;
+}
+
+CountdownLibrary.COUNTDOWNS_DIR = COUNTDOWNS_DIR;
+CountdownLibrary.DEFAULT_TIMELINE_ID = DEFAULT_TIMELINE_ID;
+CountdownLibrary.COUNTDOWN_ACTIONS = COUNTDOWN_ACTIONS;
+CountdownLibrary.DEFAULT_SEQUENCER = DEFAULT_SEQUENCER;
+CountdownLibrary.validateTimeline = validateTimeline;
+
+module.exports = CountdownLibrary;
@@ -0,0 +1,289 @@
+// Debrief Report
+// A training run's debrief as JSON or a standalone HTML page: the score, each cue and how the stations answered
+// it, and a timeline of anomalies, faults and station actions alongside the telemetry the ground saw
+
+const FORMATS = ['json', 'html'];
+const TIMELINE_FIELDS = ['altitude', 'velocity', 'dynamicPressure']; // telemetry shown against each timeline entry
+const SAMPLE_INTERVAL = 1; // s between the telemetry samples kept in the debrief
+
+const ACTION_NAMES = {
+    startGoNoGoPoll: 'Go/No-Go poll',
+    goNoGoVote: 'Vote',
+    holdCountdown: 'Hold',
+    resumeCountdown: 'Resume count',
+    releaseHold: 'Release built-in hold',
+    recycleCount: 'Recycle count',
+    proceedWithLaunch: 'Proceed with launch',
+    launch: 'Launch command',
+    abort: 'Abort',
+    commandFTS: 'FTS',
+    stageSeparation: 'Stage separation',
+    setThrottle: 'Throttle',
+    initiateLanding: 'Landing',
+    resetSimulation: 'Reset'
+};
+
+// The debrief of a run: mission is the session's mission state, scenario the scenario flown (or null), scorer
+// the run's TraineeScorer, score its score (TraineeScorer.score) and history the telemetry since liftoff
+function buildDebrief({ mission, scenario, scorer, score, history }) {
+    const timeline = [];
+    score.cues.filter(cue => cue.source === 'anomaly').forEach(cue => {
+        timeline.push({ at: cue.at, kind: 'anomaly', station: null, event: cue.description, detail: cue.result });
+    });
+    scorer.faults.forEach(fault => {
+        timeline.push({
+            at: fault.at,
+            kind: 'fault',
+            station: fault.by,
+            event: `Fault ${fault.id} ${fault.type}`,
+            detail: fault.status === 'INJECTED' ? fault.result : `failed: ${fault.result}`
+        });
+    });
+    const votes = score.votes.slice();
+    scorer.actions.forEach(action => {
+        let detail = action.detail === null || action.detail === undefined ? null : String(action.detail);
+        if (action.action === 'goNoGoVote') {
+            const vote = votes.shift();
+            detail = vote.correct ? `${vote.vote}` : `${vote.vote} (incorrect: ${vote.reason})`;
+        }
+        timeline.push({
+            at: action.at,
+            kind: 'action',
+            station: action.station,
+            event: ACTION_NAMES[action.action] || action.action,
+            detail: detail
+        });
+    });
+
+    // Sort by clock time; entries at the same moment keep the order they were recorded in
+    timeline.forEach((entry, index) => {
+        entry.order = index;
+    });
+    timeline.sort((a, b) => a.at.time - b.at.time || a.order - b.order);
+    timeline.forEach(entry => {
+        delete entry.order;
+        entry.telemetry = telemetryAt(history, entry.at.met);
+    });
+
+    return {
+        mission: {
+            id: mission.id,
+            name: mission.name,
+            vehicle: mission.vehicle,
+            guidance: mission.guidance,
+            seed: mission.seed,
+            status: mission.status,
+            insertion: mission.insertion,
+            holds: mission.holds.length
+        },
+        scenario: scenario ? { id: scenario.id, name: scenario.name, description: scenario.description || '' } : null,
+        startedAt: scorer.startedAt,
+        generatedAt: new Date().toISOString(),
+        score: { total: score.total, parts: score.parts },
+        cues: score.cues.map(cue => ({
+            source: cue.source,
+            description: cue.description,
+            at: cue.at,
+            expect: cue.expect,
+            within: cue.within,
+            response: cue.response,
+            wrong: cue.wrong,
+            result: cue.result,
+            points: cue.points
+        })),
+        votes: score.votes,
+        timeline: timeline,
+        telemetry: sampleTelemetry(history)
+    };
+}
+
+// The ground's telemetry at a mission elapsed time: the last sample at or before it (null before liftoff or
+// in a dropout longer than a sample interval)
+function telemetryAt(history, met) {
+    if (met === null || met === undefined || history.length === 0) {
+        return null;
+    }
+    let low = 0;
+    let high = history.length - 1;
+    if (history[0].t > met) {
+        return null;
+    }
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (history[middle].t <= met) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    const sample = history[low];
+    if (met - sample.t > SAMPLE_INTERVAL) {
+        return null;
+    }
+    return Object.fromEntries(TIMELINE_FIELDS.map(field => [field, sample[field]]));
+}
+
+// One telemetry sample per SAMPLE_INTERVAL of mission elapsed time
+function sampleTelemetry(history) {
+    const samples = [];
+    let next = -Infinity;
+    history.forEach(sample => {
+        if (sample.t >= next) {
+            samples.push({ t: sample.t, ...Object.fromEntries(TIMELINE_FIELDS.map(field => [field, sample[field]])) });
+            next = sample.t + SAMPLE_INTERVAL;
+        }
+    });
+    return { fields: ['t', ...TIMELINE_FIELDS], samples: samples };
+}
+
+// Countdown or mission elapsed time of an entry, e.g. T-00:42 or T+01:12
+function formatMissionTime(at) {
+    if (at.met !== null && at.met !== undefined) {
+        return `T+${formatClock(at.met)}`;
+    }
+    if (at.countdownTime !== null && at.countdownTime !== undefined) {
+        return `T-${formatClock(at.countdownTime)}`;
+    }
+    return '-';
+}
+
+function formatClock(seconds) {
+    const whole = Math.floor(Math.abs(seconds));
+    const pad = (value) => value.toString().padStart(2, '0');
+    const hours = Math.floor(whole / 3600);
+    return `${hours > 0 ? `${pad(hours)}:` : ''}${pad(Math.floor((whole % 3600) / 60))}:${pad(whole % 60)}`;
+}
+
+// The debrief as a standalone HTML page
+function toHtml(debrief) {
+    const mission = debrief.mission;
+    const score = debrief.score;
+    const parts = score.parts;
+    const points = (part) => (part.points === null ? 'n/a' : `${part.points} / ${part.of}`);
+
+    const scoreRows = [
+        ['Reactions', points(parts.reactions), `${parts.reactions.cues} scored cue(s)` +
+            (parts.reactions.meanReaction === null ? '' : `, mean reaction ${parts.reactions.meanReaction} s`)],
+        ['Go/No-Go votes', points(parts.votes), `${parts.votes.cast} cast, ${parts.votes.incorrect} incorrect`],
+        ['Outcome', points(parts.outcome), parts.outcome.result]
+    ].map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+
+    const cueRows = debrief.cues.map(cue => {
+        const response = cue.response
+            ? `${cue.response.action} by ${cue.response.station} after ${cue.response.reaction} s`
+            : '-';
+        const wrong = cue.wrong.map(w => `${w.action} by ${w.station}`).join(', ') || '-';
+        const expected = cue.expect === null ? '-' : (cue.expect.length > 0 ? cue.expect.join(' / ') : 'no action');
+        return row([formatMissionTime(cue.at), cue.description, expected, `${cue.within} s`, response, wrong,
+            cue.result, cue.points === null ? '-' : cue.points], `result-${cue.result}`);
+    }).join('\n');
+
+    const timelineRows = debrief.timeline.map(entry => {
+        const telemetry = entry.telemetry;
+        return row([
+            formatMissionTime(entry.at),
+            entry.kind,
+            entry.station || '-',
+            entry.event,
+            entry.detail || '',
+            telemetry ? (telemetry.altitude / 1000).toFixed(1) : '-',
+            telemetry ? telemetry.velocity.toFixed(0) : '-',
+            telemetry ? (telemetry.dynamicPressure / 1000).toFixed(1) : '-'
+        ], `kind-${entry.kind}`);
+    }).join('\n');
+
+    const title = `Debrief: ${mission.name}`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { background: #0a0e1a; color: #e0e6ed; font-family: 'Courier New', monospace; margin: 2em; }
+h1, h2 { color: #00d4ff; }
+table { border-collapse: collapse; margin-bottom: 2em; width: 100%; }
+th, td { border-bottom: 1px solid #1e2a44; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { color: #8892b0; }
+.total { font-size: 2em; color: #00ff88; }
+.kind-anomaly td, .kind-fault td { color: #ffaa00; }
+.result-wrong td, .result-missed td { color: #ff4444; }
+.result-late td { color: #ffaa00; }
+svg { background: #111a2e; margin-bottom: 2em; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(debrief.scenario ? `Scenario: ${debrief.scenario.name} (${debrief.scenario.id})` : 'No scenario')}
+ - ${escapeHtml(mission.vehicle)}, ${escapeHtml(mission.guidance)} guidance${mission.seed !== null ? `, seed ${escapeHtml(mission.seed)}` : ''}
+ - run started ${escapeHtml(debrief.startedAt)}, status ${escapeHtml(mission.status)}</p>
+<p class="total">${score.total === null ? 'No score yet' : `Score ${score.total} / 100`}</p>
+<table>
+<tr><th>Part</th><th>Points</th><th>Detail</th></tr>
+${scoreRows}
+</table>
+<h2>Cues</h2>
+<table>
+<tr><th>Time</th><th>Cue</th><th>Expected</th><th>Window</th><th>Response</th><th>Wrong responses</th><th>Result</th><th>Points</th></tr>
+${cueRows}
+</table>
+<h2>Timeline</h2>
+${altitudeChart(debrief)}
+<table>
+<tr><th>Time</th><th>Kind</th><th>Station</th><th>Event</th><th>Detail</th><th>Altitude (km)</th><th>Velocity (m/s)</th><th>Q (kPa)</th></tr>
+${timelineRows}
+</table>
+</body>
+</html>
+`;
+}
+
+// Altitude against mission elapsed time, with a marker at each timeline entry after liftoff
+function altitudeChart(debrief) {
+    const samples = debrief.telemetry.samples;
+    if (samples.length < 2) {
+        return '';
+    }
+    const width = 900;
+    const height = 240;
+    const margin = 30;
+    const duration = samples[samples.length - 1].t || 1;
+    const ceiling = Math.max(1, ...samples.map(sample => sample.altitude));
+    const x = (t) => (margin + (t / duration) * (width - 2 * margin)).toFixed(1);
+    const y = (altitude) => (height - margin - (altitude / ceiling) * (height - 2 * margin)).toFixed(1);
+
+    const line = samples.map(sample => `${x(sample.t)},${y(sample.altitude)}`).join(' ');
+    const markers = debrief.timeline
+        .filter(entry => entry.at.met !== null && entry.at.met !== undefined && entry.at.met <= duration)
+        .map(entry => {
+            const colour = entry.kind === 'action' ? '#00d4ff' : '#ffaa00';
+            const label = `${formatMissionTime(entry.at)} ${entry.station || ''} ${entry.event}`;
+            return `<line x1="${x(entry.at.met)}" y1="${margin}" x2="${x(entry.at.met)}" y2="${height - margin}" ` +
+                `stroke="${colour}" stroke-dasharray="4 3"><title>${escapeHtml(label)}</title></line>`;
+        }).join('\n');
+
+    return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<polyline points="${line}" fill="none" stroke="#00ff88" stroke-width="2"/>
+${markers}
+<text x="${margin}" y="${margin - 10}" fill="#8892b0" font-size="12">altitude, ${(ceiling / 1000).toFixed(0)} km max</text>
+<text x="${width - margin}" y="${height - 8}" fill="#8892b0" font-size="12" text-anchor="end">T+${formatClock(duration)}</text>
+</svg>`;
+}
+
+function row(cells, className) {
+    return `<tr class="${className}">${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    FORMATS,
+    buildDebrief,
+    toHtml,
+    formatMissionTime
+};
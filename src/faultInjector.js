@@ -0,0 +1,326 @@
+// Fault Injector
+// The instructor's failures for training runs: engine failures, sensor drifts, stuck valves, telemetry
+// dropouts, FTS battery faults, weather events and range intrusions, injected now or held for a countdown
+// time, mission elapsed time, flight phase or telemetry condition, and logged for the debrief
+
+const { RESPONSES, DEFAULT_RESPONSE_WINDOW } = require('./traineeScorer');
+
+const FLIGHT_PHASES = ['IGNITION', 'LAUNCH', 'ASCENT', 'MECO', 'STAGE_SEP', 'UPPER_STAGE', 'ORBIT', 'LANDING'];
+const WEATHER_EVENTS = ['LIGHTNING', 'HIGH_WINDS', 'LOW_CEILING', 'CLEAR'];
+const VALVES = ['throttle', 'vent'];
+const TRAFFIC = ['aircraft', 'vessel'];
+const CONDITION_PATTERN = /^\s*([A-Za-z][A-Za-z0-9]*)\s*(>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)\s*$/; // e.g. dynamicPressure > 30000
+
+// What each fault does: its parameters (checked by validate, defaults filled in) and how it is applied to the
+// simulators; apply returns what happened, or throws when the fault can't take hold
+const FAULT_TYPES = {
+    engineFailure: {
+        description: 'An engine shuts down; the rest of its stage or strap-on set cover for it',
+        params: { engine: 'engine id, e.g. S1-E3', reason: 'failure reported (optional)' },
+        validate: (params, check) => {
+            check(typeof params.engine === 'string' && params.engine !== '', 'engine is required (e.g. S1-E3)');
+            check(params.reason === undefined || typeof params.reason === 'string', 'reason must be a string');
+        },
+        apply: ({ rocket }, params) => {
+            const reason = params.reason || 'engine failure';
+            if (!rocket.failEngine(params.engine, reason)) {
+                throw new Error(`engine ${params.engine} isn't there or has already stopped`);
+            }
+            return `engine ${params.engine} failed (${reason})`;
+        }
+    },
+    sensorDrift: {
+        description: 'A telemetry reading drifts off the true value (the ground and launch sequencer see it)',
+        params: { parameter: 'numeric telemetry field', rate: 'drift per second', offset: 'fixed bias' },
+        validate: (params, check) => {
+            check(typeof params.parameter === 'string' && params.parameter !== '', 'parameter is required');
+            check(params.rate === undefined || isNumber(params.rate), 'rate must be a number');
+            check(params.offset === undefined || isNumber(params.offset), 'offset must be a number');
+            check(Boolean(params.rate) || Boolean(params.offset), 'rate or offset must be non-zero');
+        },
+        apply: ({ rocket, injector }, params) => {
+            if (typeof rocket.getTelemetry()[params.parameter] !== 'number') {
+                throw new Error(`no numeric telemetry field ${params.parameter}`);
+            }
+            injector.sensorFaults.push({
+                parameter: params.parameter,
+                rate: params.rate || 0,
+                offset: params.offset || 0,
+                since: injector.clock.time
+            });
+            return `${params.parameter} sensor drifting (${params.offset || 0} offset, ${params.rate || 0}/s)`;
+        }
+    },
+    stuckValve: {
+        description: 'The current stage\'s throttle valve sticks where it is, or a tank vent valve sticks open',
+        params: { valve: VALVES.join(' or '), rate: 'vent leak in kg/s (default 100)' },
+        validate: (params, check) => {
+            check(VALVES.includes(params.valve), `valve must be one of ${VALVES.join(', ')}`);
+            check(params.rate === undefined || (isNumber(params.rate) && params.rate > 0),
+                'rate must be a positive number of kg/s');
+        },
+        apply: ({ rocket }, params) => {
+            if (params.valve === 'throttle') {
+                rocket.stickThrottle();
+                return `throttle valve stuck at ${rocket.state.throttleLevel.toFixed(0)}%`;
+            }
+            const rate = params.rate || 100;
+            rocket.ventLeak(rate);
+            return `stage ${rocket.state.stageNumber} vent valve stuck open, leaking ${rate} kg/s`;
+        }
+    },
+    telemetryDropout: {
+        description: 'The ground loses the vehicle\'s telemetry for a while',
+        params: { duration: 'seconds (default 10)' },
+        validate: (params, check) => {
+            check(params.duration === undefined || (isNumber(params.duration) && params.duration > 0),
+                'duration must be a positive number of seconds');
+        },
+        apply: ({ injector }, params) => {
+            const duration = params.duration || 10;
+            injector.dropoutUntil = Math.max(injector.dropoutUntil || 0, injector.clock.time + duration);
+            return `telemetry dropout for ${duration} s`;
+        }
+    },
+    ftsBatteryFault: {
+        description: 'The flight termination system battery drops',
+        params: { level: 'battery % (default 60)' },
+        validate: (params, check) => {
+            check(params.level === undefined || (isNumber(params.level) && params.level >= 0 && params.level <= 100),
+                'level must be a battery percentage (0-100)');
+        },
+        apply: ({ range }, params) => {
+            const level = params.level !== undefined ? params.level : 60;
+            range.status.fts.batteryLevel = level;
+            range.evaluateRangeStatus();
+            return `FTS battery at ${level}%`;
+        }
+    },
+    weatherEvent: {
+        description: 'The weather turns',
+        params: { event: WEATHER_EVENTS.join(', ') },
+        validate: (params, check) => {
+            check(WEATHER_EVENTS.includes(params.event), `event must be one of ${WEATHER_EVENTS.join(', ')}`);
+        },
+        apply: ({ weather }, params) => {
+            weather.triggerWeatherEvent(params.event);
+            return `weather event ${params.event}`;
+        }
+    },
+    rangeIntrusion: {
+        description: 'An aircraft or vessel strays into the hazard area',
+        params: { traffic: `${TRAFFIC.join(' or ')} (default aircraft)` },
+        validate: (params, check) => {
+            check(params.traffic === undefined || TRAFFIC.includes(params.traffic),
+                `traffic must be one of ${TRAFFIC.join(', ')}`);
+        },
+        apply: ({ range }, params) => {
+            const intruder = range.addIntrusion(params.traffic || 'aircraft');
+            return `${params.traffic || 'aircraft'} ${intruder.id} in the hazard area`;
+        }
+    }
+};
+
+class FaultInjector {
+    constructor(clock) {
+        this.clock = clock;
+        this.log = []; // every fault injected, pending or not: see schedule
+        this.sensorFaults = []; // { parameter, rate, offset, since } drifting readouts
+        this.dropoutUntil = null; // clock time the ground gets telemetry back
+        this.nextId = 1;
+    }
+
+    // Log a fault for injection; throws listing every problem with it (also in error.errors)
+    // input: { type, ...params, countdown | met | phase | when, expect, within } - without a trigger it is due
+    // at once; expect lists the responses the debrief scores it against (see src/traineeScorer.js)
+    schedule(input, by) {
+        const fault = validateFault(input);
+        const entry = {
+            id: this.nextId++,
+            type: fault.type,
+            params: fault.params,
+            trigger: fault.trigger, // null, { countdown }, { met }, { phase } or { when, parameter, operator, value }
+            expect: fault.expect, // responses that answer it, [] for none, null when it isn't scored
+            within: fault.within, // s the stations have to respond
+            by: by || null,
+            status: 'PENDING', // PENDING, INJECTED, FAILED, CANCELLED
+            scheduledAt: this.clock.now().toISOString(),
+            injectedAt: null,
+            countdownTime: null, // count and mission elapsed time it took hold at
+            met: null,
+            result: null
+        };
+        this.log.push(entry);
+        return entry;
+    }
+
+    pending() {
+        return this.log.filter(entry => entry.status === 'PENDING');
+    }
+
+    // Pending faults whose trigger has come: context is { counting, countdownTime, met (null before liftoff), phase,
+    // telemetry (the vehicle's own) }
+    due(context) {
+        return this.pending().filter(entry => {
+            const trigger = entry.trigger;
+            if (!trigger) return true;
+            if (trigger.countdown !== undefined) return context.counting && context.countdownTime <= trigger.countdown;
+            if (trigger.met !== undefined) return context.met !== null && context.met >= trigger.met;
+            if (trigger.when !== undefined) return conditionMet(trigger, context.telemetry);
+            return context.phase === trigger.phase;
+        });
+    }
+
+    // Inject a fault into the simulators; the entry records when, and what happened or why it didn't
+    inject(entry, simulators, context) {
+        entry.injectedAt = this.clock.now().toISOString();
+        entry.countdownTime = context.counting ? context.countdownTime : null;
+        entry.met = context.met;
+        try {
+            entry.result = FAULT_TYPES[entry.type].apply(Object.assign({ injector: this }, simulators), entry.params);
+            entry.status = 'INJECTED';
+        } catch (error) {
+            entry.result = error.message;
+            entry.status = 'FAILED';
+        }
+        return entry;
+    }
+
+    // Call off a pending fault; false when there is none by that id
+    cancel(id) {
+        const entry = this.log.find(candidate => candidate.id === Number(id) && candidate.status === 'PENDING');
+        if (!entry) return false;
+        entry.status = 'CANCELLED';
+        return true;
+    }
+
+    // Cancel everything pending and end the sensor drifts and dropouts; the vehicle's own failures stay
+    clear() {
+        this.pending().forEach(entry => {
+            entry.status = 'CANCELLED';
+        });
+        this.sensorFaults = [];
+        this.dropoutUntil = null;
+    }
+
+    // Telemetry as the ground sees it: the vehicle's own, drifted by any sensor faults
+    sensed(telemetry) {
+        if (this.sensorFaults.length === 0) {
+            return telemetry;
+        }
+        const sensed = Object.assign({}, telemetry);
+        this.sensorFaults.forEach(fault => {
+            sensed[fault.parameter] += fault.offset + fault.rate * (this.clock.time - fault.since);
+        });
+        return sensed;
+    }
+
+    inDropout() {
+        return this.dropoutUntil !== null && this.clock.time < this.dropoutUntil;
+    }
+}
+
+// Check a fault; returns { type, params, trigger, expect, within } or throws listing every problem (also in error.errors)
+function validateFault(input) {
+    const errors = [];
+    const check = (condition, message) => {
+        if (!condition) errors.push(message);
+        return condition;
+    };
+
+    if (!check(input && typeof input === 'object' && !Array.isArray(input), 'fault must be an object')) {
+        throw validationError(errors);
+    }
+
+    const { type, countdown, met, phase, when, expect, within, ...params } = input;
+    if (check(FAULT_TYPES.hasOwnProperty(type), `type must be one of ${Object.keys(FAULT_TYPES).join(', ')}`)) {
+        FAULT_TYPES[type].validate(params, check);
+    }
+
+    const triggers = [countdown, met, phase, when].filter(value => value !== undefined && value !== null);
+    check(triggers.length <= 1, 'give at most one of countdown, met, phase and when');
+    check(countdown === undefined || countdown === null || (isNumber(countdown) && countdown >= 0),
+        'countdown must be seconds before T-0 (>= 0)');
+    check(met === undefined || met === null || (isNumber(met) && met >= 0),
+        'met must be seconds of mission elapsed time (>= 0)');
+    check(phase === undefined || phase === null || FLIGHT_PHASES.includes(phase),
+        `phase must be one of ${FLIGHT_PHASES.join(', ')}`);
+    check(when === undefined || when === null || (typeof when === 'string' && CONDITION_PATTERN.test(when)),
+        'when must be a telemetry condition like "dynamicPressure > 30000" (>, >=, < or <=)');
+    check(expect === undefined || expect === null ||
+        (Array.isArray(expect) && expect.every(response => RESPONSES.includes(response))),
+        `expect must be a list of responses: ${RESPONSES.join(', ')} (empty for none)`);
+    check(within === undefined || within === null || (isNumber(within) && within > 0),
+        'within must be a positive number of seconds');
+
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+
+    let trigger = null;
+    if (isNumber(countdown)) trigger = { countdown };
+    else if (isNumber(met)) trigger = { met };
+    else if (phase) trigger = { phase };
+    else if (when) trigger = parseCondition(when);
+    return {
+        type,
+        params,
+        trigger,
+        expect: Array.isArray(expect) ? expect : null,
+        within: isNumber(within) ? within : DEFAULT_RESPONSE_WINDOW
+    };
+}
+
+// A telemetry condition as { when, parameter, operator, value }
+function parseCondition(when) {
+    const [, parameter, operator, value] = when.match(CONDITION_PATTERN);
+    return { when: `${parameter} ${operator} ${value}`, parameter, operator, value: Number(value) };
+}
+
+// Whether the telemetry meets a condition; a field it doesn't have never does
+function conditionMet(condition, telemetry) {
+    const reading = telemetry ? telemetry[condition.parameter] : undefined;
+    if (typeof reading !== 'number') return false;
+    switch (condition.operator) {
+        case '>': return reading > condition.value;
+        case '>=': return reading >= condition.value;
+        case '<': return reading < condition.value;
+        default: return reading <= condition.value;
+    }
+}
+
+// The fault catalog for listings: type, description and parameters
+function listFaultTypes() {
+    return Object.entries(FAULT_TYPES).map(([type, fault]) => ({
+        type: type,
+        description: fault.description,
+        params: fault.params
+    }));
+}
+
+// Human-readable trigger, e.g. "at T-120 s", "at T+60 s", "in ASCENT", "when dynamicPressure > 30000", "now"
+function describeTrigger(trigger) {
+    if (!trigger) return 'now';
+    if (trigger.countdown !== undefined) return `at T-${trigger.countdown} s`;
+    if (trigger.met !== undefined) return `at T+${trigger.met} s`;
+    if (trigger.when !== undefined) return `when ${trigger.when}`;
+    return `in ${trigger.phase}`;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function validationError(errors) {
+    const error = new Error(errors.join('; '));
+    error.errors = errors;
+    return error;
+}
+
+FaultInjector.FAULT_TYPES = FAULT_TYPES;
+FaultInjector.FLIGHT_PHASES = FLIGHT_PHASES;
+FaultInjector.validateFault = validateFault;
+FaultInjector.listFaultTypes = listFaultTypes;
+FaultInjector.describeTrigger = describeTrigger;
+
+module.exports = FaultInjector;
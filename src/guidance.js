@@ -0,0 +1,220 @@
+// Ascent Guidance
+// Powered explicit guidance (PEG) in the style of the Space Shuttle's linear tangent law: steers the final
+// stage so its burn ends on the target orbit at the radius and radial rate it is heading for, re-solving the
+// steering constants and time-to-go every guidance cycle. Works in the trajectory plane (radial and tangential
+// axes).
+
+const GUIDANCE_CYCLE = 1; // s between solutions
+const TERMINAL_TIME = 5; // s to go when the steering is frozen and only the cutoff time is trimmed
+const CONVERGENCE = 0.01; // relative change in time-to-go that counts as converged
+const MAX_ITERATIONS = 20; // solutions per cycle while unconverged
+
+// PEG flies the final stage closed-loop. The fixed pitch program it replaced (OPEN_LOOP, with an
+// altitude/velocity cutoff) left every vehicle short of orbit, so it is no longer offered.
+const GUIDANCE_MODES = ['PEG'];
+const DEFAULT_TARGET = { apogee: 400, perigee: 400, inclination: 51.6 }; // km, km, degrees
+const MAX_TARGET_APOGEE = 40000; // km, above geostationary; the simulation has no Moon or Sun
+
+// Check a target orbit { apogee, perigee (km altitude), inclination, raan? (degrees) }; throws naming the problem
+// raan, the right ascension of the ascending node, fixes the orbit plane for a rendezvous
+function validateTarget(target) {
+    if (!target || typeof target !== 'object') {
+        throw new Error('Target must be an object with apogee, perigee and inclination');
+    }
+    ['apogee', 'perigee', 'inclination'].forEach(field => {
+        if (typeof target[field] !== 'number' || !Number.isFinite(target[field])) {
+            throw new Error(`Target ${field} must be a number`);
+        }
+    });
+    if (target.perigee < 100) {
+        throw new Error('Target perigee must be at least 100 km');
+    }
+    if (target.apogee < target.perigee) {
+        throw new Error('Target apogee must not be below the perigee');
+    }
+    if (target.apogee > MAX_TARGET_APOGEE) {
+        throw new Error(`Target apogee must be at most ${MAX_TARGET_APOGEE} km`);
+    }
+    if (target.inclination < 0 || target.inclination > 180) {
+        throw new Error('Target inclination must be between 0 and 180 degrees');
+    }
+    if (target.raan !== undefined && target.raan !== null) {
+        if (typeof target.raan !== 'number' || !Number.isFinite(target.raan) || target.raan < 0 || target.raan >= 360) {
+            throw new Error('Target raan must be between 0 and 360 degrees');
+        }
+        if (target.inclination === 0 || target.inclination === 180) {
+            throw new Error('Target raan needs an inclined orbit; an equatorial orbit has no node');
+        }
+    }
+    return target;
+}
+
+// Insertion conditions for a target orbit (apogee and perigee altitudes in m) at a radius on its way up from
+// perigee to apogee, at perigee by default: { radius, radialVelocity, tangentialVelocity }
+function insertionConditions(target, mu, bodyRadius, radius = bodyRadius + target.perigee) {
+    const perigeeRadius = bodyRadius + target.perigee;
+    const apogeeRadius = bodyRadius + target.apogee;
+    const semiMajorAxis = (perigeeRadius + apogeeRadius) / 2;
+    const r = Math.max(perigeeRadius, Math.min(apogeeRadius, radius));
+    const speed = Math.sqrt(mu * (2 / r - 1 / semiMajorAxis));
+    const angularMomentum = Math.sqrt(2 * mu * perigeeRadius * apogeeRadius / (perigeeRadius + apogeeRadius));
+    const tangentialVelocity = Math.min(speed, angularMomentum / r);
+    return {
+        radius: r,
+        radialVelocity: Math.sqrt(Math.max(0, speed * speed - tangentialVelocity * tangentialVelocity)),
+        tangentialVelocity: tangentialVelocity
+    };
+}
+
+class PoweredExplicitGuidance {
+    constructor(target, mu, bodyRadius) {
+        this.mu = mu;
+        this.target = target;
+        this.bodyRadius = bodyRadius;
+        // Insertion starts at perigee and follows the radius the burn is heading for at each solution: an
+        // elliptical orbit isn't forced down to its perigee when the lower stages have lofted the vehicle above it
+        this.insertion = insertionConditions(target, mu, bodyRadius);
+
+        // Steering law: sin(pitch) = A + B * (t - solvedAt) + C, with C the share of thrust holding the
+        // vehicle up against gravity less centrifugal acceleration
+        this.A = 0;
+        this.B = 0;
+        this.solvedAt = null; // time of the last solution
+        this.solvedTimeToGo = null; // time-to-go at the last solution (s)
+        this.converged = false;
+    }
+
+    // Seconds left in the burn at a time
+    timeToGo(time) {
+        return this.solvedTimeToGo === null ? null : this.solvedTimeToGo - (time - this.solvedAt);
+    }
+
+    // Steering for the current state:
+    //   { time, radius, radialVelocity, tangentialVelocity (inertial, m/s),
+    //     acceleration (thrust / mass, m/s^2), exhaustVelocity (m/s), burnTimeLeft (s until the tanks run dry) }
+    // Returns { pitch (degrees above the local horizontal, null until converged), timeToGo (s), terminal }
+    update(state) {
+        const terminal = this.converged && this.timeToGo(state.time) <= TERMINAL_TIME;
+        if (!terminal && (this.solvedAt === null || state.time - this.solvedAt >= GUIDANCE_CYCLE)) {
+            this.solve(state);
+        }
+
+        const timeToGo = this.timeToGo(state.time);
+        if (!this.converged) {
+            return { pitch: null, timeToGo: timeToGo, terminal: false };
+        }
+
+        const C = this.gravityTerm(state.radius, state.tangentialVelocity, state.acceleration);
+        const radialShare = Math.max(-1, Math.min(1, this.A + this.B * (state.time - this.solvedAt) + C));
+        if (terminal) {
+            this.trimCutoff(state, radialShare);
+        }
+        return {
+            pitch: Math.asin(radialShare) * 180 / Math.PI,
+            timeToGo: this.timeToGo(state.time),
+            terminal: terminal
+        };
+    }
+
+    // Re-solve A, B and time-to-go from the current state
+    solve(state) {
+        const { radius: r, radialVelocity: vr, tangentialVelocity: vt, acceleration: a, exhaustVelocity: ve } = state;
+        const tau = ve / a; // time to burn the whole vehicle mass at this acceleration
+
+        // Longest burn the tanks allow, kept short of tau so the logarithm below stays finite
+        const maxBurn = Math.min(state.burnTimeLeft, tau * 0.999);
+
+        let T = this.timeToGo(state.time);
+        if (T === null || T <= 0) {
+            const dv = Math.max(this.insertion.tangentialVelocity - vt, 100);
+            T = tau * (1 - Math.exp(-dv / ve));
+        }
+
+        const iterations = this.converged ? 1 : MAX_ITERATIONS;
+        for (let i = 0; i < iterations; i++) {
+            T = Math.max(1, Math.min(T, maxBurn));
+            // Radius at cutoff if the radial velocity changes evenly to the insertion's over the burn
+            const target = this.insertion = insertionConditions(this.target, this.mu, this.bodyRadius,
+                r + (vr + this.insertion.radialVelocity) * T / 2);
+
+            // Thrust integrals over the remaining burn
+            const b0 = -ve * Math.log(1 - T / tau);
+            const b1 = b0 * tau - ve * T;
+            const c0 = b0 * T - b1;
+            const c1 = c0 * tau - ve * T * T / 2;
+
+            // Steering constants reaching the target radius and radial velocity
+            const dvr = target.radialVelocity - vr;
+            const dr = target.radius - r - vr * T;
+            const det = b0 * c1 - b1 * c0;
+            this.A = (c1 * dvr - b1 * dr) / det;
+            this.B = (b0 * dr - c0 * dvr) / det;
+
+            // Time-to-go from the angular momentum still to be gained
+            const targetAcceleration = a / (1 - T / tau);
+            const radialShare = this.A + this.gravityTerm(r, vt, a);
+            const radialShareAtCutoff = this.A + this.B * T +
+                this.gravityTerm(target.radius, target.tangentialVelocity, targetAcceleration);
+            const radialRate = (radialShareAtCutoff - radialShare) / T;
+
+            const ft = 1 - radialShare * radialShare / 2;
+            const ftDot = -radialShare * radialRate;
+            const ftDotDot = -radialRate * radialRate / 2;
+
+            const dh = target.radius * target.tangentialVelocity - r * vt;
+            const meanRadius = (r + target.radius) / 2;
+            const dv = (dh / meanRadius + ve * T * (ftDot + ftDotDot * tau) + ftDotDot * ve * T * T / 2) /
+                (ft + ftDot * tau + ftDotDot * tau * tau);
+
+            // Far off the linear tangent path (steering saturated) the estimate breaks down; steering waits
+            // for a fresh solution
+            if (!(dv > 0) || Math.abs(radialShare) > 1 || Math.abs(radialShareAtCutoff) > 1) {
+                this.converged = false;
+                break;
+            }
+
+            // Short of performance the burn simply runs until the tanks are dry
+            const next = Math.min(tau * (1 - Math.exp(-dv / ve)), maxBurn);
+            const change = Math.abs(next - T);
+            T = next;
+
+            if (change < CONVERGENCE * Math.max(T, 1)) {
+                this.converged = true;
+                break;
+            }
+        }
+
+        this.solvedAt = state.time;
+        this.solvedTimeToGo = T;
+    }
+
+    // Over the last seconds the clock comes from the speed still to gain for the target orbit's energy (so
+    // its apogee) at the radius the vehicle is at, over the acceleration along the velocity; that stays right
+    // when the engines are throttled back against the acceleration limit
+    trimCutoff(state, radialShare) {
+        const { radius: r, radialVelocity: vr, tangentialVelocity: vt } = state;
+        const semiMajorAxis = this.bodyRadius + (this.target.apogee + this.target.perigee) / 2;
+        const speed = Math.hypot(vr, vt);
+        const speedToGain = Math.sqrt(this.mu * (2 / r - 1 / semiMajorAxis)) - speed;
+        // Thrust is radialShare up from the local horizontal, the velocity its flight path angle
+        const alongVelocity = (radialShare * vr + Math.sqrt(1 - radialShare * radialShare) * vt) / speed;
+
+        this.A += this.B * (state.time - this.solvedAt); // keep the frozen steering line in place
+        this.solvedAt = state.time;
+        this.solvedTimeToGo = Math.max(0, speedToGain / (state.acceleration * alongVelocity));
+    }
+
+    // Gravity less centrifugal acceleration, as a share of the thrust acceleration
+    gravityTerm(radius, tangentialVelocity, acceleration) {
+        return (this.mu / (radius * radius) - tangentialVelocity * tangentialVelocity / radius) / acceleration;
+    }
+}
+
+module.exports = {
+    PoweredExplicitGuidance,
+    insertionConditions,
+    validateTarget,
+    GUIDANCE_MODES,
+    DEFAULT_TARGET,
+    MAX_TARGET_APOGEE
+};
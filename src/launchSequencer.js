@@ -0,0 +1,58 @@
+// Launch Sequencer
+// The ground launch sequencer: through the terminal count it watches weather, range and vehicle redlines,
+// and a violation stops the count (or, once the engines are lit, shuts them down)
+
+const CHAMBER_PRESSURE_BAND = { min: 243, max: 297 }; // bar, nominal 270 ± 10% at full thrust
+
+// Each redline reads the simulators and describes the violation, or returns null while it holds
+const REDLINES = [
+    {
+        parameter: 'weather',
+        check: ({ weather }) => (weather.isGoForLaunch() ? null :
+            { value: `NO-GO: ${weather.getConstraints().issues.join(', ')}`, limit: 'GO' })
+    },
+    {
+        parameter: 'range',
+        check: ({ range }) => {
+            if (range.isRangeClear()) {
+                return null;
+            }
+            const status = range.getStatus();
+            return { value: `${status.rangeStatus}: ${status.violations.join(', ') || 'not GO'}`, limit: 'GREEN' };
+        }
+    },
+    {
+        // Engines at full thrust on the pad, from the moment all reach nominal until liftoff
+        parameter: 'chamberPressure',
+        check: ({ rocket, telemetry }) => {
+            const state = rocket.getState();
+            const pressure = telemetry.chamberPressure;
+            if (state.phase !== 'IGNITION' || state.engineStatus !== 'RUNNING' ||
+                (pressure >= CHAMBER_PRESSURE_BAND.min && pressure <= CHAMBER_PRESSURE_BAND.max)) {
+                return null;
+            }
+            return {
+                value: `${pressure.toFixed(0)} bar`,
+                limit: `${CHAMBER_PRESSURE_BAND.min}-${CHAMBER_PRESSURE_BAND.max} bar`
+            };
+        }
+    }
+];
+
+// The first violated redline as { parameter, value, limit }, or null when all are clear; simulators are
+// { weather, range, rocket, telemetry }, the telemetry as the ground reads it
+function checkRedlines(simulators) {
+    for (const redline of REDLINES) {
+        const violation = redline.check(simulators);
+        if (violation) {
+            return { parameter: redline.parameter, value: violation.value, limit: violation.limit };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    CHAMBER_PRESSURE_BAND,
+    REDLINES,
+    checkRedlines
+};
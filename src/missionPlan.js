@@ -0,0 +1,264 @@
+// Mission Plan
+// Where a mission launches from, the orbit it flies to, what it carries and when it may lift off,
+// with the launch azimuth worked out from the site's latitude and the target inclination
+
+const { validateTarget, insertionConditions, DEFAULT_TARGET } = require('./guidance');
+const { idealDeltaV } = require('./vehicleLibrary');
+const { toRadians, toDegrees, gmst, EARTH_ROTATION_RATE } = require('./orbitalMechanics');
+
+// Launch sites: pad position (degrees) and the flight corridor the range allows, clockwise from `from` to `to`
+// (degrees from north)
+const LAUNCH_SITES = [
+    { id: 'cape-canaveral', name: 'Cape Canaveral', lat: 28.5729, lon: -80.6490, corridor: { from: 35, to: 120 } },
+    { id: 'vandenberg', name: 'Vandenberg', lat: 34.7420, lon: -120.5724, corridor: { from: 147, to: 210 } },
+    { id: 'kourou', name: 'Guiana Space Centre', lat: 5.2390, lon: -52.7680, corridor: { from: 349, to: 93 } },
+    { id: 'baikonur', name: 'Baikonur', lat: 45.9650, lon: 63.3050, corridor: { from: 30, to: 65 } },
+    { id: 'mahia', name: 'Mahia Peninsula', lat: -39.2615, lon: 177.8649, corridor: { from: 40, to: 195 } }
+];
+const DEFAULT_SITE_ID = 'cape-canaveral';
+
+// An insertion within these of the target meets the plan
+const ALTITUDE_TOLERANCE = 10; // km, apogee and perigee
+const INCLINATION_TOLERANCE = 0.5; // degrees, inclination and (for a target plane) raan
+
+// Ascent losses (gravity, drag, steering) the bundled vehicles fly to orbit with, over the speed they gain on
+// the pad's own as the Earth turns
+const ASCENT_LOSSES = 2550; // m/s
+const EARTH_RADIUS = 6371000; // m
+const EARTH_MU = 9.81 * EARTH_RADIUS * EARTH_RADIUS; // m^3/s^2, as the rocket simulator has it
+
+function getLaunchSite(id) {
+    return LAUNCH_SITES.find(site => site.id === id) || null;
+}
+
+// Plan for a mission nobody has planned: the default site and target, the vehicle's own payload,
+// and lift off whenever the countdown ends
+function defaultPlan() {
+    return resolvePlan({});
+}
+
+// Merge plan fields over a base plan and check the result; throws an Error listing every problem
+// (also in error.errors). Fields:
+//   site - id in the launch site catalog
+//   target - { apogee, perigee (km altitude), inclination, raan? (degrees) }
+//   payload - kg, or null for the vehicle's own payload
+//   window - { opens, closes? } (dates; no closes for an instantaneous window), or null for none
+//            With a target raan the window opens when the site passes through the target plane instead,
+//            and only { length? } (s, 0 for an instantaneous window) is read.
+// The result adds launchAzimuth (degrees from north), and gives window dates as ISO strings.
+// With `now`, a window that has already closed is rejected, and a plane window is the next one to close
+// after it (otherwise after the current time).
+function resolvePlan(input, base = null, now = null) {
+    const errors = [];
+    const check = (condition, message) => {
+        if (!condition) errors.push(message);
+        return condition;
+    };
+
+    if (!check(input && typeof input === 'object' && !Array.isArray(input), 'plan must be an object')) {
+        throw validationError(errors);
+    }
+
+    const pick = (field, fallback) => (input[field] !== undefined ? input[field] : (base ? base[field] : fallback));
+    const plan = {
+        site: pick('site', DEFAULT_SITE_ID),
+        target: pick('target', DEFAULT_TARGET),
+        payload: pick('payload', null),
+        window: pick('window', null)
+    };
+
+    const site = getLaunchSite(plan.site);
+    check(site !== null, `unknown launch site "${plan.site}"`);
+
+    let targetValid = true;
+    try {
+        validateTarget(plan.target);
+    } catch (error) {
+        targetValid = check(false, error.message.replace(/^Target/, 'target'));
+    }
+
+    check(plan.payload === null || (typeof plan.payload === 'number' && Number.isFinite(plan.payload) &&
+        plan.payload >= 0), 'payload must be a mass in kg (>= 0), or null for the vehicle\'s own');
+
+    const inPlane = Boolean(plan.target) && plan.target.raan !== undefined && plan.target.raan !== null;
+    let window = null;
+    if (inPlane) {
+        window = { length: checkWindowLength(plan.window, check) };
+    } else if (plan.window !== null) {
+        window = checkWindow(plan.window, now, check);
+    }
+
+    let azimuth = null;
+    if (site && targetValid) {
+        azimuth = corridorAzimuth(site, plan.target.inclination);
+        check(azimuth !== null, `no launch azimuth from ${site.name} (latitude ${site.lat.toFixed(1)}°) inside its ` +
+            `${site.corridor.from}-${site.corridor.to}° corridor reaches ${plan.target.inclination}° inclination`);
+    }
+
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+
+    const resolved = {
+        site: plan.site,
+        target: {
+            apogee: plan.target.apogee,
+            perigee: plan.target.perigee,
+            inclination: plan.target.inclination,
+            raan: inPlane ? plan.target.raan : null
+        },
+        payload: plan.payload,
+        window: window,
+        launchAzimuth: azimuth
+    };
+    return inPlane ? nextPlaneWindow(resolved, now || new Date()) : resolved;
+}
+
+// Window dates as ISO strings, with closes equal to opens for an instantaneous window
+function checkWindow(window, now, check) {
+    if (!check(window && typeof window === 'object', 'window must be { opens, closes? } or null')) {
+        return null;
+    }
+    const opens = new Date(window.opens);
+    const closes = window.closes === undefined || window.closes === null ? opens : new Date(window.closes);
+    if (!check(window.opens !== undefined && !isNaN(opens.getTime()), 'window.opens must be a date') ||
+        !check(!isNaN(closes.getTime()), 'window.closes must be a date')) {
+        return null;
+    }
+    check(closes >= opens, 'window.closes must not be before window.opens');
+    check(!now || closes >= now, `window closed at ${closes.toISOString()}`);
+    return { opens: opens.toISOString(), closes: closes.toISOString() };
+}
+
+// Seconds a plane window stays open after the site reaches the plane
+function checkWindowLength(window, check) {
+    const length = window && window.length !== undefined ? window.length : 0;
+    check(window === null || (typeof window === 'object' && typeof length === 'number' && Number.isFinite(length) &&
+        length >= 0), 'window for a target plane must be { length } (s, >= 0) or null for an instantaneous one');
+    return length;
+}
+
+// A plan targeting a plane (target.raan), with its window moved to the first plane crossing whose window
+// is still open at `after`
+function nextPlaneWindow(plan, after) {
+    const site = getLaunchSite(plan.site);
+    const length = plan.window ? plan.window.length : 0;
+    const opens = planeCrossing(site, plan.target, plan.launchAzimuth, new Date(after.getTime() - length * 1000));
+    return Object.assign({}, plan, {
+        window: {
+            opens: opens.toISOString(),
+            closes: new Date(opens.getTime() + length * 1000).toISOString(),
+            length: length
+        }
+    });
+}
+
+// First time from `after` that the Earth's rotation carries the launch site into the target orbit plane,
+// on the pass the launch azimuth flies: northbound launches join the orbit on its way up from the
+// ascending node, southbound ones on its way down. Lifting off then puts the node at target.raan.
+function planeCrossing(site, target, azimuth, after) {
+    const inclination = toRadians(target.inclination);
+    const latitudeShare = Math.max(-1, Math.min(1, Math.sin(toRadians(site.lat)) / Math.sin(inclination)));
+    const ascending = Math.asin(latitudeShare); // argument of latitude where the orbit crosses the site's latitude
+    const argumentOfLatitude = Math.cos(toRadians(azimuth)) >= 0 ? ascending : Math.PI - ascending;
+
+    // Right ascension of that point of the orbit, and of the site now
+    const planeAngle = toRadians(target.raan) +
+        Math.atan2(Math.cos(inclination) * Math.sin(argumentOfLatitude), Math.cos(argumentOfLatitude));
+    const siteAngle = toRadians(site.lon) + gmst(after);
+
+    const wait = toRadians(normalizeAzimuth(toDegrees(planeAngle - siteAngle))) / EARTH_ROTATION_RATE;
+    return new Date(after.getTime() + Math.round(wait * 1000));
+}
+
+// Launch azimuth (degrees from north) into an inclination, on the non-rotating Earth; null when the
+// inclination can't be reached from the latitude
+// Either the northbound or the southbound solution flies the same inclination
+function launchAzimuths(latitude, inclination) {
+    const ratio = Math.cos(toRadians(inclination)) / Math.cos(toRadians(latitude));
+    if (Math.abs(ratio) > 1) {
+        return [];
+    }
+    const northbound = toDegrees(Math.asin(ratio));
+    return [normalizeAzimuth(northbound), normalizeAzimuth(180 - northbound)];
+}
+
+// The first azimuth into an inclination that the site's range corridor allows, or null
+function corridorAzimuth(site, inclination) {
+    const allowed = launchAzimuths(site.lat, inclination).filter(azimuth => inCorridor(azimuth, site.corridor));
+    return allowed.length > 0 ? allowed[0] : null;
+}
+
+function inCorridor(azimuth, corridor) {
+    return normalizeAzimuth(azimuth - corridor.from) <= normalizeAzimuth(corridor.to - corridor.from);
+}
+
+function normalizeAzimuth(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+// Ways an orbit (apogee, perigee in km; inclination, raan in degrees) misses the plan's target;
+// empty when the insertion meets it
+function insertionMisses(plan, orbit) {
+    const misses = [];
+    const target = plan.target;
+    if (orbit.apogee === null || Math.abs(orbit.apogee - target.apogee) > ALTITUDE_TOLERANCE) {
+        misses.push(`apogee ${orbit.apogee === null ? 'unbound' : `${orbit.apogee.toFixed(1)} km`} ` +
+            `(target ${target.apogee} ± ${ALTITUDE_TOLERANCE} km)`);
+    }
+    if (Math.abs(orbit.perigee - target.perigee) > ALTITUDE_TOLERANCE) {
+        misses.push(`perigee ${orbit.perigee.toFixed(1)} km (target ${target.perigee} ± ${ALTITUDE_TOLERANCE} km)`);
+    }
+    if (Math.abs(orbit.inclination - target.inclination) > INCLINATION_TOLERANCE) {
+        misses.push(`inclination ${orbit.inclination.toFixed(2)}° ` +
+            `(target ${target.inclination} ± ${INCLINATION_TOLERANCE}°)`);
+    }
+    if (target.raan !== null && Math.abs(raanError(orbit.raan, target.raan)) > INCLINATION_TOLERANCE) {
+        misses.push(`raan ${orbit.raan.toFixed(2)}° (target ${target.raan} ± ${INCLINATION_TOLERANCE}°)`);
+    }
+    return misses;
+}
+
+// Warning when a vehicle (definition) looks short of performance for the plan's target: its ideal delta-v
+// with the plan's payload under the velocity to gain plus ascent losses; null when it has the margin. The
+// velocity to gain is the perigee velocity along the launch azimuth less the pad's eastward speed, so an
+// eastward launch is helped by the Earth's rotation and a retrograde one pays for it.
+function performanceWarning(plan, vehicle) {
+    const payload = plan.payload !== null ? plan.payload : vehicle.payload;
+    const available = idealDeltaV(vehicle, payload);
+    const target = { apogee: plan.target.apogee * 1000, perigee: plan.target.perigee * 1000 };
+    const speed = insertionConditions(target, EARTH_MU, EARTH_RADIUS).tangentialVelocity;
+    const padSpeed = EARTH_ROTATION_RATE * EARTH_RADIUS * Math.cos(toRadians(getLaunchSite(plan.site).lat));
+    const azimuth = toRadians(plan.launchAzimuth);
+    const needed = Math.hypot(speed * Math.sin(azimuth) - padSpeed, speed * Math.cos(azimuth)) + ASCENT_LOSSES;
+    if (available >= needed) {
+        return null;
+    }
+    return `${vehicle.name} looks short of performance for a ${plan.target.apogee} x ${plan.target.perigee} km ` +
+        `orbit: ${(available / 1000).toFixed(2)} km/s of delta-v with ${payload} kg of payload, about ` +
+        `${(needed / 1000).toFixed(2)} km/s needed`;
+}
+
+// Signed difference between two right ascensions (degrees, -180..180)
+function raanError(raan, target) {
+    return normalizeAzimuth(raan - target + 180) - 180;
+}
+
+function validationError(errors) {
+    const error = new Error(errors.join('; '));
+    error.errors = errors;
+    return error;
+}
+
+module.exports = {
+    LAUNCH_SITES,
+    DEFAULT_SITE_ID,
+    getLaunchSite,
+    defaultPlan,
+    resolvePlan,
+    launchAzimuths,
+    nextPlaneWindow,
+    raanError,
+    insertionMisses,
+    performanceWarning
+};
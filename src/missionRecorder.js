@@ -0,0 +1,207 @@
+// Mission Recorder
+// Persists everything a mission broadcasts as newline-delimited JSON, one file per flight
+// Line 1 is a header; each following line is { t, event, data } with t in simulation seconds
+// What only the Instructor console is sent goes to a file of its own under instructor/, out of reach of the
+// recording anyone may download
+
+const fs = require('fs');
+const path = require('path');
+
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, '..', 'recordings');
+const RECORDING_ID_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const MAX_RECORDING_BYTES = Number(process.env.RECORDING_MAX_BYTES) || 100 * 1024 * 1024; // a recording stops here
+const MAX_RECORDINGS = Number(process.env.RECORDINGS_KEPT) || 50; // oldest recordings are deleted past this
+const DECIMATED_EVENTS = ['telemetry', 'rocketState', 'missionTimer']; // the per-frame stream, see decimate
+const INSTRUCTOR_DIR = 'instructor'; // subdirectory for the instructor-only events of each recording
+
+class MissionRecorder {
+    constructor(missionId, meta = {}, directory = RECORDINGS_DIR) {
+        const startedAt = new Date();
+        const stamp = startedAt.toISOString().replace(/[:.]/g, '-');
+
+        this.id = `${missionId}-${stamp}`;
+        this.file = path.join(directory, `${this.id}.ndjson`);
+        this.instructorFile = path.join(directory, INSTRUCTOR_DIR, `${this.id}.ndjson`);
+        this.instructorStream = null; // opened with the first instructor-only event
+        this.events = 0;
+        this.bytes = 0;
+        this.interval = 0; // s between recorded frames of the per-frame stream, 0 for every frame
+        this.lastFrame = {}; // event -> t it was last recorded
+
+        fs.mkdirSync(directory, { recursive: true });
+        MissionRecorder.prune(directory, MAX_RECORDINGS - 1);
+        this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+        this.stream.on('error', (error) => {
+            console.error(`Recording ${this.id} failed: ${error.message}`);
+            this.stream = null;
+        });
+
+        this.writeLine({
+            type: 'header',
+            id: this.id,
+            missionId: missionId,
+            startedAt: startedAt,
+            ...meta
+        });
+    }
+
+    writeLine(entry, stream = this.stream) {
+        if (stream) {
+            const line = JSON.stringify(entry) + '\n';
+            this.bytes += Buffer.byteLength(line);
+            stream.write(line);
+        }
+    }
+
+    // Record one broadcast event at simulation time t; past MAX_RECORDING_BYTES the recording ends with a
+    // recordingTruncated event
+    record(t, event, data) {
+        if (!this.stream) {
+            return;
+        }
+        if (this.interval > 0 && DECIMATED_EVENTS.includes(event)) {
+            if (event in this.lastFrame && t - this.lastFrame[event] < this.interval) {
+                return;
+            }
+            this.lastFrame[event] = t;
+        }
+        if (this.bytes >= MAX_RECORDING_BYTES) {
+            this.writeLine({ t: t, event: 'recordingTruncated', data: { bytes: this.bytes } });
+            console.warn(`Recording ${this.id} reached ${MAX_RECORDING_BYTES} bytes and was stopped`);
+            this.close();
+            return;
+        }
+        this.events++;
+        this.writeLine({ t: t, event: event, data: data });
+    }
+
+    // Record an event sent to the Instructor console only, in the instructor-only file; it counts towards
+    // MAX_RECORDING_BYTES and ends with the recording
+    recordInstructor(t, event, data) {
+        if (!this.stream) {
+            return;
+        }
+        if (!this.instructorStream) {
+            fs.mkdirSync(path.dirname(this.instructorFile), { recursive: true });
+            this.instructorStream = fs.createWriteStream(this.instructorFile, { flags: 'a' });
+            this.instructorStream.on('error', (error) => {
+                console.error(`Recording ${this.id} (instructor) failed: ${error.message}`);
+                this.instructorStream = null;
+            });
+        }
+        this.events++;
+        this.writeLine({ t: t, event: event, data: data }, this.instructorStream);
+    }
+
+    // Keep only one frame of the per-frame stream (telemetry, rocketState, missionTimer) every interval seconds,
+    // for the long tail after a flight is decided
+    decimate(interval) {
+        this.interval = interval;
+    }
+
+    close() {
+        if (this.stream) {
+            this.stream.end();
+            this.stream = null;
+        }
+        if (this.instructorStream) {
+            this.instructorStream.end();
+            this.instructorStream = null;
+        }
+    }
+
+    // List recordings on disk, newest first
+    static list(directory = RECORDINGS_DIR) {
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+
+        return fs.readdirSync(directory)
+            .filter(file => file.endsWith('.ndjson'))
+            .map(file => {
+                const fullPath = path.join(directory, file);
+                const header = readHeader(fullPath);
+                return {
+                    id: path.basename(file, '.ndjson'),
+                    missionId: header.missionId || null,
+                    name: header.name || null,
+                    seed: header.seed !== undefined ? header.seed : null,
+                    startedAt: header.startedAt || null,
+                    size: fs.statSync(fullPath).size
+                };
+            })
+            .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+    }
+
+    // Delete the oldest recordings until at most keep are left
+    static prune(directory = RECORDINGS_DIR, keep = MAX_RECORDINGS) {
+        MissionRecorder.list(directory).slice(Math.max(0, keep)).forEach(recording => {
+            try {
+                fs.unlinkSync(path.join(directory, `${recording.id}.ndjson`));
+                fs.rmSync(path.join(directory, INSTRUCTOR_DIR, `${recording.id}.ndjson`), { force: true });
+            } catch (error) {
+                console.error(`Could not delete recording ${recording.id}: ${error.message}`);
+            }
+        });
+    }
+
+    // Path to a recording file, or null if the id is invalid or unknown
+    static resolve(id, directory = RECORDINGS_DIR) {
+        if (!RECORDING_ID_PATTERN.test(id)) {
+            return null;
+        }
+        const file = path.join(directory, `${id}.ndjson`);
+        return fs.existsSync(file) ? file : null;
+    }
+
+    // Path to a recording's instructor-only events, or null if the recording has none or is unknown
+    static resolveInstructor(id, directory = RECORDINGS_DIR) {
+        if (!MissionRecorder.resolve(id, directory)) {
+            return null;
+        }
+        const file = path.join(directory, INSTRUCTOR_DIR, `${id}.ndjson`);
+        return fs.existsSync(file) ? file : null;
+    }
+
+    // Load a recording: { header, events }
+    static load(id, directory = RECORDINGS_DIR) {
+        const file = MissionRecorder.resolve(id, directory);
+        if (!file) {
+            return null;
+        }
+
+        const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+        const entries = [];
+        lines.forEach(line => {
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // A crash mid-write can leave a truncated last line
+            }
+        });
+
+        const header = entries.length > 0 && entries[0].type === 'header' ? entries.shift() : {};
+        return { header: header, events: entries };
+    }
+}
+
+// Read only the first line of a recording
+function readHeader(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const buffer = Buffer.alloc(4096);
+        const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        const firstLine = buffer.toString('utf8', 0, bytes).split('\n')[0];
+        return JSON.parse(firstLine);
+    } catch (error) {
+        return {};
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+MissionRecorder.RECORDINGS_DIR = RECORDINGS_DIR;
+MissionRecorder.MAX_RECORDING_BYTES = MAX_RECORDING_BYTES;
+MissionRecorder.MAX_RECORDINGS = MAX_RECORDINGS;
+
+module.exports = MissionRecorder;
@@ -0,0 +1,109 @@
+// Mission Registry
+// Keeps track of every mission session running on this server
+
+const MissionSession = require('./missionSession');
+const VehicleLibrary = require('./vehicleLibrary');
+const CountdownLibrary = require('./countdownLibrary');
+const ScenarioLibrary = require('./scenarioLibrary');
+const { GUIDANCE_MODES } = require('./guidance');
+const { resolvePlan } = require('./missionPlan');
+
+const DEFAULT_MISSION_ID = 'default';
+
+// A mission id names the mission in URLs and recordings: a string of letters, digits, "-" and "_"
+function isMissionId(id) {
+    return typeof id === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(id);
+}
+
+class MissionRegistry {
+    constructor(io, vehicles = new VehicleLibrary(), countdowns = new CountdownLibrary(),
+        scenarios = new ScenarioLibrary()) {
+        this.io = io;
+        this.vehicles = vehicles;
+        this.countdowns = countdowns;
+        this.scenarios = scenarios;
+        this.missions = new Map();
+        this.nextId = 1;
+
+        // Always keep one mission around for clients that don't pick one
+        this.create({ id: DEFAULT_MISSION_ID, name: 'ISS-RESUPPLY-47' });
+    }
+
+    // Create a new mission session
+    create(options = {}) {
+        let id = options.id;
+        if (!id) {
+            do {
+                id = `mission-${this.nextId++}`;
+            } while (this.missions.has(id));
+        }
+
+        if (!isMissionId(id)) {
+            throw new Error('Mission id may only contain letters, digits, "-" and "_"');
+        }
+        if (this.missions.has(id)) {
+            throw new Error(`Mission ${id} already exists`);
+        }
+        if (options.vehicle && !this.vehicles.has(options.vehicle)) {
+            throw new Error(`Unknown vehicle: ${options.vehicle}`);
+        }
+        if (options.guidance && !GUIDANCE_MODES.includes(options.guidance)) {
+            throw new Error(`Unknown guidance mode: ${options.guidance}`);
+        }
+
+        const plan = options.plan ? resolvePlan(options.plan) : undefined;
+
+        const session = new MissionSession(id, this.io, {
+            name: options.name,
+            seed: options.seed,
+            vehicle: options.vehicle,
+            guidance: options.guidance,
+            plan: plan,
+            vehicles: this.vehicles,
+            countdowns: this.countdowns,
+            scenarios: this.scenarios
+        });
+        this.missions.set(id, session);
+        console.log(`Mission created: ${id}`);
+        return session;
+    }
+
+    get(id) {
+        return this.missions.get(id) || null;
+    }
+
+    getDefault() {
+        return this.missions.get(DEFAULT_MISSION_ID);
+    }
+
+    list() {
+        return Array.from(this.missions.values()).map(session => session.getSummary());
+    }
+
+    // Remove a mission and stop its timers (the default mission stays)
+    remove(id) {
+        if (id === DEFAULT_MISSION_ID) {
+            return false;
+        }
+
+        const session = this.missions.get(id);
+        if (!session) {
+            return false;
+        }
+
+        session.dispose();
+        this.missions.delete(id);
+        console.log(`Mission removed: ${id}`);
+        return true;
+    }
+
+    // Stop every mission's timers (used on shutdown)
+    disposeAll() {
+        this.missions.forEach(session => session.dispose());
+    }
+}
+
+MissionRegistry.DEFAULT_MISSION_ID = DEFAULT_MISSION_ID;
+MissionRegistry.isMissionId = isMissionId;
+
+module.exports = MissionRegistry;
@@ -0,0 +1,1853 @@
+// Mission Session
+// One independent launch: mission state, simulators, timers and Socket.io room
+
+const RocketSimulator = require('./rocketSimulator');
+const WeatherMonitor = require('./weatherMonitor');
+const RangeControl = require('./rangeControl');
+const SimulationClock = require('./simulationClock');
+const MissionRecorder = require('./missionRecorder');
+const VehicleLibrary = require('./vehicleLibrary');
+const CountdownLibrary = require('./countdownLibrary');
+const FaultInjector = require('./faultInjector');
+const ScenarioLibrary = require('./scenarioLibrary');
+const TraineeScorer = require('./traineeScorer');
+const { buildDebrief } = require('./debriefReport');
+const { deriveSeed, hashSeed } = require('./random');
+const { GUIDANCE_MODES } = require('./guidance');
+const {
+    defaultPlan, resolvePlan, getLaunchSite, nextPlaneWindow, insertionMisses, performanceWarning
+} = require('./missionPlan');
+const { STATIONS, FLIGHT_DIRECTOR, INSTRUCTOR } = require('./stations');
+const { checkRedlines } = require('./launchSequencer');
+
+const WINDOW_GRACE = 1; // s a T-0 may fall after the window closes, the countdown counting whole seconds
+const MAX_HISTORY_SAMPLES = 20000; // telemetry samples kept for export (~33 min at 10Hz, then the oldest go)
+const HISTORY_TRIM = 2000; // samples dropped at once when the history is full
+const POST_FLIGHT_HISTORY_INTERVAL = 10; // s between history samples once the flight is decided
+const POST_FLIGHT_RECORD_INTERVAL = 10; // s between recorded telemetry frames once the flight is decided
+const SEEDED_EPOCH = Date.UTC(2025, 0, 1); // seeded runs without a fixed window start within a year of this
+const SEEDED_SPREAD = 365 * 86400; // s
+
+class MissionSession {
+    constructor(id, io, options = {}) {
+        this.id = id;
+        this.name = options.name || id;
+        this.io = io;
+        this.room = `mission:${id}`;
+        this.createdAt = new Date();
+        this.vehicles = options.vehicles || new VehicleLibrary();
+        this.countdowns = options.countdowns || new CountdownLibrary();
+        this.scenarios = options.scenarios || new ScenarioLibrary();
+
+        // Mission state
+        this.mission = {
+            id: id,
+            name: this.name,
+            seed: options.seed !== undefined ? options.seed : null, // null = non-deterministic
+            vehicle: options.vehicle || VehicleLibrary.DEFAULT_VEHICLE_ID, // id in the vehicle library
+            guidance: options.guidance || 'PEG', // src/guidance.js GUIDANCE_MODES
+            plan: options.plan || defaultPlan(), // launch site, target orbit, payload and window (src/missionPlan.js)
+            status: 'IDLE', // IDLE, PRE_LAUNCH, COUNTDOWN, LAUNCH, ASCENT, STAGE_SEP, ORBIT, SUBORBITAL, IMPACT, ABORT, PAD_ABORT
+            launchTime: null,
+            timeline: null, // the vehicle's countdown timeline (src/countdownLibrary.js)
+            countdownTime: 0,
+            holds: [],
+            builtInHold: null, // { t, station, message, duration, since } while the count sits in a built-in hold
+            sequencerHold: null, // { parameter, value, limit, time, since } after a launch sequencer hold
+            padAbort: null, // { reason, time, status, since } while the vehicle sits safed after an RSLS abort
+            insertion: null, // { apogee, perigee, inclination, onTarget } once in orbit
+            goNoGoPoll: {
+                stations: Object.fromEntries(STATIONS.map(station => [station, null])),
+                isPolling: false,
+                pollComplete: false
+            }
+        };
+
+        this.loadTimeline();
+
+        // Simulation time for everything in this mission: countdown, physics, weather, range
+        this.clock = new SimulationClock();
+        this.clock.onFrame(() => this.broadcastFrame());
+
+        // The instructor's faults, injected into the simulators as their triggers come round
+        this.faults = new FaultInjector(this.clock);
+        this.faultTimer = null;
+        this.telemetryLost = false; // the ground is in a telemetry dropout
+        this.scenario = null; // training scenario of the current run (src/scenarioLibrary.js)
+
+        // Scoring of the current run for its debrief, and the debrief of the last run once it is reset
+        this.scorer = new TraineeScorer();
+        this.lastDebrief = null;
+
+        // Simulators owned by this mission
+        this.rocket = null;
+        this.weather = null;
+        this.range = null;
+        this.createSimulators();
+
+        // Clients in this mission's room, and the handover requests waiting on a station's owner
+        this.clients = {};
+        this.handovers = {}; // station -> { station, from (owner's client id), to (requester's), requestedAt }
+
+        // Simulation clock timers
+        this.telemetryTimer = null;
+        this.countdownTimer = null;
+        this.pollTimer = null;
+        this.windowTimer = null;
+        this.timelineIndex = 0; // next timeline event to run
+        this.launchClockTime = null; // clock time at liftoff
+        this.holdingDown = false; // T-0 passed, clamps closed until every engine is at nominal
+        this.flightOver = false; // the flight has ended in orbit, landed or lost (telemetry may run on)
+        this.pendingAnomalies = {}; // latest anomaly per parameter since the last frame
+
+        // Recording of the current flight (from launch initiation until reset)
+        this.recorder = null;
+
+        // Telemetry time series since liftoff, one sample per simulation step until the flight is decided and
+        // one every historyInterval seconds after
+        this.telemetryHistory = [];
+        this.historyInterval = 0;
+
+        this.clock.start();
+    }
+
+    // (Re)create the simulators, each with its own stream derived from the mission seed
+    createSimulators() {
+        const seed = this.mission.seed;
+
+        if (this.weather) this.weather.cleanup();
+        if (this.range) this.range.cleanup();
+
+        this.weather = new WeatherMonitor({ seed: deriveSeed(seed, 'weather'), clock: this.clock });
+        this.range = new RangeControl({
+            seed: deriveSeed(seed, 'range'),
+            clock: this.clock,
+            site: getLaunchSite(this.mission.plan.site),
+            azimuth: this.mission.plan.launchAzimuth
+        });
+        this.rocket = this.createRocket();
+    }
+
+    // The vehicle flies the mission plan from its launch site, through this mission's weather
+    createRocket() {
+        const plan = this.mission.plan;
+        const site = getLaunchSite(plan.site);
+        return new RocketSimulator({
+            vehicle: this.vehicles.get(this.mission.vehicle),
+            seed: deriveSeed(this.mission.seed, 'rocket'),
+            launchSite: { lat: site.lat, lon: site.lon },
+            launchAzimuth: plan.launchAzimuth,
+            weather: this.weather,
+            launchEpoch: this.clock.now(),
+            guidance: this.mission.guidance,
+            target: plan.target,
+            payload: plan.payload
+        });
+    }
+
+    // Broadcast to everyone in this mission's room, and to the recording if one is running
+    emit(event, data) {
+        this.io.to(this.room).emit(event, data);
+        if (this.recorder) {
+            this.recorder.record(this.clock.time, event, data);
+        }
+    }
+
+    // Start a new recording, seeded with a snapshot of the current state
+    startRecording() {
+        this.stopRecording();
+        this.recorder = new MissionRecorder(this.id, {
+            name: this.name,
+            seed: this.mission.seed,
+            vehicle: this.rocket.specs.name
+        });
+
+        const t = this.clock.time;
+        this.recorder.record(t, 'missionState', this.mission);
+        this.recorder.record(t, 'rocketState', this.rocket.getState());
+        this.recorder.record(t, 'telemetry', this.rocket.getTelemetry());
+        this.recorder.record(t, 'weatherData', this.weather.getCurrentConditions());
+        this.recorder.record(t, 'rangeStatus', this.range.getStatus());
+        this.recorder.record(t, 'countdownUpdate', this.mission.countdownTime);
+    }
+
+    stopRecording() {
+        if (this.recorder) {
+            this.recorder.close();
+            this.recorder = null;
+        }
+    }
+
+    log(level, message) {
+        this.emit('eventLog', {
+            timestamp: new Date(),
+            level: level,
+            message: message
+        });
+    }
+
+    // Join a client socket to this mission and send the initial state
+    addClient(socket) {
+        socket.join(this.room);
+        const user = socket.data && socket.data.user ? socket.data.user : null;
+        this.clients[socket.id] = {
+            id: socket.id,
+            user: user ? user.username : null, // login, when logins are on
+            name: user ? user.name : null,
+            station: null, // the station this client owns and commands
+            relief: null, // the station this client shadows read-only
+            since: null, // when it took its station or relief
+            connectedAt: new Date()
+        };
+
+        socket.emit('missionState', this.mission);
+        socket.emit('rocketState', this.rocket.getState());
+        socket.emit('telemetry', this.sensedTelemetry());
+        socket.emit('weatherData', this.weather.getCurrentConditions());
+        socket.emit('rangeStatus', this.range.getStatus());
+        socket.emit('stationsUpdate', this.getStationAssignments());
+        socket.emit('clockState', this.clock.getState());
+    }
+
+    // A client leaves (reason: 'disconnected', or where it went): its station is released for anyone to take
+    removeClient(socket, reason = 'disconnected') {
+        const client = this.clients[socket.id];
+        socket.leave(this.room);
+        if (!client) return;
+
+        this.vacate(client, reason);
+        delete this.clients[socket.id];
+        this.emit('stationsUpdate', this.getStationAssignments());
+    }
+
+    getClientCount() {
+        return Object.keys(this.clients).length;
+    }
+
+    // Station assignment: a station has one owner at a time. A staffed station changes hands by handover
+    // (requestHandover / answerHandover); throws when it is staffed by another client.
+    assignStation(socket, station) {
+        const client = this.clients[socket.id];
+        if (!client) return;
+        if (client.station === station) {
+            socket.emit('stationAssigned', station);
+            return;
+        }
+        const owner = this.stationOwner(station);
+        if (owner) {
+            throw new Error(`${station} is staffed by ${describeClient(owner)}: request a handover, or relieve it ` +
+                'to shadow it read-only');
+        }
+
+        this.vacate(client, `moved to ${station}`);
+        this.seat(client, station);
+        this.log('info', `${station} taken by ${describeClient(client)}`);
+        this.emit('stationsUpdate', this.getStationAssignments());
+    }
+
+    // Give up the station (or relief) a client holds
+    releaseStation(socket) {
+        const client = this.clients[socket.id];
+        if (!client || (!client.station && !client.relief)) return;
+
+        this.vacate(client, 'released it');
+        socket.emit('stationAssigned', null);
+        this.emit('stationsUpdate', this.getStationAssignments());
+    }
+
+    // Ask the owner of a station to hand it over; one request per station at a time
+    requestHandover(socket, station) {
+        const client = this.clients[socket.id];
+        if (!client) return;
+        const owner = this.stationOwner(station);
+        if (!owner) {
+            throw new Error(`${station} isn't staffed: take it`);
+        }
+        if (owner === client) {
+            throw new Error(`You already have ${station}`);
+        }
+        const pending = this.handovers[station];
+        if (pending && pending.to !== client.id) {
+            throw new Error(`${describeClient(this.clients[pending.to])} has already asked for ${station}`);
+        }
+
+        this.cancelHandovers(client.id, 'to');
+        this.handovers[station] = { station: station, from: owner.id, to: client.id, requestedAt: new Date() };
+        this.log('info', `${describeClient(client)} requests handover of ${station} from ${describeClient(owner)}`);
+        this.emit('stationsUpdate', this.getStationAssignments());
+    }
+
+    // The owner of a station accepts or declines the handover requested of it; on accepting, the requester takes
+    // the station and the owner is left without one
+    answerHandover(socket, station, accept) {
+        const client = this.clients[socket.id];
+        if (!client) return;
+        const request = this.handovers[station];
+        if (client.station !== station || !request) {
+            throw new Error(`No handover of ${station} is waiting for you`);
+        }
+        delete this.handovers[station];
+        const requester = this.clients[request.to];
+
+        if (!accept) {
+            this.log('info', `${describeClient(client)} declined handover of ${station} to ${describeClient(requester)}`);
+        } else {
+            this.cancelHandovers(client.id, 'to');
+            client.station = null;
+            client.since = null;
+            socket.emit('stationAssigned', null);
+            this.vacate(requester, `took over ${station}`);
+            this.seat(requester, station);
+            this.log('success', `${station} handed over from ${describeClient(client)} to ${describeClient(requester)}`);
+        }
+        this.emit('stationsUpdate', this.getStationAssignments());
+    }
+
+    // Withdraw a client's handover request
+    cancelHandover(socket) {
+        const client = this.clients[socket.id];
+        if (!client || this.cancelHandovers(client.id, 'to', 'withdrawn') === 0) return;
+        this.emit('stationsUpdate', this.getStationAssignments());
+    }
+
+    // Shadow a station read-only: the client sees its console but may not command or vote for it
+    relieveStation(socket, station) {
+        const client = this.clients[socket.id];
+        if (!client) return;
+        if (client.station === station) {
+            throw new Error(`You already have ${station}`);
+        }
+
+        this.vacate(client, `relieving ${station}`);
+        client.relief = station;
+        client.since = new Date();
+        socket.emit('reliefAssigned', station);
+        if (station === INSTRUCTOR) {
+            socket.emit('faultLog', this.faults.log);
+        }
+        this.log('info', `${describeClient(client)} relieving ${station} (read-only)`);
+        this.emit('stationsUpdate', this.getStationAssignments());
+    }
+
+    // Seat a client at a free station
+    seat(client, station) {
+        client.station = station;
+        client.since = new Date();
+        console.log(`[${this.id}] Client ${client.id} assigned to ${station}`);
+        this.io.to(client.id).emit('stationAssigned', station);
+        if (station === INSTRUCTOR) {
+            this.io.to(client.id).emit('faultLog', this.faults.log);
+        }
+    }
+
+    // Free whatever a client holds: its station (logged, with why) or relief, and its handover requests
+    vacate(client, reason) {
+        if (client.station) {
+            this.cancelHandovers(client.id, 'from', `${client.station} released`);
+            this.log(reason === 'disconnected' ? 'warning' : 'info',
+                `${client.station} released: ${describeClient(client)} ${reason}`);
+        } else if (client.relief) {
+            this.log('info', `${describeClient(client)} no longer relieving ${client.relief}`);
+        }
+        this.cancelHandovers(client.id, 'to', 'withdrawn');
+        client.station = null;
+        client.relief = null;
+        client.since = null;
+    }
+
+    // Drop the handover requests a client made (side 'to') or was asked (side 'from'); logged with why when given.
+    // Returns how many were dropped.
+    cancelHandovers(clientId, side, why = null) {
+        const requests = Object.values(this.handovers).filter(request => request[side] === clientId);
+        requests.forEach(request => {
+            delete this.handovers[request.station];
+            if (why) {
+                this.log('info', `Handover of ${request.station} to ${describeClient(this.clients[request.to])} ` +
+                    `cancelled: ${why}`);
+            }
+        });
+        return requests.length;
+    }
+
+    // The client owning a station, or null
+    stationOwner(station) {
+        return Object.values(this.clients).find(client => client.station === station) || null;
+    }
+
+    // Who holds each station: { station: { owner, relief: [...], handover } }; owner and relief entries are
+    // { client, user, name, since }, handover is { to, requestedAt } while one is waiting
+    getStationAssignments() {
+        const assignments = {};
+        [...STATIONS, INSTRUCTOR].forEach(station => {
+            const request = this.handovers[station];
+            assignments[station] = {
+                owner: null,
+                relief: [],
+                handover: request ? { to: describeSeat(this.clients[request.to]), requestedAt: request.requestedAt } : null
+            };
+        });
+        Object.values(this.clients).forEach(client => {
+            if (client.station) {
+                assignments[client.station].owner = describeSeat(client);
+            }
+            if (client.relief) {
+                assignments[client.relief].relief.push(describeSeat(client));
+            }
+        });
+        return assignments;
+    }
+
+    // Station a client owns, or null; a relief doesn't count, so it can't give commands
+    getStation(socket) {
+        const client = this.clients[socket.id];
+        return client ? client.station : null;
+    }
+
+    // Send to the clients seated at the Instructor console only, and to the recording's instructor-only events
+    emitToInstructors(event, data) {
+        Object.values(this.clients)
+            .filter(client => client.station === INSTRUCTOR || client.relief === INSTRUCTOR)
+            .forEach(client => this.io.to(client.id).emit(event, data));
+        if (this.recorder) {
+            this.recorder.recordInstructor(this.clock.time, event, data);
+        }
+    }
+
+    // Take up the current vehicle's countdown timeline; the count starts at its earliest event
+    loadTimeline() {
+        this.mission.timeline = this.countdowns.forVehicle(this.mission.vehicle);
+        this.mission.countdownTime = this.mission.timeline.start;
+    }
+
+    // Start the timeline over for a count beginning at the current countdown time
+    restartTimeline() {
+        this.timelineIndex = 0;
+        this.mission.builtInHold = null;
+        this.mission.sequencerHold = null;
+    }
+
+    // Pick the timeline up again after a recycle: events still ahead of the countdown time run again
+    rewindTimeline() {
+        const events = this.mission.timeline.events;
+        const next = events.findIndex(event => -event.t < this.mission.countdownTime);
+        this.timelineIndex = next === -1 ? events.length : next;
+    }
+
+    // Planned length of all the timeline's built-in holds (s)
+    timelineHoldTime(timeline = this.mission.timeline) {
+        return timeline.events.reduce((total, event) => total + (event.hold || 0), 0);
+    }
+
+    // Built-in hold time still ahead of the count, including what is left of one it is sitting in (s)
+    plannedHoldTime() {
+        const ahead = this.mission.timeline.events.slice(this.timelineIndex)
+            .reduce((total, event) => total + (event.hold || 0), 0);
+        return ahead + this.builtInHoldLeft();
+    }
+
+    // Planned time left in the built-in hold the count is sitting in (s), 0 outside one
+    builtInHoldLeft() {
+        const hold = this.mission.builtInHold;
+        if (!hold) {
+            return 0;
+        }
+        const held = (this.clock.now() - new Date(hold.since)) / 1000;
+        return Math.max(0, hold.duration - held);
+    }
+
+    // No flight under way: the vehicle and plan may change
+    isBetweenFlights() {
+        const status = this.mission.status;
+        return status === 'IDLE' || status === 'ABORT' || status === 'ORBIT' || status === 'SUBORBITAL' ||
+            status === 'IMPACT' || status === 'PAD_ABORT';
+    }
+
+    // Change mission plan fields between flights; throws listing every problem with the merged plan
+    updatePlan(input) {
+        if (!this.isBetweenFlights()) {
+            throw new Error(`The plan can't change during a flight (${this.mission.status})`);
+        }
+        this.applyPlan(resolvePlan(input, this.mission.plan, this.clock.now()));
+        this.rocket = this.createRocket();
+        this.emit('missionState', this.mission);
+        this.emit('rangeStatus', this.range.getStatus());
+        this.emit('rocketState', this.rocket.getState());
+        this.emit('telemetry', this.rocket.getTelemetry());
+        this.log('info', `Mission plan updated: ${describePlan(this.mission.plan)}`);
+        this.warnPerformance();
+        return this.mission.plan;
+    }
+
+    // Log a warning when the vehicle looks short of the delta-v for the plan's target orbit
+    warnPerformance() {
+        const warning = performanceWarning(this.mission.plan, this.vehicles.get(this.mission.vehicle));
+        if (warning) {
+            this.log('warning', warning);
+        }
+    }
+
+    // Adopt a resolved plan; the range moves to its pad and corridor
+    applyPlan(plan) {
+        this.mission.plan = plan;
+        this.range.setLaunchSite(getLaunchSite(plan.site), plan.launchAzimuth);
+    }
+
+    // Seconds to count down: the whole timeline, or longer so that T-0 after its built-in holds falls at the
+    // opening of the plan's launch window
+    plannedCountdown() {
+        const start = this.mission.timeline.start;
+        const window = this.mission.plan.window;
+        if (!window) {
+            return start;
+        }
+        const untilOpen = Math.ceil((new Date(window.opens) - this.clock.now()) / 1000) - this.timelineHoldTime();
+        return Math.max(start, untilOpen);
+    }
+
+    // Soonest T-0 for a count starting now: the whole timeline and its built-in holds
+    earliestLaunchTime(timeline = this.mission.timeline) {
+        const seconds = timeline.start + this.timelineHoldTime(timeline);
+        return new Date(this.clock.now().getTime() + seconds * 1000);
+    }
+
+    // Date a seeded run's count starts on: T-0 as a fixed window opens, otherwise a date picked by the seed
+    seededStart(seed, plan, timeline) {
+        if (plan.window && plan.target.raan === null) {
+            const seconds = timeline.start + this.timelineHoldTime(timeline);
+            return new Date(new Date(plan.window.opens).getTime() - seconds * 1000);
+        }
+        return new Date(SEEDED_EPOCH + hashSeed(deriveSeed(seed, 'epoch')) % SEEDED_SPREAD * 1000);
+    }
+
+    // When T-0 comes if the count runs on from now with its built-in holds as planned and no others
+    projectedLaunchTime() {
+        const seconds = this.mission.countdownTime + this.plannedHoldTime();
+        return new Date(this.clock.now().getTime() + seconds * 1000);
+    }
+
+    // Whether lifting off at a time would miss a plan's launch window
+    missesWindow(launchTime, plan = this.mission.plan) {
+        const window = plan.window;
+        return window !== null && launchTime.getTime() > new Date(window.closes).getTime() + WINDOW_GRACE * 1000;
+    }
+
+    // Watch the launch window through the count, holds included. The running count checks it on each of
+    // its seconds; this timer covers the seconds it is held or stopped.
+    startWindowWatch() {
+        this.stopWindowWatch();
+        if (!this.mission.plan.window) return;
+
+        this.windowTimer = this.clock.every(1, () => {
+            if (!this.countdownTimer) this.checkLaunchWindow();
+        });
+        this.emitWindowStatus();
+    }
+
+    // Report the time left in the window, or recycle once T-0 can no longer make it; true after a recycle
+    checkLaunchWindow() {
+        if (!this.windowTimer) return false;
+
+        const status = this.mission.status;
+        if (status !== 'PRE_LAUNCH' && status !== 'COUNTDOWN') {
+            this.stopWindowWatch();
+            return false;
+        }
+        if (this.missesWindow(this.projectedLaunchTime())) {
+            this.recycleCountdown();
+            return true;
+        }
+        this.emitWindowStatus();
+        return false;
+    }
+
+    stopWindowWatch() {
+        if (this.windowTimer) {
+            this.clock.cancel(this.windowTimer);
+            this.windowTimer = null;
+        }
+    }
+
+    // Seconds until the window opens and closes, and how much longer the count can hold before T-0 misses it
+    emitWindowStatus() {
+        const window = this.mission.plan.window;
+        const now = this.clock.now();
+        const closes = new Date(window.closes);
+        this.emit('windowStatus', {
+            opens: window.opens,
+            closes: window.closes,
+            projectedLaunch: this.projectedLaunchTime().toISOString(),
+            opensIn: Math.max(0, Math.ceil((new Date(window.opens) - now) / 1000)),
+            remaining: Math.max(0, Math.floor((closes - now) / 1000)),
+            holdMargin: Math.max(0, Math.floor((closes - this.projectedLaunchTime()) / 1000))
+        });
+    }
+
+    // T-0 can no longer make the window. A plane window comes round again as the Earth turns, so the count
+    // recycles to the next one, with a fresh vehicle and poll; a fixed window was the only one, so the
+    // launch is scrubbed until the mission is replanned
+    recycleCountdown() {
+        const mission = this.mission;
+        const missed = mission.plan.window;
+        this.stopCountdown();
+        if (this.pollTimer) {
+            this.clock.cancel(this.pollTimer);
+            this.pollTimer = null;
+        }
+        Object.keys(mission.goNoGoPoll.stations).forEach(station => {
+            mission.goNoGoPoll.stations[station] = null;
+        });
+        mission.goNoGoPoll.isPolling = false;
+        mission.goNoGoPoll.pollComplete = false;
+
+        if (mission.plan.target.raan === null) {
+            this.stopWindowWatch();
+            mission.status = 'IDLE';
+            mission.countdownTime = mission.timeline.start;
+            mission.launchTime = null;
+            this.restartTimeline();
+            this.emit('missionState', mission);
+            this.emit('countdownUpdate', mission.countdownTime);
+            this.log('critical', `LAUNCH SCRUBBED! Window closed at ${formatDate(missed.closes)}; ` +
+                'replan before launching');
+            return;
+        }
+
+        this.applyPlan(nextPlaneWindow(mission.plan, this.earliestLaunchTime()));
+        this.rocket = this.createRocket();
+        mission.status = 'PRE_LAUNCH';
+        mission.countdownTime = this.plannedCountdown();
+        this.restartTimeline();
+        mission.launchTime = this.projectedLaunchTime();
+        this.startCountdown();
+        this.runTimelineEvents();
+
+        this.emit('rocketState', this.rocket.getState());
+        this.emit('telemetry', this.rocket.getTelemetry());
+        this.emit('missionState', mission);
+        this.emit('countdownRecycled', { missed: missed, window: mission.plan.window });
+        this.emit('countdownUpdate', mission.countdownTime);
+        this.emitWindowStatus();
+        this.log('critical', `RECYCLE! T-0 can't make the window closing ${formatDate(missed.closes)}. ` +
+            `Next plane crossing ${formatDate(mission.plan.window.opens)}, T-${formatCountdown(mission.countdownTime)}`);
+    }
+
+    // Start launch sequence
+    // options.seed replays a deterministic run: same seed, same telemetry, weather and range traffic
+    // options.vehicle picks a vehicle from the library, options.guidance the guidance mode and options.plan
+    // changes mission plan fields, each for this and later launches
+    // options.scenario runs a training scenario; its vehicle, guidance, plan and seed take the place of those
+    initiateLaunch(options = {}) {
+        const mission = this.mission;
+        if (this.isBetweenFlights()) {
+            let scenario = null;
+            if (options.scenario) {
+                scenario = this.scenarios.get(options.scenario);
+                if (!scenario) {
+                    this.log('warning', `Unknown scenario: ${options.scenario}`);
+                    return;
+                }
+                options = Object.assign({}, options);
+                ['vehicle', 'guidance', 'plan', 'seed'].forEach(field => {
+                    if (scenario[field] !== undefined) options[field] = scenario[field];
+                });
+            }
+
+            // Check the vehicle, guidance and plan before taking any of them up, so a refused launch leaves
+            // the mission as it was
+            const vehicle = options.vehicle || mission.vehicle;
+            if (!this.vehicles.has(vehicle)) {
+                this.log('warning', `Unknown vehicle: ${vehicle}`);
+                return;
+            }
+
+            const guidance = options.guidance || mission.guidance;
+            if (!GUIDANCE_MODES.includes(guidance)) {
+                this.log('warning', `Unknown guidance mode: ${guidance}`);
+                return;
+            }
+
+            let plan = mission.plan;
+            if (options.plan) {
+                try {
+                    plan = resolvePlan(options.plan, mission.plan, this.clock.now());
+                } catch (error) {
+                    this.log('warning', `Mission plan rejected: ${error.message}`);
+                    return;
+                }
+            }
+
+            // A seeded run counts down on a date of its own rather than today's, so it flies the same whenever
+            // it is started
+            const timeline = this.countdowns.forVehicle(vehicle);
+            const seed = options.seed !== undefined && options.seed !== null && options.seed !== '' ?
+                options.seed : mission.seed;
+            if (seed !== null) {
+                this.clock.setDate(this.seededStart(seed, plan, timeline));
+                if (plan.target.raan !== null) {
+                    plan = nextPlaneWindow(plan, this.earliestLaunchTime(timeline));
+                }
+            }
+
+            // The vehicle's own count; a plane window that has gone by comes round again, a fixed one
+            // needs a new plan
+            const earliest = this.earliestLaunchTime(timeline);
+            if (this.missesWindow(earliest, plan)) {
+                if (plan.target.raan === null) {
+                    this.log('warning', `Launch window closes at ${formatDate(plan.window.closes)}, too soon ` +
+                        `for the T-${formatCountdown(timeline.start)} count; replan before launching`);
+                    return;
+                }
+                plan = nextPlaneWindow(plan, earliest);
+            }
+
+            mission.vehicle = vehicle;
+            mission.guidance = guidance;
+            this.applyPlan(plan);
+            this.loadTimeline();
+            mission.seed = seed;
+
+            // Seeded runs start every simulator from scratch so the streams line up;
+            // otherwise only the vehicle is rolled out fresh
+            if (mission.seed !== null) {
+                this.createSimulators();
+                this.emit('weatherData', this.weather.getCurrentConditions());
+                this.emit('rangeStatus', this.range.getStatus());
+            } else {
+                this.rocket = this.createRocket();
+            }
+            this.emit('rocketState', this.rocket.getState());
+            this.emit('telemetry', this.rocket.getTelemetry());
+
+            // Reset mission state for new launch
+            mission.status = 'PRE_LAUNCH';
+            mission.countdownTime = this.plannedCountdown();
+            this.restartTimeline();
+            mission.launchTime = this.projectedLaunchTime();
+            mission.holds = [];
+            mission.insertion = null;
+            mission.padAbort = null;
+            mission.goNoGoPoll.pollComplete = false;
+            mission.goNoGoPoll.isPolling = false;
+
+            this.startRecording();
+            this.scorer.start(this.clock.now());
+            this.lastDebrief = null;
+            this.scenario = null;
+            if (scenario) {
+                this.applyScenario(scenario);
+            }
+            this.startCountdown();
+            this.emit('missionState', mission);
+            this.startWindowWatch();
+            this.log('info', `Launch sequence initiated for ${this.rocket.specs.name}. ` +
+                `T-${formatCountdown(mission.countdownTime)} and counting (${mission.timeline.name}).`);
+            this.log('info', `${describePlan(mission.plan)}, guidance ${mission.guidance}`);
+            this.warnPerformance();
+            if (mission.seed !== null) {
+                this.log('info', `Deterministic run, seed: ${mission.seed}`);
+            }
+            this.runTimelineEvents();
+        }
+    }
+
+    // Set a training scenario up for the launch: its starting weather and range traffic, and its events in the
+    // fault log (replacing any faults already there) to be injected as their triggers come round
+    applyScenario(scenario) {
+        this.scenario = scenario;
+        if (scenario.weather) {
+            this.weather.setConditions(scenario.weather);
+            this.emit('weatherData', this.weather.getCurrentConditions());
+        }
+        if (scenario.range) {
+            (scenario.range.aircraft || []).forEach(aircraft => this.range.addIntrusion('aircraft', aircraft));
+            (scenario.range.vessels || []).forEach(vessel => this.range.addIntrusion('vessel', vessel));
+            this.emit('rangeStatus', this.range.getStatus());
+        }
+
+        this.clearFaults();
+        this.emitToInstructors('scenarioLoaded', scenario);
+        this.recordFault(`Scenario ${scenario.name} (${scenario.id}) loaded`);
+        (scenario.events || []).forEach(event => this.injectFault(event, `scenario ${scenario.id}`));
+    }
+
+    // Go/No-Go polling
+    startGoNoGoPoll() {
+        const mission = this.mission;
+        if (mission.status === 'PRE_LAUNCH' || mission.status === 'COUNTDOWN') {
+            mission.goNoGoPoll.isPolling = true;
+            mission.goNoGoPoll.pollComplete = false;
+            // Reset all votes
+            Object.keys(mission.goNoGoPoll.stations).forEach(station => {
+                mission.goNoGoPoll.stations[station] = null;
+            });
+            this.emit('goNoGoPollStarted', mission.goNoGoPoll);
+            this.log('info', 'Go/No-Go poll initiated. All stations report status.');
+
+            // Auto-simulate other stations voting GO after a delay (for single-player mode)
+            if (this.pollTimer) this.clock.cancel(this.pollTimer);
+            this.pollTimer = this.clock.after(3, () => {
+                this.pollTimer = null;
+                if (mission.goNoGoPoll.isPolling) {
+                    Object.keys(mission.goNoGoPoll.stations).forEach(station => {
+                        if (mission.goNoGoPoll.stations[station] === null && station !== 'Flight Director') {
+                            // Always vote GO to avoid issues
+                            mission.goNoGoPoll.stations[station] = 'GO';
+                        }
+                    });
+                    this.emit('goNoGoUpdate', mission.goNoGoPoll);
+                }
+            }); // 3 second delay for other stations to "report"
+        }
+    }
+
+    // Station Go/No-Go vote
+    goNoGoVote(station, vote) {
+        const mission = this.mission;
+        if (mission.goNoGoPoll.isPolling && mission.goNoGoPoll.stations.hasOwnProperty(station)) {
+            mission.goNoGoPoll.stations[station] = vote;
+            this.scorer.recordVote(station, vote, this.systemReadiness(), this.runTime());
+            this.emit('goNoGoUpdate', mission.goNoGoPoll);
+
+            // Check if all stations have voted
+            const allVoted = Object.values(mission.goNoGoPoll.stations).every(v => v !== null);
+            if (allVoted) {
+                const allGo = Object.values(mission.goNoGoPoll.stations).every(v => v === 'GO');
+                mission.goNoGoPoll.isPolling = false;
+                mission.goNoGoPoll.pollComplete = true;
+
+                if (allGo) {
+                    this.log('success', 'All stations are GO for launch!');
+                    if (mission.status === 'PRE_LAUNCH') {
+                        mission.status = 'COUNTDOWN';
+                        this.emit('missionState', mission);
+                    }
+                } else {
+                    const noGoStations = Object.entries(mission.goNoGoPoll.stations)
+                        .filter(([s, v]) => v === 'NO_GO')
+                        .map(([s]) => s);
+
+                    // CRITICAL: Stop countdown and prevent launch
+                    this.stopCountdown();
+
+                    // Keep in PRE_LAUNCH, don't proceed to COUNTDOWN
+                    mission.status = 'PRE_LAUNCH';
+                    mission.countdownTime = this.plannedCountdown(); // Reset countdown
+                    this.restartTimeline();
+
+                    this.log('critical', `LAUNCH SCRUBBED! NO-GO from: ${noGoStations.join(', ')}`);
+                    this.emit('missionState', mission);
+                    this.emit('countdownUpdate', mission.countdownTime);
+                }
+            }
+        }
+    }
+
+    // Countdown hold
+    holdCountdown(reason) {
+        const mission = this.mission;
+        if (this.rocket.state.phase === 'IGNITION') {
+            // Engines lit: there is no holding on the pad, only shutting down
+            this.padAbort(`Hold called after engine ignition: ${reason}`);
+            return;
+        }
+        if (this.countdownTimer) {
+            this.stopCountdown();
+            mission.holds.push({
+                time: mission.countdownTime,
+                reason: reason,
+                timestamp: new Date()
+            });
+            this.emit('countdownHold', { time: mission.countdownTime, reason });
+            this.log('warning', `HOLD HOLD HOLD at T-${formatCountdown(mission.countdownTime)}. Reason: ${reason}`);
+            if (mission.plan.window) {
+                const margin = Math.max(0, Math.floor((new Date(mission.plan.window.closes) -
+                    this.projectedLaunchTime()) / 1000));
+                this.log('info', `Window closes at ${formatDate(mission.plan.window.closes)}, ` +
+                    `${formatCountdown(margin)} of hold left before T-0 misses it`);
+            }
+        }
+    }
+
+    // Resume countdown
+    resumeCountdown() {
+        const mission = this.mission;
+        if (mission.builtInHold) {
+            this.log('warning', `Count is in a built-in hold: the ${FLIGHT_DIRECTOR} releases it`);
+            return;
+        }
+        if (mission.sequencerHold && !this.countdownTimer) {
+            this.resumeSequencerHold();
+            return;
+        }
+        if (!this.countdownTimer && mission.status === 'COUNTDOWN') {
+            this.startCountdown();
+            this.emit('countdownResumed');
+            this.log('info', `Countdown resumed at T-${formatCountdown(mission.countdownTime)}`);
+        }
+    }
+
+    // Launch command
+    launchCommand() {
+        if (this.mission.status === 'COUNTDOWN' && this.mission.countdownTime <= 10 && !this.holdingDown) {
+            this.stopCountdown();
+            this.releaseClamps();
+        }
+    }
+
+    // Manual stage separation
+    stageSeparation() {
+        const phase = this.rocket.state.phase;
+        const burning = phase === 'ASCENT' || phase === 'MECO' || phase === 'UPPER_STAGE';
+        if (burning && this.rocket.telemetry.altitude > 60000 && this.rocket.separateStage()) {
+            this.logFlightEvents();
+        }
+    }
+
+    // Throttle control
+    setThrottle(level) {
+        this.rocket.setThrottle(level);
+        this.emit('throttleChanged', level);
+    }
+
+    // Initiate landing sequence
+    initiateLanding() {
+        const phase = this.rocket.state.phase;
+        if (!this.rocket.specs.hasLandingCapability) {
+            this.log('warning', `${this.rocket.specs.name} has no landing capability`);
+            return;
+        }
+        if (phase === 'ASCENT' || phase === 'UPPER_STAGE' || phase === 'ORBIT' || phase === 'ABORT') {
+            this.rocket.initiateLanding();
+            this.mission.status = 'LANDING';
+            this.emit('missionState', this.mission);
+            this.log('warning', 'Landing sequence initiated! Performing flip maneuver...');
+        }
+    }
+
+    // Reset simulation
+    reset() {
+        const mission = this.mission;
+
+        // The run's debrief stays available until the next launch
+        if (this.scorer.active) {
+            this.lastDebrief = this.debrief();
+            this.scorer.stop();
+        }
+
+        // Stop all timers and close the flight's recording
+        this.stopTimers();
+        this.stopRecording();
+
+        // Reset mission state
+        mission.status = 'IDLE';
+        mission.countdownTime = mission.timeline.start;
+        mission.launchTime = null;
+        this.restartTimeline();
+        mission.holds = [];
+        mission.landingBurnAnnounced = false;
+        mission.insertion = null;
+        mission.padAbort = null;
+        this.launchClockTime = null;
+        this.holdingDown = false;
+        this.telemetryHistory = [];
+        this.historyInterval = 0;
+        this.clearFaults();
+        this.telemetryLost = false;
+        this.scenario = null;
+        Object.keys(mission.goNoGoPoll.stations).forEach(station => {
+            mission.goNoGoPoll.stations[station] = null;
+        });
+        mission.goNoGoPoll.isPolling = false;
+        mission.goNoGoPoll.pollComplete = false;
+
+        // Create new rocket simulator
+        this.rocket = this.createRocket();
+
+        // Notify all clients: they clear the last flight's charts and ground track, then take up the fresh state
+        this.emit('missionReset', { timestamp: new Date() });
+        this.emit('missionState', mission);
+        this.emit('countdownUpdate', mission.countdownTime);
+        this.emit('rocketState', this.rocket.getState());
+        this.emit('telemetry', this.rocket.getTelemetry());
+        this.log('info', 'Simulation reset. All systems ready.');
+    }
+
+    // Proceed with launch after fixing issues
+    proceedWithLaunch() {
+        const mission = this.mission;
+        if (mission.status === 'PRE_LAUNCH' || mission.status === 'COUNTDOWN') {
+            // Clear any existing countdown
+            this.stopCountdown();
+
+            // Start fresh countdown
+            mission.status = 'COUNTDOWN';
+            mission.countdownTime = this.plannedCountdown();
+            this.restartTimeline();
+            this.startCountdown();
+            this.emit('missionState', mission);
+            this.log('success', `All systems GO. Countdown initiated T-${formatCountdown(mission.countdownTime)}`);
+            this.runTimelineEvents();
+        }
+    }
+
+    // Start countdown timer (one count per second of simulation time)
+    startCountdown() {
+        if (this.countdownTimer) return;
+
+        const mission = this.mission;
+        this.countdownTimer = this.clock.every(1, () => {
+            mission.countdownTime--;
+            if (this.checkLaunchWindow()) return;
+
+            // Emit countdown update
+            this.emit('countdownUpdate', mission.countdownTime);
+
+            if (this.checkSequencer()) return;
+
+            if (mission.countdownTime > 0) {
+                this.runTimelineEvents();
+                return;
+            }
+
+            // T-0: only launch if we have all GO votes (or if poll was fixed)
+            this.stopCountdown();
+            const allGo = mission.goNoGoPoll.stations ?
+                Object.values(mission.goNoGoPoll.stations).every(v => v === 'GO' || v === null) : true;
+            if (allGo) {
+                this.releaseClamps();
+            } else {
+                // Abort at T-0 if NO-GO
+                mission.status = 'ABORT';
+                this.log('critical', 'LAUNCH ABORT AT T-0! Unresolved NO-GO status!');
+                this.emit('missionState', mission);
+            }
+        });
+    }
+
+    // Ground launch sequencer, through the terminal count: a violated redline holds the count and recycles
+    // it, or once the engines are lit shuts them down. True when it stopped the count.
+    checkSequencer() {
+        const mission = this.mission;
+        if (mission.countdownTime > mission.timeline.sequencer.start) {
+            return false;
+        }
+        const violation = this.checkRedlines();
+        if (!violation) {
+            return false;
+        }
+        if (this.rocket.state.phase === 'IGNITION') {
+            this.padAbort(`GLS cutoff at T-${formatCountdown(mission.countdownTime)}: ${describeViolation(violation)}`);
+        } else {
+            this.sequencerHold(violation);
+        }
+        return true;
+    }
+
+    // The sequencer reads the vehicle through its telemetry, sensor faults and all
+    checkRedlines() {
+        return checkRedlines({
+            weather: this.weather,
+            range: this.range,
+            rocket: this.rocket,
+            telemetry: this.sensedTelemetry()
+        });
+    }
+
+    // Hold for a redline and recycle the count, ready to pick up once it clears
+    sequencerHold(violation) {
+        const mission = this.mission;
+        const heldAt = mission.countdownTime;
+        const reason = `GLS: ${describeViolation(violation)}`;
+        this.stopCountdown();
+        mission.sequencerHold = {
+            parameter: violation.parameter,
+            value: violation.value,
+            limit: violation.limit,
+            time: heldAt,
+            since: this.clock.now().toISOString()
+        };
+        mission.holds.push({
+            time: heldAt,
+            reason: reason,
+            timestamp: new Date(),
+            sequencer: true
+        });
+
+        this.rocket.disarmIgnition();
+        mission.countdownTime = Math.max(heldAt, mission.timeline.sequencer.recycle);
+        this.rewindTimeline();
+
+        this.emit('countdownHold', { time: heldAt, reason, sequencer: true });
+        this.emit('countdownUpdate', mission.countdownTime);
+        this.emit('rocketState', this.rocket.getState());
+        this.emit('missionState', mission);
+        this.log('critical', `GLS HOLD at T-${formatCountdown(heldAt)}! ${violation.parameter} redline: ` +
+            `${violation.value} (limit ${violation.limit})`);
+        this.log('warning', `Count recycled to T-${formatCountdown(mission.countdownTime)}; ` +
+            `resume once ${violation.parameter} is back in limits`);
+    }
+
+    // Pick the recycled count up again; the sequencer checks the redlines afresh from its start
+    resumeSequencerHold() {
+        const mission = this.mission;
+        mission.sequencerHold = null;
+        this.startCountdown();
+        this.emit('countdownResumed');
+        this.emit('missionState', mission);
+        this.log('info', `Countdown resumed at T-${formatCountdown(mission.countdownTime)}`);
+
+        const violation = this.checkRedlines();
+        if (violation) {
+            this.log('warning', `GLS: ${describeViolation(violation)}; the sequencer holds again at ` +
+                `T-${formatCountdown(mission.timeline.sequencer.start)} unless it clears`);
+        }
+        this.runTimelineEvents();
+    }
+
+    // Shut the engines down on the pad before liftoff: the vehicle is safed where it stands, ready for the
+    // count to be recycled or the mission reset
+    padAbort(reason) {
+        const mission = this.mission;
+        this.stopCountdown();
+        this.stopWindowWatch();
+        this.holdingDown = false;
+        this.rocket.safeShutdown(reason);
+        this.stopTelemetry();
+        mission.padAbort = {
+            reason: reason,
+            time: mission.countdownTime,
+            status: mission.status,
+            since: this.clock.now().toISOString()
+        };
+        mission.status = 'PAD_ABORT';
+
+        this.emit('rocketState', this.rocket.getState());
+        this.emit('missionState', mission);
+        this.emit('padAbort', { reason, time: mission.countdownTime, timestamp: new Date() });
+        this.log('critical', `RSLS ABORT at T-${formatCountdown(mission.countdownTime)}! ${reason}. ` +
+            'Engines shut down, vehicle safed on the pad.');
+        this.log('info', `Recycle the count to T-${formatCountdown(this.padAbortRecycleTime())} or reset the simulation`);
+        this.endMaxWarp();
+    }
+
+    // Where a recycle after a pad abort picks the count up: the sequencer's recycle point
+    padAbortRecycleTime() {
+        return Math.max(this.mission.padAbort.time, this.mission.timeline.sequencer.recycle);
+    }
+
+    // Recycle the count after a pad abort: the events from the recycle point on run again, the engines
+    // chilled and started afresh
+    recycleCount() {
+        const mission = this.mission;
+        if (mission.status !== 'PAD_ABORT') {
+            this.log('warning', 'Nothing to recycle: the count recycles after a pad abort');
+            return;
+        }
+        mission.countdownTime = this.padAbortRecycleTime();
+        mission.status = mission.padAbort.status;
+        mission.padAbort = null;
+        this.rewindTimeline();
+        mission.launchTime = this.projectedLaunchTime();
+
+        this.startCountdown();
+        this.startWindowWatch();
+        this.emit('countdownUpdate', mission.countdownTime);
+        this.emit('missionState', mission);
+        this.log('warning', `Count recycled to T-${formatCountdown(mission.countdownTime)} after the pad abort`);
+        this.runTimelineEvents();
+    }
+
+    // Carry out the timeline events the count has reached, in order; a built-in hold stops the count
+    // there until the Flight Director releases it
+    runTimelineEvents() {
+        const mission = this.mission;
+        const events = mission.timeline.events;
+        while (this.timelineIndex < events.length && -events[this.timelineIndex].t >= mission.countdownTime) {
+            const event = events[this.timelineIndex++];
+            this.log(event.level || 'info', `T-${formatCountdown(-event.t)} ${event.station}: ${event.message}`);
+            if (event.action) {
+                this.runCountdownAction(event.action);
+            }
+            if (event.hold !== undefined) {
+                this.enterBuiltInHold(event);
+                return;
+            }
+        }
+    }
+
+    runCountdownAction(action) {
+        switch (action) {
+            case 'loadPropellant':
+            case 'chillEngines':
+            case 'armIgnition':
+                this.rocket[action]();
+                this.emit('rocketState', this.rocket.getState());
+                break;
+            case 'startIgnitionSequence':
+                // The engines run on the pad from here, so the vehicle is stepped before liftoff
+                this.rocket.startIgnitionSequence();
+                this.emit('rocketState', this.rocket.getState());
+                if (this.rocket.state.phase === 'IGNITION') {
+                    this.startVehicleSteps();
+                }
+                break;
+            case 'internalPower':
+                this.rocket.transferToInternalPower();
+                this.emit('rocketState', this.rocket.getState());
+                break;
+            case 'clearRange':
+            case 'armFTS':
+                this.range[action]();
+                this.range.evaluateRangeStatus();
+                this.emit('rangeStatus', this.range.getStatus());
+                break;
+            case 'weatherBriefing': {
+                const constraints = this.weather.getConstraints();
+                if (constraints.go) {
+                    this.log('success', 'Weather is GO: all launch constraints met');
+                } else {
+                    this.log('warning', `Weather is NO-GO: ${constraints.issues.join(', ')}`);
+                }
+                break;
+            }
+        }
+    }
+
+    enterBuiltInHold(event) {
+        const mission = this.mission;
+        this.stopCountdown();
+        mission.builtInHold = {
+            t: event.t,
+            station: event.station,
+            message: event.message,
+            duration: event.hold,
+            since: this.clock.now().toISOString()
+        };
+        mission.holds.push({
+            time: mission.countdownTime,
+            reason: event.message,
+            timestamp: new Date(),
+            builtIn: true
+        });
+        this.emit('countdownHold', { time: mission.countdownTime, reason: event.message, builtIn: true });
+        this.emit('missionState', mission);
+        this.log('warning', `Built-in hold at T-${formatCountdown(mission.countdownTime)}, planned ` +
+            `${formatCountdown(event.hold)}. ${FLIGHT_DIRECTOR} to release the count.`);
+    }
+
+    // End a built-in hold; only the Flight Director's console can pick the count back up
+    releaseHold(station) {
+        const mission = this.mission;
+        if (!mission.builtInHold) {
+            return;
+        }
+        if (station !== FLIGHT_DIRECTOR) {
+            this.log('warning', `Built-in hold release refused for ${station || 'an unassigned console'}: ` +
+                `only the ${FLIGHT_DIRECTOR} releases the count`);
+            return;
+        }
+        // Cut short, the hold would bring T-0 in before the launch window opens
+        const window = mission.plan.window;
+        if (window) {
+            const releasedLaunch = this.projectedLaunchTime().getTime() - this.builtInHoldLeft() * 1000;
+            const early = Math.ceil((new Date(window.opens).getTime() - releasedLaunch) / 1000);
+            if (early > 0) {
+                this.log('warning', `Built-in hold release refused: T-0 would come ${formatCountdown(early)} before ` +
+                    `the launch window opens at ${formatDate(window.opens)}; hold ${formatCountdown(early)} longer`);
+                return;
+            }
+        }
+        const held = Math.round((this.clock.now() - new Date(mission.builtInHold.since)) / 1000);
+        mission.builtInHold = null;
+        this.startCountdown();
+        this.emit('countdownResumed');
+        this.emit('missionState', mission);
+        this.log('success', `${FLIGHT_DIRECTOR} released the built-in hold after ${formatCountdown(held)}. ` +
+            `T-${formatCountdown(mission.countdownTime)} and counting.`);
+        this.runTimelineEvents();
+    }
+
+    stopCountdown() {
+        if (this.countdownTimer) {
+            this.clock.cancel(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+    }
+
+    stopTelemetry() {
+        if (this.telemetryTimer) {
+            this.clock.cancel(this.telemetryTimer);
+            this.telemetryTimer = null;
+            // Send the final state, frames only broadcast while flying
+            this.broadcastTelemetry();
+        }
+    }
+
+    stopTimers() {
+        this.stopCountdown();
+        this.stopWindowWatch();
+        this.stopFaultWatch();
+        this.stopTelemetry();
+        if (this.pollTimer) {
+            this.clock.cancel(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    // T-0: release the hold-down clamps once every engine is at nominal chamber pressure; until then the
+    // vehicle stays on the pad with its engines running, and the RSLS shuts them down if one doesn't make it
+    releaseClamps() {
+        if (this.rocket.readyForLiftoff()) {
+            this.holdingDown = false;
+            this.launchRocket();
+            return;
+        }
+        this.holdingDown = true;
+        this.log('warning', 'Hold-down: clamps closed until all engines reach nominal chamber pressure');
+    }
+
+    // Launch the rocket
+    launchRocket() {
+        const mission = this.mission;
+        mission.status = 'LAUNCH';
+        mission.launchTime = this.clock.now(); // Record actual launch time
+        this.launchClockTime = this.clock.time; // Start mission timer (T+ counting)
+        this.flightOver = false;
+        this.stopWindowWatch();
+        this.telemetryHistory = [];
+        this.historyInterval = 0;
+        this.rocket.launch(mission.launchTime);
+
+        this.emit('missionState', mission);
+        this.log('critical', 'LIFTOFF! We have liftoff!');
+
+        this.startVehicleSteps();
+    }
+
+    // Step the vehicle on every clock step; frames broadcast the result
+    startVehicleSteps() {
+        if (!this.telemetryTimer) {
+            this.telemetryTimer = this.clock.every(this.clock.step, () => {
+                this.simulationStep(this.clock.step);
+            });
+        }
+    }
+
+    // Advance the flight by one fixed step
+    simulationStep(dt) {
+        const mission = this.mission;
+        const rocket = this.rocket;
+        rocket.updateSimulation(dt);
+        if (rocket.state.padAbort && mission.status !== 'PAD_ABORT') {
+            // The onboard sequencer shut the engines down
+            this.padAbort(rocket.state.padAbort);
+            return;
+        }
+        if (this.checkTelemetryLink() && rocket.state.phase !== 'IGNITION') {
+            // History runs from liftoff, with gaps where the ground lost the signal
+            this.recordTelemetrySample();
+        }
+        this.logFlightEvents();
+        if (this.holdingDown && rocket.readyForLiftoff()) {
+            this.releaseClamps();
+        }
+
+        // Check mission phase transitions
+        this.checkMissionPhases();
+
+        // Check for landing events
+        if (mission.status === 'LANDING') {
+            const state = rocket.getState();
+
+            if (state.landingBurnStarted && !mission.landingBurnAnnounced) {
+                mission.landingBurnAnnounced = true;
+                this.log('critical', 'LANDING BURN! Suicide burn initiated!');
+            }
+
+            if (state.phase === 'LANDED') {
+                mission.status = 'LANDED';
+                this.emit('missionState', mission);
+                this.flightDecided();
+                this.log('success', 'THE FALCON HAS LANDED! Successful touchdown!');
+                this.stopTelemetry();
+            }
+        }
+
+        // Check for anomalies
+        const anomalies = rocket.checkAnomalies();
+        anomalies.forEach(anomaly => {
+            this.pendingAnomalies[anomaly.parameter] = anomaly;
+            this.scorer.addAnomaly(anomaly, this.runTime(), this.launchClockTime !== null);
+            if (anomaly.severity === 'CRITICAL' && mission.status !== 'ABORT') {
+                this.abort(`Critical anomaly: ${anomaly.message}`);
+            }
+        });
+    }
+
+    // Staging, booster and fairing events from the vehicle
+    logFlightEvents() {
+        this.rocket.takeEvents().forEach(event => this.log(event.level, event.message));
+    }
+
+    // Keep a copy of the telemetry, stamped with mission elapsed time; a full history drops its oldest
+    // HISTORY_TRIM samples in one go rather than one per step
+    recordTelemetrySample() {
+        const history = this.telemetryHistory;
+        const t = Math.round((this.clock.time - this.launchClockTime) * 1000) / 1000;
+        const last = history[history.length - 1];
+        if (this.historyInterval > 0 && last && t - last.t < this.historyInterval) {
+            return;
+        }
+        history.push({ t: t, ...this.sensedTelemetry() });
+        if (history.length > MAX_HISTORY_SAMPLES) {
+            history.splice(0, HISTORY_TRIM);
+        }
+    }
+
+    // Once per real-time frame: stream telemetry while the vehicle is flying
+    broadcastFrame() {
+        if (this.telemetryTimer) {
+            this.broadcastTelemetry();
+        }
+        if (!this.isRunningOn()) {
+            this.endMaxWarp();
+        }
+
+        Object.values(this.pendingAnomalies).forEach(anomaly => this.emit('anomaly', anomaly));
+        this.pendingAnomalies = {};
+    }
+
+    broadcastTelemetry() {
+        if (!this.telemetryLost) {
+            this.emit('telemetry', this.sensedTelemetry());
+            this.emit('rocketState', this.rocket.getState());
+        }
+        if (this.launchClockTime !== null) {
+            // T+ in tenths of a second
+            this.emit('missionTimer', Math.round((this.clock.time - this.launchClockTime) * 10));
+        }
+    }
+
+    // Telemetry as the ground reads it: the vehicle's, drifted by any injected sensor faults
+    sensedTelemetry() {
+        return this.faults.sensed(this.rocket.getTelemetry());
+    }
+
+    // Whether the ground has the vehicle's telemetry; logs the signal going and coming back
+    checkTelemetryLink() {
+        const lost = this.faults.inDropout();
+        if (lost !== this.telemetryLost) {
+            this.telemetryLost = lost;
+            if (lost) {
+                this.log('critical', 'Loss of telemetry signal');
+            } else {
+                this.log('success', 'Telemetry signal reacquired');
+            }
+        }
+        return !lost;
+    }
+
+    // Instructor fault injection: log a fault for its trigger (or now, without one); throws listing every
+    // problem with it. by is who injected it.
+    injectFault(input, by) {
+        const entry = this.faults.schedule(input, by);
+        this.recordFault(`Fault ${entry.id} ${entry.type} scheduled ${FaultInjector.describeTrigger(entry.trigger)}`);
+        this.injectDueFaults();
+        if (entry.status === 'PENDING' && !this.faultTimer) {
+            this.faultTimer = this.clock.every(this.clock.step, () => this.injectDueFaults());
+        }
+        return entry;
+    }
+
+    // Inject every pending fault whose trigger has come; the watch stops once none is left waiting
+    injectDueFaults() {
+        const context = this.faultContext();
+        this.faults.due(context).forEach(entry => this.applyFault(entry, context));
+        if (this.faults.pending().length === 0) {
+            this.stopFaultWatch();
+        }
+    }
+
+    // Where the mission stands, for fault triggers
+    faultContext() {
+        const status = this.mission.status;
+        return {
+            counting: (status === 'PRE_LAUNCH' || status === 'COUNTDOWN') && this.launchClockTime === null,
+            countdownTime: this.mission.countdownTime,
+            met: this.launchClockTime === null ? null :
+                Math.round((this.clock.time - this.launchClockTime) * 1000) / 1000,
+            phase: this.rocket.state.phase,
+            telemetry: this.rocket.getTelemetry()
+        };
+    }
+
+    applyFault(entry, context) {
+        this.faults.inject(entry, { rocket: this.rocket, weather: this.weather, range: this.range }, context);
+        this.scorer.addFault(entry, this.runTime());
+        const when = context.met !== null ? `T+${formatCountdown(Math.floor(context.met))}` :
+            (context.counting ? `T-${formatCountdown(context.countdownTime)}` : this.mission.status);
+        this.emitToInstructors('faultInjected', entry);
+        this.recordFault(entry.status === 'INJECTED'
+            ? `Fault ${entry.id} injected at ${when}: ${entry.result}`
+            : `Fault ${entry.id} ${entry.type} failed to inject at ${when}: ${entry.result}`);
+        if (entry.status !== 'INJECTED') {
+            return;
+        }
+
+        // What the consoles see of it comes through the usual channels
+        switch (entry.type) {
+            case 'engineFailure':
+            case 'stuckValve':
+                this.logFlightEvents();
+                if (!this.faults.inDropout()) this.emit('rocketState', this.rocket.getState());
+                break;
+            case 'ftsBatteryFault':
+            case 'rangeIntrusion':
+                this.emit('rangeStatus', this.range.getStatus());
+                break;
+            case 'weatherEvent':
+                this.emit('weatherData', this.weather.getCurrentConditions());
+                break;
+        }
+    }
+
+    // Call off a pending fault; false when there is none by that id
+    cancelFault(id) {
+        if (!this.faults.cancel(id)) {
+            return false;
+        }
+        this.recordFault(`Fault ${id} cancelled`);
+        if (this.faults.pending().length === 0) {
+            this.stopFaultWatch();
+        }
+        return true;
+    }
+
+    // Cancel every pending fault and end sensor drifts and dropouts
+    clearFaults() {
+        const active = this.faults.pending().length > 0 || this.faults.sensorFaults.length > 0 ||
+            this.faults.inDropout();
+        this.faults.clear();
+        this.stopFaultWatch();
+        if (active) {
+            this.recordFault('Faults cleared: pending ones cancelled, sensors and telemetry restored');
+        }
+    }
+
+    stopFaultWatch() {
+        if (this.faultTimer) {
+            this.clock.cancel(this.faultTimer);
+            this.faultTimer = null;
+        }
+    }
+
+    // Every fault action goes in the mission log, seen by the instructor and kept in the recording; the
+    // trainees find out from the vehicle, weather and range
+    recordFault(message) {
+        this.emitToInstructors('eventLog', {
+            timestamp: new Date(),
+            level: 'warning',
+            message: `INSTRUCTOR: ${message}`
+        });
+        this.emitToInstructors('faultLog', this.faults.log);
+    }
+
+    // Training debrief: a station action for the run's timeline; holds, aborts and NO-GO votes answer its cues
+    recordAction(station, action, detail = null) {
+        this.scorer.recordAction({
+            station: station || 'Unassigned',
+            action: action,
+            detail: detail === null || detail === undefined ? null : String(detail),
+            at: this.runTime()
+        });
+    }
+
+    // Where the run is: clock time, and the count (before liftoff) or mission elapsed time
+    runTime() {
+        return {
+            time: Math.round(this.clock.time * 10) / 10,
+            realTime: Math.round(this.clock.realTime * 10) / 10, // for reaction times, whatever the warp
+            countdownTime: this.launchClockTime === null ? this.mission.countdownTime : null,
+            met: this.launchClockTime === null ? null : Math.round((this.clock.time - this.launchClockTime) * 10) / 10
+        };
+    }
+
+    // Whether weather, range and vehicle really are GO, to judge the Go/No-Go votes by
+    systemReadiness() {
+        const rocket = this.rocket;
+        return {
+            weather: this.weather.isGoForLaunch(),
+            range: this.range.isRangeClear(),
+            vehicle: rocket.telemetry.enginesOut === 0 && !rocket.throttleStuck() && !rocket.state.ventLeak &&
+                !rocket.state.padAbort && !this.telemetryLost && this.faults.sensorFaults.length === 0
+        };
+    }
+
+    // The current run's debrief, or the last run's after a reset; null before the first run
+    debrief() {
+        if (!this.scorer.active) {
+            return this.lastDebrief;
+        }
+        const counting = this.countdownTimer !== null || this.holdingDown;
+        return buildDebrief({
+            mission: this.mission,
+            scenario: this.scenario,
+            scorer: this.scorer,
+            score: this.scorer.score(TraineeScorer.assessOutcome(this.mission, counting), this.clock.realTime),
+            history: this.telemetryHistory
+        });
+    }
+
+    // Time warp control: 1, 2, 10, 100 or 'MAX'; throws for another factor, or for 'MAX' with nothing to
+    // fast-forward
+    setTimeWarp(factor) {
+        if (factor === SimulationClock.MAX_WARP && !this.isRunningOn()) {
+            throw new Error('Maximum time warp runs only while the count is running or the vehicle is flying');
+        }
+        this.clock.setWarp(factor);
+        this.emit('clockState', this.clock.getState());
+        this.log('info', `Time warp set to ${factor === SimulationClock.MAX_WARP ? 'maximum' : `${factor}x`}`);
+    }
+
+    // Whether there is anything for a maximum time warp to fast-forward: the count running (or the engines
+    // coming up on the pad), or a vehicle in flight whose outcome isn't decided yet. Not while idle, holding
+    // or after the flight.
+    isRunningOn() {
+        return this.countdownTimer !== null || this.holdingDown || (this.telemetryTimer !== null && !this.flightOver);
+    }
+
+    // Nothing is left to fast-forward: a maximum time warp drops back to real time rather than spin on a
+    // mission sitting idle or in a hold, or a vehicle coasting in orbit, lost or safed on the pad
+    endMaxWarp() {
+        if (this.clock.warp !== SimulationClock.MAX_WARP) return;
+        this.clock.setWarp(1);
+        this.emit('clockState', this.clock.getState());
+        this.log('info', 'Time warp back to 1x: nothing left to fast-forward');
+    }
+
+    pauseClock() {
+        if (this.clock.paused) return;
+        this.clock.pause();
+        this.emit('clockState', this.clock.getState());
+        this.log('warning', 'Simulation paused');
+    }
+
+    resumeClock() {
+        if (!this.clock.paused) return;
+        this.clock.resume();
+        this.emit('clockState', this.clock.getState());
+        this.log('info', 'Simulation resumed');
+    }
+
+    // Check and update mission phases
+    checkMissionPhases() {
+        const mission = this.mission;
+        const state = this.rocket.getState();
+        const telemetry = this.rocket.getTelemetry();
+
+        if (mission.status === 'LAUNCH' && telemetry.altitude > 1000) {
+            mission.status = 'ASCENT';
+            this.emit('missionState', mission);
+            this.log('success', 'Vehicle has cleared the tower!');
+        }
+
+        // The vehicle logs each separation itself
+        if (mission.status === 'ASCENT' && state.stageNumber > 1) {
+            mission.status = 'STAGE_SEP';
+            this.emit('missionState', mission);
+        }
+
+        // Second stage cutoff; telemetry keeps streaming while the orbit is propagated. A perigee inside the
+        // Earth (a vehicle short of performance) is SUBORBITAL, coasting to impact
+        if (state.phase === 'ORBIT' && mission.status !== 'ORBIT' && mission.status !== 'SUBORBITAL') {
+            mission.status = telemetry.perigee > 0 ? 'ORBIT' : 'SUBORBITAL';
+            this.emit('missionState', mission);
+            this.flightDecided();
+            if (mission.status === 'ORBIT') {
+                // Success means the orbit the plan asked for, not just any orbit
+                const misses = insertionMisses(mission.plan, telemetry);
+                mission.insertion = {
+                    apogee: telemetry.apogee,
+                    perigee: telemetry.perigee,
+                    inclination: telemetry.inclination,
+                    onTarget: misses.length === 0
+                };
+                if (misses.length === 0) {
+                    this.log('critical', 'Orbital insertion successful! Mission complete!');
+                } else {
+                    this.log('warning', `In orbit, but off the plan's target: ${misses.join(', ')}`);
+                }
+                if (telemetry.apogee !== null) {
+                    this.log('info', `Insertion orbit ${telemetry.apogee.toFixed(1)} x ${telemetry.perigee.toFixed(1)} km ` +
+                        `at ${telemetry.inclination.toFixed(2)}°, off target by ${formatError(telemetry.apogeeError)} / ` +
+                        `${formatError(telemetry.perigeeError)} km and ${formatError(telemetry.inclinationError, 2)}°` +
+                        (telemetry.raanError === null ? '' : `, raan ${formatError(telemetry.raanError, 2)}°`));
+                }
+            } else {
+                this.log('warning', `Insertion is suborbital (perigee ${telemetry.perigee.toFixed(0)} km), tracking to impact`);
+            }
+        }
+
+        if (state.phase === 'IMPACT' && mission.status !== 'IMPACT') {
+            mission.status = 'IMPACT';
+            this.emit('missionState', mission);
+            this.flightDecided();
+            this.log('critical', `Loss of signal: vehicle impact at ${formatPosition(telemetry)}`);
+            this.stopTelemetry();
+        }
+    }
+
+    // The flight has ended in orbit, landed or lost: the recording and the telemetry history keep one sample
+    // every POST_FLIGHT_RECORD_INTERVAL / POST_FLIGHT_HISTORY_INTERVAL from here, not one per step for as long
+    // as the orbit is propagated
+    flightDecided() {
+        this.flightOver = true;
+        this.endMaxWarp();
+        this.historyInterval = POST_FLIGHT_HISTORY_INTERVAL;
+        if (this.recorder) {
+            this.recorder.decimate(POST_FLIGHT_RECORD_INTERVAL);
+        }
+    }
+
+    // Abort mission; before liftoff that is a pad abort
+    abort(reason) {
+        if (this.rocket.state.phase === 'IGNITION') {
+            this.padAbort(reason);
+            return;
+        }
+        this.mission.status = 'ABORT';
+        this.rocket.abort();
+        this.stopCountdown();
+
+        // DON'T stop the telemetry timer - let it continue for gradual decrease
+        // telemetryTimer keeps stepping to show gradual descent
+
+        this.emit('missionState', this.mission);
+        this.emit('abort', { reason, timestamp: new Date() });
+        this.log('critical', `ABORT! ABORT! ABORT! Reason: ${reason}`);
+    }
+
+    // Range Safety's flight termination system: ARM, DISARM or TERMINATE. It stays armed through the flight;
+    // terminating cuts every engine and ends the flight as an abort.
+    commandFTS(command) {
+        const fts = this.range.status.fts;
+        const flying = this.launchClockTime !== null &&
+            !['ORBIT', 'SUBORBITAL', 'IMPACT', 'LANDED', 'ABORT'].includes(this.mission.status);
+        switch (command) {
+            case 'ARM':
+                this.range.armFTS();
+                break;
+            case 'DISARM':
+                if (flying) {
+                    this.log('warning', 'FTS stays armed while the vehicle is in flight');
+                    return;
+                }
+                this.range.disarmFTS();
+                break;
+            case 'TERMINATE':
+                if (!flying || !fts.armed) {
+                    this.log('warning', flying ? 'FTS is not armed' : 'No flight to terminate');
+                    return;
+                }
+                this.log('critical', 'FLIGHT TERMINATION SYSTEM ACTIVATED');
+                this.abort('Flight terminated by Range Safety');
+                return;
+            default:
+                this.log('warning', `Unknown FTS command: ${command}`);
+                return;
+        }
+        this.range.evaluateRangeStatus();
+        this.emit('rangeStatus', this.range.getStatus());
+        this.log('info', `Flight termination system ${fts.armed ? 'armed' : 'disarmed'}`);
+    }
+
+    // Summary for mission listings
+    getSummary() {
+        return {
+            id: this.id,
+            name: this.name,
+            status: this.mission.status,
+            vehicle: this.mission.vehicle,
+            guidance: this.mission.guidance,
+            site: this.mission.plan.site,
+            clients: this.getClientCount(),
+            createdAt: this.createdAt
+        };
+    }
+
+    // Stop every timer owned by this mission
+    dispose() {
+        this.stopTimers();
+        this.stopRecording();
+        this.weather.cleanup();
+        this.range.cleanup();
+        this.clock.dispose();
+    }
+}
+
+// A client in the event log: its operator's name, or its console when logins are off
+function describeClient(client) {
+    return client.name || `console ${client.id.slice(0, 6)}`;
+}
+
+// A station owner or relief in the station assignments
+function describeSeat(client) {
+    return { client: client.id, user: client.user, name: describeClient(client), since: client.since };
+}
+
+// Format countdown time, with hours once a window is that far off
+function formatCountdown(seconds) {
+    const negative = seconds < 0;
+    const abs = Math.abs(seconds);
+    const hours = Math.floor(abs / 3600);
+    const mins = Math.floor((abs % 3600) / 60);
+    const secs = abs % 60;
+    const pad = (value) => value.toString().padStart(2, '0');
+    return `${negative ? '+' : ''}${hours > 0 ? `${pad(hours)}:` : ''}${pad(mins)}:${pad(secs)}`;
+}
+
+// A launch sequencer redline violation, e.g. weather NO-GO: wind (limit GO)
+function describeViolation(violation) {
+    return `${violation.parameter} ${violation.value} (limit ${violation.limit})`;
+}
+
+// Format a sub-vehicle point, e.g. 28.57N 80.65W
+function formatPosition(telemetry) {
+    const lat = `${Math.abs(telemetry.latitude).toFixed(2)}${telemetry.latitude >= 0 ? 'N' : 'S'}`;
+    const lon = `${Math.abs(telemetry.longitude).toFixed(2)}${telemetry.longitude >= 0 ? 'E' : 'W'}`;
+    return `${lat} ${lon}`;
+}
+
+// Format a date as UTC time of day, e.g. 14:05:00 UTC
+function formatDate(date) {
+    return `${new Date(date).toISOString().substr(11, 8)} UTC`;
+}
+
+// One-line summary of a mission plan
+function describePlan(plan) {
+    const site = getLaunchSite(plan.site);
+    const target = plan.target;
+    const parts = [
+        `${site.name}, azimuth ${plan.launchAzimuth.toFixed(1)}°`,
+        `target ${target.apogee} x ${target.perigee} km at ${target.inclination}°`
+    ];
+    if (plan.payload !== null) {
+        parts.push(`payload ${plan.payload} kg`);
+    }
+    if (target.raan !== null) {
+        parts.push(`raan ${target.raan}°`);
+    }
+    if (plan.window) {
+        parts.push(plan.window.opens === plan.window.closes
+            ? `instantaneous window ${formatDate(plan.window.opens)}`
+            : `window ${formatDate(plan.window.opens)} - ${formatDate(plan.window.closes)}`);
+    }
+    return parts.join(', ');
+}
+
+// Signed difference, e.g. +0.4
+function formatError(value, digits = 1) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+}
+
+module.exports = MissionSession;
@@ -0,0 +1,200 @@
+// Orbital Mechanics
+// Vector helpers, Earth orientation and Keplerian elements from state vectors
+// Vectors are [x, y, z] arrays in an Earth-centred inertial (ECI) frame, metres and m/s
+
+const TWO_PI = 2 * Math.PI;
+const EARTH_J2 = 1.08263e-3; // oblateness coefficient
+const EARTH_EQUATORIAL_RADIUS = 6378137; // m, reference radius for J2
+const EARTH_ROTATION_RATE = 7.2921159e-5; // rad/s
+
+function add(a, b) {
+    return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+function scale(a, k) {
+    return [a[0] * k, a[1] * k, a[2] * k];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+function norm(a) {
+    return Math.sqrt(dot(a, a));
+}
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+// Angle between two vectors in radians (0..pi)
+function angleBetween(a, b) {
+    const cos = dot(a, b) / (norm(a) * norm(b));
+    return Math.acos(Math.max(-1, Math.min(1, cos)));
+}
+
+// Greenwich mean sidereal time in radians for a date
+function gmst(date) {
+    const julianDate = date.getTime() / 86400000 + 2440587.5;
+    const degrees = 280.46061837 + 360.98564736629 * (julianDate - 2451545.0);
+    return toRadians(((degrees % 360) + 360) % 360);
+}
+
+// Inertial unit vectors at a launch site for a launch date:
+// up (through the site), east, north, and downrange along the launch azimuth
+function siteBasis(latitude, longitude, azimuth, date) {
+    const lat = toRadians(latitude);
+    const lon = toRadians(longitude) + gmst(date);
+    const az = toRadians(azimuth);
+
+    const up = [Math.cos(lat) * Math.cos(lon), Math.cos(lat) * Math.sin(lon), Math.sin(lat)];
+    const east = [-Math.sin(lon), Math.cos(lon), 0];
+    const north = [-Math.sin(lat) * Math.cos(lon), -Math.sin(lat) * Math.sin(lon), Math.cos(lat)];
+    const downrange = add(scale(east, Math.sin(az)), scale(north, Math.cos(az)));
+
+    return { up, east, north, downrange };
+}
+
+// Spherical latitude and longitude (degrees) below an inertial position at a date
+function inertialToGeographic(r, date) {
+    const latitude = Math.asin(r[2] / norm(r));
+    let longitude = Math.atan2(r[1], r[0]) - gmst(date);
+    longitude = ((longitude + Math.PI) % TWO_PI + TWO_PI) % TWO_PI - Math.PI;
+    return { latitude: toDegrees(latitude), longitude: toDegrees(longitude) };
+}
+
+// Velocity relative to the rotating Earth (and its atmosphere): v - w x r
+function relativeVelocity(r, v) {
+    return [v[0] + EARTH_ROTATION_RATE * r[1], v[1] - EARTH_ROTATION_RATE * r[0], v[2]];
+}
+
+// Gravitational acceleration: point mass plus the J2 oblateness term
+function gravityJ2(r, mu) {
+    const r2 = dot(r, r);
+    const radius = Math.sqrt(r2);
+    const pointMass = -mu / (r2 * radius);
+
+    const zRatio = 5 * r[2] * r[2] / r2;
+    const j2 = 1.5 * EARTH_J2 * mu * EARTH_EQUATORIAL_RADIUS * EARTH_EQUATORIAL_RADIUS / (r2 * r2 * radius);
+
+    return [
+        r[0] * (pointMass + j2 * (zRatio - 1)),
+        r[1] * (pointMass + j2 * (zRatio - 1)),
+        r[2] * (pointMass + j2 * (zRatio - 3))
+    ];
+}
+
+// Advance an unpowered state { position, velocity } by dt seconds (RK4, two-body + J2)
+function propagate(state, dt, mu) {
+    const r0 = state.position;
+    const v0 = state.velocity;
+
+    const a1 = gravityJ2(r0, mu);
+    const r1 = add(r0, scale(v0, dt / 2));
+    const v1 = add(v0, scale(a1, dt / 2));
+
+    const a2 = gravityJ2(r1, mu);
+    const r2 = add(r0, scale(v1, dt / 2));
+    const v2 = add(v0, scale(a2, dt / 2));
+
+    const a3 = gravityJ2(r2, mu);
+    const r3 = add(r0, scale(v2, dt));
+    const v3 = add(v0, scale(a3, dt));
+
+    const a4 = gravityJ2(r3, mu);
+
+    return {
+        position: add(r0, scale(add(add(v0, v3), scale(add(v1, v2), 2)), dt / 6)),
+        velocity: add(v0, scale(add(add(a1, a4), scale(add(a2, a3), 2)), dt / 6))
+    };
+}
+
+// Classical orbital elements from position and velocity
+// Distances in metres, angles in degrees, period in seconds (null when not bound)
+function stateToElements(r, v, mu, bodyRadius) {
+    const radius = norm(r);
+    const speed = norm(v);
+    const h = cross(r, v);
+    const hMag = norm(h);
+    const node = [-h[1], h[0], 0]; // k x h, points at the ascending node
+    const nodeMag = norm(node);
+
+    // Eccentricity vector points at perigee
+    const eVec = scale(
+        add(scale(r, speed * speed - mu / radius), scale(v, -dot(r, v))),
+        1 / mu
+    );
+    const e = norm(eVec);
+
+    const energy = speed * speed / 2 - mu / radius;
+    const a = Math.abs(energy) > 1e-9 ? -mu / (2 * energy) : Infinity;
+
+    const inclination = hMag > 0 ? Math.acos(Math.max(-1, Math.min(1, h[2] / hMag))) : 0;
+
+    // Right ascension of the ascending node (undefined for equatorial orbits)
+    let raan = 0;
+    if (nodeMag > 1e-9) {
+        raan = Math.atan2(node[1], node[0]);
+        if (raan < 0) raan += TWO_PI;
+    }
+
+    // Argument of perigee, measured from the node in the direction of motion
+    let argumentOfPerigee = 0;
+    const reference = nodeMag > 1e-9 ? node : [1, 0, 0];
+    if (e > 1e-8) {
+        argumentOfPerigee = angleBetween(reference, eVec);
+        if (eVec[2] < 0) argumentOfPerigee = TWO_PI - argumentOfPerigee;
+    }
+
+    // True anomaly (from the node when the orbit is circular)
+    let trueAnomaly = angleBetween(e > 1e-8 ? eVec : reference, r);
+    if (dot(r, v) < 0 && e > 1e-8) trueAnomaly = TWO_PI - trueAnomaly;
+    if (e <= 1e-8 && r[2] < 0) trueAnomaly = TWO_PI - trueAnomaly;
+
+    const bound = e < 1 && a > 0;
+    const periapsis = a * (1 - e);
+    const apoapsis = bound ? a * (1 + e) : Infinity;
+
+    return {
+        semiMajorAxis: a,
+        eccentricity: e,
+        inclination: toDegrees(inclination),
+        raan: toDegrees(raan),
+        argumentOfPerigee: toDegrees(argumentOfPerigee),
+        trueAnomaly: toDegrees(trueAnomaly),
+        period: bound ? TWO_PI * Math.sqrt(a * a * a / mu) : null,
+        perigeeAltitude: (bound ? periapsis : hMag * hMag / (mu * (1 + e))) - bodyRadius,
+        apogeeAltitude: apoapsis - bodyRadius
+    };
+}
+
+module.exports = {
+    add,
+    scale,
+    dot,
+    cross,
+    norm,
+    toRadians,
+    toDegrees,
+    angleBetween,
+    gmst,
+    siteBasis,
+    inertialToGeographic,
+    relativeVelocity,
+    gravityJ2,
+    propagate,
+    stateToElements,
+    EARTH_ROTATION_RATE
+};
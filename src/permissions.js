@@ -0,0 +1,65 @@
+// Station Permissions
+// Which consoles may give each command: a client's commands go through as its station's, and are refused
+// from a client at any other station or at none
+
+const { STATIONS, FLIGHT_DIRECTOR, INSTRUCTOR } = require('./stations');
+
+const RANGE_SAFETY = 'Range Safety';
+const BOOSTER = 'Booster';
+
+// Socket command (or REST action) -> { stations that may give it, what it does (for refusals) }
+const COMMANDS = {
+    initiateLaunch: { stations: [FLIGHT_DIRECTOR], label: 'initiate the launch sequence' },
+    resetSimulation: { stations: [FLIGHT_DIRECTOR], label: 'reset the simulation' },
+    startGoNoGoPoll: { stations: [FLIGHT_DIRECTOR], label: 'start the Go/No-Go poll' },
+    proceedWithLaunch: { stations: [FLIGHT_DIRECTOR], label: 'proceed with the launch' },
+    resumeCountdown: { stations: [FLIGHT_DIRECTOR], label: 'resume the count' },
+    releaseHold: { stations: [FLIGHT_DIRECTOR], label: 'release a built-in hold' },
+    recycleCount: { stations: [FLIGHT_DIRECTOR], label: 'recycle the count' },
+    launch: { stations: [FLIGHT_DIRECTOR], label: 'give the launch command' },
+    holdCountdown: { stations: STATIONS, label: 'call a hold' },
+    abort: { stations: [FLIGHT_DIRECTOR, RANGE_SAFETY], label: 'abort' },
+    commandFTS: { stations: [RANGE_SAFETY], label: 'command the flight termination system' },
+    setThrottle: { stations: [BOOSTER, FLIGHT_DIRECTOR], label: 'set the throttle' },
+    stageSeparation: { stations: [BOOSTER, FLIGHT_DIRECTOR], label: 'separate a stage' },
+    initiateLanding: { stations: [BOOSTER, FLIGHT_DIRECTOR], label: 'initiate the landing' },
+    pauseSimulation: { stations: [FLIGHT_DIRECTOR, INSTRUCTOR], label: 'pause the simulation' },
+    resumeSimulation: { stations: [FLIGHT_DIRECTOR, INSTRUCTOR], label: 'resume the simulation' },
+    setTimeWarp: { stations: [FLIGHT_DIRECTOR, INSTRUCTOR], label: 'set the time warp' },
+    injectFault: { stations: [INSTRUCTOR], label: 'inject faults' },
+    cancelFault: { stations: [INSTRUCTOR], label: 'cancel faults' },
+    clearFaults: { stations: [INSTRUCTOR], label: 'clear faults' },
+    // REST only
+    createMission: { stations: [FLIGHT_DIRECTOR], label: 'create a mission' },
+    updatePlan: { stations: [FLIGHT_DIRECTOR], label: 'change the mission plan' },
+    removeMission: { stations: [FLIGHT_DIRECTOR], label: 'remove a mission' }
+};
+
+// Whether a client at a station (null for none) may give a command
+function mayCommand(station, command) {
+    const entry = COMMANDS[command];
+    return Boolean(entry && station && entry.stations.includes(station));
+}
+
+// Why a command was refused, e.g. "Only Flight Director or Range Safety may abort"
+function describeRefusal(command) {
+    const entry = COMMANDS[command];
+    if (!entry) {
+        return `Unknown command: ${command}`;
+    }
+    const stations = entry.stations === STATIONS ? ['a control station'] : entry.stations;
+    return `Only ${stations.join(' or ')} may ${entry.label}`;
+}
+
+// The permission matrix for listings: command -> stations
+function listPermissions() {
+    return Object.fromEntries(Object.entries(COMMANDS).map(([command, entry]) => [command, entry.stations]));
+}
+
+module.exports = {
+    COMMANDS,
+    RANGE_SAFETY,
+    mayCommand,
+    describeRefusal,
+    listPermissions
+};
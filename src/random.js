@@ -0,0 +1,45 @@
+// Seedable Random Number Generator
+// Lets simulators replay the exact same stream of "random" events for a given seed
+
+// Hash a number or string seed into a 32-bit unsigned integer (FNV-1a)
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Create a random() function returning floats in [0, 1)
+// Without a seed this falls back to Math.random
+function createRandom(seed) {
+    if (seed === undefined || seed === null || seed === '') {
+        return Math.random;
+    }
+
+    // mulberry32
+    let state = hashSeed(seed);
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Derive an independent seed for one simulator from a mission seed
+function deriveSeed(seed, label) {
+    if (seed === undefined || seed === null || seed === '') {
+        return undefined;
+    }
+    return `${seed}:${label}`;
+}
+
+module.exports = {
+    createRandom,
+    deriveSeed,
+    hashSeed
+};
@@ -1,11 +1,24 @@
 // Range Safety Control System
 // Manages launch range clearance and safety zones
 
+const { createRandom } = require('./random');
+const { getLaunchSite, DEFAULT_SITE_ID } = require('./missionPlan');
+
 class RangeControl {
-    constructor() {
+    // Seed (or inject) the random source so range traffic can be replayed
+    // options.site (from the launch site catalog) and options.azimuth place the pad and flight corridor
+    constructor(options = {}) {
+        this.random = options.random || createRandom(options.seed);
+        this.clock = options.clock || null; // monitoring runs on simulation time when given
+        const site = options.site || getLaunchSite(DEFAULT_SITE_ID);
+
         this.status = {
             rangeStatus: 'GREEN', // GREEN, YELLOW, RED
 
+            // Pad and the azimuth the vehicle flies out on (degrees from north)
+            launchSite: { id: site.id, name: site.name, lat: site.lat, lon: site.lon },
+            flightAzimuth: options.azimuth !== undefined ? options.azimuth : null,
+
             // Airspace clearance
             airspace: {
                 cleared: false,
@@ -19,7 +32,7 @@ class RangeControl {
                 vessels: [],
                 exclusionZone: {
                     radius: 50, // nautical miles
-                    center: { lat: 28.5729, lon: -80.6490 } // Cape Canaveral
+                    center: { lat: site.lat, lon: site.lon } // centred on the pad
                 }
             },
 
@@ -61,50 +74,63 @@ class RangeControl {
             impactZones: []
         };
 
+        this.intrusions = 0; // traffic put into the hazard area by addIntrusion
+
         // Start monitoring
+        this.monitorInterval = null;
         this.startRangeMonitoring();
     }
 
     startRangeMonitoring() {
-        // Simulate range monitoring updates
-        setInterval(() => {
-            this.updateRangeStatus();
-        }, 3000);
+        // Simulate range monitoring updates every 3 seconds
+        if (this.clock) {
+            this.monitorInterval = this.clock.every(3, () => this.updateRangeStatus());
+        } else {
+            this.monitorInterval = setInterval(() => {
+                this.updateRangeStatus();
+            }, 3000);
+        }
     }
 
     updateRangeStatus() {
         // Simulate tracking stations coming online
         if (this.status.tracking.stationsOnline < this.status.tracking.totalStations) {
-            if (Math.random() < 0.3) {
+            if (this.random() < 0.3) {
                 this.status.tracking.stationsOnline++;
             }
         }
 
+        // Traffic strays in far less often once the range is cleared and patrolled
+        const intrusion = this.status.ground.hazardZonesClear ? 0.01 : 1;
+
         // Simulate aircraft in area (random)
-        if (Math.random() < 0.1) {
+        if (this.random() < 0.1 * intrusion) {
             this.status.airspace.aircraft.push({
-                id: `AC${Math.floor(Math.random() * 9999)}`,
-                altitude: Math.floor(Math.random() * 40000),
-                distance: Math.floor(Math.random() * 100),
-                heading: Math.floor(Math.random() * 360)
+                id: `AC${Math.floor(this.random() * 9999)}`,
+                altitude: Math.floor(this.random() * 40000),
+                distance: Math.floor(this.random() * 100),
+                heading: Math.floor(this.random() * 360)
             });
-        } else if (this.status.airspace.aircraft.length > 0 && Math.random() < 0.3) {
+        } else if (this.status.airspace.aircraft.length > 0 && this.random() < 0.3) {
             this.status.airspace.aircraft.shift(); // Aircraft leaving area
         }
 
         // Simulate vessels
-        if (Math.random() < 0.05) {
+        if (this.random() < 0.05 * intrusion) {
             this.status.maritime.vessels.push({
-                id: `SHIP${Math.floor(Math.random() * 999)}`,
-                distance: Math.floor(Math.random() * 60),
-                speed: Math.floor(Math.random() * 20)
+                id: `SHIP${Math.floor(this.random() * 999)}`,
+                distance: Math.floor(this.random() * 60),
+                speed: Math.floor(this.random() * 20)
             });
-        } else if (this.status.maritime.vessels.length > 0 && Math.random() < 0.2) {
+        } else if (this.status.maritime.vessels.length > 0 && this.random() < 0.2) {
             this.status.maritime.vessels.shift();
         }
 
-        // FTS battery drain
-        this.status.fts.batteryLevel = Math.max(50, this.status.fts.batteryLevel - Math.random() * 0.1);
+        // FTS battery drain, once armed and off ground power
+        const drain = this.random() * 0.02;
+        if (this.status.fts.armed) {
+            this.status.fts.batteryLevel = Math.max(50, this.status.fts.batteryLevel - drain);
+        }
 
         // Check overall status
         this.evaluateRangeStatus();
@@ -158,6 +184,30 @@ class RangeControl {
         this.status.goForLaunch = status === 'GREEN' && violations.length === 0;
     }
 
+    // Traffic straying into the hazard area: an aircraft in the restricted airspace or a vessel in the
+    // exclusion zone, close in unless details (distance, ...) place it. Doesn't draw on the random traffic,
+    // so a seeded run keeps its stream.
+    addIntrusion(traffic, details = {}) {
+        const number = ++this.intrusions;
+        let intruder;
+        if (traffic === 'vessel') {
+            intruder = Object.assign({ id: `SHIP-X${number}`, distance: 20, speed: 12 }, details);
+            this.status.maritime.vessels.push(intruder);
+        } else {
+            intruder = Object.assign({ id: `AC-X${number}`, altitude: 8000, distance: 10, heading: 270 }, details);
+            this.status.airspace.aircraft.push(intruder);
+        }
+        this.evaluateRangeStatus();
+        return intruder;
+    }
+
+    // Move the range to another pad and flight corridor (a new mission plan)
+    setLaunchSite(site, azimuth) {
+        this.status.launchSite = { id: site.id, name: site.name, lat: site.lat, lon: site.lon };
+        this.status.flightAzimuth = azimuth;
+        this.status.maritime.exclusionZone.center = { lat: site.lat, lon: site.lon };
+    }
+
     // Clear the range for launch
     clearRange() {
         this.status.ground.personnelEvacuated = true;
@@ -172,10 +222,11 @@ class RangeControl {
         console.log('Range cleared for launch');
     }
 
-    // Arm FTS
+    // Arm FTS, tested on a freshly charged battery
     armFTS() {
         this.status.fts.armed = true;
         this.status.fts.tested = true;
+        this.status.fts.batteryLevel = 100;
         console.log('Flight Termination System armed');
     }
 
@@ -211,7 +262,14 @@ class RangeControl {
     }
 
     cleanup() {
-        // Cleanup if needed
+        if (this.monitorInterval) {
+            if (this.clock) {
+                this.clock.cancel(this.monitorInterval);
+            } else {
+                clearInterval(this.monitorInterval);
+            }
+            this.monitorInterval = null;
+        }
     }
 }
 
@@ -1,64 +1,114 @@
 // Rocket Flight Simulator
 // Simulates a multi-stage rocket launch to ISS orbit
-// Based on Falcon 9 / Atlas V class vehicle
+// The vehicle comes from a definition in vehicles/ (Falcon-X by default): any number of stages,
+// optional strap-on boosters burning alongside the first stage, and a payload fairing
+
+const { createRandom } = require('./random');
+const { standardAtmosphere, windProfile, SEA_LEVEL_PRESSURE } = require('./atmosphere');
+const { dragCoefficient } = require('./aerodynamics');
+const { PoweredExplicitGuidance, DEFAULT_TARGET } = require('./guidance');
+const { launchAzimuths, raanError } = require('./missionPlan');
+const {
+    add, scale, dot, norm, angleBetween, siteBasis, inertialToGeographic, relativeVelocity,
+    propagate, stateToElements, toRadians, toDegrees
+} = require('./orbitalMechanics');
+
+const DEFAULT_VEHICLE = require('../vehicles/falcon-x.json');
+
+const GROUND_TRACK_INTERVAL = 10; // seconds of mission time between ground track points
+const MAX_GROUND_TRACK_POINTS = 10000;
+const DEPLETED = 0.01; // kg: a tank holding less is empty
+const CLOSED_LOOP_ALTITUDE = 50000; // m: the final stage steers closed-loop above this
+
+// Engine start on the pad, watched by the onboard launch sequencer (RSLS)
+const NOMINAL_CHAMBER_PRESSURE = 270; // bar at full thrust
+const ENGINE_SPIN_UP = 3; // s from an engine's start command to nominal chamber pressure
+const ENGINE_START_STAGGER = 0.1; // s between engine start commands
+const ENGINE_START_MARGIN = 1; // s an engine may run late reaching nominal before the start is shut down
+const ENGINE_PRESSURE_TOLERANCE = 0.1; // fraction of nominal chamber pressure a running engine must stay within
+
+// Engine by engine: readouts at rated thrust, and how far the others can go to cover for an engine out
+const NOMINAL_TURBOPUMP_RPM = 36000;
+const NOMINAL_CHAMBER_TEMPERATURE = 3600; // K
+const NOMINAL_TURBINE_INLET_TEMP = 800; // K
+const AMBIENT_TEMPERATURE = 300; // K
+const ENGINE_MAX_THROTTLE = 1.1; // fraction of rated thrust
+const ENGINE_MOUNT_ARM = 0.1; // engine ring radius over the distance from the gimbals to the centre of mass
+const MAX_GIMBAL = 6; // degrees
 
 class RocketSimulator {
-    constructor() {
-        // Vehicle specifications
-        this.specs = {
-            name: 'Falcon-X',
-            stages: 2,
-            totalMass: 549054, // kg (similar to Falcon 9)
-            hasLandingCapability: true, // SpaceX-style propulsive landing
-            landingBurnAltitude: 5000, // meters - when to start landing burn
-            firstStage: {
-                dryMass: 22200, // kg
-                propellantMass: 411000, // kg
-                thrust: 7607000, // N (sea level)
-                thrustVac: 8227000, // N (vacuum)
-                burnTime: 162, // seconds
-                engines: 9,
-                specificImpulse: 282 // seconds (sea level)
-            },
-            secondStage: {
-                dryMass: 4000, // kg
-                propellantMass: 111500, // kg
-                thrust: 934000, // N (vacuum)
-                burnTime: 397, // seconds
-                engines: 1,
-                specificImpulse: 348 // seconds (vacuum)
-            },
-            payload: 22800, // kg to LEO
-            dragCoefficient: 0.3,
-            crossSection: 10.52 // m^2
-        };
+    constructor(options = {}) {
+        // Random source for stochastic vehicle behaviour (seedable for replays)
+        this.random = options.random || createRandom(options.seed);
+
+        // Weather monitor supplying the day's wind profile (calm air without one)
+        this.weather = options.weather || null;
+
+        // Vehicle specifications, derived from the vehicle definition (the mission plan may swap the payload)
+        this.vehicle = options.vehicle || DEFAULT_VEHICLE;
+        if (options.payload !== undefined && options.payload !== null) {
+            this.vehicle = Object.assign({}, this.vehicle, { payload: options.payload });
+        }
+        this.specs = buildSpecs(this.vehicle);
 
         // Current state
         this.state = {
-            phase: 'PAD', // PAD, IGNITION, LAUNCH, ASCENT, MECO, STAGE_SEP, SECOND_STAGE, ORBIT, ABORT, LANDING, LANDED
+            phase: 'PAD', // PAD, IGNITION, LAUNCH, ASCENT, MECO, STAGE_SEP, UPPER_STAGE, ORBIT, IMPACT, ABORT, LANDING, LANDED
             stageNumber: 1,
+            stageCount: this.specs.stages.length,
+            boostersAttached: this.specs.boosters.reduce((total, booster) => total + booster.count, 0),
+            fairingAttached: this.specs.fairing !== null,
+            propellantLoaded: false, // pad configuration, set by the countdown timeline
+            enginesChilled: false,
+            internalPower: false,
             ignitionSequence: false,
+            ignitionTime: 0, // s since engine ignition on the pad
+            engines: buildEngines(this.specs), // the liquid engines, one by one (see buildEngines)
+            padAbort: null, // reason for the last RSLS safe shutdown on the pad
+            stuckThrottle: null, // stage whose throttle valve is stuck where it was
+            ventLeak: null, // { stage, rate (kg/s) } while a stage's tank vent valve is stuck open
             engineStatus: 'OFF',
-            guidanceMode: 'GRAVITY_TURN',
+            guidanceMode: options.guidance || 'PEG', // PEG (src/guidance.js GUIDANCE_MODES)
+            guidancePhase: 'VERTICAL_RISE', // VERTICAL_RISE, GRAVITY_TURN, CONVERGING, CLOSED_LOOP, TERMINAL
             throttleLevel: 100,
             missionTime: 0,
             abort: false,
-            landingBurnStarted: false
+            landingBurnStarted: false,
+            cutoffTime: null, // mission time the current stage cut off
+            separationTime: null, // mission time of the last stage separation
+            insertionTime: null // mission time of orbital insertion
         };
 
         // Telemetry data
         this.telemetry = {
             // Position & velocity
             altitude: 0, // meters
-            velocity: 0, // m/s
-            acceleration: 0, // m/s^2
+            velocity: 0, // m/s (relative to the surface)
+            verticalVelocity: 0, // m/s
+            horizontalVelocity: 0, // m/s
+            acceleration: 0, // m/s^2 (sensed: thrust and drag)
             downrange: 0, // km
-
-            // Orbital parameters
-            apogee: 0, // km
-            perigee: 0, // km
-            inclination: 51.6, // degrees (ISS orbit)
-            orbitalVelocity: 0, // m/s
+            latitude: 0, // degrees (ground track)
+            longitude: 0, // degrees (ground track)
+
+            // Orbital parameters (osculating Keplerian elements)
+            apogee: 0, // km altitude (null when not bound)
+            perigee: 0, // km altitude
+            semiMajorAxis: 0, // km
+            eccentricity: 0,
+            inclination: 51.6, // degrees
+            raan: 0, // degrees (right ascension of the ascending node)
+            argumentOfPerigee: 0, // degrees
+            trueAnomaly: 0, // degrees
+            orbitalPeriod: null, // seconds (null when not bound)
+            orbitalVelocity: 0, // m/s (inertial)
+
+            // Guidance (errors are the osculating orbit less the target)
+            timeToGo: null, // s to final stage cutoff (closed-loop guidance only)
+            apogeeError: null, // km (null when not bound)
+            perigeeError: 0, // km
+            inclinationError: 0, // degrees
+            raanError: null, // degrees (null without a target plane)
 
             // Vehicle status
             mass: this.specs.totalMass, // kg
@@ -68,61 +118,168 @@ class RocketSimulator {
             gForce: 0, // G's
 
             // Propulsion
-            propellantRemaining: 100, // %
-            engineThrottle: 0, // %
-            chamberPressure: 0, // bar
+            propellantRemaining: 100, // % (current stage)
+            fuelMass: this.specs.stages[0].fuelMass, // kg (current stage)
+            oxidizerMass: this.specs.stages[0].oxidizerMass, // kg (current stage)
+            fuelFlowRate: 0, // kg/s (stage and strap-ons)
+            oxidizerFlowRate: 0, // kg/s
+            totalFlowRate: 0, // kg/s
+            engineThrottle: 0, // % of rated thrust, each running engine of the current stage
+            chamberPressure: 0, // bar, mean of the current stage's running engines
+            enginesRunning: 0, // current stage
+            enginesOut: 0, // failed, whole vehicle
+            gimbalAngle: 0, // degrees the current stage's engines gimbal to steer out engine-out thrust offset
             exhaustVelocity: 0, // m/s
 
             // Guidance
             pitch: 90, // degrees (90 = vertical)
             yaw: 0, // degrees
             roll: 0, // degrees
-            flightPathAngle: 90, // degrees
+            flightPathAngle: 90, // degrees above local horizontal (surface-relative)
 
             // Environmental
             dynamicPressure: 0, // Pa
             machNumber: 0,
+            angleOfAttack: 0, // degrees between the vehicle axis and the airflow
+            dragCoefficient: 0,
+            dragForce: 0, // N
+            airspeed: 0, // m/s (relative to the moving air)
+            windSpeed: 0, // m/s at the vehicle's altitude
             atmosphericDensity: 1.225, // kg/m^3 (sea level)
-            temperature: 288, // K
-
-            // Stage specific
-            stage1FuelRemaining: 100, // %
-            stage2FuelRemaining: 100, // %
-            stage1BurnTime: 0, // seconds
-            stage2BurnTime: 0 // seconds
+            atmosphericPressure: 101325, // Pa
+            temperature: 288.15, // K
+            speedOfSound: 340.3, // m/s
+
+            // Stage specific (per-stage fields are added below)
+            stageFuelRemaining: 100, // % propellant (current stage)
+            stageBurnTime: 0, // seconds (current stage)
+            boosterThrust: 0 // N (strap-ons, included in thrust)
         };
 
+        // Per-stage and per-booster-set propellant and burn time: stage1FuelMass, booster1BurnTime, ...
+        // stageNFuelRemaining is the % of all propellant left; stageNResidual the kg left at cutoff
+        this.specs.stages.forEach((stage, i) => {
+            this.telemetry[`stage${i + 1}FuelRemaining`] = 100; // %
+            this.telemetry[`stage${i + 1}FuelMass`] = stage.fuelMass; // kg
+            this.telemetry[`stage${i + 1}OxidizerMass`] = stage.oxidizerMass; // kg
+            this.telemetry[`stage${i + 1}Residual`] = null; // kg, once the stage has cut off
+            this.telemetry[`stage${i + 1}BurnTime`] = 0; // seconds
+        });
+        this.specs.boosters.forEach((booster, i) => {
+            this.telemetry[`booster${i + 1}FuelRemaining`] = 100; // %
+            this.telemetry[`booster${i + 1}FuelMass`] = booster.count * booster.fuelMass; // kg, whole set
+            this.telemetry[`booster${i + 1}OxidizerMass`] = booster.count * booster.oxidizerMass; // kg, whole set
+            this.telemetry[`booster${i + 1}BurnTime`] = 0; // seconds
+        });
+
+        // Propellant left in each stage's tanks
+        this.tanks = this.specs.stages.map(stage => loadTanks(stage, 1));
+
+        // Strap-on booster sets: each burns from liftoff until its propellant runs out, then is jettisoned on its own
+        this.boosters = this.specs.boosters.map(spec => ({
+            spec: spec,
+            tanks: loadTanks(spec, spec.count),
+            burning: true,
+            attached: true,
+            burnoutTime: null
+        }));
+
+        // Flight events (staging, jettisons) waiting to be picked up for the event log
+        this.events = [];
+
         // Physics constants
         this.constants = {
             g0: 9.81, // m/s^2 (Earth surface gravity)
             Re: 6371000, // m (Earth radius)
-            atmosphereHeight: 100000, // m
-            speedOfSound: 343, // m/s at sea level
-            airDensitySeaLevel: 1.225 // kg/m^3
+            mu: 9.81 * 6371000 * 6371000, // m^3/s^2 (g0 * Re^2)
+            earthRotationRate: 7.2921159e-5 // rad/s
         };
 
-        // Mission parameters
+        // Mission parameters; the target orbit comes from the mission plan (km, km, degrees)
+        const target = options.target || DEFAULT_TARGET;
         this.mission = {
-            targetAltitude: 400000, // m (400km - ISS altitude)
-            targetVelocity: 7660, // m/s (orbital velocity at 400km)
+            targetApogee: target.apogee * 1000, // m
+            targetPerigee: target.perigee * 1000, // m
             maxQAltitude: 13000, // m (typical max-Q altitude)
             stageSepAltitude: 65000, // m
             gravityTurnStart: 150, // m
-            targetInclination: 51.6 // degrees
+            pitchKick: 2, // degrees off vertical to start the gravity turn
+            pitchKickSpeed: 60, // m/s (vertical rise until then)
+            targetInclination: target.inclination, // degrees
+            targetRaan: target.raan !== undefined ? target.raan : null, // degrees (null: any plane)
+            launchLatitude: options.launchSite ? options.launchSite.lat : 28.5729, // degrees (Cape Canaveral)
+            launchLongitude: options.launchSite ? options.launchSite.lon : -80.6490, // degrees
+            maxAscentG: 4.5 // throttle back to hold this acceleration
+        };
+
+        // Launch azimuth from the mission plan, or northbound into the target inclination (due east when the
+        // inclination is below the latitude)
+        const azimuths = launchAzimuths(this.mission.launchLatitude, this.mission.targetInclination);
+        this.mission.launchAzimuth = options.launchAzimuth !== undefined ? options.launchAzimuth
+            : (azimuths.length > 0 ? azimuths[0] : 90);
+
+        // Planar state vector in the trajectory plane, Earth-centred inertial (m, m/s)
+        // y points up through the launch site at liftoff, x points downrange
+        // Earth's rotation only counts through its component normal to the plane
+        this.planeRotationRate = this.constants.earthRotationRate *
+            Math.cos(toRadians(this.mission.launchLatitude)) *
+            Math.sin(toRadians(this.mission.launchAzimuth));
+        this.trajectory = {
+            x: 0,
+            y: this.constants.Re,
+            vx: this.planeRotationRate * this.constants.Re, // carried along by Earth's rotation
+            vy: 0
         };
 
+        // Orientation of the trajectory plane in inertial space depends on the launch date
+        this.setLaunchEpoch(options.launchEpoch || new Date());
+
+        // After insertion the vehicle is propagated as a 3D inertial state { position, velocity }
+        this.orbitState = null;
+
+        // Closed-loop guidance for the final stage, created when it takes over
+        this.peg = null;
+
+        // Sub-vehicle points since liftoff: { t (mission time), latitude, longitude }
+        this.groundTrack = [];
+
+        this.updateKinematics();
+        this.calculateOrbitalParams();
+        this.updateGroundTrack();
+
         // Anomaly tracking
         this.anomalies = [];
+        const vehicleLimits = this.vehicle.limits || {};
         this.limits = {
-            maxQ: 45000, // Pa
-            maxG: 5, // G's
-            maxThrust: 8500000, // N
+            maxQ: vehicleLimits.maxQ || 45000, // Pa
+            maxG: vehicleLimits.maxG || 5, // G's
+            maxThrust: vehicleLimits.maxThrust || 1.05 * this.specs.peakThrust, // N
+            maxGimbal: vehicleLimits.maxGimbal || MAX_GIMBAL, // degrees
             maxAltitude: 500000, // m
             maxVelocity: 8000, // m/s
             minChamberPressure: 50 // bar
         };
     }
 
+    // Pad operations from the countdown timeline
+    loadPropellant() {
+        if (this.state.phase === 'PAD') {
+            this.state.propellantLoaded = true;
+        }
+    }
+
+    chillEngines() {
+        if (this.state.phase === 'PAD') {
+            this.state.enginesChilled = true;
+        }
+    }
+
+    transferToInternalPower() {
+        if (this.state.phase === 'PAD') {
+            this.state.internalPower = true;
+        }
+    }
+
     // Start ignition sequence
     armIgnition() {
         if (this.state.phase === 'PAD') {
@@ -131,214 +288,698 @@ class RocketSimulator {
         }
     }
 
-    // Start engine ignition
+    // Safe the vehicle for a recycled count
+    disarmIgnition() {
+        if (this.state.phase === 'PAD') {
+            this.state.ignitionSequence = false;
+        }
+    }
+
+    // Start engine ignition: each engine is commanded on in turn and spins up on its own
     startIgnitionSequence() {
-        if (this.state.ignitionSequence) {
+        if (this.state.ignitionSequence && this.state.phase === 'PAD') {
             this.state.phase = 'IGNITION';
             this.state.engineStatus = 'STARTING';
+            this.state.ignitionTime = 0;
+            this.state.padAbort = null;
+            this.padEngines().forEach((engine, i) => {
+                if (engine.status !== 'FAILED') {
+                    engine.status = 'OFF';
+                }
+                engine.startAt = i * ENGINE_START_STAGGER; // s after ignition
+                engine.spinUp = ENGINE_SPIN_UP * (0.95 + 0.1 * this.random()); // s to nominal
+                engine.level = 1 + (this.random() - 0.5) * 0.02; // steady chamber pressure, fraction of nominal
+            });
             console.log('Engine ignition sequence started');
         }
     }
 
-    // Launch the rocket
-    launch() {
+    // Engines lit on the pad: the first stage's and the liquid strap-ons' (solid motors light at liftoff)
+    padEngines() {
+        return this.state.engines.filter(engine => engine.element === 'stage1' || engine.element.startsWith('booster'));
+    }
+
+    // Engines of a stage or strap-on set: 'stage2', 'booster1'
+    elementEngines(element) {
+        return this.state.engines.filter(engine => engine.element === element);
+    }
+
+    // Specs of a stage or strap-on set
+    elementSpec(element) {
+        const index = Number(element.replace(/^\D+/, '')) - 1;
+        return element.startsWith('stage') ? this.specs.stages[index] : this.specs.boosters[index];
+    }
+
+    // Readouts of an engine running at a fraction of its rated thrust, making the given thrust (N)
+    setEngineOutput(engine, fraction, thrust) {
+        const load = fraction * engine.level;
+        engine.throttle = fraction * 100; // %
+        engine.thrust = thrust;
+        engine.chamberPressure = NOMINAL_CHAMBER_PRESSURE * load;
+        engine.turbopumpRPM = NOMINAL_TURBOPUMP_RPM * Math.sqrt(load);
+        engine.chamberTemperature = AMBIENT_TEMPERATURE +
+            (NOMINAL_CHAMBER_TEMPERATURE - AMBIENT_TEMPERATURE) * Math.sqrt(load);
+        engine.turbineInletTemp = AMBIENT_TEMPERATURE +
+            (NOMINAL_TURBINE_INLET_TEMP - AMBIENT_TEMPERATURE) * Math.sqrt(load);
+    }
+
+    // Light the engines of a stage or strap-on set as it starts burning (those started on the pad are
+    // already running)
+    igniteEngines(element) {
+        this.elementEngines(element).forEach(engine => {
+            if (engine.status === 'OFF' || engine.status === 'STARTING') {
+                engine.status = 'RUNNING';
+            }
+        });
+    }
+
+    // Shut down the running engines of a stage or strap-on set, or all of them
+    shutdownEngines(element = null) {
+        this.state.engines.forEach(engine => {
+            if ((element === null || engine.element === element) && engine.status !== 'FAILED' &&
+                engine.status !== 'OFF') {
+                engine.status = 'SHUTDOWN';
+                this.setEngineOutput(engine, 0, 0);
+            }
+        });
+    }
+
+    // How a stage's or strap-on set's running engines make a commanded fraction of its rated thrust: each
+    // throttles up to cover for engines out, as far as ENGINE_MAX_THROTTLE allows. Returns the fraction of
+    // rated thrust delivered and each running engine's throttle (a solid element has no engines to share it).
+    engineShare(element, commanded) {
+        const engines = this.elementEngines(element);
+        if (engines.length === 0) {
+            return { delivered: commanded, engineThrottle: commanded, running: 0, count: 0 };
+        }
+        const running = engines.filter(engine => engine.status === 'RUNNING').length;
+        const share = running / engines.length;
+        const engineThrottle = running > 0 ? Math.min(ENGINE_MAX_THROTTLE, commanded / share) : 0;
+        return { delivered: share * engineThrottle, engineThrottle: engineThrottle, running: running, count: engines.length };
+    }
+
+    // Split the thrust a stage or strap-on set made this step (N) over its running engines; fullThrust is
+    // all of its engines at rated thrust
+    setElementOutput(element, thrust, fullThrust) {
+        const engines = this.elementEngines(element);
+        const running = engines.filter(engine => engine.status === 'RUNNING');
+        const perEngine = running.length > 0 ? thrust / running.length : 0;
+        const rated = engines.length > 0 ? fullThrust / engines.length : 0;
+        running.forEach(engine => this.setEngineOutput(engine, rated > 0 ? perEngine / rated : 0, perEngine));
+    }
+
+    // Gimbal angle that keeps a stage's thrust through the centre of mass (degrees): with engines out the
+    // running engines' thrust centre sits off the axis
+    gimbalAngle(element) {
+        const engines = this.elementEngines(element);
+        const running = engines.filter(engine => engine.status === 'RUNNING');
+        if (running.length === 0) {
+            return 0;
+        }
+        let x = 0;
+        let y = 0;
+        running.forEach(engine => {
+            const position = enginePosition(engine.index, engines.length);
+            x += position.x;
+            y += position.y;
+        });
+        return toDegrees(Math.atan(Math.hypot(x, y) / running.length * ENGINE_MOUNT_ARM));
+    }
+
+    // Engine out: the engine shuts down, and the rest of its stage or strap-on set throttle up to cover for it
+    // while the gimbals steer out the thrust offset; at less thrust the burn runs longer. False for an engine
+    // that isn't there or has already stopped.
+    failEngine(id, reason = 'engine failure') {
+        const engine = this.state.engines.find(candidate => candidate.id === id);
+        if (!engine || engine.status === 'FAILED' || engine.status === 'SHUTDOWN') {
+            return false;
+        }
+        const element = engine.element;
+        const commanded = element.startsWith('stage') ? this.state.throttleLevel / 100 : 1;
+        const before = this.engineShare(element, commanded);
+        const wasRunning = engine.status === 'RUNNING';
+        engine.status = 'FAILED';
+        engine.failure = reason;
+        this.setEngineOutput(engine, 0, 0);
+        this.telemetry.enginesOut = this.state.engines.filter(candidate => candidate.status === 'FAILED').length;
+
+        if (this.state.phase === 'PAD') {
+            this.recordEvent('critical', `ENGINE FAULT: ${id} (${reason}), not available for ignition`);
+            return true;
+        }
+        const after = this.engineShare(element, commanded);
+        let message = `ENGINE OUT: ${id} (${reason}), ${after.running}/${after.count} engines running`;
+        const tanks = this.elementTanks(element);
+        if (wasRunning && this.state.phase !== 'IGNITION' && after.running > 0 && !isDepleted(tanks)) {
+            const spec = this.elementSpec(element);
+            const fullFlow = this.calculateThrust(spec) / (this.calculateIsp(spec) * this.constants.g0);
+            const propellant = tanks.fuel + tanks.oxidizer;
+            const extension = propellant / (fullFlow * after.delivered) - propellant / (fullFlow * before.delivered);
+            message += ` at ${(after.engineThrottle * 100).toFixed(0)}%, ` +
+                `${(after.delivered / commanded * 100).toFixed(0)}% of commanded thrust`;
+            if (extension >= 0.5) {
+                message += `, burn extended ${extension.toFixed(0)} s`;
+            }
+        }
+        this.recordEvent('critical', message);
+        return true;
+    }
+
+    // Tanks feeding a stage or strap-on set
+    elementTanks(element) {
+        const index = Number(element.replace(/^\D+/, '')) - 1;
+        return element.startsWith('stage') ? this.tanks[index] : this.boosters[index].tanks;
+    }
+
+    // Clamps may release: every engine started on the pad is at nominal chamber pressure (or none was started)
+    readyForLiftoff() {
+        return this.state.phase === 'PAD' || (this.state.phase === 'IGNITION' && this.state.engineStatus === 'RUNNING');
+    }
+
+    // RSLS safe shutdown on the pad: engines off, and the vehicle safed, still fuelled, back on ground power
+    // for a recycled count
+    safeShutdown(reason) {
+        if (this.state.phase !== 'IGNITION') {
+            return;
+        }
+        this.padEngines().forEach(engine => {
+            engine.status = 'SHUTDOWN';
+            engine.failure = null;
+            this.setEngineOutput(engine, 0, 0);
+        });
+        this.state.phase = 'PAD';
+        this.state.engineStatus = 'SAFED';
+        this.state.ignitionSequence = false;
+        this.state.enginesChilled = false;
+        this.state.internalPower = false;
+        this.state.padAbort = reason;
+        this.telemetry.thrust = 0;
+        this.telemetry.chamberPressure = 0;
+        this.telemetry.engineThrottle = 0;
+        console.log(`RSLS safe shutdown: ${reason}`);
+    }
+
+    // Fix the inertial orientation of the trajectory plane for a liftoff date
+    setLaunchEpoch(date) {
+        this.launchEpoch = date;
+        this.planeBasis = siteBasis(
+            this.mission.launchLatitude,
+            this.mission.launchLongitude,
+            this.mission.launchAzimuth,
+            date
+        );
+    }
+
+    // Launch the rocket, optionally at a given liftoff date (defaults to the construction date)
+    launch(epoch) {
         if (this.state.phase === 'IGNITION' || this.state.phase === 'PAD') {
+            if (epoch) {
+                this.setLaunchEpoch(epoch);
+                this.calculateOrbitalParams();
+            }
+            this.groundTrack = [];
+            this.updateGroundTrack();
             this.state.phase = 'LAUNCH';
             this.state.engineStatus = 'RUNNING';
+            this.igniteEngines('stage1');
+            this.specs.boosters.forEach((booster, i) => this.igniteEngines(`booster${i + 1}`));
             console.log('Liftoff!');
         }
     }
 
-    // Main simulation update (called at 10Hz)
-    updateSimulation() {
-        if (this.state.phase === 'PAD' || this.state.phase === 'ORBIT' || this.state.phase === 'LANDED') {
+    // Main simulation update, advancing the vehicle by dt seconds of simulation time
+    updateSimulation(dt = 0.1) {
+        if (this.state.phase === 'PAD' || this.state.phase === 'IMPACT' || this.state.phase === 'LANDED') {
             return this.telemetry;
         }
 
-        // Update mission time (except during abort and landing)
-        if (this.state.phase !== 'ABORT' && this.state.phase !== 'LANDING') {
-            this.state.missionTime += 0.1; // 100ms increments
+        // Update mission time (except on the pad before liftoff, during abort and landing)
+        if (this.state.phase !== 'IGNITION' && this.state.phase !== 'ABORT' && this.state.phase !== 'LANDING') {
+            this.state.missionTime += dt;
         }
 
         // Update based on flight phase
         switch(this.state.phase) {
             case 'IGNITION':
-                this.simulateIgnition();
+                this.simulateIgnition(dt);
                 break;
             case 'LAUNCH':
             case 'ASCENT':
-                this.simulateAscent();
+                this.simulateAscent(dt);
                 break;
             case 'MECO':
-                this.simulateMECO();
+                this.simulateMECO(dt);
                 break;
             case 'STAGE_SEP':
-                this.simulateStageSeparation();
+                this.simulateStageSeparation(dt);
+                break;
+            case 'UPPER_STAGE':
+                this.simulateUpperStage(dt);
                 break;
-            case 'SECOND_STAGE':
-                this.simulateSecondStage();
+            case 'ORBIT':
+                this.simulateOrbit(dt);
                 break;
             case 'ABORT':
                 this.simulateAbort();
                 break;
             case 'LANDING':
-                this.simulateLanding();
+                this.simulateLanding(dt);
                 break;
         }
 
+        // Oxidizer venting overboard through a stuck valve, until the stage is gone
+        if (this.state.phase !== 'ORBIT' && this.state.phase !== 'ABORT' && this.state.phase !== 'LANDING') {
+            this.simulateVentLeak(dt);
+        }
+
         // Update environmental conditions
         this.updateEnvironment();
 
         // Calculate orbital parameters
         this.calculateOrbitalParams();
 
+        // Sub-vehicle point
+        this.updateGroundTrack();
+
         // Check for phase transitions
         this.checkPhaseTransitions();
 
         return this.telemetry;
     }
 
-    // Simulate ignition phase
-    simulateIgnition() {
-        const ignitionProgress = Math.min((this.state.missionTime * 10), 1); // 0 to 1 over 0.1 seconds
+    // Simulate ignition phase: the engines start one after another and spin up to nominal chamber pressure,
+    // the hold-down clamps keeping the vehicle on the pad until liftoff
+    simulateIgnition(dt) {
+        const time = (this.state.ignitionTime += dt);
+        const engines = this.padEngines();
+        const running = NOMINAL_CHAMBER_PRESSURE * (1 - ENGINE_PRESSURE_TOLERANCE);
+        let thrust = 0;
+        let ratedThrust = 0;
+        let pressure = 0;
+        engines.forEach(engine => {
+            const spec = this.elementSpec(engine.element);
+            const rated = spec.thrust / spec.engines;
+            ratedThrust += rated;
+            if (engine.status === 'FAILED') {
+                return;
+            }
+            const progress = Math.max(0, Math.min((time - engine.startAt) / engine.spinUp, 1));
+            this.setEngineOutput(engine, progress, rated * progress * engine.level);
+            engine.status = progress === 0 ? 'OFF' : (engine.chamberPressure >= running ? 'RUNNING' : 'STARTING');
+            thrust += engine.thrust;
+            pressure += engine.chamberPressure;
+        });
+        this.telemetry.thrust = thrust;
+        this.telemetry.engineThrottle = ratedThrust > 0 ? thrust / ratedThrust * 100 : 0;
+        this.telemetry.chamberPressure = engines.length > 0 ? pressure / engines.length : 0; // bar, engine mean
 
-        // Ramp up thrust
-        const stage = this.specs.firstStage;
-        this.telemetry.thrust = stage.thrust * ignitionProgress;
-        this.telemetry.engineThrottle = ignitionProgress * 100;
-        this.telemetry.chamberPressure = 270 * ignitionProgress; // bar
+        const fault = this.engineStartFault();
+        if (fault) {
+            this.safeShutdown(fault);
+            return;
+        }
 
-        // Check for proper ignition
-        if (ignitionProgress >= 1) {
-            this.state.phase = 'LAUNCH';
-            console.log('All engines at full thrust');
+        if (this.state.engineStatus === 'STARTING' && engines.every(engine => engine.status === 'RUNNING')) {
+            this.state.engineStatus = 'RUNNING';
+            this.recordEvent('success', `All ${engines.length} engines at nominal chamber pressure, ` +
+                'hold-down clamps ready to release');
         }
     }
 
-    // Simulate ascent phase
-    simulateAscent() {
-        const dt = 0.1; // 100ms time step
+    // The RSLS's engine redlines: an engine late to reach nominal chamber pressure, or a running one that
+    // leaves the band; describes the first fault, or null
+    engineStartFault() {
+        const time = this.state.ignitionTime;
+        const low = NOMINAL_CHAMBER_PRESSURE * (1 - ENGINE_PRESSURE_TOLERANCE);
+        const high = NOMINAL_CHAMBER_PRESSURE * (1 + ENGINE_PRESSURE_TOLERANCE);
+        for (const engine of this.padEngines()) {
+            if (engine.status === 'FAILED') {
+                return `engine ${engine.id} failed (${engine.failure})`;
+            }
+            if (engine.status !== 'RUNNING' && time > engine.startAt + engine.spinUp + ENGINE_START_MARGIN) {
+                return `engine ${engine.id} failed to reach nominal chamber pressure ` +
+                    `(${engine.chamberPressure.toFixed(0)} bar)`;
+            }
+            if (engine.chamberPressure > high ||
+                (time > engine.startAt + engine.spinUp && engine.chamberPressure < low)) {
+                return `engine ${engine.id} chamber pressure ${engine.chamberPressure.toFixed(0)} bar outside ` +
+                    `${low.toFixed(0)}-${high.toFixed(0)} bar`;
+            }
+        }
+        return null;
+    }
 
+    // Simulate ascent phase
+    simulateAscent(dt) {
         // Get current stage specs
-        const stage = this.state.stageNumber === 1 ?
-            this.specs.firstStage : this.specs.secondStage;
-
-        // Calculate thrust (varies with altitude)
-        let thrust = this.calculateThrust(stage);
-        thrust *= (this.state.throttleLevel / 100);
+        const stage = this.getCurrentStage();
+        const element = `stage${this.state.stageNumber}`;
+
+        // Calculate thrust (varies with altitude); the throttle only acts on the stage's own engines, which
+        // cover for any engine out, and closed-loop guidance may cut them part way through the step
+        const fullThrust = this.calculateThrust(stage);
+        const share = this.engineShare(element, this.state.throttleLevel / 100);
+        const ratedThrust = fullThrust * share.delivered * this.guidanceBurnFraction(dt);
+
+        // Draw this step's propellant; the engines only make the thrust the tanks can still feed
+        const demand = ratedThrust / (this.calculateIsp(stage) * this.constants.g0) * dt;
+        const drawn = drawPropellant(this.getCurrentTanks(), demand);
+        const stageThrust = demand > 0 ? ratedThrust * (drawn.fuel + drawn.oxidizer) / demand : 0;
+        this.setElementOutput(element, stageThrust, fullThrust);
+
+        // Gimballed off the axis the engines lose some of their thrust to steering
+        const gimbal = this.gimbalAngle(element);
+        const boosters = this.burnBoosters(dt);
+        const thrust = stageThrust + boosters.thrust;
         this.telemetry.thrust = thrust;
+        this.telemetry.gimbalAngle = gimbal;
 
-        // Calculate mass (decreases as propellant burns)
-        const fuelBurnRate = thrust / (stage.specificImpulse * this.constants.g0);
-        this.telemetry.mass -= fuelBurnRate * dt;
+        // Mass decreases by exactly the propellant burnt
+        const fuelBurnt = drawn.fuel + boosters.fuel;
+        const oxidizerBurnt = drawn.oxidizer + boosters.oxidizer;
+        this.telemetry.mass -= fuelBurnt + oxidizerBurnt;
+        this.telemetry.fuelFlowRate = fuelBurnt / dt;
+        this.telemetry.oxidizerFlowRate = oxidizerBurnt / dt;
+        this.telemetry.totalFlowRate = (fuelBurnt + oxidizerBurnt) / dt;
 
         // Update propellant remaining
-        if (this.state.stageNumber === 1) {
-            this.telemetry.stage1BurnTime += dt;
-            this.telemetry.stage1FuelRemaining = Math.max(0,
-                100 * (1 - this.telemetry.stage1BurnTime / stage.burnTime));
-            this.telemetry.propellantRemaining = this.telemetry.stage1FuelRemaining;
-        } else {
-            this.telemetry.stage2BurnTime += dt;
-            this.telemetry.stage2FuelRemaining = Math.max(0,
-                100 * (1 - this.telemetry.stage2BurnTime / stage.burnTime));
-            this.telemetry.propellantRemaining = this.telemetry.stage2FuelRemaining;
-        }
+        this.telemetry[`stage${this.state.stageNumber}BurnTime`] += dt;
+        this.updatePropellantTelemetry();
 
-        // Calculate forces
-        const weight = this.telemetry.mass * this.getGravity();
-        const drag = this.calculateDrag();
-
-        // Net force and acceleration
-        const netForce = thrust - weight - drag;
-        this.telemetry.acceleration = netForce / this.telemetry.mass;
-        this.telemetry.gForce = this.telemetry.acceleration / this.constants.g0;
-
-        // Update velocity and position
-        this.telemetry.velocity += this.telemetry.acceleration * dt;
-        this.telemetry.altitude += this.telemetry.velocity * dt;
-
-        // Update downrange distance (simplified)
-        const horizontalVel = this.telemetry.velocity * Math.sin(Math.PI * (90 - this.telemetry.pitch) / 180);
-        this.telemetry.downrange += (horizontalVel * dt) / 1000; // km
+        // Integrate thrust, drag and gravity
+        this.integrateTrajectory(stageThrust * Math.cos(toRadians(gimbal)) + boosters.thrust, dt);
 
         // Guidance and control
         this.updateGuidance();
 
         // Engine parameters
-        this.telemetry.exhaustVelocity = stage.specificImpulse * this.constants.g0;
-        this.telemetry.chamberPressure = 270 * (this.telemetry.engineThrottle / 100);
+        this.telemetry.exhaustVelocity = this.calculateIsp(stage) * this.constants.g0;
+        this.updateEngineTelemetry(element, share);
 
         // TWR calculation
-        this.telemetry.twr = thrust / weight;
+        this.telemetry.twr = thrust / (this.telemetry.mass * this.getGravity());
     }
 
-    // Calculate thrust accounting for atmospheric pressure
-    calculateThrust(stage) {
-        const atmosphericPressure = 101325 * Math.exp(-this.telemetry.altitude / 8000); // Pa
-        const seaLevelPressure = 101325; // Pa
+    // Current stage's engine summary: throttle, mean chamber pressure, engines running and out
+    updateEngineTelemetry(element, share) {
+        const running = this.elementEngines(element).filter(engine => engine.status === 'RUNNING');
+        this.telemetry.engineThrottle = share.engineThrottle * 100;
+        this.telemetry.chamberPressure = share.count === 0 ? NOMINAL_CHAMBER_PRESSURE * share.engineThrottle
+            : running.reduce((total, engine) => total + engine.chamberPressure, 0) / Math.max(1, running.length);
+        this.telemetry.enginesRunning = running.length;
+        this.telemetry.enginesOut = this.state.engines.filter(engine => engine.status === 'FAILED').length;
+    }
 
-        if (this.state.stageNumber === 1) {
-            // First stage thrust varies with altitude
-            const thrustLoss = (atmosphericPressure / seaLevelPressure) *
-                (stage.thrustVac - stage.thrust);
-            return stage.thrust + thrustLoss;
-        } else {
-            // Second stage operates in near-vacuum
-            return stage.thrust;
+    // Strap-ons still burning: advance their burn and return their thrust (N) and the kg of fuel and oxidizer burnt
+    burnBoosters(dt) {
+        let thrust = 0;
+        let fuel = 0;
+        let oxidizer = 0;
+
+        this.boosters.forEach((booster, i) => {
+            if (!booster.burning) {
+                return;
+            }
+            const spec = booster.spec;
+            const key = `booster${i + 1}BurnTime`;
+            const element = `booster${i + 1}`;
+            const fullThrust = this.calculateThrust(spec, this.telemetry[key]);
+            const ratedThrust = fullThrust * this.engineShare(element, 1).delivered;
+            const demand = ratedThrust / (this.calculateIsp(spec) * this.constants.g0) * dt;
+            const drawn = drawPropellant(booster.tanks, demand);
+            this.telemetry[key] += dt;
+
+            const setThrust = demand > 0 ? ratedThrust * (drawn.fuel + drawn.oxidizer) / demand : 0;
+            this.setElementOutput(element, setThrust, fullThrust);
+            thrust += setThrust;
+            fuel += drawn.fuel;
+            oxidizer += drawn.oxidizer;
+        });
+
+        this.telemetry.boosterThrust = thrust;
+        return { thrust, fuel, oxidizer };
+    }
+
+    // Propellant telemetry for every stage and booster set, and the current stage's summary
+    updatePropellantTelemetry() {
+        this.tanks.forEach((tanks, i) => {
+            const key = `stage${i + 1}`;
+            this.telemetry[`${key}FuelMass`] = tanks.fuel;
+            this.telemetry[`${key}OxidizerMass`] = tanks.oxidizer;
+            this.telemetry[`${key}FuelRemaining`] = 100 * (tanks.fuel + tanks.oxidizer) / tanks.loaded;
+        });
+        this.boosters.forEach((booster, i) => {
+            const key = `booster${i + 1}`;
+            this.telemetry[`${key}FuelMass`] = booster.tanks.fuel;
+            this.telemetry[`${key}OxidizerMass`] = booster.tanks.oxidizer;
+            this.telemetry[`${key}FuelRemaining`] = 100 * (booster.tanks.fuel + booster.tanks.oxidizer) / booster.tanks.loaded;
+        });
+
+        const key = `stage${this.state.stageNumber}`;
+        this.telemetry.stageBurnTime = this.telemetry[`${key}BurnTime`];
+        this.telemetry.stageFuelRemaining = this.telemetry[`${key}FuelRemaining`];
+        this.telemetry.propellantRemaining = this.telemetry.stageFuelRemaining;
+        this.telemetry.fuelMass = this.telemetry[`${key}FuelMass`];
+        this.telemetry.oxidizerMass = this.telemetry[`${key}OxidizerMass`];
+    }
+
+    // Shut a stage down, recording the propellant left in its tanks
+    cutoffStage(label = '') {
+        const tanks = this.getCurrentTanks();
+        const key = `stage${this.state.stageNumber}`;
+        tanks.residual = tanks.fuel + tanks.oxidizer;
+        this.telemetry[`${key}Residual`] = tanks.residual;
+        this.shutdownEngines(key);
+        this.telemetry.thrust = 0;
+        this.telemetry.engineThrottle = 0;
+        this.telemetry.chamberPressure = 0;
+        this.telemetry.enginesRunning = 0;
+        this.telemetry.gimbalAngle = 0;
+        this.telemetry.boosterThrust = 0;
+        this.telemetry.fuelFlowRate = 0;
+        this.telemetry.oxidizerFlowRate = 0;
+        this.telemetry.totalFlowRate = 0;
+
+        this.recordEvent('info', `Stage ${this.state.stageNumber} cutoff (${this.getCurrentStage().name})${label}, ` +
+            `residuals ${tanks.fuel.toFixed(0)} kg fuel / ${tanks.oxidizer.toFixed(0)} kg oxidizer`);
+    }
+
+    getCurrentTanks() {
+        return this.tanks[this.state.stageNumber - 1];
+    }
+
+    // Current stage specs
+    getCurrentStage() {
+        return this.specs.stages[this.state.stageNumber - 1];
+    }
+
+    isFinalStage() {
+        return this.state.stageNumber === this.state.stageCount;
+    }
+
+    // Advance the planar state vector by dt with thrust along the pitch attitude
+    integrateTrajectory(thrust, dt) {
+        const traj = this.trajectory;
+        const mass = this.telemetry.mass;
+        const r = Math.hypot(traj.x, traj.y);
+
+        // Local frame: radial (up) and tangential (downrange) unit vectors
+        const up = { x: traj.x / r, y: traj.y / r };
+        const downrange = { x: up.y, y: -up.x };
+
+        // Thrust along the commanded pitch, measured from the local horizontal
+        const pitch = toRadians(this.telemetry.pitch);
+        const thrustX = thrust * (Math.cos(pitch) * downrange.x + Math.sin(pitch) * up.x);
+        const thrustY = thrust * (Math.cos(pitch) * downrange.y + Math.sin(pitch) * up.y);
+
+        // Drag opposes the velocity through the air (co-rotating atmosphere plus wind);
+        // only its in-plane part acts on the planar trajectory
+        const air = this.getAirVelocity();
+        const drag = this.calculateDrag();
+        const dragX = air.speed > 0 ? -drag * air.x / air.speed : 0;
+        const dragY = air.speed > 0 ? -drag * air.y / air.speed : 0;
+
+        // Inverse-square gravity toward Earth's centre
+        const gravity = this.constants.mu / (r * r);
+
+        const ax = (thrustX + dragX) / mass - gravity * up.x;
+        const ay = (thrustY + dragY) / mass - gravity * up.y;
+
+        traj.vx += ax * dt;
+        traj.vy += ay * dt;
+        traj.x += traj.vx * dt;
+        traj.y += traj.vy * dt;
+
+        // The pad holds the vehicle up until thrust exceeds weight
+        const newR = Math.hypot(traj.x, traj.y);
+        if (newR < this.constants.Re) {
+            const scale = this.constants.Re / newR;
+            traj.x *= scale;
+            traj.y *= scale;
+            const surfaceUp = { x: traj.x / this.constants.Re, y: traj.y / this.constants.Re };
+            const surfaceSpeed = this.planeRotationRate * this.constants.Re;
+            traj.vx = surfaceSpeed * surfaceUp.y;
+            traj.vy = -surfaceSpeed * surfaceUp.x;
         }
+
+        // Sensed acceleration (what an accelerometer reads): thrust and drag only
+        this.telemetry.acceleration = Math.hypot(thrustX + dragX, thrustY + dragY) / mass;
+        this.telemetry.gForce = this.telemetry.acceleration / this.constants.g0;
+
+        this.updateKinematics();
     }
 
-    // Calculate aerodynamic drag
-    calculateDrag() {
-        if (this.telemetry.altitude > this.constants.atmosphereHeight) {
-            return 0; // No drag in space
+    // Velocity relative to the atmosphere, which turns with the Earth
+    getRelativeVelocity() {
+        const traj = this.trajectory;
+        const w = this.planeRotationRate;
+        return {
+            x: traj.vx - w * traj.y,
+            y: traj.vy + w * traj.x
+        };
+    }
+
+    // Velocity through the air: { x, y } in the plane, cross-plane component and speed
+    // Wind is resolved along and across the launch azimuth
+    getAirVelocity() {
+        const traj = this.trajectory;
+        const r = Math.hypot(traj.x, traj.y);
+        const downrange = { x: traj.y / r, y: -traj.x / r };
+        const relative = this.getRelativeVelocity();
+        const wind = this.getWind(r - this.constants.Re);
+
+        const x = relative.x - wind.along * downrange.x;
+        const y = relative.y - wind.along * downrange.y;
+        const cross = -wind.cross;
+
+        return {
+            x,
+            y,
+            cross,
+            horizontal: x * downrange.x + y * downrange.y,
+            vertical: (x * traj.x + y * traj.y) / r,
+            speed: Math.hypot(x, y, cross)
+        };
+    }
+
+    // Wind at an altitude: speed, plus components along and across the flight direction (m/s)
+    getWind(altitude) {
+        if (!this.weather) {
+            return { speed: 0, along: 0, cross: 0 };
         }
 
-        const density = this.telemetry.atmosphericDensity;
-        const velocity = this.telemetry.velocity;
-        const area = this.specs.crossSection;
-        const cd = this.specs.dragCoefficient;
+        const wind = windProfile(this.weather.getCurrentConditions(), altitude);
+        const blowingToward = toRadians(wind.direction + 180 - this.mission.launchAzimuth);
+        return {
+            speed: wind.speed,
+            along: wind.speed * Math.cos(blowingToward),
+            cross: wind.speed * Math.sin(blowingToward)
+        };
+    }
 
-        return 0.5 * density * velocity * velocity * cd * area;
+    // Derive altitude, speeds, flight path angle and downrange from the state vector
+    updateKinematics() {
+        const traj = this.trajectory;
+        const r = Math.hypot(traj.x, traj.y);
+        const up = { x: traj.x / r, y: traj.y / r };
+        const downrange = { x: up.y, y: -up.x };
+        const relative = this.getRelativeVelocity();
+
+        const vertical = relative.x * up.x + relative.y * up.y;
+        const horizontal = relative.x * downrange.x + relative.y * downrange.y;
+
+        this.telemetry.altitude = r - this.constants.Re;
+        this.telemetry.velocity = Math.hypot(relative.x, relative.y);
+        this.telemetry.verticalVelocity = vertical;
+        this.telemetry.horizontalVelocity = horizontal;
+        this.telemetry.orbitalVelocity = Math.hypot(traj.vx, traj.vy);
+        this.telemetry.downrange = this.constants.Re * Math.atan2(traj.x, traj.y) / 1000; // km
+
+        if (this.telemetry.velocity > 1) {
+            this.telemetry.flightPathAngle = toDegrees(Math.atan2(vertical, horizontal));
+        }
     }
 
-    // Update atmospheric conditions
-    updateEnvironment() {
-        const alt = this.telemetry.altitude;
+    // Calculate thrust of a stage or booster set accounting for atmospheric pressure and its thrust curve
+    calculateThrust(stage, burnTime = this.getStageBurnTime()) {
+        // Thrust grows from its sea-level to its vacuum value as back-pressure on the nozzle falls
+        const thrustLoss = this.backPressureRatio() * (stage.thrustVac - stage.thrust);
+        return (stage.thrustVac - thrustLoss) * thrustCurveFraction(stage.thrustCurve, burnTime);
+    }
 
-        // Atmospheric density (exponential decay)
-        if (alt < this.constants.atmosphereHeight) {
-            this.telemetry.atmosphericDensity =
-                this.constants.airDensitySeaLevel * Math.exp(-alt / 8000);
-
-            // Temperature (simplified model)
-            if (alt < 11000) {
-                this.telemetry.temperature = 288 - 0.0065 * alt;
-            } else if (alt < 25000) {
-                this.telemetry.temperature = 216.65;
-            } else {
-                this.telemetry.temperature = 216.65 + 0.0028 * (alt - 25000);
-            }
+    // Specific impulse of a stage or booster set between its sea-level and vacuum values
+    calculateIsp(stage) {
+        return stage.ispVacuum - this.backPressureRatio() * (stage.ispVacuum - stage.ispSeaLevel);
+    }
 
-            // Speed of sound varies with temperature
-            const speedOfSound = Math.sqrt(1.4 * 287 * this.telemetry.temperature);
-            this.telemetry.machNumber = this.telemetry.velocity / speedOfSound;
+    // Ambient pressure as a fraction of sea level
+    backPressureRatio() {
+        return standardAtmosphere(this.telemetry.altitude).pressure / SEA_LEVEL_PRESSURE;
+    }
 
-            // Dynamic pressure (Q)
-            this.telemetry.dynamicPressure =
-                0.5 * this.telemetry.atmosphericDensity * this.telemetry.velocity * this.telemetry.velocity;
+    // Seconds the current stage has been burning
+    getStageBurnTime() {
+        return this.telemetry[`stage${this.state.stageNumber}BurnTime`];
+    }
 
-            // Track max-Q
-            if (this.telemetry.dynamicPressure > this.telemetry.maxQ) {
-                this.telemetry.maxQ = this.telemetry.dynamicPressure;
+    // Calculate aerodynamic drag for the configuration currently flying: the current stage and
+    // everything above it, plus any strap-ons still attached that carry their own aero data
+    calculateDrag() {
+        const { machNumber, angleOfAttack } = this.telemetry;
+        const aero = this.getCurrentStage().aero;
+        let area = aero.crossSection;
+        let dragArea = dragCoefficient(aero.dragTable, machNumber, angleOfAttack) * aero.crossSection;
+
+        this.boosters.forEach(booster => {
+            const boosterAero = booster.spec.aero;
+            if (booster.attached && boosterAero) {
+                area += booster.spec.count * boosterAero.crossSection;
+                dragArea += booster.spec.count * boosterAero.crossSection *
+                    dragCoefficient(boosterAero.dragTable, machNumber, angleOfAttack);
             }
+        });
+
+        this.telemetry.dragCoefficient = dragArea / area; // referenced to the total cross-section
+        this.telemetry.dragForce = this.telemetry.dynamicPressure * dragArea;
+        return this.telemetry.dragForce;
+    }
+
+    // Update atmospheric conditions from the standard atmosphere and the wind at altitude
+    updateEnvironment() {
+        const alt = this.telemetry.altitude;
+        const atmosphere = standardAtmosphere(alt);
+
+        this.telemetry.atmosphericDensity = atmosphere.density;
+        this.telemetry.atmosphericPressure = atmosphere.pressure;
+        this.telemetry.temperature = atmosphere.temperature;
+        this.telemetry.speedOfSound = atmosphere.speedOfSound;
+        this.telemetry.windSpeed = this.getWind(alt).speed;
+
+        // Abort and landing fly a scripted vertical profile; after insertion the air is too thin for wind to matter
+        const scripted = ['ABORT', 'ABORTED_STOPPED', 'LANDING'].includes(this.state.phase);
+        if (scripted || this.orbitState) {
+            this.telemetry.airspeed = Math.abs(this.telemetry.velocity);
+            this.telemetry.angleOfAttack = 0;
         } else {
-            // In space
-            this.telemetry.atmosphericDensity = 0;
-            this.telemetry.dynamicPressure = 0;
-            this.telemetry.machNumber = 0;
-            this.telemetry.temperature = 2.7; // Cosmic background temperature
+            const air = this.getAirVelocity();
+            this.telemetry.airspeed = air.speed;
+
+            // Angle between the vehicle axis (along the pitch attitude, in the plane) and the airflow
+            const pitch = toRadians(this.telemetry.pitch);
+            const cosAlpha = air.speed > 0
+                ? (Math.cos(pitch) * air.horizontal + Math.sin(pitch) * air.vertical) / air.speed
+                : 1;
+            this.telemetry.angleOfAttack = toDegrees(Math.acos(Math.max(-1, Math.min(1, cosAlpha))));
+        }
+
+        this.telemetry.machNumber = atmosphere.speedOfSound > 0 ? this.telemetry.airspeed / atmosphere.speedOfSound : 0;
+
+        // Dynamic pressure (Q)
+        this.telemetry.dynamicPressure = 0.5 * atmosphere.density * this.telemetry.airspeed * this.telemetry.airspeed;
+
+        // Track max-Q
+        if (this.telemetry.dynamicPressure > this.telemetry.maxQ) {
+            this.telemetry.maxQ = this.telemetry.dynamicPressure;
         }
     }
 
@@ -348,16 +989,17 @@ class RocketSimulator {
         return this.constants.g0 * Math.pow(this.constants.Re / r, 2);
     }
 
-    // Update guidance system
+    // Update guidance system: pitch steering, then throttle limits
     updateGuidance() {
-        // Gravity turn maneuver
-        if (this.state.guidanceMode === 'GRAVITY_TURN') {
-            if (this.telemetry.altitude > this.mission.gravityTurnStart) {
-                // Start pitching over
-                const targetPitch = 90 - (this.telemetry.altitude / 100000) * 45; // Simplified
-                this.telemetry.pitch = Math.max(targetPitch, 0);
-                this.telemetry.flightPathAngle = this.telemetry.pitch;
-            }
+        if (this.isFinalStage() && this.telemetry.altitude > CLOSED_LOOP_ALTITUDE) {
+            this.closedLoopGuidance();
+        } else {
+            this.gravityTurn();
+        }
+
+        // A stuck throttle valve doesn't answer to guidance
+        if (this.throttleStuck()) {
+            return;
         }
 
         // Throttle control for max-Q
@@ -366,30 +1008,173 @@ class RocketSimulator {
         } else if (this.telemetry.dynamicPressure < 25000 && this.state.throttleLevel < 100) {
             this.state.throttleLevel = 100; // Throttle back up
         }
+
+        // Throttle control for the acceleration limit as the vehicle gets lighter
+        // (strap-ons can't be throttled, so the stage's engines take up the difference)
+        const fullThrust = this.calculateThrust(this.getCurrentStage());
+        const gLimitThrust = this.mission.maxAscentG * this.constants.g0 * this.telemetry.mass - this.telemetry.boosterThrust;
+        const gLimitThrottle = 100 * gLimitThrust / fullThrust;
+        if (gLimitThrottle < this.state.throttleLevel) {
+            this.state.throttleLevel = Math.max(40, gLimitThrottle);
+        }
     }
 
-    // Calculate orbital parameters
-    calculateOrbitalParams() {
-        const alt = this.telemetry.altitude;
-        const vel = this.telemetry.velocity;
+    // Pitch program for the current altitude (degrees): falls linearly, reaching horizontal at 200 km
+    programPitch() {
+        const targetPitch = 90 - (this.telemetry.altitude / 100000) * 45; // Simplified
+        return Math.max(targetPitch, 0);
+    }
 
-        // Simplified orbital mechanics
-        const r = this.constants.Re + alt;
-        const orbitalVel = Math.sqrt(this.constants.g0 * this.constants.Re * this.constants.Re / r);
-        this.telemetry.orbitalVelocity = orbitalVel;
+    // Vertical rise, a small pitch kick, then thrust along the velocity so gravity bends the
+    // trajectory over with no angle of attack. A long first-stage burn would loft the trajectory
+    // well above the target, so pitch never rises above the pitch program
+    gravityTurn() {
+        if (this.state.guidancePhase === 'GRAVITY_TURN' || this.telemetry.velocity > this.mission.pitchKickSpeed) {
+            this.telemetry.pitch = Math.min(90 - this.mission.pitchKick, this.telemetry.flightPathAngle, this.programPitch());
+            this.state.guidancePhase = 'GRAVITY_TURN';
+        }
+    }
+
+    // Powered explicit guidance toward the target orbit's perigee insertion
+    closedLoopGuidance() {
+        if (!this.peg) {
+            this.peg = new PoweredExplicitGuidance(
+                { apogee: this.mission.targetApogee, perigee: this.mission.targetPerigee },
+                this.constants.mu, this.constants.Re);
+        }
+
+        const stage = this.getCurrentStage();
+        const traj = this.trajectory;
+        const r = Math.hypot(traj.x, traj.y);
+        const thrust = this.calculateThrust(stage) *
+            this.engineShare(`stage${this.state.stageNumber}`, this.state.throttleLevel / 100).delivered;
+        const exhaustVelocity = this.calculateIsp(stage) * this.constants.g0;
+        const tanks = this.getCurrentTanks();
+
+        const command = this.peg.update({
+            time: this.state.missionTime,
+            radius: r,
+            radialVelocity: (traj.vx * traj.x + traj.vy * traj.y) / r,
+            tangentialVelocity: (traj.vx * traj.y - traj.vy * traj.x) / r,
+            acceleration: thrust / this.telemetry.mass,
+            exhaustVelocity: exhaustVelocity,
+            burnTimeLeft: (tanks.fuel + tanks.oxidizer) * exhaustVelocity / thrust
+        });
+        this.telemetry.timeToGo = command.timeToGo;
+
+        // Keep turning with the velocity until the first solution converges
+        if (command.pitch === null) {
+            this.gravityTurn();
+            this.state.guidancePhase = 'CONVERGING';
+            return;
+        }
 
-        // Estimate apogee/perigee (simplified)
-        if (vel > 0) {
-            const energy = (vel * vel / 2) - (this.constants.g0 * this.constants.Re * this.constants.Re / r);
-            const a = -this.constants.g0 * this.constants.Re * this.constants.Re / (2 * energy); // Semi-major axis
+        if (this.state.guidancePhase === 'CONVERGING' || this.state.guidancePhase === 'GRAVITY_TURN') {
+            this.recordEvent('info', `Closed-loop guidance converged, cutoff in ${command.timeToGo.toFixed(0)} s`);
+        }
+        this.telemetry.pitch = command.pitch;
+        this.state.guidancePhase = command.terminal ? 'TERMINAL' : 'CLOSED_LOOP';
+    }
 
-            if (a > 0) {
-                this.telemetry.apogee = (a * 2 - r) / 1000; // km
-                this.telemetry.perigee = alt / 1000; // km
+    // Share of this step the engines burn: closed-loop guidance ends the burn exactly at time-to-go zero
+    guidanceBurnFraction(dt) {
+        if (!this.peg || !this.peg.converged || !this.isFinalStage()) {
+            return 1;
+        }
+        const timeToGo = this.peg.timeToGo(this.state.missionTime - dt);
+        return Math.max(0, Math.min(1, timeToGo / dt));
+    }
+
+    // Closed-loop guidance has flown the burn out (to within a millisecond)
+    guidanceCutoff() {
+        return this.peg !== null && this.peg.converged && this.peg.timeToGo(this.state.missionTime) < 0.001;
+    }
+
+    // Position and velocity in the Earth-centred inertial frame (m, m/s)
+    // The plane's y axis is the launch site at liftoff and its x axis is downrange
+    getInertialState() {
+        if (this.orbitState) {
+            return this.orbitState;
+        }
+
+        const traj = this.trajectory;
+        const basis = this.planeBasis;
+        return {
+            position: add(scale(basis.downrange, traj.x), scale(basis.up, traj.y)),
+            velocity: add(scale(basis.downrange, traj.vx), scale(basis.up, traj.vy))
+        };
+    }
+
+    // Coast after insertion: unpowered two-body + J2 propagation of the inertial state
+    simulateOrbit(dt) {
+        const previous = this.orbitState.position;
+        this.orbitState = propagate(this.orbitState, dt, this.constants.mu);
+
+        const { position, velocity } = this.orbitState;
+        const r = norm(position);
+        const up = scale(position, 1 / r);
+        const relative = relativeVelocity(position, velocity);
+        const vertical = dot(relative, up);
+        const horizontal = norm(add(relative, scale(up, -vertical)));
+
+        this.telemetry.altitude = r - this.constants.Re;
+        this.telemetry.velocity = norm(relative);
+        this.telemetry.verticalVelocity = vertical;
+        this.telemetry.horizontalVelocity = horizontal;
+        this.telemetry.orbitalVelocity = norm(velocity);
+        this.telemetry.flightPathAngle = toDegrees(Math.atan2(vertical, horizontal));
+        this.telemetry.downrange += this.constants.Re * angleBetween(previous, position) / 1000; // km flown
+
+        this.telemetry.thrust = 0;
+        this.telemetry.dragForce = 0; // vacuum propagation
+        this.telemetry.acceleration = 0; // free fall
+        this.telemetry.gForce = 0;
+        this.telemetry.twr = 0;
+    }
+
+    // Latitude and longitude below the vehicle, sampled into the ground track
+    updateGroundTrack() {
+        const date = new Date(this.launchEpoch.getTime() + this.state.missionTime * 1000);
+        const point = inertialToGeographic(this.getInertialState().position, date);
+        this.telemetry.latitude = point.latitude;
+        this.telemetry.longitude = point.longitude;
+
+        const last = this.groundTrack[this.groundTrack.length - 1];
+        if (!last || this.state.missionTime - last.t >= GROUND_TRACK_INTERVAL - 1e-6) {
+            this.groundTrack.push({
+                t: Math.round(this.state.missionTime * 1000) / 1000,
+                latitude: point.latitude,
+                longitude: point.longitude
+            });
+            if (this.groundTrack.length > MAX_GROUND_TRACK_POINTS) {
+                this.groundTrack.shift();
             }
         }
     }
 
+    // Osculating orbital elements from the inertial state vector
+    calculateOrbitalParams() {
+        const { position, velocity } = this.getInertialState();
+        const elements = stateToElements(position, velocity, this.constants.mu, this.constants.Re);
+
+        this.telemetry.apogee = Number.isFinite(elements.apogeeAltitude) ? elements.apogeeAltitude / 1000 : null;
+        this.telemetry.perigee = elements.perigeeAltitude / 1000;
+        this.telemetry.semiMajorAxis = elements.semiMajorAxis / 1000;
+        this.telemetry.eccentricity = elements.eccentricity;
+        this.telemetry.inclination = elements.inclination;
+        this.telemetry.raan = elements.raan;
+        this.telemetry.argumentOfPerigee = elements.argumentOfPerigee;
+        this.telemetry.trueAnomaly = elements.trueAnomaly;
+        this.telemetry.orbitalPeriod = elements.period;
+
+        this.telemetry.apogeeError = this.telemetry.apogee === null ? null
+            : this.telemetry.apogee - this.mission.targetApogee / 1000;
+        this.telemetry.perigeeError = this.telemetry.perigee - this.mission.targetPerigee / 1000;
+        this.telemetry.inclinationError = this.telemetry.inclination - this.mission.targetInclination;
+        this.telemetry.raanError = this.mission.targetRaan === null ? null
+            : raanError(this.telemetry.raan, this.mission.targetRaan);
+    }
+
     // Check for phase transitions
     checkPhaseTransitions() {
         // Launch to Ascent
@@ -398,76 +1183,164 @@ class RocketSimulator {
             console.log('Vehicle in ascent phase');
         }
 
-        // Main Engine Cutoff (MECO)
-        if (this.state.phase === 'ASCENT' && this.state.stageNumber === 1) {
-            if (this.telemetry.stage1FuelRemaining <= 0 ||
-                this.telemetry.stage1BurnTime >= this.specs.firstStage.burnTime) {
-                this.state.phase = 'MECO';
-                this.telemetry.thrust = 0;
-                console.log('Main Engine Cutoff (MECO)');
-            }
+        // Strap-on burnout and jettison, fairing jettison
+        this.checkBoosters();
+        this.checkFairing();
+
+        const phase = this.state.phase;
+        const stage = this.getCurrentStage();
+        const burning = phase === 'ASCENT' || phase === 'UPPER_STAGE';
+
+        // Cutoff of any stage but the last once its propellant runs out: coast to separation
+        if (burning && !this.isFinalStage() && isDepleted(this.getCurrentTanks())) {
+            this.state.phase = 'MECO';
+            this.state.cutoffTime = this.state.missionTime;
+            this.cutoffStage(this.state.stageNumber === 1 ? ' - MECO' : '');
         }
 
-        // Stage separation
-        if (this.state.phase === 'MECO' && this.state.missionTime > 3) {
+        // Stage separation after a short coast
+        if (this.state.phase === 'MECO' &&
+            this.state.missionTime - this.state.cutoffTime >= stage.separationDelay) {
             this.separateStage();
         }
 
-        // Second stage shutdown
-        if (this.state.phase === 'SECOND_STAGE') {
-            if (this.telemetry.stage2FuelRemaining <= 0 ||
-                this.telemetry.altitude >= this.mission.targetAltitude ||
-                this.telemetry.velocity >= this.mission.targetVelocity) {
+        // Next stage ignition once clear of the spent one
+        if (this.state.phase === 'STAGE_SEP' &&
+            this.state.missionTime - this.state.separationTime >= this.getCurrentStage().ignitionDelay) {
+            this.state.phase = 'UPPER_STAGE';
+            this.igniteEngines(`stage${this.state.stageNumber}`);
+            this.recordEvent('success', `Stage ${this.state.stageNumber} ignition (${this.getCurrentStage().name})`);
+        }
+
+        // Final stage shutdown: when guidance says so, or when the tanks run dry
+        if ((this.state.phase === 'ASCENT' || this.state.phase === 'UPPER_STAGE') && this.isFinalStage()) {
+            if (isDepleted(this.getCurrentTanks()) || this.guidanceCutoff()) {
                 this.state.phase = 'ORBIT';
-                this.telemetry.thrust = 0;
+                this.state.insertionTime = this.state.missionTime;
+                this.orbitState = this.getInertialState();
+                this.telemetry.timeToGo = null;
+                this.cutoffStage();
                 console.log('Orbital insertion complete!');
             }
         }
+
+        // A trajectory that still intersects the Earth ends at impact
+        if (this.state.phase === 'ORBIT' && this.telemetry.altitude <= 0) {
+            this.state.phase = 'IMPACT';
+            this.state.engineStatus = 'LOSS OF SIGNAL';
+            this.telemetry.altitude = 0;
+            this.telemetry.velocity = 0;
+            console.log('Vehicle impact');
+        }
     }
 
     // Simulate MECO phase
-    simulateMECO() {
-        // Coast phase - no thrust
-        const dt = 0.1;
-        const weight = this.telemetry.mass * this.getGravity();
-        const drag = this.calculateDrag();
+    simulateMECO(dt) {
+        // Coast phase - no thrust, ballistic under gravity and drag
+        this.integrateTrajectory(0, dt);
+    }
 
-        this.telemetry.acceleration = -(weight + drag) / this.telemetry.mass;
-        this.telemetry.velocity += this.telemetry.acceleration * dt;
-        this.telemetry.altitude += this.telemetry.velocity * dt;
-        this.telemetry.gForce = this.telemetry.acceleration / this.constants.g0;
+    // Strap-ons burn out when their propellant is gone and are jettisoned after their separation delay
+    checkBoosters() {
+        this.boosters.forEach((booster, i) => {
+            const spec = booster.spec;
+            if (booster.burning && isDepleted(booster.tanks)) {
+                booster.burning = false;
+                booster.burnoutTime = this.state.missionTime;
+                this.shutdownEngines(`booster${i + 1}`);
+                this.recordEvent('info', `${spec.name} burnout`);
+            }
+
+            if (booster.attached && !booster.burning &&
+                this.state.missionTime - booster.burnoutTime >= spec.separationDelay) {
+                this.jettisonBooster(booster);
+            }
+        });
     }
 
-    // Stage separation
-    separateStage() {
-        if (this.state.stageNumber === 1) {
-            this.state.phase = 'STAGE_SEP';
-            this.state.stageNumber = 2;
+    jettisonBooster(booster) {
+        const spec = booster.spec;
 
-            // Update mass (drop first stage)
-            this.telemetry.mass = this.specs.secondStage.dryMass +
-                                  this.specs.secondStage.propellantMass +
-                                  this.specs.payload;
+        booster.burning = false;
+        booster.attached = false;
+        this.telemetry.mass -= spec.count * spec.dryMass + booster.tanks.fuel + booster.tanks.oxidizer;
+        this.state.boostersAttached -= spec.count;
+        this.recordEvent('success', `${spec.name} jettisoned (${spec.count})`);
+    }
 
-            console.log('Stage separation confirmed');
+    // Fairing separation once every configured condition holds: above its altitude, and
+    // dynamic pressure back down below its limit after max-Q
+    checkFairing() {
+        const fairing = this.specs.fairing;
+        const flying = ['ASCENT', 'MECO', 'STAGE_SEP', 'UPPER_STAGE'].includes(this.state.phase);
+        if (!this.state.fairingAttached || !flying) {
+            return;
+        }
 
-            // Start second stage after brief coast
-            setTimeout(() => {
-                this.state.phase = 'SECOND_STAGE';
-                console.log('Second stage ignition');
-            }, 2000);
+        const altitudeReached = fairing.jettisonAltitude === undefined ||
+            this.telemetry.altitude >= fairing.jettisonAltitude;
+        const pressureLow = fairing.jettisonDynamicPressure === undefined ||
+            (this.telemetry.dynamicPressure <= fairing.jettisonDynamicPressure &&
+                this.telemetry.maxQ > fairing.jettisonDynamicPressure);
+
+        if (altitudeReached && pressureLow) {
+            this.state.fairingAttached = false;
+            this.telemetry.mass -= fairing.mass;
+            this.recordEvent('success', `Payload fairing jettisoned at ${(this.telemetry.altitude / 1000).toFixed(1)} km, ` +
+                `Q ${this.telemetry.dynamicPressure.toFixed(0)} Pa`);
         }
     }
 
+    // Drop the spent stage (and any strap-ons still on it); false when there is nothing left to separate
+    separateStage() {
+        if (this.isFinalStage()) {
+            return false;
+        }
+
+        const spent = this.getCurrentStage();
+        if (this.getCurrentTanks().residual === null) {
+            this.cutoffStage(); // separated while still burning
+        }
+        this.boosters.filter(booster => booster.attached).forEach(booster => this.jettisonBooster(booster));
+
+        this.state.phase = 'STAGE_SEP';
+        this.state.stageNumber += 1;
+        this.state.separationTime = this.state.missionTime;
+        this.telemetry.thrust = 0;
+        this.telemetry.boosterThrust = 0;
+
+        // What remains is the next stage, fully fuelled, and everything above it
+        const fairing = this.specs.fairing;
+        this.telemetry.mass = this.specs.massAbove[this.state.stageNumber - 1] -
+            (fairing && !this.state.fairingAttached ? fairing.mass : 0);
+        this.updatePropellantTelemetry();
+
+        this.recordEvent('success', `Stage ${this.state.stageNumber - 1} separation (${spent.name})`);
+        return true;
+    }
+
     // Simulate stage separation
-    simulateStageSeparation() {
+    simulateStageSeparation(dt) {
         // Brief coast during separation
-        this.simulateMECO();
+        this.simulateMECO(dt);
+    }
+
+    // Simulate an upper stage burn
+    simulateUpperStage(dt) {
+        this.simulateAscent(dt); // Same physics, different stage
+    }
+
+    // Log a flight event and queue it for the mission's event log
+    recordEvent(level, message) {
+        this.events.push({ level: level, message: message, missionTime: this.state.missionTime });
+        console.log(message);
     }
 
-    // Simulate second stage
-    simulateSecondStage() {
-        this.simulateAscent(); // Same physics, different stage
+    // Events since the last call
+    takeEvents() {
+        const events = this.events;
+        this.events = [];
+        return events;
     }
 
     // Abort mission
@@ -475,6 +1348,7 @@ class RocketSimulator {
         this.state.phase = 'ABORT';
         this.state.abort = true;
         this.telemetry.thrust = 0;
+        this.shutdownEngines();
         console.log('Mission abort initiated');
     }
 
@@ -573,9 +1447,7 @@ class RocketSimulator {
     }
 
     // Simulate SpaceX-style propulsive landing with enhanced realism
-    simulateLanding() {
-        const dt = 0.1;
-
+    simulateLanding(dt) {
         // Check if already landed - maintain complete stop
         if (this.state.phase === 'LANDED') {
             this.telemetry.altitude = 0;
@@ -735,9 +1607,39 @@ class RocketSimulator {
 
     // Set throttle level
     setThrottle(level) {
+        if (this.throttleStuck()) {
+            return;
+        }
         this.state.throttleLevel = Math.max(0, Math.min(100, level));
     }
 
+    // Throttle valve stuck: the current stage's engines stay at their present throttle until it stages
+    stickThrottle() {
+        this.state.stuckThrottle = this.state.stageNumber;
+    }
+
+    throttleStuck() {
+        return this.state.stuckThrottle === this.state.stageNumber;
+    }
+
+    // Tank vent valve stuck open: the current stage's oxidizer leaks overboard at rate kg/s
+    ventLeak(rate) {
+        this.state.ventLeak = { stage: this.state.stageNumber, rate: rate };
+    }
+
+    // Lose dt's worth of the leak from the stage's tanks, while the stage is still on the vehicle
+    simulateVentLeak(dt) {
+        const leak = this.state.ventLeak;
+        if (!leak || leak.stage !== this.state.stageNumber) {
+            return;
+        }
+        const tanks = this.getCurrentTanks();
+        const vented = Math.min(tanks.oxidizer, leak.rate * dt);
+        tanks.oxidizer -= vented;
+        this.telemetry.mass -= vented;
+        this.updatePropellantTelemetry();
+    }
+
     // Check for anomalies
     checkAnomalies() {
         const anomalies = [];
@@ -775,6 +1677,30 @@ class RocketSimulator {
             });
         }
 
+        // Engine-out thrust offset more than the gimbals can steer out
+        if (this.telemetry.gimbalAngle > this.limits.maxGimbal) {
+            anomalies.push({
+                parameter: 'gimbalAngle',
+                value: this.telemetry.gimbalAngle,
+                limit: this.limits.maxGimbal,
+                severity: 'CRITICAL',
+                message: 'Engine-out thrust offset beyond gimbal authority'
+            });
+        }
+
+        // Every engine of the burning stage out
+        const burning = this.state.phase === 'LAUNCH' || this.state.phase === 'ASCENT' || this.state.phase === 'UPPER_STAGE';
+        const share = this.engineShare(`stage${this.state.stageNumber}`, 1);
+        if (burning && share.count > 0 && share.running === 0) {
+            anomalies.push({
+                parameter: 'enginesRunning',
+                value: 0,
+                limit: 1,
+                severity: 'CRITICAL',
+                message: `Loss of thrust: all stage ${this.state.stageNumber} engines out`
+            });
+        }
+
         return anomalies;
     }
 
@@ -787,6 +1713,170 @@ class RocketSimulator {
     getTelemetry() {
         return this.telemetry;
     }
+
+    // Get the ground track since liftoff
+    getGroundTrack() {
+        return this.groundTrack;
+    }
+}
+
+// Flattened vehicle specs: per-stage and per-booster-set totals for all engines, and the mass stacked on each stage
+function buildSpecs(vehicle) {
+    const stages = vehicle.stages.map(stage => ({
+        ...propulsionSpecs(stage, stage.engines.count),
+        separationDelay: stage.separationDelay !== undefined ? stage.separationDelay : 3, // s from burnout to separation
+        ignitionDelay: stage.ignitionDelay !== undefined ? stage.ignitionDelay : 2, // s from separation to ignition
+        aero: stage.aero
+    }));
+
+    // Masses are per booster; thrust is for the whole set
+    const boosters = (vehicle.boosters || []).map(booster => ({
+        ...propulsionSpecs(booster, booster.count * booster.engines.count),
+        count: booster.count,
+        separationDelay: booster.separationDelay !== undefined ? booster.separationDelay : 1, // s from burnout to jettison
+        aero: booster.aero || null
+    }));
+
+    const payload = vehicle.payload;
+    const fairingMass = vehicle.fairing ? vehicle.fairing.mass : 0;
+    const boosterMass = boosters.reduce((total, b) => total + b.count * (b.dryMass + b.propellantMass), 0);
+    const boosterThrustVac = boosters.reduce((total, b) => total + b.thrustVac, 0);
+
+    // Mass of stage i and everything above it, fully fuelled (fairing included, boosters not)
+    const massAbove = stages.map((stage, i) => stages.slice(i).reduce(
+        (total, s) => total + s.dryMass + s.propellantMass, payload + fairingMass));
+
+    return {
+        name: vehicle.name,
+        stages: stages,
+        boosters: boosters,
+        payload: payload, // kg
+        fairing: vehicle.fairing || null,
+        massAbove: massAbove, // kg
+        totalMass: massAbove[0] + boosterMass, // kg
+        peakThrust: Math.max(stages[0].thrustVac + boosterThrustVac, ...stages.map(stage => stage.thrustVac)), // N
+        hasLandingCapability: vehicle.hasLandingCapability === true, // SpaceX-style propulsive landing
+        landingBurnAltitude: vehicle.landingBurnAltitude || 5000 // meters - when to start landing burn
+    };
+}
+
+// The vehicle's liquid engines, stage by stage then strap-on set by strap-on set (solid motors aren't
+// modelled engine by engine), ids like S1-E3 and B1-E12. Each: { id, element ('stage1', 'booster1'), index in
+// its element, status (OFF, STARTING, RUNNING, SHUTDOWN, FAILED), failure, level (steady chamber pressure,
+// fraction of nominal), throttle, thrust, chamberPressure, turbopumpRPM, chamberTemperature, turbineInletTemp,
+// startAt and spinUp (pad start) }
+function buildEngines(specs) {
+    const engines = [];
+    const addEngines = (spec, element, prefix) => {
+        if (spec.mixtureRatio === 0) {
+            return;
+        }
+        for (let i = 0; i < spec.engines; i++) {
+            engines.push({
+                id: `${prefix}-E${i + 1}`,
+                element: element,
+                index: i,
+                status: 'OFF',
+                failure: null,
+                level: 1,
+                throttle: 0, // % of rated thrust
+                thrust: 0, // N
+                chamberPressure: 0, // bar
+                turbopumpRPM: 0,
+                chamberTemperature: AMBIENT_TEMPERATURE, // K
+                turbineInletTemp: AMBIENT_TEMPERATURE, // K
+                startAt: 0, // s after ignition
+                spinUp: ENGINE_SPIN_UP // s to nominal
+            });
+        }
+    };
+    specs.stages.forEach((stage, i) => addEngines(stage, `stage${i + 1}`, `S${i + 1}`));
+    specs.boosters.forEach((booster, i) => addEngines(booster, `booster${i + 1}`, `B${i + 1}`));
+    return engines;
+}
+
+// Where an engine sits in its element's layout, in engine ring radii from the axis: one engine on the axis
+// and the rest around the ring (odd counts from five up, e.g. 1 + 8), or all of them around it
+function enginePosition(index, count) {
+    const centre = count === 1 || (count >= 5 && count % 2 === 1);
+    if (centre && index === 0) {
+        return { x: 0, y: 0 };
+    }
+    const ring = centre ? count - 1 : count;
+    const angle = 2 * Math.PI * (centre ? index - 1 : index) / ring;
+    return { x: Math.cos(angle), y: Math.sin(angle) };
+}
+
+// Masses, burn time and engine performance shared by stages and booster sets
+function propulsionSpecs(element, engineCount) {
+    const mixtureRatio = element.engines.mixtureRatio || 0;
+    return {
+        name: element.name,
+        dryMass: element.dryMass, // kg
+        propellantMass: element.propellantMass, // kg
+        fuelMass: element.propellantMass / (1 + mixtureRatio), // kg
+        oxidizerMass: element.propellantMass * mixtureRatio / (1 + mixtureRatio), // kg
+        mixtureRatio: mixtureRatio, // oxidizer to fuel by mass (0 for a solid grain)
+        engines: engineCount,
+        thrust: engineCount * element.engines.thrustSeaLevel, // N (sea level)
+        thrustVac: engineCount * element.engines.thrustVacuum, // N (vacuum)
+        ispSeaLevel: element.engines.ispSeaLevel, // seconds
+        ispVacuum: element.engines.ispVacuum, // seconds
+        thrustCurve: element.thrustCurve || null
+    };
+}
+
+// Full tanks for a stage or a set of boosters
+function loadTanks(spec, count) {
+    return {
+        fuel: count * spec.fuelMass, // kg
+        oxidizer: count * spec.oxidizerMass, // kg
+        loaded: count * spec.propellantMass, // kg
+        mixtureRatio: spec.mixtureRatio,
+        residual: null // kg left at cutoff
+    };
+}
+
+// Take up to demand kg of propellant at the tanks' mixture ratio; returns the kg of fuel and oxidizer drawn
+// When either runs short the draw is cut back to what it can still supply
+function drawPropellant(tanks, demand) {
+    if (demand <= 0) {
+        return { fuel: 0, oxidizer: 0 };
+    }
+
+    const fuelDemand = demand / (1 + tanks.mixtureRatio);
+    const oxidizerDemand = demand - fuelDemand;
+    const share = Math.min(1,
+        tanks.fuel / fuelDemand,
+        oxidizerDemand > 0 ? tanks.oxidizer / oxidizerDemand : 1);
+
+    const drawn = { fuel: fuelDemand * share, oxidizer: oxidizerDemand * share };
+    tanks.fuel = Math.max(0, tanks.fuel - drawn.fuel);
+    tanks.oxidizer = Math.max(0, tanks.oxidizer - drawn.oxidizer);
+    return drawn;
+}
+
+// Out of fuel, or out of oxidizer for a bipropellant stage
+function isDepleted(tanks) {
+    return tanks.fuel < DEPLETED || (tanks.mixtureRatio > 0 && tanks.oxidizer < DEPLETED);
+}
+
+// Fraction of rated thrust at a time since ignition (full thrust without a curve)
+function thrustCurveFraction(curve, time) {
+    if (!curve) {
+        return 1;
+    }
+
+    const { time: times, fraction } = curve;
+    if (time <= times[0]) return fraction[0];
+    if (time >= times[times.length - 1]) return fraction[fraction.length - 1];
+
+    let i = 0;
+    while (time > times[i + 1]) {
+        i++;
+    }
+    const f = (time - times[i]) / (times[i + 1] - times[i]);
+    return fraction[i] + (fraction[i + 1] - fraction[i]) * f;
 }
 
 module.exports = RocketSimulator;
\ No newline at end of file
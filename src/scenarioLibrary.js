@@ -0,0 +1,187 @@
+// Scenario Library
+// Training scenarios loaded from JSON files in scenarios/: the vehicle, plan, starting weather and range
+// traffic of an exercise, and the faults injected as its count and flight run, so a class can fly it again
+
+const fs = require('fs');
+const path = require('path');
+const { GUIDANCE_MODES } = require('./guidance');
+const { resolvePlan } = require('./missionPlan');
+const { validateFault } = require('./faultInjector');
+
+const SCENARIOS_DIR = process.env.SCENARIOS_DIR || path.join(__dirname, '..', 'scenarios');
+const SCENARIO_ID_PATTERN = /^[a-z0-9-]+$/;
+
+// Starting weather a scenario may set (see WeatherMonitor.conditions)
+const WEATHER_NUMBERS = ['temperature', 'pressure', 'humidity', 'dewPoint', 'cloudCeiling', 'cloudCoverage',
+    'visibility', 'lightningDistance'];
+const WEATHER_WINDS = {
+    surfaceWind: ['speed', 'direction', 'gusts'],
+    upperLevelWind: ['speed', 'direction', 'shear']
+};
+const PRECIPITATION = ['NONE', 'LIGHT', 'MODERATE', 'HEAVY'];
+
+// Starting range traffic: each entry's required and optional fields
+const RANGE_TRAFFIC = {
+    aircraft: ['distance', 'altitude', 'heading'],
+    vessels: ['distance', 'speed']
+};
+
+class ScenarioLibrary {
+    constructor(directory = SCENARIOS_DIR) {
+        this.directory = directory;
+        this.scenarios = new Map(); // id -> validated scenario
+        this.invalid = []; // { file, errors } for files that failed validation
+        this.load();
+    }
+
+    // (Re)read every scenario file; invalid ones are reported, not loaded
+    load() {
+        this.scenarios.clear();
+        this.invalid = [];
+
+        if (!fs.existsSync(this.directory)) {
+            return;
+        }
+        fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .forEach(file => {
+                try {
+                    const scenario = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+                    validateScenario(scenario);
+                    if (this.scenarios.has(scenario.id)) {
+                        throw new Error(`Duplicate scenario id "${scenario.id}"`);
+                    }
+                    this.scenarios.set(scenario.id, scenario);
+                } catch (error) {
+                    const errors = error.errors || [error.message];
+                    this.invalid.push({ file: file, errors: errors });
+                    console.error(`Scenario ${file} rejected: ${errors.join('; ')}`);
+                }
+            });
+    }
+
+    has(id) {
+        return this.scenarios.has(id);
+    }
+
+    // A copy of a scenario, or null
+    get(id) {
+        const scenario = this.scenarios.get(id);
+        return scenario ? JSON.parse(JSON.stringify(scenario)) : null;
+    }
+
+    list() {
+        return Array.from(this.scenarios.values()).map(scenario => ({
+            id: scenario.id,
+            name: scenario.name,
+            description: scenario.description || '',
+            vehicle: scenario.vehicle || null,
+            events: (scenario.events || []).length
+        }));
+    }
+}
+
+// Check a scenario; throws an Error listing every problem (also in error.errors)
+function validateScenario(scenario) {
+    const errors = [];
+    const check = (condition, message) => {
+        if (!condition) errors.push(message);
+        return condition;
+    };
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!check(isObject(scenario), 'scenario must be a JSON object')) {
+        throw validationError(errors);
+    }
+
+    check(typeof scenario.id === 'string' && SCENARIO_ID_PATTERN.test(scenario.id),
+        'id must be lowercase letters, digits and dashes');
+    check(typeof scenario.name === 'string' && scenario.name.trim() !== '', 'name is required');
+    check(scenario.description === undefined || typeof scenario.description === 'string',
+        'description must be a string');
+    check(scenario.vehicle === undefined || (typeof scenario.vehicle === 'string' && scenario.vehicle !== ''),
+        'vehicle must be a vehicle id');
+    check(scenario.guidance === undefined || GUIDANCE_MODES.includes(scenario.guidance),
+        `guidance must be one of ${GUIDANCE_MODES.join(', ')}`);
+    check(scenario.seed === undefined || typeof scenario.seed === 'string' || isNumber(scenario.seed),
+        'seed must be a string or a number');
+
+    if (scenario.plan !== undefined) {
+        try {
+            resolvePlan(scenario.plan);
+        } catch (error) {
+            (error.errors || [error.message]).forEach(message => check(false, `plan: ${message}`));
+        }
+    }
+
+    const weather = scenario.weather;
+    if (weather !== undefined && check(isObject(weather), 'weather must be an object of starting conditions')) {
+        Object.entries(weather).forEach(([field, value]) => {
+            if (WEATHER_NUMBERS.includes(field)) {
+                check(isNumber(value), `weather.${field} must be a number`);
+            } else if (WEATHER_WINDS.hasOwnProperty(field)) {
+                if (check(isObject(value), `weather.${field} must be { ${WEATHER_WINDS[field].join(', ')} }`)) {
+                    Object.entries(value).forEach(([key, reading]) => {
+                        check(WEATHER_WINDS[field].includes(key) && isNumber(reading),
+                            `weather.${field}.${key} must be one of ${WEATHER_WINDS[field].join(', ')}, a number`);
+                    });
+                }
+            } else if (field === 'precipitation') {
+                check(PRECIPITATION.includes(value), `weather.precipitation must be one of ${PRECIPITATION.join(', ')}`);
+            } else if (field === 'lightningDetected') {
+                check(typeof value === 'boolean', 'weather.lightningDetected must be true or false');
+            } else {
+                check(false, `weather.${field} is not a weather condition`);
+            }
+        });
+    }
+
+    const range = scenario.range;
+    if (range !== undefined && check(isObject(range), 'range must be { aircraft, vessels }')) {
+        Object.entries(range).forEach(([kind, traffic]) => {
+            if (!check(RANGE_TRAFFIC.hasOwnProperty(kind), `range.${kind} is not range traffic (aircraft, vessels)`) ||
+                !check(Array.isArray(traffic), `range.${kind} must be a list`)) {
+                return;
+            }
+            traffic.forEach((entry, i) => {
+                const label = `range.${kind}[${i}]`;
+                if (!check(isObject(entry), `${label} must be an object`)) {
+                    return;
+                }
+                check(isNumber(entry.distance) && entry.distance >= 0, `${label}.distance must be in nautical miles (>= 0)`);
+                Object.entries(entry).forEach(([key, value]) => {
+                    check(RANGE_TRAFFIC[kind].includes(key) && isNumber(value),
+                        `${label}.${key} must be one of ${RANGE_TRAFFIC[kind].join(', ')}, a number`);
+                });
+            });
+        });
+    }
+
+    if (scenario.events !== undefined && check(Array.isArray(scenario.events), 'events must be a list of faults')) {
+        scenario.events.forEach((event, i) => {
+            try {
+                validateFault(event);
+            } catch (error) {
+                (error.errors || [error.message]).forEach(message => check(false, `events[${i}]: ${message}`));
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+    return scenario;
+}
+
+function validationError(errors) {
+    const error = new Error(errors.join('; '));
+    error.errors = errors;
+    return error;
+}
+
+ScenarioLibrary.SCENARIOS_DIR = SCENARIOS_DIR;
+ScenarioLibrary.validateScenario = validateScenario;
+
+module.exports = ScenarioLibrary;
@@ -0,0 +1,204 @@
+// Simulation Clock
+// Fixed-step simulation time, decoupled from wall-clock timers
+// Supports pause, time warp (1x/2x/10x/100x) and as-fast-as-possible runs
+
+const WARP_FACTORS = [1, 2, 10, 100];
+const MAX_WARP = 'MAX'; // run as fast as possible
+const MAX_WARP_CHUNK = 500; // steps per event-loop turn in MAX mode
+
+class SimulationClock {
+    constructor(options = {}) {
+        this.step = options.step || 0.1; // seconds of simulation time per step
+        this.ticks = 0; // steps taken so far
+        this.time = 0; // seconds of simulation time
+        this.realTime = 0; // seconds the operators have sat through: each step over its warp, MAX steps none
+        this.epoch = options.epoch || new Date(); // wall-clock date at simulation time 0
+
+        this.warp = 1;
+        this.paused = false;
+
+        // Scheduled callbacks: { id, due (tick), period (ticks, 0 = one-shot), callback }
+        this.timers = [];
+        this.nextTimerId = 1;
+
+        // Callbacks run once per real-time frame, after that frame's steps
+        this.frameListeners = [];
+
+        this.realInterval = null;
+        this.immediate = null;
+    }
+
+    // Repeat callback every `period` seconds of simulation time
+    every(period, callback) {
+        const ticks = Math.max(1, Math.round(period / this.step));
+        return this.addTimer(ticks, ticks, callback);
+    }
+
+    // Run callback once after `delay` seconds of simulation time
+    after(delay, callback) {
+        const ticks = Math.max(1, Math.round(delay / this.step));
+        return this.addTimer(ticks, 0, callback);
+    }
+
+    addTimer(delayTicks, periodTicks, callback) {
+        const timer = {
+            id: this.nextTimerId++,
+            due: this.ticks + delayTicks,
+            period: periodTicks,
+            callback: callback
+        };
+        this.timers.push(timer);
+        return timer.id;
+    }
+
+    cancel(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    // Called once per real-time frame (e.g. to broadcast telemetry)
+    onFrame(callback) {
+        this.frameListeners.push(callback);
+        return () => {
+            this.frameListeners = this.frameListeners.filter(listener => listener !== callback);
+        };
+    }
+
+    // Advance the simulation by one fixed step and fire due timers in schedule order
+    tick() {
+        this.ticks++;
+        this.time = Math.round(this.ticks * this.step * 1e6) / 1e6; // avoid float drift in reports
+        if (this.warp !== MAX_WARP) {
+            this.realTime += this.step / this.warp;
+        }
+
+        const due = this.timers
+            .filter(timer => timer.due <= this.ticks)
+            .sort((a, b) => a.due - b.due || a.id - b.id);
+
+        due.forEach(timer => {
+            // A previous callback may have cancelled this one
+            if (!this.timers.includes(timer)) return;
+
+            if (timer.period > 0) {
+                timer.due += timer.period;
+            } else {
+                this.cancel(timer.id);
+            }
+            timer.callback(this.time);
+        });
+    }
+
+    // Run `steps` fixed steps then notify frame listeners; a timer pausing the clock or changing the warp ends
+    // the run early
+    advance(steps) {
+        const warp = this.warp;
+        for (let i = 0; i < steps && !this.paused && this.warp === warp; i++) {
+            this.tick();
+        }
+        this.frameListeners.forEach(listener => listener(this.time));
+    }
+
+    // Headless: step synchronously until predicate(time) is true or maxTime is reached
+    runUntil(predicate, maxTime = Infinity) {
+        while (this.time < maxTime && !predicate(this.time)) {
+            this.tick();
+        }
+        this.frameListeners.forEach(listener => listener(this.time));
+        return this.time;
+    }
+
+    // Headless: step synchronously through `duration` seconds
+    runFor(duration) {
+        const end = this.time + duration;
+        return this.runUntil(() => this.time >= end - this.step / 2);
+    }
+
+    // Start driving the clock from real time
+    start() {
+        if (this.realInterval || this.immediate) return;
+
+        if (this.warp === MAX_WARP) {
+            // Goes round until stopped; a timer may stop the clock or change the warp in the middle of a chunk
+            const loop = () => {
+                this.advance(MAX_WARP_CHUNK);
+                if (this.immediate === handle) {
+                    handle = setImmediate(loop);
+                    this.immediate = handle;
+                }
+            };
+            let handle = setImmediate(loop);
+            this.immediate = handle;
+        } else {
+            // One real frame per step; warp runs more steps per frame
+            this.realInterval = setInterval(() => {
+                this.advance(this.warp);
+            }, this.step * 1000);
+        }
+    }
+
+    stop() {
+        if (this.realInterval) {
+            clearInterval(this.realInterval);
+            this.realInterval = null;
+        }
+        if (this.immediate) {
+            clearImmediate(this.immediate);
+            this.immediate = null;
+        }
+    }
+
+    pause() {
+        this.paused = true;
+        this.stop();
+    }
+
+    resume() {
+        this.paused = false;
+        this.start();
+    }
+
+    // Change time warp: 1, 2, 10, 100 or 'MAX'
+    setWarp(factor) {
+        if (factor !== MAX_WARP && !WARP_FACTORS.includes(factor)) {
+            throw new Error(`Unsupported time warp: ${factor}`);
+        }
+
+        this.warp = factor;
+        if (!this.paused) {
+            this.stop();
+            this.start();
+        }
+    }
+
+    // Move the epoch so that the current simulation time falls on `date`
+    setDate(date) {
+        this.epoch = new Date(date.getTime() - this.time * 1000);
+    }
+
+    // Wall-clock date corresponding to the current simulation time
+    now() {
+        return new Date(this.epoch.getTime() + this.time * 1000);
+    }
+
+    getState() {
+        return {
+            time: this.time,
+            realTime: Math.round(this.realTime * 10) / 10,
+            step: this.step,
+            warp: this.warp,
+            paused: this.paused,
+            now: this.now()
+        };
+    }
+
+    dispose() {
+        this.stop();
+        this.timers = [];
+        this.frameListeners = [];
+    }
+}
+
+SimulationClock.WARP_FACTORS = WARP_FACTORS;
+SimulationClock.MAX_WARP = MAX_WARP;
+
+module.exports = SimulationClock;
@@ -0,0 +1,24 @@
+// Control Stations
+// The consoles in the flight control room: each answers the Go/No-Go poll and owns countdown events
+
+const STATIONS = [
+    'Flight Director',
+    'Booster',
+    'FIDO',
+    'Guidance',
+    'EECOM',
+    'GNC',
+    'CAPCOM',
+    'Range Safety',
+    'Weather'
+];
+const FLIGHT_DIRECTOR = 'Flight Director';
+
+// The training instructor's seat: not polled, it injects the faults the team trains on
+const INSTRUCTOR = 'Instructor';
+
+module.exports = {
+    STATIONS,
+    FLIGHT_DIRECTOR,
+    INSTRUCTOR
+};
@@ -0,0 +1,124 @@
+// Telemetry Export
+// Turns a mission's telemetry history into CSV, JSON or CCSDS Space Packets
+
+const FORMATS = ['csv', 'json', 'ccsds'];
+const DEFAULT_APID = 0x100; // application process id for exported packets
+
+// Every numeric field that appears anywhere in the history
+function availableFields(history) {
+    const fields = new Set();
+    history.forEach(sample => {
+        Object.keys(sample).forEach(key => {
+            if (key !== 't' && typeof sample[key] === 'number') {
+                fields.add(key);
+            }
+        });
+    });
+    return Array.from(fields);
+}
+
+// Pick fields and a mission elapsed time range from the history
+// Throws with a message suitable for a 400 response on bad input
+function selectSamples(history, options = {}) {
+    const available = availableFields(history);
+    let fields = available;
+
+    if (options.fields) {
+        fields = String(options.fields).split(',').map(f => f.trim()).filter(f => f);
+        const unknown = fields.filter(f => !available.includes(f));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown telemetry fields: ${unknown.join(', ')}`);
+        }
+    }
+
+    const from = parseBound(options.from, -Infinity, 'from');
+    const to = parseBound(options.to, Infinity, 'to');
+    if (from > to) {
+        throw new Error('"from" must not be after "to"');
+    }
+
+    const samples = history.filter(sample => sample.t >= from && sample.t <= to);
+    return { fields, samples };
+}
+
+function parseBound(value, fallback, name) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`"${name}" must be a number of seconds`);
+    }
+    return number;
+}
+
+// CSV with a header row; t is mission elapsed time in seconds
+function toCsv(fields, samples) {
+    const rows = [['t', ...fields].join(',')];
+    samples.forEach(sample => {
+        rows.push([sample.t, ...fields.map(f => (sample[f] === undefined ? '' : sample[f]))].join(','));
+    });
+    return rows.join('\n') + '\n';
+}
+
+function toJson(fields, samples, meta = {}) {
+    return {
+        ...meta,
+        fields: ['t', ...fields],
+        samples: samples.map(sample => {
+            const row = { t: sample.t };
+            fields.forEach(f => {
+                row[f] = sample[f] === undefined ? null : sample[f];
+            });
+            return row;
+        })
+    };
+}
+
+// CCSDS Space Packet encoding, one telemetry packet per sample:
+//   Primary header (6 bytes): version 0, type 0 (TM), secondary header flag 1,
+//     APID, sequence flags 0b11 (unsegmented), 14-bit sequence count, data length - 1
+//   Secondary header (6 bytes): CUC time code, 4 bytes coarse + 2 bytes fine seconds of MET
+//   User data: one big-endian float64 per field, in the order given (missing and null values are NaN)
+function toCcsds(fields, samples, options = {}) {
+    const apid = options.apid === undefined ? DEFAULT_APID : options.apid;
+    if (!Number.isInteger(apid) || apid < 0 || apid > 0x7ff) {
+        throw new Error('"apid" must be an integer between 0 and 2047');
+    }
+
+    const dataLength = 6 + fields.length * 8;
+    const packetLength = 6 + dataLength;
+    const buffer = Buffer.alloc(packetLength * samples.length);
+
+    samples.forEach((sample, index) => {
+        const offset = index * packetLength;
+        const sequenceCount = index % 0x4000;
+
+        buffer.writeUInt16BE((0 << 13) | (0 << 12) | (1 << 11) | apid, offset);
+        buffer.writeUInt16BE((0b11 << 14) | sequenceCount, offset + 2);
+        buffer.writeUInt16BE(dataLength - 1, offset + 4);
+
+        const met = Math.max(0, sample.t);
+        const coarse = Math.floor(met);
+        const fine = Math.min(0xffff, Math.round((met - coarse) * 0x10000));
+        buffer.writeUInt32BE(coarse, offset + 6);
+        buffer.writeUInt16BE(fine, offset + 10);
+
+        fields.forEach((f, i) => {
+            const value = sample[f] === undefined || sample[f] === null ? NaN : sample[f];
+            buffer.writeDoubleBE(value, offset + 12 + i * 8);
+        });
+    });
+
+    return buffer;
+}
+
+module.exports = {
+    FORMATS,
+    DEFAULT_APID,
+    availableFields,
+    selectSamples,
+    toCsv,
+    toJson,
+    toCcsds
+};
@@ -0,0 +1,248 @@
+// Trainee Scorer
+// Scores a training run: how quickly the stations answered each anomaly and scored fault with a hold, abort or
+// NO-GO vote, whether their Go/No-Go votes matched the systems they answer for, and how the flight ended
+
+const RESPONSES = ['abort', 'holdCountdown', 'noGo']; // station actions that answer a cue
+const DEFAULT_RESPONSE_WINDOW = 60; // s a cue gives the stations to respond
+const LATE_CREDIT = 0.25; // share of a cue's points for the right response after its window
+const WEIGHTS = { reactions: 40, votes: 20, outcome: 40 }; // points out of 100 for each part of the score
+
+// The systems a station's Go/No-Go vote answers for; the other stations vote for the vehicle
+const STATION_SYSTEMS = {
+    'Flight Director': ['weather', 'range', 'vehicle'],
+    'Range Safety': ['range'],
+    'Weather': ['weather']
+};
+
+class TraineeScorer {
+    constructor() {
+        this.start();
+        this.active = false; // a run is being scored: from launch initiation until reset
+    }
+
+    // A new run: forget the last one's cues, actions and votes
+    start(startedAt = new Date()) {
+        this.active = true;
+        this.startedAt = startedAt.toISOString();
+        this.cues = []; // anomalies and faults the stations had to answer: see addCue
+        this.faults = []; // { id, type, by, status, result, at } every fault that took hold or failed to
+        this.actions = []; // { station, action, detail, at } every station action, in order
+        this.votes = []; // { station, vote, correct, reason, at } Go/No-Go votes cast from the consoles
+        this.anomalyParameters = new Set(); // parameters already cued this run
+    }
+
+    stop() {
+        this.active = false;
+    }
+
+    // An anomaly shown to the consoles; the first of each parameter is a cue. Critical ones abort on their own,
+    // warnings before liftoff call for a hold, abort or NO-GO, in flight they are listed but not scored.
+    // at is { time, countdownTime, met } as for every entry.
+    addAnomaly(anomaly, at, inFlight) {
+        if (!this.active || this.anomalyParameters.has(anomaly.parameter)) {
+            return null;
+        }
+        this.anomalyParameters.add(anomaly.parameter);
+        const critical = anomaly.severity === 'CRITICAL';
+        return this.addCue({
+            source: 'anomaly',
+            description: `${anomaly.severity}: ${anomaly.message}`,
+            expect: critical || inFlight ? null : RESPONSES.slice(),
+            within: DEFAULT_RESPONSE_WINDOW,
+            automatic: critical,
+            at: at
+        });
+    }
+
+    // An injected fault; one with a list of expected responses is a cue
+    addFault(entry, at) {
+        if (!this.active) {
+            return null;
+        }
+        this.faults.push({
+            id: entry.id,
+            type: entry.type,
+            by: entry.by,
+            status: entry.status,
+            result: entry.result,
+            at: at
+        });
+        if (entry.status !== 'INJECTED' || !entry.expect) {
+            return null;
+        }
+        return this.addCue({
+            source: 'fault',
+            description: `Fault ${entry.id} ${entry.type}: ${entry.result}`,
+            expect: entry.expect,
+            within: entry.within,
+            automatic: false,
+            at: at
+        });
+    }
+
+    // cue: { source, description, expect (responses that answer it, [] for none, null unscored), within, automatic,
+    // at }; the first expected response is its answer, any other in its window counts against it
+    addCue(cue) {
+        const entry = Object.assign({ response: null, wrong: [] }, cue);
+        this.cues.push(entry);
+        return entry;
+    }
+
+    // A station action: { station, action, detail, at }
+    recordAction(action) {
+        if (!this.active) {
+            return;
+        }
+        this.actions.push(action);
+
+        const response = action.action === 'goNoGoVote' ? (action.detail === 'NO_GO' ? 'noGo' : null) : action.action;
+        if (!RESPONSES.includes(response)) {
+            return;
+        }
+        this.cues.forEach(cue => {
+            if (cue.expect === null || cue.response || action.at.time < cue.at.time) {
+                return;
+            }
+            // In the operators' seconds, not simulation seconds: warp doesn't shorten or lengthen a reaction
+            const reaction = round(action.at.realTime - cue.at.realTime);
+            if (cue.expect.includes(response)) {
+                cue.response = { action: response, station: action.station, reaction: reaction };
+            } else if (reaction <= cue.within) {
+                cue.wrong.push({ action: response, station: action.station, reaction: reaction });
+            }
+        });
+    }
+
+    // A Go/No-Go vote from a console; ready is { weather, range, vehicle }, whether each system really is GO
+    recordVote(station, vote, ready, at) {
+        if (!this.active) {
+            return null;
+        }
+        const systems = STATION_SYSTEMS[station] || ['vehicle'];
+        const noGo = systems.filter(system => !ready[system]);
+        const correct = (vote === 'GO') === (noGo.length === 0);
+        let reason = null;
+        if (!correct) {
+            reason = vote === 'GO' ? `GO with ${noGo.join(', ')} NO-GO` : `NO-GO with ${systems.join(', ')} GO`;
+        }
+        const entry = { station: station, vote: vote, correct: correct, reason: reason, at: at };
+        this.votes.push(entry);
+        this.recordAction({ station: station, action: 'goNoGoVote', detail: vote, at: at });
+        return entry;
+    }
+
+    // The run's score at the clock's real time now, given its outcome (see assessOutcome). Parts with nothing to score yet
+    // (no cues, no votes, a flight still going) are left out and the total scaled to the rest.
+    score(outcome, now) {
+        const cues = this.cues.map(cue => {
+            const result = cueResult(cue, now);
+            return Object.assign({}, cue, { result: result, points: cuePoints(cue, result) });
+        });
+        const scored = cues.filter(cue => cue.points !== null);
+        const incorrect = this.votes.filter(vote => !vote.correct);
+        const shares = {
+            reactions: scored.length > 0 ? scored.reduce((sum, cue) => sum + cue.points, 0) / scored.length : null,
+            votes: this.votes.length > 0 ? (this.votes.length - incorrect.length) / this.votes.length : null,
+            outcome: outcome.share
+        };
+
+        let earned = 0;
+        let possible = 0;
+        const parts = {};
+        Object.entries(WEIGHTS).forEach(([part, weight]) => {
+            const share = shares[part];
+            parts[part] = { points: share === null ? null : round(share * weight), of: weight };
+            if (share !== null) {
+                earned += share * weight;
+                possible += weight;
+            }
+        });
+        parts.reactions.cues = scored.length;
+        parts.reactions.meanReaction = mean(scored.filter(cue => cue.response).map(cue => cue.response.reaction));
+        parts.votes.cast = this.votes.length;
+        parts.votes.incorrect = incorrect.length;
+        parts.outcome.result = outcome.result;
+
+        return {
+            total: possible > 0 ? Math.round(earned / possible * 100) : null,
+            parts: parts,
+            cues: cues,
+            votes: this.votes
+        };
+    }
+}
+
+// What became of a cue by the clock's real time now: correct (answered in its window, or left alone when nothing was
+// expected), late, wrong (only wrong responses), missed, open (its window still running), automatic or unscored
+function cueResult(cue, now) {
+    if (cue.automatic) return 'automatic';
+    if (cue.expect === null) return 'unscored';
+    const windowOver = now - cue.at.realTime > cue.within;
+    if (cue.expect.length === 0) {
+        if (cue.wrong.length > 0) return 'wrong';
+        return windowOver ? 'correct' : 'open';
+    }
+    if (cue.response) return cue.response.reaction <= cue.within ? 'correct' : 'late';
+    if (!windowOver) return 'open';
+    return cue.wrong.length > 0 ? 'wrong' : 'missed';
+}
+
+// A cue's share of the reaction points: full for an instant answer, half at the end of its window; null when
+// it doesn't count
+function cuePoints(cue, result) {
+    switch (result) {
+        case 'correct':
+            return cue.response ? Math.round((1 - 0.5 * cue.response.reaction / cue.within) * 100) / 100 : 1;
+        case 'late':
+            return LATE_CREDIT;
+        case 'wrong':
+        case 'missed':
+            return 0;
+        default:
+            return null;
+    }
+}
+
+// How the run ended, from the mission state: { result, share of the outcome points (null while it is going) };
+// counting is whether the count is still running
+function assessOutcome(mission, counting) {
+    switch (mission.status) {
+        case 'ORBIT':
+            return mission.insertion.onTarget
+                ? { result: 'Orbit on target', share: 1 }
+                : { result: 'Orbit off target', share: 0.6 };
+        case 'SUBORBITAL':
+            return { result: 'Suborbital insertion', share: 0 };
+        case 'LANDED':
+            return { result: 'Vehicle landed', share: 0.5 };
+        case 'ABORT':
+            return { result: 'Flight aborted', share: 0.3 };
+        case 'IMPACT':
+            return { result: 'Vehicle lost', share: 0 };
+        case 'PAD_ABORT':
+            return { result: 'Vehicle safed on the pad', share: 0.7 };
+        case 'PRE_LAUNCH':
+        case 'COUNTDOWN':
+            return counting
+                ? { result: 'Count in progress', share: null }
+                : { result: 'Count stopped, vehicle on the pad', share: 0.7 };
+        default:
+            return { result: 'Flight in progress', share: null };
+    }
+}
+
+function mean(values) {
+    return values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+TraineeScorer.RESPONSES = RESPONSES;
+TraineeScorer.DEFAULT_RESPONSE_WINDOW = DEFAULT_RESPONSE_WINDOW;
+TraineeScorer.WEIGHTS = WEIGHTS;
+TraineeScorer.STATION_SYSTEMS = STATION_SYSTEMS;
+TraineeScorer.assessOutcome = assessOutcome;
+
+module.exports = TraineeScorer;
@@ -0,0 +1,227 @@
+// User Store
+// Local operator accounts: users.json (or the file in USERS_FILE) lists each user with a password hash and the
+// stations they are qualified for. Logins are session tokens held in memory; with no users, logins are off.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { STATIONS, INSTRUCTOR } = require('./stations');
+
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, '..', 'users.json');
+const SESSION_TTL = Number(process.env.SESSION_TTL) || 12 * 3600; // s a login lasts
+const SESSION_COOKIE = 'mcc_session';
+const USERNAME_PATTERN = /^[a-z0-9._-]{1,32}$/;
+const ALL_STATIONS = '*'; // qualified for every station
+const KEY_LENGTH = 64; // bytes of scrypt output
+
+class UserStore {
+    constructor(file = USERS_FILE) {
+        this.file = file;
+        this.users = new Map(); // username -> { username, name, password, stations }
+        this.invalid = []; // { index, errors } for entries that failed validation
+        this.rejected = []; // those entries as they are in the file, for saveUser to write back
+        this.sessions = new Map(); // token -> { username, expiresAt }
+        this.load();
+    }
+
+    // (Re)read the users file; invalid entries are reported, not loaded
+    load() {
+        this.users.clear();
+        this.invalid = [];
+        this.rejected = [];
+
+        if (!fs.existsSync(this.file)) {
+            return;
+        }
+        let entries;
+        try {
+            entries = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            this.invalid.push({ index: null, errors: [error.message] });
+            console.error(`Users file ${this.file} rejected: ${error.message}`);
+            return;
+        }
+        if (!Array.isArray(entries)) {
+            this.invalid.push({ index: null, errors: ['the users file must be a list of users'] });
+            console.error(`Users file ${this.file} rejected: it must be a list of users`);
+            return;
+        }
+        entries.forEach((entry, index) => {
+            try {
+                validateUser(entry);
+                if (this.users.has(entry.username)) {
+                    throw new Error(`Duplicate username "${entry.username}"`);
+                }
+                this.users.set(entry.username, entry);
+            } catch (error) {
+                const errors = error.errors || [error.message];
+                this.invalid.push({ index: index, errors: errors });
+                this.rejected.push(entry);
+                console.error(`User ${index} in ${path.basename(this.file)} rejected: ${errors.join('; ')}`);
+            }
+        });
+    }
+
+    // Logins are on once there is a user to log in as
+    isEnabled() {
+        return this.users.size > 0;
+    }
+
+    // Add or replace a user and write the users file; throws listing every problem (also in error.errors).
+    // Entries that failed validation are written back as they were, bar one for the user being replaced; a
+    // file that couldn't be read at all is left alone.
+    saveUser(username, password, stations, name) {
+        const errors = [];
+        this.invalid.filter(invalid => invalid.index === null).forEach(invalid =>
+            errors.push(`${path.basename(this.file)} can't be rewritten: ${invalid.errors.join('; ')}`));
+        if (typeof password !== 'string' || password.length < 8) {
+            errors.push('password must be at least 8 characters');
+        }
+        const user = {
+            username: username,
+            name: name || username,
+            password: hashPassword(String(password || '')),
+            stations: stations
+        };
+        try {
+            validateUser(user);
+        } catch (error) {
+            errors.push(...error.errors);
+        }
+        if (errors.length > 0) {
+            throw validationError(errors);
+        }
+
+        this.users.set(username, user);
+        const kept = this.rejected.filter(entry => !entry || entry.username !== username);
+        const entries = Array.from(this.users.values()).concat(kept);
+        fs.writeFileSync(this.file, JSON.stringify(entries, null, 4) + '\n', { mode: 0o600 });
+        this.load();
+        return publicUser(user);
+    }
+
+    // Check a username and password; returns a new session { token, user, expiresAt } or null
+    login(username, password) {
+        const user = this.users.get(username);
+        if (!user || typeof password !== 'string' || !verifyPassword(password, user.password)) {
+            return null;
+        }
+        this.pruneSessions();
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + SESSION_TTL * 1000);
+        this.sessions.set(token, { username: user.username, expiresAt: expiresAt });
+        return { token: token, user: publicUser(user), expiresAt: expiresAt.toISOString() };
+    }
+
+    // The user logged in with a token, or null once it has expired or been logged out
+    resolve(token) {
+        const session = token ? this.sessions.get(token) : null;
+        if (!session) {
+            return null;
+        }
+        if (session.expiresAt <= new Date()) {
+            this.sessions.delete(token);
+            return null;
+        }
+        const user = this.users.get(session.username);
+        return user ? publicUser(user) : null;
+    }
+
+    logout(token) {
+        return this.sessions.delete(token);
+    }
+
+    // Forget expired logins
+    pruneSessions() {
+        const now = new Date();
+        this.sessions.forEach((session, token) => {
+            if (session.expiresAt <= now) this.sessions.delete(token);
+        });
+    }
+
+    // Whether a user may sit at a station
+    mayStaff(user, station) {
+        return Boolean(user) && (user.stations.includes(ALL_STATIONS) || user.stations.includes(station));
+    }
+
+    list() {
+        return Array.from(this.users.values()).map(publicUser);
+    }
+}
+
+// A user without the password hash
+function publicUser(user) {
+    return { username: user.username, name: user.name || user.username, stations: user.stations.slice() };
+}
+
+// Check a user entry; throws an Error listing every problem (also in error.errors)
+function validateUser(user) {
+    const errors = [];
+    const check = (condition, message) => {
+        if (!condition) errors.push(message);
+        return condition;
+    };
+
+    if (!check(user !== null && typeof user === 'object' && !Array.isArray(user), 'user must be an object')) {
+        throw validationError(errors);
+    }
+    check(typeof user.username === 'string' && USERNAME_PATTERN.test(user.username),
+        'username must be 1-32 lowercase letters, digits, ".", "_" or "-"');
+    check(user.name === undefined || (typeof user.name === 'string' && user.name.trim() !== ''),
+        'name must be a non-empty string');
+    check(typeof user.password === 'string' && user.password.split('$').length === 3 &&
+        user.password.startsWith('scrypt$'), 'password must be a scrypt hash (scrypt$<salt>$<key>)');
+    const stations = [...STATIONS, INSTRUCTOR, ALL_STATIONS];
+    check(Array.isArray(user.stations) && user.stations.length > 0 &&
+        user.stations.every(station => stations.includes(station)),
+        `stations must list stations the user is qualified for: ${stations.join(', ')}`);
+
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+    return user;
+}
+
+// scrypt$<salt hex>$<key hex>
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const key = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+    return `scrypt$${salt}$${key}`;
+}
+
+function verifyPassword(password, stored) {
+    const [, salt, key] = stored.split('$');
+    const expected = Buffer.from(key || '', 'hex');
+    if (expected.length === 0) {
+        return false;
+    }
+    return crypto.timingSafeEqual(expected, crypto.scryptSync(password, salt, expected.length));
+}
+
+// The session token in a Cookie header, or null
+function sessionToken(cookieHeader) {
+    const cookies = String(cookieHeader || '').split(';');
+    for (const cookie of cookies) {
+        const [name, ...value] = cookie.trim().split('=');
+        if (name === SESSION_COOKIE) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+}
+
+function validationError(errors) {
+    const error = new Error(errors.join('; '));
+    error.errors = errors;
+    return error;
+}
+
+UserStore.USERS_FILE = USERS_FILE;
+UserStore.SESSION_TTL = SESSION_TTL;
+UserStore.SESSION_COOKIE = SESSION_COOKIE;
+UserStore.ALL_STATIONS = ALL_STATIONS;
+UserStore.validateUser = validateUser;
+UserStore.hashPassword = hashPassword;
+UserStore.verifyPassword = verifyPassword;
+UserStore.sessionToken = sessionToken;
+
+module.exports = UserStore;
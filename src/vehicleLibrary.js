@@ -0,0 +1,259 @@
+// Vehicle Library
+// Launch vehicle definitions loaded from JSON files in vehicles/, validated before they can fly
+
+const fs = require('fs');
+const path = require('path');
+const { validateDragTable } = require('./aerodynamics');
+
+const VEHICLES_DIR = process.env.VEHICLES_DIR || path.join(__dirname, '..', 'vehicles');
+const DEFAULT_VEHICLE_ID = 'falcon-x';
+const VEHICLE_ID_PATTERN = /^[a-z0-9-]+$/;
+const G0 = 9.81; // m/s^2, as the rocket simulator turns specific impulse into exhaust velocity
+
+class VehicleLibrary {
+    constructor(directory = VEHICLES_DIR) {
+        this.directory = directory;
+        this.vehicles = new Map(); // id -> validated definition
+        this.invalid = []; // { file, errors } for files that failed validation
+        this.load();
+    }
+
+    // (Re)read every vehicle file; invalid ones are reported, not loaded
+    load() {
+        this.vehicles.clear();
+        this.invalid = [];
+
+        if (!fs.existsSync(this.directory)) {
+            return;
+        }
+
+        fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .forEach(file => {
+                try {
+                    const definition = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+                    validateVehicle(definition);
+                    if (this.vehicles.has(definition.id)) {
+                        throw new Error(`Duplicate vehicle id "${definition.id}"`);
+                    }
+                    this.vehicles.set(definition.id, definition);
+                } catch (error) {
+                    const errors = error.errors || [error.message];
+                    this.invalid.push({ file: file, errors: errors });
+                    console.error(`Vehicle ${file} rejected: ${errors.join('; ')}`);
+                }
+            });
+    }
+
+    has(id) {
+        return this.vehicles.has(id);
+    }
+
+    // A copy of a vehicle definition, so simulators can't alter the library
+    get(id) {
+        const definition = this.vehicles.get(id);
+        return definition ? JSON.parse(JSON.stringify(definition)) : null;
+    }
+
+    list() {
+        return Array.from(this.vehicles.values()).map(vehicle => ({
+            id: vehicle.id,
+            name: vehicle.name,
+            description: vehicle.description || '',
+            stages: vehicle.stages.length,
+            boosters: (vehicle.boosters || []).reduce((total, booster) => total + booster.count, 0),
+            payload: vehicle.payload,
+            liftoffMass: liftoffMass(vehicle)
+        }));
+    }
+}
+
+// Total mass on the pad (kg)
+function liftoffMass(vehicle) {
+    const stageMass = vehicle.stages.reduce((total, stage) => total + stage.dryMass + stage.propellantMass, 0);
+    const boosterMass = (vehicle.boosters || []).reduce(
+        (total, booster) => total + booster.count * (booster.dryMass + booster.propellantMass), 0);
+    const fairingMass = vehicle.fairing ? vehicle.fairing.mass : 0;
+    return stageMass + boosterMass + fairingMass + vehicle.payload;
+}
+
+// Vacuum delta-v (m/s) the vehicle gives a payload by the rocket equation, with the boosters then each stage
+// burning to empty in turn and the fairing going with the first stage; no gravity, drag or steering losses
+function idealDeltaV(vehicle, payload = vehicle.payload) {
+    let mass = liftoffMass(vehicle) - vehicle.payload + payload;
+    let deltaV = 0;
+    const burn = (propellantMass, dryMass, ispVacuum) => {
+        deltaV += ispVacuum * G0 * Math.log(mass / (mass - propellantMass));
+        mass -= propellantMass + dryMass;
+    };
+    (vehicle.boosters || []).forEach(booster =>
+        burn(booster.count * booster.propellantMass, booster.count * booster.dryMass, booster.engines.ispVacuum));
+    vehicle.stages.forEach((stage, index) => {
+        burn(stage.propellantMass, stage.dryMass, stage.engines.ispVacuum);
+        if (index === 0 && vehicle.fairing) mass -= vehicle.fairing.mass;
+    });
+    return deltaV;
+}
+
+// Check a vehicle definition; throws an Error listing every problem (also in error.errors)
+function validateVehicle(vehicle) {
+    const errors = [];
+    const check = (condition, message) => {
+        if (!condition) errors.push(message);
+        return condition;
+    };
+
+    if (!check(vehicle && typeof vehicle === 'object' && !Array.isArray(vehicle), 'definition must be a JSON object')) {
+        throw validationError(errors);
+    }
+
+    check(typeof vehicle.id === 'string' && VEHICLE_ID_PATTERN.test(vehicle.id),
+        'id must be lowercase letters, digits and dashes');
+    check(typeof vehicle.name === 'string' && vehicle.name.trim() !== '', 'name is required');
+    check(isNumber(vehicle.payload, 0), 'payload must be a mass in kg (>= 0)');
+    check(vehicle.hasLandingCapability === undefined || typeof vehicle.hasLandingCapability === 'boolean',
+        'hasLandingCapability must be true or false');
+    check(vehicle.landingBurnAltitude === undefined || isNumber(vehicle.landingBurnAltitude, 0),
+        'landingBurnAltitude must be an altitude in m');
+
+    if (check(Array.isArray(vehicle.stages) && vehicle.stages.length > 0, 'stages must list at least one stage')) {
+        vehicle.stages.forEach((stage, i) => {
+            checkPropulsiveElement(stage, `stages[${i}]`, check);
+            if (stage && typeof stage === 'object') {
+                check(stage.ignitionDelay === undefined || isNumber(stage.ignitionDelay, 0),
+                    `stages[${i}].ignitionDelay must be seconds (>= 0)`);
+                if (check(stage.aero !== undefined, `stages[${i}].aero is required`)) {
+                    checkAero(stage.aero, `stages[${i}].aero`, check);
+                }
+            }
+        });
+    }
+
+    if (vehicle.boosters !== undefined) {
+        if (check(Array.isArray(vehicle.boosters), 'boosters must be a list')) {
+            vehicle.boosters.forEach((booster, i) => {
+                checkPropulsiveElement(booster, `boosters[${i}]`, check);
+                if (booster && typeof booster === 'object') {
+                    check(Number.isInteger(booster.count) && booster.count > 0,
+                        `boosters[${i}].count must be a whole number of boosters`);
+                    // Optional: strap-ons without aero data add no drag of their own
+                    if (booster.aero !== undefined) {
+                        checkAero(booster.aero, `boosters[${i}].aero`, check);
+                    }
+                }
+            });
+        }
+    }
+
+    if (vehicle.fairing !== undefined) {
+        const fairing = vehicle.fairing;
+        if (check(fairing && typeof fairing === 'object', 'fairing must be an object')) {
+            check(isNumber(fairing.mass, 0, true), 'fairing.mass must be a mass in kg (> 0)');
+            check(fairing.jettisonAltitude === undefined || isNumber(fairing.jettisonAltitude, 0),
+                'fairing.jettisonAltitude must be an altitude in m');
+            check(fairing.jettisonDynamicPressure === undefined || isNumber(fairing.jettisonDynamicPressure, 0),
+                'fairing.jettisonDynamicPressure must be a pressure in Pa');
+            check(fairing.jettisonAltitude !== undefined || fairing.jettisonDynamicPressure !== undefined,
+                'fairing needs a jettisonAltitude and/or jettisonDynamicPressure');
+        }
+    }
+
+    if (vehicle.limits !== undefined) {
+        if (check(vehicle.limits && typeof vehicle.limits === 'object', 'limits must be an object')) {
+            ['maxQ', 'maxG', 'maxThrust', 'maxGimbal'].forEach(limit => {
+                check(vehicle.limits[limit] === undefined || isNumber(vehicle.limits[limit], 0, true),
+                    `limits.${limit} must be a positive number`);
+            });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+    return vehicle;
+}
+
+// Masses, engines and an optional thrust curve: shared by stages and boosters
+function checkPropulsiveElement(element, label, check) {
+    if (!check(element && typeof element === 'object', `${label} must be an object`)) {
+        return;
+    }
+
+    check(typeof element.name === 'string' && element.name.trim() !== '', `${label}.name is required`);
+    check(isNumber(element.dryMass, 0, true), `${label}.dryMass must be a mass in kg (> 0)`);
+    check(isNumber(element.propellantMass, 0, true), `${label}.propellantMass must be a mass in kg (> 0)`);
+    check(element.burnTime === undefined || isNumber(element.burnTime, 0, true),
+        `${label}.burnTime must be seconds (> 0)`);
+    check(element.separationDelay === undefined || isNumber(element.separationDelay, 0),
+        `${label}.separationDelay must be seconds (>= 0)`);
+
+    const engines = element.engines;
+    if (check(engines && typeof engines === 'object', `${label}.engines is required`)) {
+        check(Number.isInteger(engines.count) && engines.count > 0, `${label}.engines.count must be a whole number (> 0)`);
+        const thrustSeaLevelOk = check(isNumber(engines.thrustSeaLevel, 0),
+            `${label}.engines.thrustSeaLevel must be N per engine (>= 0)`);
+        const thrustVacuumOk = check(isNumber(engines.thrustVacuum, 0, true),
+            `${label}.engines.thrustVacuum must be N per engine (> 0)`);
+        if (thrustSeaLevelOk && thrustVacuumOk) {
+            check(engines.thrustVacuum >= engines.thrustSeaLevel,
+                `${label}.engines.thrustVacuum must not be below thrustSeaLevel`);
+        }
+
+        check(engines.mixtureRatio === undefined || isNumber(engines.mixtureRatio, 0, true),
+            `${label}.engines.mixtureRatio must be oxidizer to fuel by mass (> 0)`);
+
+        const ispSeaLevelOk = check(isNumber(engines.ispSeaLevel, 0),
+            `${label}.engines.ispSeaLevel must be seconds (>= 0)`);
+        const ispVacuumOk = check(isNumber(engines.ispVacuum, 0, true),
+            `${label}.engines.ispVacuum must be seconds (> 0)`);
+        if (ispSeaLevelOk && ispVacuumOk) {
+            check(engines.ispVacuum >= engines.ispSeaLevel, `${label}.engines.ispVacuum must not be below ispSeaLevel`);
+        }
+    }
+
+    // Thrust curve: fraction of rated thrust against seconds since ignition
+    const curve = element.thrustCurve;
+    if (curve !== undefined) {
+        const ok = check(curve && Array.isArray(curve.time) && Array.isArray(curve.fraction) &&
+            curve.time.length > 0 && curve.time.length === curve.fraction.length,
+            `${label}.thrustCurve needs time and fraction arrays of the same length`);
+        if (ok) {
+            check(curve.time.every((t, i) => isNumber(t, 0) && (i === 0 || t > curve.time[i - 1])),
+                `${label}.thrustCurve.time must be increasing seconds`);
+            check(curve.fraction.every(f => isNumber(f, 0)), `${label}.thrustCurve.fraction must be numbers (>= 0)`);
+        }
+    }
+}
+
+// Cross-section and drag table
+function checkAero(aero, label, check) {
+    if (!check(aero && typeof aero === 'object', `${label} must be an object`)) {
+        return;
+    }
+
+    check(isNumber(aero.crossSection, 0, true), `${label}.crossSection must be an area in m^2 (> 0)`);
+    try {
+        validateDragTable(aero.dragTable, `${label}.dragTable`);
+    } catch (error) {
+        check(false, error.message);
+    }
+}
+
+function isNumber(value, min, exclusive = false) {
+    return typeof value === 'number' && Number.isFinite(value) && (exclusive ? value > min : value >= min);
+}
+
+function validationError(errors) {
+    const error = new Error(errors.join('; '));
+    error.errors = errors;
+    return error;
+}
+
+VehicleLibrary.VEHICLES_DIR = VEHICLES_DIR;
+VehicleLibrary.DEFAULT_VEHICLE_ID = DEFAULT_VEHICLE_ID;
+VehicleLibrary.validateVehicle = validateVehicle;
+VehicleLibrary.liftoffMass = liftoffMass;
+VehicleLibrary.idealDeltaV = idealDeltaV;
+
+module.exports = VehicleLibrary;
@@ -1,8 +1,15 @@
 // Weather Monitoring System
 // Simulates weather conditions for launch decisions
 
+const { createRandom } = require('./random');
+
 class WeatherMonitor {
-    constructor() {
+    // options.seed makes weather changes reproducible;
+    // options.random injects a custom random() source instead
+    constructor(options = {}) {
+        this.random = options.random || createRandom(options.seed);
+        this.clock = options.clock || null; // SimulationClock; real timers when absent
+
         this.conditions = {
             // Wind conditions
             surfaceWind: {
@@ -56,39 +63,44 @@ class WeatherMonitor {
     }
 
     startWeatherUpdates() {
-        this.updateInterval = setInterval(() => {
-            this.updateWeatherConditions();
-        }, 5000); // Update every 5 seconds
+        // Update every 5 seconds
+        if (this.clock) {
+            this.updateInterval = this.clock.every(5, () => this.updateWeatherConditions());
+        } else {
+            this.updateInterval = setInterval(() => {
+                this.updateWeatherConditions();
+            }, 5000);
+        }
     }
 
     updateWeatherConditions() {
         // Simulate changing weather conditions
 
         // Wind variations
-        this.conditions.surfaceWind.speed += (Math.random() - 0.5) * 2;
+        this.conditions.surfaceWind.speed += (this.random() - 0.5) * 2;
         this.conditions.surfaceWind.speed = Math.max(5, Math.min(40, this.conditions.surfaceWind.speed));
-        this.conditions.surfaceWind.direction += (Math.random() - 0.5) * 10;
-        this.conditions.surfaceWind.gusts = this.conditions.surfaceWind.speed + Math.random() * 10;
+        this.conditions.surfaceWind.direction += (this.random() - 0.5) * 10;
+        this.conditions.surfaceWind.gusts = this.conditions.surfaceWind.speed + this.random() * 10;
 
         // Upper wind
-        this.conditions.upperLevelWind.speed += (Math.random() - 0.5) * 5;
+        this.conditions.upperLevelWind.speed += (this.random() - 0.5) * 5;
         this.conditions.upperLevelWind.speed = Math.max(20, Math.min(100, this.conditions.upperLevelWind.speed));
 
-        // Temperature drift
-        this.conditions.temperature += (Math.random() - 0.5) * 0.5;
-        this.conditions.humidity += (Math.random() - 0.5) * 2;
+        // Temperature drift, pulled back towards the day's 25 °C so it can't wander off over a long run
+        this.conditions.temperature += (this.random() - 0.5) * 0.5 + (25 - this.conditions.temperature) * 0.001;
+        this.conditions.humidity += (this.random() - 0.5) * 2;
         this.conditions.humidity = Math.max(20, Math.min(100, this.conditions.humidity));
 
         // Cloud changes
-        this.conditions.cloudCoverage += (Math.random() - 0.5) * 5;
+        this.conditions.cloudCoverage += (this.random() - 0.5) * 5;
         this.conditions.cloudCoverage = Math.max(0, Math.min(100, this.conditions.cloudCoverage));
-        this.conditions.cloudCeiling += (Math.random() - 0.5) * 500;
+        this.conditions.cloudCeiling += (this.random() - 0.5) * 500;
         this.conditions.cloudCeiling = Math.max(500, Math.min(20000, this.conditions.cloudCeiling));
 
         // Lightning simulation (random chance)
-        if (Math.random() < 0.05) { // 5% chance
+        if (this.random() < 0.05) { // 5% chance
             this.conditions.lightningDetected = true;
-            this.conditions.lightningDistance = Math.random() * 30;
+            this.conditions.lightningDistance = this.random() * 30;
         } else if (this.conditions.lightningDetected) {
             this.conditions.lightningDistance += 5; // Lightning moving away
             if (this.conditions.lightningDistance > 50) {
@@ -164,23 +176,36 @@ class WeatherMonitor {
         return this.conditions.constraints.go;
     }
 
+    // Start from given conditions (e.g. a training scenario's), field by field: the wind groups merge
+    // into the current ones
+    setConditions(conditions) {
+        Object.entries(conditions).forEach(([field, value]) => {
+            if (value && typeof value === 'object') {
+                Object.assign(this.conditions[field], value);
+            } else {
+                this.conditions[field] = value;
+            }
+        });
+        this.checkWeatherConstraints();
+    }
+
     // Simulate weather event
     triggerWeatherEvent(type) {
         switch(type) {
             case 'LIGHTNING':
                 this.conditions.lightningDetected = true;
-                this.conditions.lightningDistance = Math.random() * 15;
+                this.conditions.lightningDistance = this.random() * 15;
                 break;
             case 'HIGH_WINDS':
-                this.conditions.surfaceWind.speed = 35 + Math.random() * 10;
+                this.conditions.surfaceWind.speed = 35 + this.random() * 10;
                 this.conditions.surfaceWind.gusts = this.conditions.surfaceWind.speed + 15;
                 break;
             case 'LOW_CEILING':
-                this.conditions.cloudCeiling = 1000 + Math.random() * 500;
-                this.conditions.cloudCoverage = 80 + Math.random() * 20;
+                this.conditions.cloudCeiling = 1000 + this.random() * 500;
+                this.conditions.cloudCoverage = 80 + this.random() * 20;
                 break;
             case 'CLEAR':
-                this.conditions.surfaceWind.speed = 5 + Math.random() * 10;
+                this.conditions.surfaceWind.speed = 5 + this.random() * 10;
                 this.conditions.cloudCeiling = 15000;
                 this.conditions.cloudCoverage = 10;
                 this.conditions.lightningDetected = false;
@@ -192,7 +217,12 @@ class WeatherMonitor {
 
     cleanup() {
         if (this.updateInterval) {
-            clearInterval(this.updateInterval);
+            if (this.clock) {
+                this.clock.cancel(this.updateInterval);
+            } else {
+                clearInterval(this.updateInterval);
+            }
+            this.updateInterval = null;
         }
     }
 }
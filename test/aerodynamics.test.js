@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateDragTable, dragCoefficient } = require('../src/aerodynamics');
+
+const TABLE = { mach: [0, 1, 2], cd: [0.3, 0.5, 0.4] };
+const BY_ALPHA = { mach: [0, 1], alpha: [0, 10], cd: [[0.3, 0.5], [0.5, 0.9]] };
+
+test('the drag coefficient is interpolated by Mach and held at the table edges', () => {
+    assert.strictEqual(dragCoefficient(TABLE, 1), 0.5);
+    assert.ok(Math.abs(dragCoefficient(TABLE, 1.5) - 0.45) < 1e-12);
+    assert.strictEqual(dragCoefficient(TABLE, -1), 0.3);
+    assert.strictEqual(dragCoefficient(TABLE, 25), 0.4);
+});
+
+test('with angle of attack, the drag coefficient is interpolated between rows either side of zero', () => {
+    assert.ok(Math.abs(dragCoefficient(BY_ALPHA, 0.5, 5) - 0.55) < 1e-12);
+    assert.strictEqual(dragCoefficient(BY_ALPHA, 0.5, -5), dragCoefficient(BY_ALPHA, 0.5, 5));
+    assert.strictEqual(dragCoefficient(BY_ALPHA, 1, 20), 0.9);
+});
+
+test('a malformed drag table is refused, naming the problem', () => {
+    assert.doesNotThrow(() => validateDragTable(TABLE));
+    assert.doesNotThrow(() => validateDragTable(BY_ALPHA));
+
+    assert.throws(() => validateDragTable(null, 'stage1'), /^Error: stage1 must be an object$/);
+    assert.throws(() => validateDragTable({ mach: [0, 2, 1], cd: [0.3, 0.5, 0.4] }), /drag table.mach must be strictly increasing/);
+    assert.throws(() => validateDragTable({ mach: [0, 1], cd: [0.3] }), /drag table.cd must hold 2 non-negative numbers/);
+    assert.throws(() => validateDragTable({ mach: [0, 1], cd: [0.3, -0.1] }), /drag table.cd must hold 2/);
+    assert.throws(() => validateDragTable({ mach: [0, 1], alpha: [0, 10], cd: [[0.3, 0.5]] }),
+        /drag table.cd must have one row per alpha breakpoint/);
+    assert.throws(() => validateDragTable({ mach: [0, 1], alpha: [0, 10], cd: [[0.3, 0.5], [0.4]] }),
+        /drag table.cd\[1\] must hold 2/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { standardAtmosphere, windProfile } = require('../src/atmosphere');
+
+function close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} (expected ${expected})`);
+}
+
+test('the standard atmosphere matches the US76 tables', () => {
+    const sea = standardAtmosphere(0);
+    close(sea.pressure, 101325, 1e-6, 'sea level pressure');
+    close(sea.temperature, 288.15, 1e-9, 'sea level temperature');
+    close(sea.density, 1.225, 1e-3, 'sea level density');
+    close(sea.speedOfSound, 340.29, 0.01, 'sea level speed of sound');
+
+    // 11 km geopotential is the tropopause
+    const tropopause = standardAtmosphere(11019);
+    close(tropopause.pressure, 22632, 5, 'tropopause pressure');
+    close(tropopause.temperature, 216.65, 0.01, 'tropopause temperature');
+
+    close(standardAtmosphere(400000).density, 2.803e-12, 1e-15, 'density at 400 km');
+    assert.deepStrictEqual(standardAtmosphere(-100), sea);
+});
+
+test('above 1000 km the atmosphere is vacuum', () => {
+    const vacuum = standardAtmosphere(1000001);
+    assert.strictEqual(vacuum.pressure, 0);
+    assert.strictEqual(vacuum.density, 0);
+});
+
+test('the wind blends from the surface report to the upper-level wind, then falls off with the shear', () => {
+    const conditions = {
+        surfaceWind: { speed: 10, direction: 350 },
+        upperLevelWind: { speed: 100, direction: 30, shear: 2 }
+    };
+    const knots = 0.514444;
+
+    assert.deepStrictEqual(windProfile(conditions, 0), { speed: 10 * knots, direction: 350 });
+
+    const halfway = windProfile(conditions, 10668 / 2);
+    close(halfway.speed, 55 * knots, 1e-9, 'speed half way to the jet');
+    close(halfway.direction, 10, 1e-9, 'direction half way, turned the short way round');
+
+    // 10000 ft above the jet at 2 knots per 1000 ft
+    const above = windProfile(conditions, 10668 + 3048);
+    close(above.speed, 80 * knots, 1e-9, 'speed above the jet');
+    assert.strictEqual(above.direction, 30);
+});
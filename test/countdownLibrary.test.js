@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CountdownLibrary = require('../src/countdownLibrary');
+const { STATIONS } = require('../src/stations');
+
+const countdowns = new CountdownLibrary();
+
+test('every bundled countdown timeline passes validation', () => {
+    assert.deepStrictEqual(countdowns.invalid, []);
+    ['condor-551', 'default', 'falcon-x', 'falcon-x-heavy', 'kestrel'].forEach(id => assert.ok(countdowns.has(id), id));
+});
+
+test('a vehicle without its own timeline counts down on the default one, in count order', () => {
+    const timeline = countdowns.forVehicle('no-such-vehicle');
+    assert.strictEqual(timeline.id, CountdownLibrary.DEFAULT_TIMELINE_ID);
+    assert.strictEqual(timeline.start, -timeline.events[0].t);
+    assert.ok(timeline.events.every((event, i) => i === 0 || event.t >= timeline.events[i - 1].t));
+
+    // A recycle can't go back further than the count starts
+    assert.ok(timeline.sequencer.recycle <= timeline.start);
+});
+
+test('a countdown timeline is checked for every problem at once', () => {
+    const timeline = {
+        id: 'kestrel',
+        name: 'Kestrel count',
+        events: [
+            { t: -600, station: 'Booster', message: 'Propellant load', action: 'loadPropellant', hold: 60 },
+            { t: 10, station: 'Janitor', message: 'Sweep the pad', action: 'sweep', level: 'loud' },
+            { t: -600, station: 'Flight Director', message: 'Second hold', hold: -1 }
+        ],
+        sequencer: { start: 120, recycle: 60 }
+    };
+
+    assert.throws(() => CountdownLibrary.validateTimeline(timeline), error => {
+        assert.deepStrictEqual(error.errors, [
+            'events[1].t must be whole seconds before T-0 (< 0)',
+            `events[1].station must be one of ${STATIONS.join(', ')}`,
+            `events[1].action must be one of ${Object.keys(CountdownLibrary.COUNTDOWN_ACTIONS).join(', ')}`,
+            'events[1].level must be one of info, success, warning, critical',
+            'events[2].hold must be the planned hold length in seconds (>= 0)',
+            'only one built-in hold per count time',
+            'sequencer.recycle must be whole seconds before T-0, no less than sequencer.start'
+        ]);
+        return true;
+    });
+    assert.throws(() => CountdownLibrary.validateTimeline({ id: 'x', name: 'X', events: [] }),
+        /^Error: events must list at least one event$/);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSession, greenRedlines, fly } = require('./helpers');
+const { insertionConditions } = require('../src/guidance');
+
+const MU = 3.986004418e14;
+const RE = 6371000;
+const ELLIPSE = { apogee: 600000, perigee: 200000 };
+
+test('insertion at perigee is horizontal at perigee speed', () => {
+    const insertion = insertionConditions(ELLIPSE, MU, RE);
+    const a = RE + 400000;
+    assert.strictEqual(insertion.radius, RE + 200000);
+    assert.strictEqual(insertion.radialVelocity, 0);
+    assert.ok(Math.abs(insertion.tangentialVelocity - Math.sqrt(MU * (2 / (RE + 200000) - 1 / a))) < 1e-6);
+});
+
+test('insertion above perigee climbs on the target ellipse', () => {
+    const radius = RE + 300000;
+    const insertion = insertionConditions(ELLIPSE, MU, RE, radius);
+    const a = RE + 400000;
+    const speed = Math.hypot(insertion.radialVelocity, insertion.tangentialVelocity);
+    assert.ok(insertion.radialVelocity > 0);
+    assert.ok(Math.abs(speed - Math.sqrt(MU * (2 / radius - 1 / a))) < 1e-6);
+
+    // Same angular momentum as at perigee
+    const atPerigee = insertionConditions(ELLIPSE, MU, RE);
+    assert.ok(Math.abs(radius * insertion.tangentialVelocity - atPerigee.radius * atPerigee.tangentialVelocity) < 1);
+});
+
+test('insertion radius is kept between perigee and apogee', () => {
+    assert.strictEqual(insertionConditions(ELLIPSE, MU, RE, RE + 100000).radius, RE + 200000);
+    const atApogee = insertionConditions(ELLIPSE, MU, RE, RE + 900000);
+    assert.strictEqual(atApogee.radius, RE + 600000);
+    assert.ok(atApogee.radialVelocity < 1e-3);
+});
+
+test('PEG puts falcon-x on a 600 x 200 km orbit', () => {
+    const session = fly(greenRedlines(createSession('peg-ellipse')), {
+        vehicle: 'falcon-x',
+        plan: { target: { apogee: 600, perigee: 200, inclination: 51.6 } }
+    });
+    try {
+        assert.strictEqual(session.mission.status, 'ORBIT');
+        const { apogee, perigee, onTarget } = session.mission.insertion;
+        assert.ok(onTarget, `inserted at ${apogee.toFixed(1)} x ${perigee.toFixed(1)} km`);
+    } finally {
+        session.dispose();
+    }
+});
+
+test('the open-loop pitch program, short of orbit on every vehicle, is refused', () => {
+    const session = createSession('open-loop');
+    try {
+        session.initiateLaunch({ vehicle: 'falcon-x', guidance: 'OPEN_LOOP' });
+        assert.strictEqual(session.mission.status, 'IDLE');
+        assert.strictEqual(session.mission.guidance, 'PEG');
+    } finally {
+        session.dispose();
+    }
+});
@@ -0,0 +1,53 @@
+// Shared test helpers: headless mission sessions flown on a stopped simulation clock
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Recordings go to a scratch directory, not the repo's recordings/
+process.env.RECORDINGS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mcc-recordings-'));
+
+const MissionSession = require('../src/missionSession');
+const { STATIONS } = require('../src/stations');
+
+const FLIGHT_OVER = ['ORBIT', 'SUBORBITAL', 'IMPACT', 'ABORT', 'PAD_ABORT', 'LANDED'];
+
+// A session with no clients and its clock stopped
+function createSession(seed = 'test') {
+    const events = [];
+    const io = { to: () => ({ emit: (event, data) => events.push({ event, data }) }) };
+    const session = new MissionSession('test', io, { seed });
+    session.clock.stop();
+    session.events = events;
+    return session;
+}
+
+// Keep the weather and range redlines green, for a test about the flight rather than the sequencer: the count
+// then only holds where the timeline says
+function greenRedlines(session) {
+    session.checkRedlines = () => null;
+    return session;
+}
+
+// Launch with the options given and poll every station GO
+function startCount(session, options = {}) {
+    session.initiateLaunch(options);
+    session.startGoNoGoPoll();
+    STATIONS.forEach(station => session.goNoGoVote(station, 'GO'));
+}
+
+// Fly the count to the end of the flight, releasing each built-in hold once it has run its length
+function fly(session, options = {}) {
+    startCount(session, options);
+    for (let i = 0; i < 30 && !FLIGHT_OVER.includes(session.mission.status); i++) {
+        session.clock.runUntil(() => FLIGHT_OVER.includes(session.mission.status) || session.mission.builtInHold,
+            session.clock.time + 200000);
+        if (session.mission.builtInHold) {
+            session.clock.runFor(session.mission.builtInHold.duration);
+            session.releaseHold('Flight Director');
+        }
+    }
+    return session;
+}
+
+module.exports = { createSession, greenRedlines, startCount, fly, FLIGHT_OVER };
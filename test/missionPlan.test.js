@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolvePlan, performanceWarning, nextPlaneWindow, getLaunchSite } = require('../src/missionPlan');
+const { siteBasis, dot, toRadians, EARTH_ROTATION_RATE } = require('../src/orbitalMechanics');
+const VehicleLibrary = require('../src/vehicleLibrary');
+
+const vehicles = new VehicleLibrary();
+
+test('a target apogee above 40000 km is refused', () => {
+    assert.throws(() => resolvePlan({ target: { apogee: 50000, perigee: 200, inclination: 51.6 } }),
+        /target apogee must be at most 40000 km/);
+    assert.doesNotThrow(() => resolvePlan({ target: { apogee: 35786, perigee: 200, inclination: 51.6 } }));
+});
+
+test('a bundled vehicle has the performance for the default orbit', () => {
+    vehicles.list().forEach(vehicle =>
+        assert.strictEqual(performanceWarning(resolvePlan({}), vehicles.get(vehicle.id)), null, vehicle.id));
+});
+
+test('a target beyond the vehicle\'s delta-v is warned about', () => {
+    const transfer = resolvePlan({ target: { apogee: 35786, perigee: 200, inclination: 51.6 } });
+    assert.match(performanceWarning(transfer, vehicles.get('falcon-x')), /Falcon-X looks short of performance/);
+
+    const heavy = resolvePlan({ payload: 100000 });
+    assert.match(performanceWarning(heavy, vehicles.get('kestrel')), /with 100000 kg of payload/);
+});
+
+test('the Earth\'s rotation counts in the performance needed', () => {
+    const polar = resolvePlan({ site: 'vandenberg', target: { apogee: 400, perigee: 400, inclination: 97.5 } });
+    assert.match(performanceWarning(polar, vehicles.get('falcon-x')), /Falcon-X looks short of performance/);
+    assert.strictEqual(performanceWarning(polar, vehicles.get('kestrel')), null);
+
+    // The same vehicle and orbit, launched east
+    const east = resolvePlan({ site: 'kourou', target: { apogee: 400, perigee: 400, inclination: 5.3 } });
+    assert.strictEqual(performanceWarning(east, vehicles.get('falcon-x')), null);
+});
+
+test('a plane window opens as the launch site turns into the target plane, once a sidereal day', () => {
+    const after = new Date('2025-03-01T00:00:00Z');
+    const plan = resolvePlan({ target: { apogee: 400, perigee: 400, inclination: 51.6, raan: 120 }, window: { length: 300 } },
+        null, after);
+    const opens = new Date(plan.window.opens);
+    assert.ok(opens > after && opens - after < 2 * Math.PI / EARTH_ROTATION_RATE * 1000, plan.window.opens);
+    assert.strictEqual(new Date(plan.window.closes) - opens, 300 * 1000);
+
+    // The site is in the plane: at right angles to the orbit normal
+    const site = getLaunchSite(plan.site);
+    const up = siteBasis(site.lat, site.lon, plan.launchAzimuth, opens).up;
+    const [i, raan] = [toRadians(51.6), toRadians(120)];
+    const normal = [Math.sin(i) * Math.sin(raan), -Math.sin(i) * Math.cos(raan), Math.cos(i)];
+    assert.ok(Math.abs(dot(up, normal)) < 1e-4);
+
+    // Missed by a second past its close, the window comes round again a sidereal day later
+    const next = nextPlaneWindow(plan, new Date(new Date(plan.window.closes).getTime() + 1000));
+    const day = (new Date(next.window.opens) - opens) / 1000;
+    assert.ok(Math.abs(day - 86164.1) < 2, `${day} s`);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const MissionRecorder = require('../src/missionRecorder');
+
+// A recording in its own scratch directory, closed and flushed to disk
+async function recordFlight(directory, missionId, frames) {
+    const recorder = new MissionRecorder(missionId, { name: 'Test flight', seed: 'rec' }, directory);
+    frames(recorder);
+    const stream = recorder.stream;
+    recorder.close();
+    await once(stream, 'finish');
+    return recorder;
+}
+
+test('a recording is a header and one line per event, loaded back as they were', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mcc-recorder-'));
+    const recorder = await recordFlight(directory, 'apollo', r => {
+        r.record(0, 'missionState', { status: 'PRE_LAUNCH' });
+        r.record(0.1, 'telemetry', { altitude: 0 });
+    });
+
+    const { header, events } = MissionRecorder.load(recorder.id, directory);
+    assert.strictEqual(header.missionId, 'apollo');
+    assert.strictEqual(header.seed, 'rec');
+    assert.deepStrictEqual(events, [
+        { t: 0, event: 'missionState', data: { status: 'PRE_LAUNCH' } },
+        { t: 0.1, event: 'telemetry', data: { altitude: 0 } }
+    ]);
+    assert.deepStrictEqual(MissionRecorder.list(directory).map(entry => entry.id), [recorder.id]);
+});
+
+test('only a recording id, not a path, resolves to a file', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mcc-recorder-'));
+    assert.strictEqual(MissionRecorder.resolve('../users', directory), null);
+    assert.strictEqual(MissionRecorder.resolve('unknown', directory), null);
+});
+
+test('once decimated, the per-frame stream keeps one frame per interval and the rest all', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mcc-recorder-'));
+    const recorder = await recordFlight(directory, 'orbit', r => {
+        r.decimate(10);
+        for (let t = 0; t < 30; t++) {
+            r.record(t, 'telemetry', { t });
+            if (t % 5 === 0) r.record(t, 'eventLog', { t });
+        }
+    });
+
+    const { events } = MissionRecorder.load(recorder.id, directory);
+    assert.deepStrictEqual(events.filter(e => e.event === 'telemetry').map(e => e.t), [0, 10, 20]);
+    assert.strictEqual(events.filter(e => e.event === 'eventLog').length, 6);
+});
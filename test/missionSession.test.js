@@ -0,0 +1,290 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { once } = require('events');
+const { createSession, greenRedlines, startCount, fly } = require('./helpers');
+const { assessOutcome } = require('../src/traineeScorer');
+const { availableFields, toCsv } = require('../src/telemetryExport');
+
+test('a final stage running dry short of orbit is SUBORBITAL, then IMPACT', () => {
+    const session = fly(greenRedlines(createSession('short-of-orbit')), { vehicle: 'falcon-x', plan: { payload: 30000 } });
+    try {
+        assert.strictEqual(session.mission.status, 'SUBORBITAL');
+        assert.strictEqual(session.mission.insertion, null);
+        assert.ok(session.isBetweenFlights());
+        assert.deepStrictEqual(assessOutcome(session.mission, false), { result: 'Suborbital insertion', share: 0 });
+
+        session.clock.runUntil(() => session.mission.status !== 'SUBORBITAL', session.clock.time + 3600);
+        assert.strictEqual(session.mission.status, 'IMPACT');
+    } finally {
+        session.dispose();
+    }
+});
+
+test('a built-in hold released early would bring T-0 in before the window opens, and is refused', () => {
+    const session = greenRedlines(createSession('early-release'));
+    try {
+        const opens = new Date(session.clock.now().getTime() + 3600 * 1000);
+        const closes = new Date(opens.getTime() + 1800 * 1000);
+        startCount(session, { vehicle: 'kestrel', plan: { window: { opens, closes } } });
+        session.clock.runUntil(() => session.mission.builtInHold, session.clock.time + 7200);
+        assert.ok(session.mission.builtInHold);
+
+        session.clock.runFor(10);
+        session.releaseHold('Flight Director');
+        assert.ok(session.mission.builtInHold, 'the early release is refused');
+
+        session.clock.runFor(session.builtInHoldLeft());
+        session.releaseHold('Flight Director');
+        assert.strictEqual(session.mission.builtInHold, null);
+
+        session.clock.runUntil(() => session.launchClockTime !== null, session.clock.time + 600);
+        assert.ok(session.clock.now() >= opens, `lifted off at ${session.clock.now().toISOString()}`);
+    } finally {
+        session.dispose();
+    }
+});
+
+test('a refused launch leaves the vehicle, guidance and plan as they were', () => {
+    const session = createSession('refused-launch');
+    try {
+        const plan = session.mission.plan;
+        session.initiateLaunch({ vehicle: 'kestrel', guidance: 'PEG', plan: { target: { apogee: 100, perigee: 400 } } });
+        assert.strictEqual(session.mission.status, 'IDLE');
+        assert.strictEqual(session.mission.vehicle, 'falcon-x');
+        assert.strictEqual(session.mission.plan, plan);
+
+        session.initiateLaunch({ vehicle: 'kestrel', guidance: 'BALLISTIC' });
+        assert.strictEqual(session.mission.status, 'IDLE');
+        assert.strictEqual(session.mission.vehicle, 'falcon-x');
+    } finally {
+        session.dispose();
+    }
+});
+
+test('the sequencer holds the terminal count when the range fouls', () => {
+    const session = createSession('gls-range');
+    try {
+        startCount(session, { vehicle: 'falcon-x' });
+        session.clock.runUntil(() => session.mission.builtInHold, session.clock.time + 7200);
+        session.clock.runFor(session.builtInHoldLeft());
+        session.releaseHold('Flight Director');
+
+        // An aircraft strays into the restricted airspace as the sequencer takes over the count
+        const start = session.mission.timeline.sequencer.start;
+        session.clock.runUntil(() => session.mission.countdownTime <= start + 1, session.clock.time + 600);
+        session.range.addIntrusion('aircraft');
+
+        session.clock.runUntil(() => session.mission.sequencerHold || session.launchClockTime !== null,
+            session.clock.time + 600);
+        assert.ok(session.mission.sequencerHold, 'the count holds');
+        assert.strictEqual(session.mission.sequencerHold.parameter, 'range');
+        assert.strictEqual(session.launchClockTime, null);
+    } finally {
+        session.dispose();
+    }
+});
+
+test('two runs with the same seed fly the same telemetry, whenever they start', () => {
+    const flights = [0, 5400].map(idle => {
+        const session = greenRedlines(createSession('same-seed'));
+        try {
+            session.clock.runFor(idle);
+            fly(session, { vehicle: 'falcon-x', seed: 'replay' });
+            const history = session.telemetryHistory;
+            return {
+                telemetry: toCsv(availableFields(history), history),
+                groundTrack: JSON.stringify(session.rocket.getGroundTrack()),
+                launchTime: session.mission.launchTime.toISOString()
+            };
+        } finally {
+            session.dispose();
+        }
+    });
+    assert.strictEqual(flights[0].launchTime, flights[1].launchTime);
+    assert.ok(flights[0].telemetry === flights[1].telemetry, 'telemetry differs');
+    assert.ok(flights[0].groundTrack === flights[1].groundTrack, 'ground track differs');
+});
+
+test('maximum time warp runs only while the count runs or the vehicle flies', () => {
+    const session = createSession('max-warp');
+    try {
+        session.clock.pause(); // headless: a warp change mustn't start the real-time loop
+        assert.throws(() => session.setTimeWarp('MAX'), /only while the count is running or the vehicle is flying/);
+        assert.strictEqual(session.clock.warp, 1);
+
+        startCount(session, { vehicle: 'falcon-x' });
+        session.setTimeWarp('MAX');
+        session.clock.runUntil(() => session.mission.builtInHold, session.clock.time + 7200);
+        assert.strictEqual(session.clock.warp, 1, 'back to 1x in the built-in hold');
+        assert.throws(() => session.setTimeWarp('MAX'));
+    } finally {
+        session.dispose();
+    }
+});
+
+test('a scenario and its faults stay out of the recording anyone may download', async () => {
+    const session = createSession('scenario-recording');
+    try {
+        session.initiateLaunch({ scenario: 'max-q-engine-out' });
+        session.injectFault({ type: 'telemetryDropout', params: { duration: 5 } }, 'test');
+        const { file, instructorFile, stream, instructorStream } = session.recorder;
+        session.stopRecording();
+        await Promise.all([once(stream, 'finish'), once(instructorStream, 'finish')]);
+
+        const events = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        const recorded = events(file);
+        assert.ok(recorded.some(entry => entry.event === 'missionState'));
+        assert.ok(!recorded.some(entry => ['scenarioLoaded', 'faultInjected', 'faultLog'].includes(entry.event)));
+        assert.ok(!recorded.some(entry => entry.event === 'eventLog' && /^INSTRUCTOR:/.test(entry.data.message)));
+
+        const instructor = events(instructorFile).map(entry => entry.event);
+        ['scenarioLoaded', 'faultInjected', 'faultLog', 'eventLog'].forEach(event =>
+            assert.ok(instructor.includes(event), event));
+    } finally {
+        session.dispose();
+    }
+});
+
+test('a reset tells the consoles to clear the last flight, then sends the fresh state', () => {
+    const session = fly(greenRedlines(createSession('reset')), { vehicle: 'kestrel' });
+    try {
+        session.events.length = 0;
+        session.reset();
+        const events = session.events.map(entry => entry.event);
+        const reset = events.indexOf('missionReset');
+        assert.deepStrictEqual(events.slice(reset, reset + 3), ['missionReset', 'missionState', 'countdownUpdate']);
+        assert.strictEqual(session.events.find(entry => entry.event === 'countdownUpdate').data,
+            session.mission.timeline.start);
+    } finally {
+        session.dispose();
+    }
+});
+
+test('a hold that keeps T-0 from making a fixed window scrubs the launch', () => {
+    const session = greenRedlines(createSession('scrub'));
+    try {
+        const opens = new Date(session.clock.now().getTime() + 3600 * 1000);
+        const closes = new Date(opens.getTime() + 60 * 1000);
+        startCount(session, { vehicle: 'kestrel', plan: { window: { opens, closes } } });
+        session.clock.runUntil(() => session.mission.builtInHold, session.clock.time + 7200);
+
+        // The built-in hold is never released
+        session.clock.runUntil(() => session.mission.status === 'IDLE', session.clock.time + 7200);
+        assert.strictEqual(session.mission.status, 'IDLE');
+        assert.ok(session.clock.now() < closes, 'scrubbed once T-0 could no longer make it, not at the close');
+        assert.ok(session.events.some(entry => entry.event === 'eventLog' && /^LAUNCH SCRUBBED!/.test(entry.data.message)));
+    } finally {
+        session.dispose();
+    }
+});
+
+test('a hold that misses a plane window recycles the count to the next pass, a sidereal day on', () => {
+    const session = greenRedlines(createSession('recycle'));
+    try {
+        startCount(session, { vehicle: 'falcon-x', plan: { target: { apogee: 400, perigee: 400, inclination: 51.6, raan: 120 } } });
+        session.clock.runUntil(() => session.mission.builtInHold, session.clock.time + 200000);
+        session.clock.runUntil(() => session.events.some(entry => entry.event === 'countdownRecycled'),
+            session.clock.time + 7200);
+
+        const { missed, window } = session.events.find(entry => entry.event === 'countdownRecycled').data;
+        const day = (new Date(window.opens) - new Date(missed.opens)) / 1000;
+        assert.ok(Math.abs(day - 86164.1) < 2, `${day} s`);
+        assert.strictEqual(session.mission.status, 'PRE_LAUNCH');
+        assert.strictEqual(session.mission.plan.window.opens, window.opens);
+        assert.ok(!session.mission.goNoGoPoll.isPolling, 'the poll is taken again');
+    } finally {
+        session.dispose();
+    }
+});
+
+test('the countdown timeline readies the vehicle and holds at its built-in hold until released', () => {
+    const session = greenRedlines(createSession('timeline'));
+    try {
+        startCount(session, { vehicle: 'falcon-x' });
+        assert.ok(!session.rocket.state.propellantLoaded);
+
+        session.clock.runUntil(() => session.mission.builtInHold, session.clock.time + 7200);
+        assert.strictEqual(session.mission.countdownTime, 240);
+        assert.strictEqual(session.mission.builtInHold.station, 'Flight Director');
+        assert.ok(session.rocket.state.propellantLoaded && session.rocket.state.enginesChilled);
+        assert.ok(!session.rocket.state.internalPower, 'not yet: that comes at T-60');
+
+        // Past its planned length the hold still waits for the Flight Director
+        session.clock.runFor(600);
+        assert.strictEqual(session.mission.countdownTime, 240);
+        session.releaseHold('Flight Director');
+        session.clock.runUntil(() => session.mission.countdownTime <= 59, session.clock.time + 600);
+        assert.ok(session.rocket.state.internalPower);
+    } finally {
+        session.dispose();
+    }
+});
+
+test('an engine failing on the pad brings an RSLS abort, and the recycled count lifts off', () => {
+    const session = greenRedlines(createSession('pad-abort'));
+    try {
+        startCount(session, { vehicle: 'falcon-x' });
+        session.clock.runUntil(() => session.mission.builtInHold, session.clock.time + 7200);
+        session.clock.runFor(session.builtInHoldLeft());
+        session.releaseHold('Flight Director');
+        session.clock.runUntil(() => session.rocket.state.phase === 'IGNITION' && session.rocket.state.ignitionTime > 1,
+            session.clock.time + 600);
+
+        session.rocket.failEngine('S1-E1', 'turbopump overspeed');
+        session.clock.runUntil(() => session.mission.status === 'PAD_ABORT', session.clock.time + 60);
+        assert.strictEqual(session.mission.status, 'PAD_ABORT');
+        assert.match(session.mission.padAbort.reason, /^engine S1-E1 failed/);
+        assert.strictEqual(session.rocket.state.phase, 'PAD');
+        assert.strictEqual(session.rocket.state.engineStatus, 'SAFED');
+        assert.strictEqual(session.launchClockTime, null, 'still held down');
+
+        // Back to the sequencer's recycle point, through the built-in hold again
+        session.recycleCount();
+        assert.strictEqual(session.mission.status, 'COUNTDOWN');
+        assert.strictEqual(session.mission.countdownTime, session.mission.timeline.sequencer.recycle);
+        session.clock.runUntil(() => session.mission.builtInHold, session.clock.time + 600);
+        session.clock.runFor(session.builtInHoldLeft());
+        session.releaseHold('Flight Director');
+        session.clock.runUntil(() => session.launchClockTime !== null, session.clock.time + 600);
+        assert.notStrictEqual(session.launchClockTime, null);
+    } finally {
+        session.dispose();
+    }
+});
+
+test('a staffed station changes hands only by a handover its owner accepts', () => {
+    const session = createSession('stations');
+    const socket = (id, name) => ({ id, data: { user: { username: id, name } }, join() {}, leave() {}, emit() {} });
+    const [gene, chris, ed] = [socket('gene', 'Gene'), socket('chris', 'Chris'), socket('ed', 'Ed')];
+    try {
+        [gene, chris, ed].forEach(client => session.addClient(client));
+        session.assignStation(gene, 'Flight Director');
+        assert.throws(() => session.assignStation(chris, 'Flight Director'), /^Error: Flight Director is staffed by Gene/);
+
+        // A relief shadows the console but can't command it
+        session.relieveStation(ed, 'Flight Director');
+        assert.strictEqual(session.getStation(ed), null);
+
+        session.requestHandover(chris, 'Flight Director');
+        assert.throws(() => session.requestHandover(ed, 'Flight Director'), /has already asked for Flight Director/);
+        session.answerHandover(gene, 'Flight Director', false);
+        assert.strictEqual(session.getStation(gene), 'Flight Director');
+
+        session.requestHandover(chris, 'Flight Director');
+        session.answerHandover(gene, 'Flight Director', true);
+        assert.strictEqual(session.getStation(chris), 'Flight Director');
+        assert.strictEqual(session.getStation(gene), null);
+        assert.throws(() => session.answerHandover(gene, 'Flight Director', true), /No handover of Flight Director/);
+
+        // Leaving frees the station, and the request made of it, for anyone to take
+        session.requestHandover(gene, 'Flight Director');
+        session.removeClient(chris);
+        assert.strictEqual(session.stationOwner('Flight Director'), null);
+        assert.strictEqual(session.getStationAssignments()['Flight Director'].handover, null);
+        session.assignStation(gene, 'Flight Director');
+        assert.strictEqual(session.getStation(gene), 'Flight Director');
+    } finally {
+        session.dispose();
+    }
+});
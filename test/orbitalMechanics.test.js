@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { stateToElements, propagate, norm } = require('../src/orbitalMechanics');
+
+const MU = 3.986004418e14;
+const RE = 6371000;
+
+function close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} (expected ${expected})`);
+}
+
+test('a circular equatorial orbit has no eccentricity and Kepler\'s period', () => {
+    const r = RE + 400000;
+    const elements = stateToElements([r, 0, 0], [0, Math.sqrt(MU / r), 0], MU, RE);
+    close(elements.semiMajorAxis, r, 1e-3, 'semi-major axis');
+    close(elements.eccentricity, 0, 1e-9, 'eccentricity');
+    close(elements.inclination, 0, 1e-9, 'inclination');
+    close(elements.perigeeAltitude, 400000, 1e-3, 'perigee');
+    close(elements.apogeeAltitude, 400000, 1e-3, 'apogee');
+    close(elements.period, 2 * Math.PI * Math.sqrt(r * r * r / MU), 1e-6, 'period');
+});
+
+test('an inclined ellipse, seen part way round, gives back its elements', () => {
+    const perigee = RE + 200000;
+    const apogee = RE + 600000;
+    const a = (perigee + apogee) / 2;
+    const e = (apogee - perigee) / (apogee + perigee);
+    const inclination = 51.6 * Math.PI / 180;
+
+    // 90 degrees past perigee, in a plane turned about the x axis (ascending node on +x)
+    const nu = Math.PI / 2;
+    const p = a * (1 - e * e);
+    const r = p / (1 + e * Math.cos(nu));
+    const inPlane = {
+        position: [r * Math.cos(nu), r * Math.sin(nu)],
+        velocity: [-Math.sqrt(MU / p) * Math.sin(nu), Math.sqrt(MU / p) * (e + Math.cos(nu))]
+    };
+    const tilt = ([x, y]) => [x, y * Math.cos(inclination), y * Math.sin(inclination)];
+
+    const elements = stateToElements(tilt(inPlane.position), tilt(inPlane.velocity), MU, RE);
+    close(elements.semiMajorAxis, a, 1e-3, 'semi-major axis');
+    close(elements.eccentricity, e, 1e-9, 'eccentricity');
+    close(elements.inclination, 51.6, 1e-9, 'inclination');
+    close(elements.raan, 0, 1e-9, 'raan');
+    close(elements.argumentOfPerigee, 0, 1e-6, 'argument of perigee');
+    close(elements.trueAnomaly, 90, 1e-6, 'true anomaly');
+    close(elements.perigeeAltitude, 200000, 1e-3, 'perigee');
+    close(elements.apogeeAltitude, 600000, 1e-3, 'apogee');
+});
+
+test('an escape trajectory has no apogee and no period', () => {
+    const r = RE + 400000;
+    const elements = stateToElements([r, 0, 0], [0, 1.2 * Math.sqrt(2 * MU / r), 0], MU, RE);
+    assert.ok(elements.eccentricity > 1);
+    assert.strictEqual(elements.apogeeAltitude, Infinity);
+    assert.strictEqual(elements.period, null);
+    close(elements.perigeeAltitude, 400000, 1e-3, 'perigee');
+});
+
+test('an equatorial circular orbit propagates round at constant radius, a little faster than Kepler\'s', () => {
+    const r = RE + 400000;
+    // Over the equator the bulge adds to the pull of a point mass (J2, equatorial radius 6378137 m)
+    const gravity = MU / (r * r) * (1 + 1.5 * 1.08263e-3 * Math.pow(6378137 / r, 2));
+    let state = { position: [r, 0, 0], velocity: [0, Math.sqrt(gravity * r), 0] };
+    const period = 2 * Math.PI * Math.sqrt(r * r * r / MU);
+
+    let angle = 0;
+    for (let t = 0; t < period; t++) {
+        const next = propagate(state, 1, MU);
+        angle += Math.acos(Math.min(1, (state.position[0] * next.position[0] + state.position[1] * next.position[1]) /
+            (norm(state.position) * norm(next.position))));
+        state = next;
+        close(norm(state.position), r, 1, `radius at ${t + 1} s`);
+    }
+    assert.ok(angle > 2 * Math.PI && angle < 2 * Math.PI * 1.01, `${angle} rad`);
+});
+
+test('J2 turns an inclined prograde orbit\'s node westward', () => {
+    const r = RE + 400000;
+    const speed = Math.sqrt(MU / r);
+    const inclination = 51.6 * Math.PI / 180;
+    let state = { position: [r, 0, 0], velocity: [0, speed * Math.cos(inclination), speed * Math.sin(inclination)] };
+    const raan = () => stateToElements(state.position, state.velocity, MU, RE).raan;
+
+    for (let t = 0; t < 86400; t += 10) {
+        state = propagate(state, 10, MU);
+    }
+    // About 5 degrees a day at 400 km and 51.6 degrees
+    const drift = raan() - 360;
+    assert.ok(drift < -4 && drift > -6, `${drift} deg/day`);
+});
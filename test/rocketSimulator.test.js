@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSession, greenRedlines, startCount, fly, FLIGHT_OVER } = require('./helpers');
+const RocketSimulator = require('../src/rocketSimulator');
+const VehicleLibrary = require('../src/vehicleLibrary');
+
+test('the gravity turn bends the trajectory over to horizontal at insertion', () => {
+    const session = fly(greenRedlines(createSession('trajectory')), { vehicle: 'falcon-x' });
+    try {
+        assert.strictEqual(session.mission.status, 'ORBIT');
+        const history = session.telemetryHistory;
+        const liftoff = history[0];
+        const insertion = history[history.length - 1];
+
+        assert.strictEqual(liftoff.flightPathAngle, 90);
+        for (let i = 1; i < history.length; i++) {
+            assert.ok(history[i].downrange >= history[i - 1].downrange, `downrange fell at T+${history[i].t}`);
+        }
+
+        // Thrust pitched above the horizon holds the flight path level against gravity: the two differ
+        assert.ok(Math.abs(insertion.altitude - 400000) < 1000, `inserted at ${insertion.altitude.toFixed(0)} m`);
+        assert.ok(Math.abs(insertion.flightPathAngle) < 0.5, `flight path ${insertion.flightPathAngle.toFixed(2)} deg`);
+        assert.ok(insertion.pitch - insertion.flightPathAngle > 1);
+        assert.ok(insertion.downrange > 1000);
+    } finally {
+        session.dispose();
+    }
+});
+
+test('after insertion the vehicle coasts on, its ground track starting at the pad', () => {
+    const session = fly(greenRedlines(createSession('coast')), { vehicle: 'falcon-x' });
+    try {
+        const insertion = session.rocket.state.insertionTime;
+        session.clock.runFor(600);
+        assert.strictEqual(session.mission.status, 'ORBIT');
+
+        const last = session.telemetryHistory[session.telemetryHistory.length - 1];
+        assert.ok(last.t > insertion + 590, `telemetry stops at T+${last.t}`);
+        assert.ok(Math.abs(last.altitude - 400000) < 2000, `coasting at ${last.altitude.toFixed(0)} m`);
+
+        const track = session.rocket.getGroundTrack();
+        const pad = session.range.status.maritime.exclusionZone.center;
+        assert.strictEqual(track[0].t, 0);
+        assert.ok(Math.abs(track[0].latitude - pad.lat) < 1e-6 && Math.abs(track[0].longitude - pad.lon) < 1e-6);
+        assert.ok(track[track.length - 1].t > insertion + 590);
+    } finally {
+        session.dispose();
+    }
+});
+
+test('strap-on boosters lift off with the core, burn out and go before first stage cutoff', () => {
+    const vehicle = new VehicleLibrary().get('falcon-x-heavy');
+    const rocket = new RocketSimulator({ vehicle: vehicle });
+    assert.strictEqual(rocket.telemetry.mass, VehicleLibrary.liftoffMass(vehicle));
+    assert.strictEqual(rocket.state.boostersAttached, 2);
+
+    const session = fly(greenRedlines(createSession('boosters')), { vehicle: 'falcon-x-heavy' });
+    try {
+        assert.strictEqual(session.mission.status, 'ORBIT');
+        assert.strictEqual(session.rocket.state.boostersAttached, 0);
+        assert.ok(!session.rocket.state.fairingAttached);
+
+        const log = session.events.filter(entry => entry.event === 'eventLog').map(entry => entry.data.message);
+        const order = ['Side Cores burnout', 'Side Cores jettisoned (2)', 'Stage 1 cutoff (Center Core)',
+            'Stage 1 separation (Center Core)', 'Stage 2 ignition (Second Stage)']
+            .map(message => log.findIndex(entry => entry.startsWith(message)));
+        assert.ok(order.every((index, i) => index >= 0 && (i === 0 || index > order[i - 1])), log.join('\n'));
+    } finally {
+        session.dispose();
+    }
+});
+
+test('propellant is burnt at the mixture ratio, by the kg, and what is left at cutoff is recorded', () => {
+    const session = fly(greenRedlines(createSession('propellant')), { vehicle: 'falcon-x' });
+    try {
+        const rocket = session.rocket;
+        const loaded = rocket.specs.stages[0];
+        const firstStage = session.telemetryHistory.filter(frame => frame.stage1FuelMass + frame.stage1OxidizerMass > 1);
+        assert.ok(firstStage.length > 100);
+
+        firstStage.forEach(frame => {
+            const fuelBurnt = loaded.fuelMass - frame.stage1FuelMass;
+            const oxidizerBurnt = loaded.oxidizerMass - frame.stage1OxidizerMass;
+            assert.ok(Math.abs(rocket.specs.totalMass - frame.mass - fuelBurnt - oxidizerBurnt) < 1e-3,
+                `mass and propellant disagree at T+${frame.t}`);
+            assert.ok(Math.abs(frame.stage1FuelRemaining - 100 * (frame.stage1FuelMass + frame.stage1OxidizerMass) /
+                loaded.propellantMass) < 1e-9);
+            if (fuelBurnt > 1000) {
+                assert.ok(Math.abs(oxidizerBurnt / fuelBurnt - 2.36) < 1e-6, `mixture ${oxidizerBurnt / fuelBurnt}`);
+            }
+        });
+
+        // The first stage burns to depletion; guidance shuts the second down with propellant to spare
+        const [first, second] = rocket.tanks;
+        assert.ok(first.residual < 1, `first stage residual ${first.residual}`);
+        assert.ok(second.residual > 0);
+        assert.strictEqual(second.residual, second.fuel + second.oxidizer);
+    } finally {
+        session.dispose();
+    }
+});
+
+test('the engines left running cover for an engine out as far as their throttle goes', () => {
+    const rocket = new RocketSimulator({ vehicle: new VehicleLibrary().get('falcon-x') });
+    rocket.state.engines.filter(engine => engine.element === 'stage1').forEach(engine => { engine.status = 'RUNNING'; });
+    assert.ok(rocket.failEngine('S1-E2', 'test'));
+    assert.ok(!rocket.failEngine('S1-E2', 'test'), 'already out');
+
+    // 70% from nine engines is under 80% from eight; full thrust would need more than their 110%
+    const throttledDown = rocket.engineShare('stage1', 0.7);
+    assert.ok(Math.abs(throttledDown.delivered - 0.7) < 1e-12);
+    assert.ok(Math.abs(throttledDown.engineThrottle - 0.7 * 9 / 8) < 1e-12);
+    const full = rocket.engineShare('stage1', 1);
+    assert.strictEqual(full.engineThrottle, 1.1);
+    assert.ok(Math.abs(full.delivered - 1.1 * 8 / 9) < 1e-12);
+    assert.strictEqual(full.running, 8);
+});
+
+test('an engine out in the climb still makes orbit, on a longer first stage burn', () => {
+    const burnTimes = [false, true].map(engineOut => {
+        const session = greenRedlines(createSession('engine-out'));
+        try {
+            startCount(session, { vehicle: 'falcon-x' });
+            while (session.launchClockTime === null) {
+                session.clock.runUntil(() => session.launchClockTime !== null || session.mission.builtInHold,
+                    session.clock.time + 7200);
+                if (session.mission.builtInHold) {
+                    session.clock.runFor(session.builtInHoldLeft());
+                    session.releaseHold('Flight Director');
+                }
+            }
+            session.clock.runUntil(() => session.rocket.state.missionTime >= 60, session.clock.time + 120);
+            if (engineOut) {
+                session.rocket.failEngine('S1-E2', 'turbopump overspeed');
+                session.clock.runFor(1);
+                assert.strictEqual(session.rocket.telemetry.enginesRunning, 8);
+                assert.ok(session.rocket.telemetry.gimbalAngle > 0, 'steering out the thrust offset');
+            }
+
+            session.clock.runUntil(() => FLIGHT_OVER.includes(session.mission.status), session.clock.time + 3000);
+            assert.strictEqual(session.mission.status, 'ORBIT');
+            assert.ok(session.mission.insertion.onTarget);
+            return session.rocket.telemetry.stage1BurnTime;
+        } finally {
+            session.dispose();
+        }
+    });
+    assert.ok(burnTimes[1] > burnTimes[0] + 1, `${burnTimes[0]} s, and ${burnTimes[1]} s with an engine out`);
+});
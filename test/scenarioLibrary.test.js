@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ScenarioLibrary = require('../src/scenarioLibrary');
+const { createSession } = require('./helpers');
+
+const scenarios = new ScenarioLibrary();
+
+test('every bundled scenario passes validation', () => {
+    assert.deepStrictEqual(scenarios.invalid, []);
+    assert.deepStrictEqual(scenarios.list().map(scenario => scenario.id),
+        ['fouled-range', 'lightning-t-minus-2', 'max-q-engine-out']);
+});
+
+test('a scenario is checked for every problem at once, its plan and faults included', () => {
+    const scenario = scenarios.get('max-q-engine-out');
+    scenario.guidance = 'OPEN_LOOP';
+    scenario.plan = { site: 'atlantis' };
+    scenario.weather.snow = 3;
+    scenario.range = { aircraft: [{ distance: -1 }], blimps: [] };
+    scenario.events.push({ type: 'meteor' });
+
+    assert.throws(() => ScenarioLibrary.validateScenario(scenario), error => {
+        assert.deepStrictEqual(error.errors, [
+            'guidance must be one of PEG',
+            'plan: unknown launch site "atlantis"',
+            'weather.snow is not a weather condition',
+            'range.aircraft[0].distance must be in nautical miles (>= 0)',
+            'range.blimps is not range traffic (aircraft, vessels)',
+            'events[1]: type must be one of engineFailure, sensorDrift, stuckValve, telemetryDropout, ' +
+                'ftsBatteryFault, weatherEvent, rangeIntrusion'
+        ]);
+        return true;
+    });
+});
+
+test('a scenario launch starts from its weather and range traffic, with its faults armed', () => {
+    const session = createSession('scenario');
+    try {
+        session.initiateLaunch({ scenario: 'fouled-range', vehicle: 'kestrel' });
+        assert.strictEqual(session.mission.vehicle, 'falcon-x', 'the scenario\'s vehicle');
+        assert.strictEqual(session.mission.seed, 'fouled-range');
+        assert.strictEqual(session.scenario.id, 'fouled-range');
+        assert.strictEqual(session.range.status.airspace.aircraft.length, 1);
+        assert.deepStrictEqual(session.faults.pending().map(fault => fault.type), ['ftsBatteryFault', 'rangeIntrusion']);
+    } finally {
+        session.dispose();
+    }
+});
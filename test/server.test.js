@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const UserStore = require('../src/userStore');
+
+// The server in a child process with its own users file, recordings directory and port
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'mcc-server-'));
+const usersFile = path.join(scratch, 'users.json');
+const port = 39000 + process.pid % 1000;
+const base = `http://localhost:${port}/api`;
+
+const accounts = new UserStore(usersFile);
+accounts.saveUser('gene', 'flightdir1', ['Flight Director'], 'Gene');
+accounts.saveUser('ed', 'capcom123', ['CAPCOM'], 'Ed');
+accounts.saveUser('ann', 'instruct1', ['Instructor'], 'Ann');
+
+let server;
+const tokens = {};
+
+test.before(async () => {
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        cwd: path.join(__dirname, '..'),
+        env: Object.assign({}, process.env, { PORT: String(port), USERS_FILE: usersFile, RECORDINGS_DIR: scratch }),
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    await new Promise((resolve, reject) => {
+        server.stdout.on('data', data => {
+            if (data.toString().includes('online')) resolve();
+        });
+        server.on('exit', code => reject(new Error(`server exited (${code})`)));
+    });
+    for (const [username, password] of [['gene', 'flightdir1'], ['ed', 'capcom123'], ['ann', 'instruct1']]) {
+        const response = await fetch(`${base}/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        tokens[username] = (await response.json()).token;
+    }
+});
+
+test.after(() => {
+    server.kill();
+});
+
+function request(username, method, route, body) {
+    return fetch(`${base}${route}`, {
+        method: method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokens[username]}` },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+}
+
+test('mission changes over REST are refused to a user not qualified to command them', async () => {
+    const refused = [
+        ['POST', '/missions', { id: 'capcom-mission' }],
+        ['PUT', '/missions/default/plan', { payload: 1000 }],
+        ['DELETE', '/missions/default'],
+        ['POST', '/missions/default/clock', { warp: 10 }],
+        ['POST', '/missions/default/clock', { paused: true }]
+    ];
+    for (const [method, route, body] of refused) {
+        const response = await request('ed', method, route, body);
+        assert.strictEqual(response.status, 403, `${method} ${route}`);
+        assert.match((await response.json()).error, /^Only Flight Director .*; Ed isn't qualified for it$/);
+    }
+});
+
+test('the Flight Director creates, replans, warps and removes a mission over REST', async () => {
+    assert.strictEqual((await request('gene', 'POST', '/missions', { id: 'fd-mission' })).status, 201);
+    assert.strictEqual((await request('gene', 'PUT', '/missions/fd-mission/plan', { payload: 1000 })).status, 200);
+    assert.strictEqual((await request('gene', 'POST', '/missions/fd-mission/clock', { warp: 10 })).status, 200);
+    assert.strictEqual((await request('gene', 'DELETE', '/missions/fd-mission')).status, 204);
+});
+
+test('the instructor routes need a user qualified for the Instructor console', async () => {
+    for (const username of ['gene', 'ed']) {
+        const response = await request(username, 'GET', '/missions/default/faults');
+        assert.strictEqual(response.status, 403, username);
+        assert.match((await response.json()).error, /isn't qualified for Instructor/);
+    }
+    assert.strictEqual((await request('gene', 'GET', '/missions/default/debrief')).status, 403);
+    assert.strictEqual((await request('ed', 'GET', '/recordings/none/instructor')).status, 403);
+    assert.strictEqual((await request('ann', 'GET', '/recordings/none/instructor')).status, 404);
+    assert.strictEqual((await request('ann', 'GET', '/missions/default/faults')).status, 200);
+});
+
+test('the default mission is never removed, and a mission id must be a string', async () => {
+    const removed = await request('gene', 'DELETE', '/missions/default');
+    assert.strictEqual(removed.status, 400);
+    assert.strictEqual((await request('gene', 'GET', '/missions/default/telemetry')).status, 200);
+
+    for (const id of [42, 'bad id', ['x']]) {
+        assert.strictEqual((await request('gene', 'POST', '/missions', { id })).status, 400, JSON.stringify(id));
+    }
+});
+
+test('the vehicle library is listed, and a definition checked without installing it', async () => {
+    const list = await (await request('ed', 'GET', '/vehicles')).json();
+    assert.ok(list.some(vehicle => vehicle.id === 'falcon-x'));
+
+    const checked = await request('ed', 'POST', '/vehicles/validate', { id: 'x', name: 'X', payload: 0, stages: [] });
+    assert.strictEqual(checked.status, 400);
+    assert.deepStrictEqual((await checked.json()).errors, ['stages must list at least one stage']);
+    assert.strictEqual((await request('ed', 'GET', '/vehicles/none')).status, 404);
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SimulationClock = require('../src/simulationClock');
+
+test('real time counts each step over the warp it ran at, and none at MAX', () => {
+    const clock = new SimulationClock();
+    clock.pause(); // headless: setWarp doesn't start the real-time driver
+    clock.runFor(5);
+    clock.setWarp(10);
+    clock.runFor(10);
+    clock.setWarp(SimulationClock.MAX_WARP);
+    clock.runFor(100);
+    assert.strictEqual(clock.time, 115);
+    assert.ok(Math.abs(clock.realTime - 6) < 1e-9, `real time ${clock.realTime}`);
+    clock.dispose();
+});
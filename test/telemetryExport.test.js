@@ -0,0 +1,10 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toCcsds } = require('../src/telemetryExport');
+
+test('a missing or null value goes in a CCSDS packet as NaN, not 0', () => {
+    const packet = toCcsds(['altitude', 'apogee', 'perigee'], [{ t: 1.5, altitude: 1200, apogee: null }]);
+    assert.strictEqual(packet.readDoubleBE(12), 1200);
+    assert.ok(Number.isNaN(packet.readDoubleBE(20)), 'null');
+    assert.ok(Number.isNaN(packet.readDoubleBE(28)), 'missing');
+});
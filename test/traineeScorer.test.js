@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TraineeScorer = require('../src/traineeScorer');
+
+const at = (time, realTime) => ({ time, realTime, countdownTime: 600 - time, met: null });
+
+test('reaction times are in real seconds whatever the warp', () => {
+    const scorer = new TraineeScorer();
+    scorer.start();
+    // A warning at 10x warp: 50 s of simulation went by in 5 s for the stations
+    const cue = scorer.addAnomaly({ parameter: 'lox-temp', severity: 'WARNING', message: 'LOX temperature high' },
+        at(100, 40), false);
+    scorer.recordAction({ station: 'Booster', action: 'holdCountdown', detail: null, at: at(150, 45) });
+
+    assert.strictEqual(cue.response.reaction, 5);
+    const score = scorer.score({ result: 'Count in progress', share: null }, 45);
+    assert.strictEqual(score.cues[0].result, 'correct');
+    assert.strictEqual(score.parts.reactions.meanReaction, 5);
+});
+
+test('a response window runs in real seconds', () => {
+    const scorer = new TraineeScorer();
+    scorer.start();
+    scorer.addAnomaly({ parameter: 'lox-temp', severity: 'WARNING', message: 'LOX temperature high' }, at(100, 40),
+        false);
+    // 600 s of simulation at 100x warp is 6 s for the stations: the 60 s window is still open
+    assert.strictEqual(scorer.score({ result: 'Count in progress', share: null }, 46).cues[0].result, 'open');
+    assert.strictEqual(scorer.score({ result: 'Count in progress', share: null }, 101).cues[0].result, 'missed');
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UserStore = require('../src/userStore');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'mcc-users-'));
+
+test('saving a user keeps the entries that failed validation', () => {
+    const file = path.join(scratch, 'kept.json');
+    const broken = { username: 'Bad Name', password: 'x', stations: ['CAPCOM'] };
+    fs.writeFileSync(file, JSON.stringify([broken, { username: 'ed', stations: ['Nowhere'] }]));
+
+    const users = new UserStore(file);
+    assert.strictEqual(users.invalid.length, 2);
+    users.saveUser('gene', 'flightdir1', ['Flight Director'], 'Gene');
+
+    const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepStrictEqual(written.map(entry => entry.username), ['gene', 'Bad Name', 'ed']);
+    assert.deepStrictEqual(written[1], broken);
+
+    // Saving a user over its broken entry replaces it
+    users.saveUser('ed', 'capcom123', ['CAPCOM'], 'Ed');
+    assert.strictEqual(users.invalid.length, 1);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).map(entry => entry.username),
+        ['gene', 'ed', 'Bad Name']);
+});
+
+test('a users file that can\'t be read is not overwritten', () => {
+    const file = path.join(scratch, 'unreadable.json');
+    fs.writeFileSync(file, '[{ "username": "gene", ');
+
+    const users = new UserStore(file);
+    assert.throws(() => users.saveUser('ed', 'capcom123', ['CAPCOM'], 'Ed'), /unreadable\.json can't be rewritten/);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), '[{ "username": "gene", ');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VehicleLibrary = require('../src/vehicleLibrary');
+
+const vehicles = new VehicleLibrary();
+
+test('every bundled vehicle passes validation', () => {
+    assert.deepStrictEqual(vehicles.invalid, []);
+    assert.deepStrictEqual(vehicles.list().map(vehicle => vehicle.id).sort(),
+        ['condor-551', 'falcon-x', 'falcon-x-heavy', 'kestrel']);
+    assert.ok(vehicles.has(VehicleLibrary.DEFAULT_VEHICLE_ID));
+});
+
+test('a vehicle from the library is a copy', () => {
+    vehicles.get('kestrel').stages[0].dryMass = 1;
+    assert.strictEqual(vehicles.get('kestrel').stages[0].dryMass, 950);
+});
+
+test('a vehicle definition is checked for every problem at once', () => {
+    const vehicle = vehicles.get('kestrel');
+    vehicle.id = 'Kestrel 2';
+    vehicle.stages[0].engines.ispVacuum = 200;
+    vehicle.stages[1].aero.dragTable.mach = [0, 1];
+    delete vehicle.fairing.jettisonAltitude;
+
+    assert.throws(() => VehicleLibrary.validateVehicle(vehicle), error => {
+        assert.deepStrictEqual(error.errors, [
+            'id must be lowercase letters, digits and dashes',
+            'stages[0].engines.ispVacuum must not be below ispSeaLevel',
+            'stages[1].aero.dragTable.cd must hold 2 non-negative numbers, one per Mach breakpoint',
+            'fairing needs a jettisonAltitude and/or jettisonDynamicPressure'
+        ]);
+        return true;
+    });
+    assert.throws(() => VehicleLibrary.validateVehicle([]), /^Error: definition must be a JSON object$/);
+});
+
+test('a vehicle file that fails validation is reported, and the rest still load', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mcc-vehicles-'));
+    const kestrel = vehicles.get('kestrel');
+    fs.writeFileSync(path.join(directory, 'a.json'), JSON.stringify(kestrel));
+    fs.writeFileSync(path.join(directory, 'b.json'), JSON.stringify(kestrel));
+    fs.writeFileSync(path.join(directory, 'c.json'), '{ not json');
+    fs.writeFileSync(path.join(directory, 'd.json'), JSON.stringify(Object.assign({}, kestrel, { stages: [] })));
+
+    const library = new VehicleLibrary(directory);
+    assert.deepStrictEqual(library.list().map(vehicle => vehicle.id), ['kestrel']);
+    assert.deepStrictEqual(library.invalid.map(entry => entry.file), ['b.json', 'c.json', 'd.json']);
+    assert.deepStrictEqual(library.invalid[0].errors, ['Duplicate vehicle id "kestrel"']);
+    assert.deepStrictEqual(library.invalid[2].errors, ['stages must list at least one stage']);
+});